@@ -0,0 +1,357 @@
+// Local API for editor extensions and scripts: the session operations of the app over HTTP
+// and a WebSocket output stream. Only listens on 127.0.0.1 and every request needs the token.
+//
+//   GET    /api/sessions                    { sessions: [{ id, owner, cwd, profile, backend, awaitingApproval, atInputPrompt, startedAt }] }
+//   POST   /api/sessions                    { cwd, profile, backend } -> { session }
+//   GET    /api/sessions/:id                { session }
+//   POST   /api/sessions/:id/input          { text }
+//   POST   /api/sessions/:id/approval       { answer: 'y' | 'n' | 't' }
+//   DELETE /api/sessions/:id                ends the session
+//   GET    /api/sessions/:id/stream         WebSocket, see below
+//
+// The token goes in "Authorization: Bearer <token>". WebSocket clients that cannot set headers
+// may use ?token=<token> on the stream URL instead. Responses are { success, error, ... } like IPC.
+//
+// Stream messages from the server, the output Q printed recently comes first with replay: true:
+//   { type: 'output', sessionId, data, isPrompt, isReady, isError, replay }
+//     isPrompt: the agent asks to run a tool, isReady: it is back at its input prompt
+//   { type: 'resize', sessionId, cols, rows }  the agent's terminal has a new size
+//   { type: 'closed', sessionId, code, error, reason }  reason: why the agent stopped when it crashed
+//   { type: 'error', error }
+// and from the client: { type: 'input', text } or { type: 'approval', answer }
+const http = require('http');
+const crypto = require('crypto');
+const { acceptWebSocket, isUpgradeRequest } = require('./websocket');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 1024 * 1024;
+const REPLAY_SIZE = 64 * 1024; // Output kept per session for streams that connect later
+const ANSWERS = { y: 'y', yes: 'y', allow: 'y', n: 'n', no: 'n', deny: 'n', t: 't', trust: 't' };
+const SESSION_PATH_PATTERN = /^\/api\/sessions\/([^/]+)(?:\/(input|approval|stream))?$/;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function decodeSessionId(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    throw new ApiError(400, 'Session id in the URL is not valid percent-encoding');
+  }
+}
+
+// Left out or null is null, anything else must be text
+function optionalString(body, name) {
+  const value = body[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new ApiError(400, `${name} must be a string`);
+  }
+  return value;
+}
+
+function normalizeAnswer(answer) {
+  const normalized = ANSWERS[String(answer || '').trim().toLowerCase()];
+  if (!normalized) {
+    throw new ApiError(400, 'answer must be y, n or t');
+  }
+  return normalized;
+}
+
+// deps (from main.js):
+//   listSessions() -> [session], getSession(id) -> session | null
+//   createSession({ cwd, profile, backend }) -> session
+//   sendInput(id, text), answerApproval(id, answer), killSession(id)
+//   onSessionEvent(listener(channel, payload)) -> unsubscribe
+function createApiServer(deps) {
+  let server = null;
+  let token = null;
+  let port = null;
+  let unsubscribe = null;
+  const streams = new Set(); // { connection, sessionId }
+  const replay = new Map(); // sessionId -> recent output
+
+  function send(response, status, body) {
+    const text = JSON.stringify(body);
+    response.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(text),
+      'Cache-Control': 'no-store'
+    });
+    response.end(text);
+  }
+
+  // Pages on other sites can reach 127.0.0.1 too, through a DNS name that points to it
+  function checkHost(request) {
+    const host = (request.headers.host || '').toLowerCase();
+    if (host !== `${HOST}:${port}` && host !== `localhost:${port}`) {
+      throw new ApiError(403, 'Unexpected Host header');
+    }
+  }
+
+  function checkToken(request, url, allowQueryToken) {
+    const header = request.headers.authorization || '';
+    const given = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : allowQueryToken ? url.searchParams.get('token') : null;
+    if (!given || !tokensMatch(given, token)) {
+      throw new ApiError(401, 'Missing or wrong API token');
+    }
+  }
+
+  function readJson(request) {
+    return new Promise((resolve, reject) => {
+      // A form on a web page cannot send JSON, so this also keeps such pages out
+      if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+        reject(new ApiError(415, 'Send the body as application/json'));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new ApiError(413, 'Request body too big'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => {
+        try {
+          const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('not an object');
+          }
+          resolve(body);
+        } catch (error) {
+          reject(new ApiError(400, 'Body is not a JSON object'));
+        }
+      });
+      request.on('error', reject);
+    });
+  }
+
+  function requireSession(id) {
+    const session = deps.getSession(id);
+    if (!session) {
+      throw new ApiError(404, `Session ${id} not found`);
+    }
+    return session;
+  }
+
+  function sendInput(id, text) {
+    requireSession(id);
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ApiError(400, 'text must be a non-empty string');
+    }
+    deps.sendInput(id, text);
+  }
+
+  function answerApproval(id, answer) {
+    const session = requireSession(id);
+    const normalized = normalizeAnswer(answer);
+    if (!session.awaitingApproval) {
+      throw new ApiError(409, 'Q is not waiting for an approval in this session');
+    }
+    deps.answerApproval(id, normalized);
+  }
+
+  async function route(request, response, url) {
+    const method = request.method;
+    if (url.pathname === '/api/sessions') {
+      if (method === 'GET') {
+        return send(response, 200, { success: true, sessions: deps.listSessions() });
+      }
+      if (method === 'POST') {
+        const body = await readJson(request);
+        const session = await deps.createSession({
+          cwd: optionalString(body, 'cwd'),
+          profile: optionalString(body, 'profile'),
+          backend: optionalString(body, 'backend')
+        });
+        return send(response, 201, { success: true, session });
+      }
+      throw new ApiError(405, `${method} is not supported here`);
+    }
+
+    const match = url.pathname.match(SESSION_PATH_PATTERN);
+    if (!match) {
+      throw new ApiError(404, `No such endpoint: ${url.pathname}`);
+    }
+    const id = decodeSessionId(match[1]);
+    const action = match[2] || null;
+
+    if (!action && method === 'GET') {
+      return send(response, 200, { success: true, session: requireSession(id) });
+    }
+    if (!action && method === 'DELETE') {
+      requireSession(id);
+      deps.killSession(id);
+      return send(response, 200, { success: true });
+    }
+    if (action === 'input' && method === 'POST') {
+      sendInput(id, (await readJson(request)).text);
+      return send(response, 200, { success: true });
+    }
+    if (action === 'approval' && method === 'POST') {
+      answerApproval(id, (await readJson(request)).answer);
+      return send(response, 200, { success: true });
+    }
+    if (action === 'stream') {
+      throw new ApiError(426, 'Connect to the stream with a WebSocket');
+    }
+    throw new ApiError(405, `${method} is not supported here`);
+  }
+
+  async function handleRequest(request, response) {
+    try {
+      const url = new URL(request.url, `http://${HOST}`);
+      checkHost(request);
+      checkToken(request, url, false);
+      await route(request, response, url);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error('API request failed:', error);
+      }
+      if (!response.headersSent) {
+        send(response, error.status || 500, { success: false, error: error.message });
+      }
+    }
+  }
+
+  function handleUpgrade(request, socket, head) {
+    const reject = (status, message) => {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}`);
+    };
+    let sessionId;
+    try {
+      const url = new URL(request.url, `http://${HOST}`);
+      checkHost(request);
+      checkToken(request, url, true);
+      const match = url.pathname.match(SESSION_PATH_PATTERN);
+      if (!match || match[2] !== 'stream' || !isUpgradeRequest(request)) {
+        throw new ApiError(404, 'WebSocket streams are at /api/sessions/:id/stream');
+      }
+      sessionId = decodeSessionId(match[1]);
+      requireSession(sessionId);
+    } catch (error) {
+      reject(error.status || 500, error.message);
+      return;
+    }
+
+    const connection = acceptWebSocket(request, socket, head);
+    if (!connection) return;
+    const stream = { connection, sessionId };
+    streams.add(stream);
+
+    const recent = replay.get(sessionId);
+    if (recent) {
+      connection.send({ type: 'output', sessionId, data: recent, isPrompt: false, isReady: false, isError: false, replay: true });
+    }
+
+    connection.on('message', (message) => {
+      try {
+        if (message.type === 'input') {
+          sendInput(sessionId, message.text);
+        } else if (message.type === 'approval') {
+          answerApproval(sessionId, message.answer);
+        } else {
+          throw new ApiError(400, 'Messages are { type: "input", text } or { type: "approval", answer }');
+        }
+      } catch (error) {
+        connection.send({ type: 'error', error: error.message });
+      }
+    });
+    connection.on('close', () => streams.delete(stream));
+  }
+
+  function handleSessionEvent(channel, payload) {
+    const { sessionId } = payload;
+    if (channel === 'q-output') {
+      const recent = (replay.get(sessionId) || '') + payload.data;
+      replay.set(sessionId, recent.length > REPLAY_SIZE ? recent.slice(-REPLAY_SIZE) : recent);
+    } else if (channel === 'session-closed') {
+      replay.delete(sessionId);
+    }
+
+    let message;
+    if (channel === 'q-output') {
+      message = { type: 'output', sessionId, data: payload.data, isPrompt: Boolean(payload.isPrompt), isReady: Boolean(payload.isReady), isError: Boolean(payload.isError), replay: false };
+    } else if (channel === 'session-resized') {
+      message = { type: 'resize', sessionId, cols: payload.cols, rows: payload.rows };
+    } else if (channel === 'session-closed') {
+      message = { type: 'closed', sessionId, code: payload.code, error: payload.error || null, reason: payload.reason || null };
+    } else {
+      return; // Nothing for clients, e.g. their own approval answers
+    }
+    streams.forEach(stream => {
+      if (stream.sessionId !== sessionId) return;
+      stream.connection.send(message);
+      if (channel === 'session-closed') {
+        stream.connection.close(1000, 'Session closed');
+      }
+    });
+  }
+
+  // Resolves to the URL once listening, rejects when the port is taken
+  function start(options) {
+    return stop().then(() => new Promise((resolve, reject) => {
+      token = options.token;
+      port = options.port;
+      const httpServer = http.createServer(handleRequest);
+      httpServer.on('upgrade', handleUpgrade);
+      httpServer.once('error', (error) => {
+        reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error);
+      });
+      httpServer.listen(port, HOST, () => {
+        server = httpServer;
+        unsubscribe = deps.onSessionEvent(handleSessionEvent);
+        resolve(status().url);
+      });
+    }));
+  }
+
+  function stop() {
+    if (!server) {
+      return Promise.resolve();
+    }
+    const closing = server;
+    server = null;
+    unsubscribe();
+    unsubscribe = null;
+    replay.clear();
+    streams.forEach(stream => stream.connection.close(1001, 'API server stopped'));
+    streams.clear();
+    return new Promise(resolve => {
+      closing.close(() => resolve());
+      if (closing.closeAllConnections) {
+        closing.closeAllConnections(); // Node 18.2 and later, keep-alive connections would hold the port
+      }
+    });
+  }
+
+  function status() {
+    return server ? { running: true, url: `http://${HOST}:${port}`, port } : { running: false, url: null, port: null };
+  }
+
+  return { start, stop, status };
+}
+
+module.exports = { createApiServer, generateToken, HOST };
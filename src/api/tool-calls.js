@@ -0,0 +1,92 @@
+// Tool calls of sessions started through the local API, for the audit log. A chat tab or a
+// headless run does this for its sessions, API sessions have neither: their output goes through
+// an output parser and a transcript builder here, like in a headless run (src/headless/runner.js).
+const { OutputParser } = require('../shared/output-parser');
+const { TranscriptBuilder } = require('../shared/transcript');
+const approval = require('../shared/approval');
+const toolAudit = require('../shared/audit');
+
+// options: { detectors, cols, rows, record(calls) -> Promise }, record gets the new or changed
+// calls as [{ key, ...call }], one batch after the other.
+// Returns { output(data), resize(cols, rows), clientAnswered(answer), close() }
+function createToolCallTracker(options) {
+  const transcript = new TranscriptBuilder([], options.detectors);
+  const parser = new OutputParser({
+    detectors: options.detectors,
+    cols: options.cols,
+    rows: options.rows,
+    onEvent: (event) => {
+      if (event.type === 'line' && !event.continued) {
+        transcript.addLine(event.text);
+      }
+    }
+  });
+  const auditedCalls = new Map();
+  let recording = Promise.resolve();
+  let closed = false;
+
+  transcript.skipUntilNextPrompt(); // Q's startup banner is not part of the chat
+
+  // Same call keys as a headless run, turn index and call index within the turn
+  function recordToolCalls(replyOver) {
+    const preview = transcript.withLines(parser.liveTexts());
+    const turns = preview.getTurns();
+    const calls = [];
+    turns.forEach((turn, turnIndex) => {
+      if (turn.role !== 'assistant') return;
+      const over = turnIndex < turns.length - 1 || (replyOver && !preview.awaitingApproval);
+      toolAudit.extractToolCalls(turn, { finished: over }).forEach(call => {
+        const key = `0.${turnIndex}.${call.index}`;
+        const { startedAt, decidedAt, ...details } = call;
+        const sent = JSON.stringify(details);
+        if (auditedCalls.get(key) !== sent) {
+          auditedCalls.set(key, sent);
+          calls.push({ key, ...call });
+        }
+      });
+    });
+    if (calls.length === 0) return;
+
+    recording = recording.then(() => options.record(calls));
+  }
+
+  function output(data) {
+    if (closed) return;
+    const events = parser.write(data);
+    const replyOver = events.some(event => event.type === 'ready');
+    if (replyOver || events.some(toolAudit.changesToolCalls)) {
+      recordToolCalls(replyOver);
+    }
+  }
+
+  function resize(cols, rows) {
+    if (!closed) {
+      parser.resize(cols, rows);
+    }
+  }
+
+  // Call before the answer goes to the agent, the decision belongs to the prompt on the screen
+  function clientAnswered(answer) {
+    if (closed) return;
+    const preview = transcript.withLines(parser.liveTexts());
+    if (!preview.awaitingApproval) return;
+    const request = approval.findPendingToolRequest(preview.getTurns());
+    const toolName = (request && request.toolName) || 'tool';
+    transcript.addApprovalDecision(preview.approvalPrompts, approval.formatClientDecision(answer, toolName));
+    recordToolCalls(false);
+  }
+
+  // The session ended, calls without an outcome will not get one. Resolves once everything is recorded.
+  function close() {
+    if (!closed) {
+      parser.flush();
+      recordToolCalls(true);
+      closed = true;
+    }
+    return recording;
+  }
+
+  return { output, resize, clientAnswered, close };
+}
+
+module.exports = { createToolCallTracker };
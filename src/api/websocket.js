@@ -0,0 +1,182 @@
+// Server side of the WebSocket protocol (RFC 6455), just what the local API needs:
+// the upgrade handshake, text messages as JSON, ping/pong and close. Client frames are masked,
+// ours are not. Extensions and subprotocols are not negotiated.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function isUpgradeRequest(request) {
+  return (request.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Events: 'message' (parsed JSON or { invalid: text }), 'close' ({ code, reason })
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('close', () => this.finish(1006, 'Connection lost'));
+    socket.on('error', () => this.finish(1006, 'Connection error'));
+  }
+
+  send(message) {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8')));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.finish(code, reason);
+  }
+
+  finish(code, reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.socket.destroy();
+    this.emit('close', { code, reason });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame()) !== null) {
+      this.handleFrame(frame);
+    }
+  }
+
+  // Next complete frame from the buffer, null when more data is needed
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+
+    if (!masked) {
+      this.close(1002, 'Client frames must be masked');
+      return null;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      this.close(1009, 'Message too big');
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        return;
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation:
+        break;
+      default:
+        this.close(1002, 'Unknown opcode');
+        return;
+    }
+
+    this.fragments.push(payload);
+    const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+    if (size > MAX_MESSAGE_SIZE) {
+      this.close(1009, 'Message too big');
+      return;
+    }
+    if (!fin) return;
+
+    const text = Buffer.concat(this.fragments).toString('utf8');
+    this.fragments = [];
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      message = { invalid: text };
+    }
+    this.emit('message', message);
+  }
+}
+
+// Completes the handshake of an 'upgrade' request, returns the connection (null after a 400)
+function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  if (!isUpgradeRequest(request) || !key || request.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const connection = new WebSocketConnection(socket);
+  if (head && head.length > 0) {
+    connection.receive(head);
+  }
+  return connection;
+}
+
+module.exports = { acceptWebSocket, isUpgradeRequest };
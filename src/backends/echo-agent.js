@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Scripted chat agent behind the "echo" backend. It answers the same way every time, so chat tabs,
+// approvals, the audit log, headless runs and the local API can be tried without Q.
+// Its output looks like a CLI chat agent, read with the detectors in echo.js:
+//
+//   echo> tool ls -la
+//   ⚙ Tool call: execute_bash
+//     I will run the following shell command: ls -la
+//   Run it? [y/n/t]:
+//   y
+//     Completed in 0.0s
+//   Pretended to run: ls -la
+//
+// Input:
+//   tool <command>  asks to run a shell command, nothing is really run
+//   read <file>     asks to read a file, says whether it exists
+//   think <text>    shows a spinner before the reply
+//   /crash          exits with code 3, /quit and /exit end the session
+//   anything else   is echoed back
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const PROMPT = '\x1b[32mecho>\x1b[0m ';
+const SPINNER_FRAMES = 4;
+const SPINNER_INTERVAL_MS = 100;
+
+const trusted = new Set(); // Tools answered with t
+let pendingTool = null; // { name, run } while waiting for y/n/t
+let turn = 0;
+
+function print(text = '') {
+  process.stdout.write(text + '\n');
+}
+
+function prompt() {
+  process.stdout.write(PROMPT);
+}
+
+// A terminal echoes what is typed, pipes do not, the transcript needs to see the prompt line
+function echoInput(line) {
+  if (!process.stdin.isTTY) {
+    print(line);
+  }
+}
+
+function askForTool(name, argumentLine, run) {
+  print(`⚙ Tool call: ${name}`);
+  print(`  ${argumentLine}`);
+  if (trusted.has(name)) {
+    run();
+    print();
+    prompt();
+    return;
+  }
+  pendingTool = { name, run };
+  print('Run it? [y/n/t]:');
+}
+
+function answerTool(answer) {
+  const tool = pendingTool;
+  const choice = answer.trim().toLowerCase();
+  if (!['y', 'yes', 'n', 'no', 't', 'trust'].includes(choice)) {
+    print('Answer y, n or t. Run it? [y/n/t]:');
+    return;
+  }
+  pendingTool = null;
+  if (choice.startsWith('n')) {
+    print('Tool call denied.');
+  } else {
+    if (choice.startsWith('t')) {
+      trusted.add(tool.name);
+    }
+    tool.run();
+  }
+  print();
+  prompt();
+}
+
+function think(text) {
+  let frame = 0;
+  const timer = setInterval(() => {
+    frame++;
+    process.stdout.write(`\rPondering${'.'.repeat(frame)}`);
+    if (frame < SPINNER_FRAMES) return;
+    clearInterval(timer);
+    process.stdout.write('\r\x1b[2K');
+    print(`Thought about "${text}" for ${SPINNER_FRAMES} spins, still agree.`);
+    print();
+    prompt();
+  }, SPINNER_INTERVAL_MS);
+}
+
+function handleLine(line) {
+  echoInput(line);
+  if (pendingTool) {
+    answerTool(line);
+    return;
+  }
+
+  const text = line.trim();
+  if (!text) {
+    prompt();
+    return;
+  }
+  if (text === '/quit' || text === '/exit') {
+    print('Bye.');
+    process.exit(0);
+  }
+  if (text === '/crash') {
+    process.stderr.write('Echo agent crashed on purpose\n');
+    process.exit(3);
+  }
+
+  turn++;
+  const [command, ...rest] = text.split(/\s+/);
+  const argument = rest.join(' ');
+  if (command === 'tool' && argument) {
+    askForTool('execute_bash', `I will run the following shell command: ${argument}`, () => {
+      print('  Completed in 0.0s');
+      print(`Pretended to run: ${argument}`);
+    });
+    return;
+  }
+  if (command === 'read' && argument) {
+    askForTool('fs_read', `Reading file: ${argument}`, () => {
+      print('  Completed in 0.0s');
+      print(fs.existsSync(path.resolve(argument)) ? `${argument} exists.` : `${argument} does not exist.`);
+    });
+    return;
+  }
+  if (command === 'think' && argument) {
+    think(argument);
+    return;
+  }
+
+  print(`You said: ${text}`);
+  print(`That was turn ${turn}, ${text.length} characters.`);
+  print();
+  prompt();
+}
+
+print('Echo agent ready, nothing you type leaves this computer.');
+print('Try: tool <command>, read <file>, think <text>, /quit');
+print();
+prompt();
+
+const input = readline.createInterface({ input: process.stdin, terminal: false });
+input.on('line', handleLine);
+input.on('close', () => process.exit(0));
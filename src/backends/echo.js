@@ -0,0 +1,20 @@
+// Scripted agent that needs nothing installed, for trying the app and the session
+// handling without Q. It runs echo-agent.js with the Node that is built into Electron.
+const path = require('path');
+
+module.exports = {
+  id: 'echo',
+  label: 'Echo (scripted, no Q needed)',
+  command: process.execPath,
+  args: [path.join(__dirname, 'echo-agent.js')],
+  env: { ELECTRON_RUN_AS_NODE: '1' },
+  mcpProfiles: false,
+  detectors: {
+    userPrompt: '^echo> ?(.*)$',
+    toolUse: '^⚙ Tool call:',
+    toolName: 'Tool call:\\s*([\\w\\-.]+)',
+    approvalPrompt: 'Run it\\? \\[y/n/t\\]',
+    thinking: '^Pondering',
+    ignore: '^Echo agent ready'
+  }
+};
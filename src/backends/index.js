@@ -0,0 +1,34 @@
+// Agent backends by id: the builtin ones plus the user's own from the app settings.
+// See src/shared/backends.js for what a backend is.
+const agentBackends = require('../shared/backends');
+
+const builtins = [
+  require('./q'),
+  require('./echo')
+].map(backend => ({ ...backend, builtin: true, base: null }));
+
+const BUILTIN_IDS = builtins.map(backend => backend.id);
+
+function normalizeCustomBackends(backends) {
+  return agentBackends.normalizeBackends(backends, BUILTIN_IDS);
+}
+
+// Every backend a session can use, customBackends as saved by normalizeCustomBackends
+function listBackends(customBackends = []) {
+  return [
+    ...builtins.map(backend => ({ ...backend, args: backend.args.slice(), env: { ...backend.env } })),
+    ...customBackends.map(backend => agentBackends.resolveBackend(backend, builtins))
+  ];
+}
+
+// null is the default backend, unknown ids throw
+function getBackend(id, customBackends = []) {
+  const wanted = id || agentBackends.DEFAULT_BACKEND_ID;
+  const backend = listBackends(customBackends).find(candidate => candidate.id === wanted);
+  if (!backend) {
+    throw new Error(`Unknown agent "${wanted}"`);
+  }
+  return backend;
+}
+
+module.exports = { BUILTIN_IDS, normalizeCustomBackends, listBackends, getBackend };
@@ -0,0 +1,12 @@
+// Amazon Q Developer CLI, what every session ran before there were backends.
+// The command is looked up when a session starts (findQCliPath in main.js),
+// the detectors are the defaults of src/shared/transcript.js.
+module.exports = {
+  id: 'q',
+  label: 'Amazon Q (q chat)',
+  command: null,
+  args: ['chat'],
+  env: {},
+  mcpProfiles: true,
+  detectors: {}
+};
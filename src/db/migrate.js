@@ -0,0 +1,66 @@
+// Applies pending schema migrations to chats.db.
+// The database is backed up before the first pending step, every step runs in its own
+// transaction together with the user_version bump, so a failing step leaves the
+// database at the last good version.
+
+async function getSchemaVersion(database) {
+  const row = await database.get('PRAGMA user_version');
+  return row.user_version;
+}
+
+// Copy of the database next to it, e.g. chats.db.v3-2024-01-05T10-00-00.bak
+async function backupDatabase(database, dbPath, version) {
+  const tables = await database.get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+  if (tables.count === 0) {
+    return null; // New database, nothing to keep
+  }
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const backupPath = `${dbPath}.v${version}-${timestamp}.bak`;
+  await database.run('VACUUM INTO ?', [backupPath]);
+  return backupPath;
+}
+
+// database: { run, get, all, transaction } promise helpers on an open connection
+async function runMigrations(database, { dbPath, migrations }) {
+  const current = await getSchemaVersion(database);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  
+  if (current > latest) {
+    throw new Error(
+      `chats.db has schema version ${current} but this version of the app only supports up to ${latest}. ` +
+      'Please update Classic Q Interface.'
+    );
+  }
+  
+  const pending = migrations.filter(migration => migration.version > current);
+  if (pending.length === 0) {
+    return { from: current, to: current, backupPath: null };
+  }
+  
+  const backupPath = await backupDatabase(database, dbPath, current);
+  if (backupPath) {
+    console.log('Backed up chats.db before migrating:', backupPath);
+  }
+  
+  for (const migration of pending) {
+    try {
+      await database.transaction(async () => {
+        await migration.up(database);
+        await database.run(`PRAGMA user_version = ${Number(migration.version)}`);
+      });
+      console.log(`Migrated chats.db to version ${migration.version}: ${migration.description}`);
+    } catch (error) {
+      const failure = new Error(
+        `Migration ${migration.version} (${migration.description}) failed: ${error.message}` +
+        (backupPath ? `\nA backup of the database from before the upgrade is at ${backupPath}` : '')
+      );
+      failure.backupPath = backupPath;
+      throw failure;
+    }
+  }
+  
+  return { from: current, to: latest, backupPath };
+}
+
+module.exports = { runMigrations, getSchemaVersion, backupDatabase };
@@ -0,0 +1,233 @@
+// Schema migrations for chats.db, applied in order by migrate.js.
+// PRAGMA user_version holds the version of the last applied step. Steps never change
+// once released, new schema changes get a new step at the end.
+//
+// Databases from before versioning are at version 0 but may already have some of these
+// tables and columns, so the early steps only create what is missing.
+const { parseTranscriptText } = require('../shared/transcript');
+
+async function columnNames(database, table) {
+  const columns = await database.all(`PRAGMA table_info(${table})`);
+  return columns.map(column => column.name);
+}
+
+async function addColumnIfMissing(database, table, column, type) {
+  if (!(await columnNames(database, table)).includes(column)) {
+    await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+module.exports = [
+  {
+    version: 1,
+    description: 'Saved chats',
+    async up(database) {
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS saved_chats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Project directory of saved chats',
+    async up(database) {
+      await addColumnIfMissing(database, 'saved_chats', 'cwd', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    description: 'Turns and tool events of saved chats',
+    async up(database) {
+      // Conversation turns (user prompts, assistant replies) of a saved chat
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS chat_turns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chat_id INTEGER NOT NULL REFERENCES saved_chats(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          role TEXT NOT NULL,
+          text TEXT NOT NULL,
+          started_at DATETIME,
+          ended_at DATETIME
+        )
+      `);
+      
+      // Tool invocations and approval prompts that happened during a turn
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS tool_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          turn_id INTEGER NOT NULL REFERENCES chat_turns(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          tool_name TEXT,
+          text TEXT NOT NULL,
+          text_offset INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME
+        )
+      `);
+      
+      await database.run('CREATE INDEX IF NOT EXISTS idx_chat_turns_chat ON chat_turns(chat_id, position)');
+      await database.run('CREATE INDEX IF NOT EXISTS idx_tool_events_turn ON tool_events(turn_id, position)');
+      
+      // Chats saved as a plain-text blob are split into turns
+      const rows = await database.all(
+        'SELECT id, content, created_at FROM saved_chats WHERE id NOT IN (SELECT DISTINCT chat_id FROM chat_turns)'
+      );
+      for (const row of rows) {
+        const turns = parseTranscriptText(row.content, row.created_at);
+        for (let position = 0; position < turns.length; position++) {
+          const turn = turns[position];
+          const result = await database.run(
+            'INSERT INTO chat_turns (chat_id, position, role, text, started_at, ended_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [row.id, position, turn.role, turn.text, turn.startedAt, turn.endedAt]
+          );
+          for (let eventPosition = 0; eventPosition < turn.toolEvents.length; eventPosition++) {
+            const toolEvent = turn.toolEvents[eventPosition];
+            await database.run(
+              'INSERT INTO tool_events (turn_id, position, kind, tool_name, text, text_offset, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+              [result.lastID, eventPosition, toolEvent.kind, toolEvent.toolName, toolEvent.text, toolEvent.offset, toolEvent.at]
+            );
+          }
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Full-text search index',
+    async up(database) {
+      // Kept in sync with saved_chats by triggers
+      await database.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS chat_search
+        USING fts5(title, content, content = 'saved_chats', content_rowid = 'id')
+      `);
+      await database.run(`
+        CREATE TRIGGER IF NOT EXISTS saved_chats_search_insert AFTER INSERT ON saved_chats BEGIN
+          INSERT INTO chat_search (rowid, title, content) VALUES (new.id, new.title, new.content);
+        END
+      `);
+      await database.run(`
+        CREATE TRIGGER IF NOT EXISTS saved_chats_search_delete AFTER DELETE ON saved_chats BEGIN
+          INSERT INTO chat_search (chat_search, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+        END
+      `);
+      await database.run(`
+        CREATE TRIGGER IF NOT EXISTS saved_chats_search_update AFTER UPDATE OF title, content ON saved_chats BEGIN
+          INSERT INTO chat_search (chat_search, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+          INSERT INTO chat_search (rowid, title, content) VALUES (new.id, new.title, new.content);
+        END
+      `);
+      
+      // Index chats saved before search existed
+      await database.run("INSERT INTO chat_search (chat_search) VALUES ('rebuild')");
+    }
+  },
+  {
+    version: 5,
+    description: 'Chat library: updated time, folders, tags, pinning, archive and settings',
+    async up(database) {
+      await addColumnIfMissing(database, 'saved_chats', 'updated_at', 'DATETIME');
+      await addColumnIfMissing(database, 'saved_chats', 'folder', 'TEXT');
+      await addColumnIfMissing(database, 'saved_chats', 'pinned', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing(database, 'saved_chats', 'archived', 'INTEGER NOT NULL DEFAULT 0');
+      
+      // Free-form labels on saved chats
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS chat_tags (
+          chat_id INTEGER NOT NULL REFERENCES saved_chats(id) ON DELETE CASCADE,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (chat_id, tag)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_chat_tags_tag ON chat_tags(tag)');
+      
+      // App settings stored as JSON values, e.g. the retention policy
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'MCP profile of saved chats',
+    async up(database) {
+      await addColumnIfMissing(database, 'saved_chats', 'mcp_profile', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    description: 'Tool audit log',
+    async up(database) {
+      // One row per tool call Q made, kept when chats are deleted. call_key identifies the
+      // call within its session, so the row is updated as the decision and outcome come in.
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS tool_audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          call_key TEXT NOT NULL,
+          cwd TEXT,
+          mcp_profile TEXT,
+          tool_name TEXT,
+          server TEXT,
+          arguments TEXT,
+          decision TEXT,
+          decided_by TEXT,
+          rule TEXT,
+          outcome TEXT NOT NULL,
+          started_at DATETIME,
+          decided_at DATETIME,
+          finished_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (session_id, call_key)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_tool_audit_log_started_at ON tool_audit_log(started_at)');
+      await database.run('CREATE INDEX IF NOT EXISTS idx_tool_audit_log_tool_name ON tool_audit_log(tool_name)');
+    }
+  },
+  {
+    version: 8,
+    description: 'Prompt library',
+    async up(database) {
+      // Prompt templates, the name is also the slash command. Built-in templates are added by the app.
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS prompt_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT NOT NULL DEFAULT '',
+          body TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Autosaved conversations',
+    async up(database) {
+      // The conversation of each open tab, kept until it is saved as a chat or the tab is closed,
+      // so it can be recovered after a crash. turns is JSON like the turns of save-chat.
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS chat_drafts (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          content TEXT NOT NULL,
+          turns TEXT NOT NULL,
+          cwd TEXT,
+          mcp_profile TEXT,
+          backend TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  }
+];
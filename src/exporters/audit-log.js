@@ -0,0 +1,65 @@
+// Exports of the tool audit log. Entries come from the get-tool-audit-log query:
+// { id, sessionId, cwd, profile, toolName, server, arguments, decision, decidedBy, rule,
+//   outcome, startedAt, decidedAt, finishedAt }
+const FORMAT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  ['id', 'id'],
+  ['started_at', 'startedAt'],
+  ['session_id', 'sessionId'],
+  ['cwd', 'cwd'],
+  ['mcp_profile', 'profile'],
+  ['tool_name', 'toolName'],
+  ['server', 'server'],
+  ['arguments', 'arguments'],
+  ['decision', 'decision'],
+  ['decided_by', 'decidedBy'],
+  ['rule', 'rule'],
+  ['outcome', 'outcome'],
+  ['decided_at', 'decidedAt'],
+  ['finished_at', 'finishedAt']
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text; // Spreadsheets would run it as a formula
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function renderCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(([, key]) => csvCell(entry[key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function renderJson(entries, { filters = {}, exportedAt = new Date().toISOString() } = {}) {
+  return JSON.stringify({
+    format: 'classic-q-interface/tool-audit-log',
+    version: FORMAT_VERSION,
+    exportedAt,
+    filters,
+    entries
+  }, null, 2) + '\n';
+}
+
+const formats = {
+  csv: { extension: 'csv', render: renderCsv },
+  json: { extension: 'json', render: renderJson }
+};
+
+function getAuditFormat(format) {
+  return formats[format] || null;
+}
+
+module.exports = {
+  renderCsv,
+  renderJson,
+  getAuditFormat
+};
@@ -0,0 +1,139 @@
+// Standalone HTML document, also the source the PDF export prints
+const { turnParts } = require('../shared/transcript');
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderTurn(turn) {
+  if (turn.role === 'user') {
+    return `<div class="user-input">▶ ${escapeHtml(turn.text)}</div>`;
+  }
+  
+  return turnParts(turn).map(part => {
+    if (part.type === 'tool') {
+      const className = part.event.kind === 'tool_use' ? 'tool-usage' : 'approval';
+      return `<div class="${className}">${escapeHtml(part.event.text)}</div>`;
+    }
+    return `<div class="assistant">${escapeHtml(part.text)}</div>`;
+  }).join('\n');
+}
+
+function render(chat) {
+  const body = chat.turns.map(renderTurn).join('\n');
+  const project = chat.cwd ? `<div class="timestamp">Project: ${escapeHtml(chat.cwd)}</div>` : '';
+  const profile = chat.profile ? `<div class="timestamp">MCP profile: ${escapeHtml(chat.profile)}</div>` : '';
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(chat.title)}</title>
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; 
+            max-width: 800px; 
+            margin: 40px auto; 
+            padding: 20px; 
+            line-height: 1.6; 
+            color: #333;
+            background: #f9f9f9;
+        }
+        .header { 
+            border-bottom: 2px solid #ddd; 
+            padding-bottom: 20px; 
+            margin-bottom: 30px; 
+        }
+        .header h1 { 
+            color: #2c3e50; 
+            margin: 0; 
+            font-size: 28px; 
+        }
+        .header .subtitle { 
+            color: #7f8c8d; 
+            font-size: 16px; 
+            margin-top: 5px; 
+        }
+        .header .timestamp { 
+            color: #95a5a6; 
+            font-size: 14px; 
+            margin-top: 10px; 
+        }
+        .content { 
+            background: white; 
+            padding: 25px; 
+            border-radius: 8px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1); 
+        }
+        .assistant {
+            white-space: pre-wrap;
+            font-family: monospace;
+            font-size: 14px;
+            margin: 10px 0;
+        }
+        .user-input { 
+            background: #e3f2fd; 
+            color: #1976d2; 
+            padding: 10px 15px; 
+            margin: 15px 0; 
+            border-radius: 8px; 
+            border-left: 4px solid #2196f3; 
+            font-weight: 600; 
+            white-space: pre-wrap;
+        }
+        .tool-usage, .approval { 
+            background: #f1f8e9; 
+            color: #558b2f; 
+            padding: 10px 15px; 
+            margin: 10px 0; 
+            border-radius: 8px; 
+            border-left: 4px solid #8bc34a; 
+            font-family: monospace; 
+            font-size: 14px; 
+        }
+        .approval {
+            background: #fff8e1;
+            color: #8d6e00;
+            border-left-color: #ffc107;
+        }
+        .footer { 
+            margin-top: 40px; 
+            padding-top: 20px; 
+            border-top: 1px solid #eee; 
+            text-align: center; 
+            color: #999; 
+            font-size: 12px; 
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${escapeHtml(chat.title)}</h1>
+        <div class="subtitle">Q CLI Chat History</div>
+        <div class="timestamp">Generated on ${escapeHtml(chat.exportedAt)}</div>
+        ${project}
+        ${profile}
+    </div>
+    <div class="content">
+        ${body || '<p><em>No content to display</em></p>'}
+    </div>
+    <div class="footer">
+        Generated by Q CLI Web Interface
+    </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  id: 'html',
+  label: 'HTML',
+  extension: 'html',
+  render,
+  escapeHtml
+};
@@ -0,0 +1,45 @@
+// Chat exporters by format id. Each exporter renders
+// { title, cwd, profile, exportedAt, turns } to a string or Buffer.
+const { parseTranscriptText } = require('../shared/transcript');
+
+const exporters = [
+  require('./markdown'),
+  require('./json'),
+  require('./text'),
+  require('./html'),
+  require('./pdf')
+];
+
+function getExporter(format) {
+  return exporters.find(exporter => exporter.id === format) || null;
+}
+
+// Formats for the export dialog
+function listFormats() {
+  return exporters.map(({ id, label, extension }) => ({ id, label, extension }));
+}
+
+// Fill in what the renderer did not send, old chats only have plain content
+function normalizeChat(chat) {
+  const turns = Array.isArray(chat.turns) && chat.turns.length > 0
+    ? chat.turns
+    : parseTranscriptText(chat.content || '');
+  
+  return {
+    title: chat.title && chat.title.trim() ? chat.title.trim() : 'Q CLI Chat',
+    cwd: chat.cwd || null,
+    profile: chat.profile || null,
+    exportedAt: chat.exportedAt || new Date().toLocaleString(),
+    turns
+  };
+}
+
+async function renderChat(format, chat, options) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return exporter.render(normalizeChat(chat), options);
+}
+
+module.exports = { getExporter, listFormats, normalizeChat, renderChat };
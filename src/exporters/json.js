@@ -0,0 +1,33 @@
+// Machine-readable export with the turns and tool events as stored in chats.db
+const FORMAT_VERSION = 1;
+
+function render(chat) {
+  return JSON.stringify({
+    format: 'classic-q-interface/chat',
+    version: FORMAT_VERSION,
+    title: chat.title,
+    cwd: chat.cwd || null,
+    mcpProfile: chat.profile || null,
+    exportedAt: chat.exportedAt,
+    turns: chat.turns.map(turn => ({
+      role: turn.role,
+      text: turn.text,
+      startedAt: turn.startedAt || null,
+      endedAt: turn.endedAt || null,
+      toolEvents: (turn.toolEvents || []).map(event => ({
+        kind: event.kind,
+        toolName: event.toolName || null,
+        text: event.text,
+        offset: event.offset,
+        at: event.at || null
+      }))
+    }))
+  }, null, 2) + '\n';
+}
+
+module.exports = {
+  id: 'json',
+  label: 'JSON',
+  extension: 'json',
+  render
+};
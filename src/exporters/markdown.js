@@ -0,0 +1,99 @@
+// Markdown export, meant to be pasted into PRs, wikis and tickets
+const { turnParts } = require('../shared/transcript');
+
+// Fence that cannot be closed by backticks inside the text
+function fence(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+// Q prints code indented in the terminal, turn indented runs into fenced blocks
+// and keep fences that are already in the text
+function formatAssistantText(text) {
+  const output = [];
+  let indented = [];
+  let inFence = false;
+  
+  const flushIndented = () => {
+    if (indented.length > 0) {
+      const width = Math.min(...indented.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+      const code = indented.map(line => line.slice(width)).join('\n');
+      output.push(fence(code.replace(/\n+$/, '')));
+      // Keep the blank line that ended the block
+      if (/\n$/.test(code)) {
+        output.push('');
+      }
+      indented = [];
+    }
+  };
+  
+  text.split('\n').forEach(line => {
+    if (/^\s*```/.test(line)) {
+      flushIndented();
+      inFence = !inFence;
+      output.push(line);
+    } else if (!inFence && (/^ {4}/.test(line) || (indented.length > 0 && !line.trim()))) {
+      indented.push(line);
+    } else {
+      flushIndented();
+      output.push(line);
+    }
+  });
+  flushIndented();
+  
+  // Close a fence Q left open
+  if (inFence) {
+    output.push('```');
+  }
+  return output.join('\n');
+}
+
+function formatToolEvent(event) {
+  if (event.kind === 'tool_use') {
+    return `> 🛠️ **Tool:** ${event.toolName ? '`' + event.toolName + '`' : event.text}`;
+  }
+  if (event.kind === 'approval_prompt') {
+    return `> ❓ ${event.text}`;
+  }
+  if (event.kind === 'approval_decision') {
+    return `> ${event.text}`;
+  }
+  return `> ↳ Approval: **${event.text}**`;
+}
+
+function render(chat) {
+  const lines = [`# ${chat.title}`, ''];
+  
+  const details = [`Exported ${chat.exportedAt}`];
+  if (chat.cwd) {
+    details.push(`project \`${chat.cwd}\``);
+  }
+  if (chat.profile) {
+    details.push(`MCP profile \`${chat.profile}\``);
+  }
+  lines.push(`_${details.join(', ')}_`, '');
+  
+  chat.turns.forEach(turn => {
+    if (turn.role === 'user') {
+      lines.push('## 👤 User', '', turn.text, '');
+      return;
+    }
+    
+    lines.push('## 🤖 Q', '');
+    turnParts(turn).forEach(part => {
+      lines.push(part.type === 'tool' ? formatToolEvent(part.event) : formatAssistantText(part.text), '');
+    });
+  });
+  
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+module.exports = {
+  id: 'markdown',
+  label: 'Markdown',
+  extension: 'md',
+  render,
+  fence,
+  formatAssistantText
+};
@@ -0,0 +1,38 @@
+// PDF export, the HTML export printed by Chromium in the main process
+const htmlExporter = require('./html');
+
+// Load the document in a hidden window and print it, scripts stay disabled
+async function printHtmlToPdf(html) {
+  const { BrowserWindow } = require('electron');
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+  
+  try {
+    await window.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+    return await window.webContents.printToPDF({
+      printBackground: true,
+      pageSize: 'A4'
+    });
+  } finally {
+    window.destroy();
+  }
+}
+
+// print can be replaced, e.g. to render without Electron
+async function render(chat, { print = printHtmlToPdf } = {}) {
+  return print(htmlExporter.render(chat));
+}
+
+module.exports = {
+  id: 'pdf',
+  label: 'PDF',
+  extension: 'pdf',
+  render,
+  printHtmlToPdf
+};
@@ -0,0 +1,34 @@
+// Plain-text export, the conversation as it looked in the terminal
+const { turnParts } = require('../shared/transcript');
+
+function render(chat) {
+  const lines = [chat.title, '='.repeat(chat.title.length), `Exported ${chat.exportedAt}`];
+  if (chat.cwd) {
+    lines.push(`Project: ${chat.cwd}`);
+  }
+  if (chat.profile) {
+    lines.push(`MCP profile: ${chat.profile}`);
+  }
+  lines.push('');
+  
+  chat.turns.forEach(turn => {
+    if (turn.role === 'user') {
+      lines.push(`> ${turn.text}`, '');
+      return;
+    }
+    
+    turnParts(turn).forEach(part => {
+      lines.push(part.type === 'tool' ? part.event.text : part.text);
+    });
+    lines.push('');
+  });
+  
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+module.exports = {
+  id: 'text',
+  label: 'Plain text',
+  extension: 'txt',
+  render
+};
@@ -0,0 +1,216 @@
+// Command line of headless runs: the app started with --headless runs a prompt script
+// (see script.js) against Q without opening a window and writes the transcript.
+//
+//   classic-q-interface --headless --prompts checks.yaml --out report.md
+//   npm run headless -- --prompts prompts.txt --format json > run.json
+//   npm run headless -- --replay bug.cast --format json   (transcript of a session recording)
+//
+// Exit codes: 0 every turn was answered, 1 the run failed or timed out, 2 bad options or script
+const fs = require('fs');
+const path = require('path');
+const exporters = require('../exporters');
+const { compileDetectors } = require('../shared/backends');
+const { readRecording } = require('../recordings/asciicast');
+const { loadScript, loadPolicy, DEFAULT_TIMEOUT_SECONDS } = require('./script');
+const { startRun } = require('./runner');
+
+const FORMATS = ['markdown', 'json', 'text', 'html'];
+const EXTENSION_FORMATS = { md: 'markdown', markdown: 'markdown', json: 'json', txt: 'text', html: 'html', htm: 'html' };
+const VALUE_OPTIONS = {
+  '--prompts': 'prompts',
+  '-p': 'prompts',
+  '--out': 'out',
+  '-o': 'out',
+  '--format': 'format',
+  '-f': 'format',
+  '--cwd': 'cwd',
+  '--profile': 'profile',
+  '--backend': 'backend',
+  '--policy': 'policy',
+  '--timeout': 'timeout',
+  '--replay': 'replay'
+};
+
+const USAGE = `Usage: classic-q-interface --headless --prompts <file> [options]
+       classic-q-interface --headless --replay <recording.cast> [options]
+
+Runs the prompts in <file> through "q chat", or another agent, without opening a window.
+<file> has one prompt per line, or is a .yaml script (see the README).
+
+Options:
+  -p, --prompts <file>   Prompts to send, one per turn
+  -o, --out <file>       Where to write the transcript, stdout when left out or -
+  -f, --format <format>  ${FORMATS.join(', ')} (default: from the --out extension, else markdown)
+      --cwd <dir>        Project directory Q works in (default: the script's cwd, else this directory)
+      --profile <name>   MCP profile for the session
+      --backend <id>     Agent to run, e.g. echo (default: the script's backend, else q)
+      --policy <file>    Approval policy, JSON or YAML: { default: allow|deny, rules: [...] }
+                         (default: the script's policy, else the app's rules and deny)
+      --timeout <sec>    Seconds to wait for each reply (default: ${DEFAULT_TIMEOUT_SECONDS})
+      --replay <file>    Write the transcript of a session recording instead, nothing is started
+      --verbose          Also print the app's log on stderr
+  -h, --help             Show this help
+`;
+
+// Options after --headless, null when the app was started without it.
+// Problems end up in options.error, main() reports them.
+function parseArgs(argv) {
+  const start = argv.indexOf('--headless');
+  if (start === -1) {
+    return null;
+  }
+
+  const options = {
+    prompts: null, out: null, format: null, cwd: null, profile: null, backend: null, policy: null, timeout: null, replay: null,
+    verbose: false, help: false, error: null
+  };
+  const args = argv.slice(start + 1);
+  for (let i = 0; i < args.length && !options.error; i++) {
+    const [flag, inlineValue] = args[i].startsWith('--') && args[i].includes('=')
+      ? [args[i].slice(0, args[i].indexOf('=')), args[i].slice(args[i].indexOf('=') + 1)]
+      : [args[i], undefined];
+
+    if (VALUE_OPTIONS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value === '') {
+        options.error = `${flag} needs a value`;
+      } else {
+        options[VALUE_OPTIONS[flag]] = value;
+      }
+    } else if (flag === '--verbose') {
+      options.verbose = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (!flag.startsWith('-') && !options.prompts) {
+      options.prompts = flag; // Prompts file without --prompts
+    } else {
+      options.error = `Unknown option: ${args[i]}`;
+    }
+  }
+
+  if (!options.error && options.format && !FORMATS.includes(options.format)) {
+    options.error = `Unknown format "${options.format}", use one of ${FORMATS.join(', ')}`;
+  }
+  if (!options.error && options.timeout !== null && !(Number(options.timeout) > 0)) {
+    options.error = '--timeout must be a number of seconds above 0';
+  }
+  if (!options.error && !options.help && !options.prompts && !options.replay) {
+    options.error = 'No prompts file, use --prompts <file>';
+  }
+  if (!options.error && options.prompts && options.replay) {
+    options.error = 'Use either --prompts or --replay';
+  }
+  return options;
+}
+
+function outputFormat(options) {
+  if (options.format) {
+    return options.format;
+  }
+  const extension = options.out ? path.extname(options.out).slice(1).toLowerCase() : '';
+  return EXTENSION_FORMATS[extension] || 'markdown';
+}
+
+function toStdout(options) {
+  return !options.out || options.out === '-';
+}
+
+function writeOutput(options, content) {
+  if (toStdout(options)) {
+    return new Promise(resolve => process.stdout.write(content, resolve));
+  }
+  const filePath = path.resolve(options.out);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return Promise.resolve();
+}
+
+// Output of a recording read like a session's, the backend it was made with reads it
+function loadReplay(options) {
+  const recording = readRecording(options.replay);
+  return {
+    title: `Replay of ${path.basename(options.replay)}`,
+    cwd: recording.header.cwd || process.cwd(),
+    profile: null,
+    backend: options.backend || recording.header.backend || null,
+    policy: { default: 'deny', rules: [] },
+    turns: [],
+    replay: path.resolve(options.replay),
+    cols: recording.header.width || null,
+    rows: recording.header.height || null
+  };
+}
+
+// Runs the script, deps are runner.js deps plus getApprovalRules(), getBackend(id) and onStart(run).
+// Resolves to the exit code.
+async function main(options, deps) {
+  const log = (message) => process.stderr.write(message + '\n');
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (options.error) {
+    log(`❌ ${options.error}\n`);
+    log(USAGE);
+    return 2;
+  }
+
+  let script;
+  try {
+    const policy = options.policy ? loadPolicy(options.policy) : null;
+    script = options.replay ? loadReplay(options) : loadScript(options.prompts, {
+      cwd: options.cwd,
+      profile: options.profile,
+      backend: options.backend,
+      timeout: options.timeout ? Number(options.timeout) : null,
+      policy
+    });
+    script.detectors = compileDetectors(await deps.getBackend(script.backend));
+  } catch (error) {
+    log(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const rules = script.policy.rules || await deps.getApprovalRules();
+  if (script.replay) {
+    log(`${script.title}: read with the ${script.backend || 'q'} agent's patterns`);
+  } else {
+    log(`${script.title}: ${script.turns.length} turn${script.turns.length === 1 ? '' : 's'}, ` +
+      `${rules.length} approval rule${rules.length === 1 ? '' : 's'}, unmatched tools are ${script.policy.default === 'allow' ? 'allowed' : 'denied'}`);
+  }
+
+  const run = startRun(script, rules, { ...deps, log });
+  if (deps.onStart) {
+    deps.onStart(run);
+  }
+  const result = await run.done;
+
+  try {
+    const content = await exporters.renderChat(outputFormat(options), {
+      title: script.title,
+      cwd: script.cwd,
+      profile: script.profile,
+      exportedAt: new Date().toLocaleString(),
+      turns: result.turns
+    });
+    await writeOutput(options, content);
+  } catch (error) {
+    log(`❌ Could not write the transcript: ${error.message}`);
+    return 1;
+  }
+
+  const answered = result.status === 'completed' ? script.turns.length : Math.max(0, result.turnsSent - 1);
+  if (script.replay && result.status === 'completed') {
+    log(`✅ ${result.turns.length} turns replayed${toStdout(options) ? '' : `, transcript saved to ${path.resolve(options.out)}`}`);
+    return 0;
+  }
+  if (result.status !== 'completed') {
+    log(`❌ ${result.error || result.status}, ${answered}/${script.turns.length} turns answered`);
+    return 1;
+  }
+  log(`✅ ${answered}/${script.turns.length} turns answered${toStdout(options) ? '' : `, transcript saved to ${path.resolve(options.out)}`}`);
+  return 0;
+}
+
+module.exports = { parseArgs, main, USAGE };
@@ -0,0 +1,257 @@
+// One headless run: starts a Q session (or one of another agent backend), sends the script's prompts one turn at a time and
+// answers approval prompts from the policy. Q's output goes through the same output
+// parser and transcript builder as a chat tab, so the turns are the ones the app would save.
+//
+// deps (from main.js):
+//   createSession({ cwd, profile, backend }) -> sessionId
+//   replaySession(filePath) -> sessionId, when script.replay is a recording to play instead
+//   sendInput(sessionId, text), closeSession(sessionId)
+//   onSessionEvent(listener(channel, payload)) -> unsubscribe
+//   resolvePath(filePath, cwd), recordToolCalls({ sessionId, cwd, profile, calls })
+//   log(message)  progress for the user, not part of the transcript
+const { OutputParser } = require('../shared/output-parser');
+const { TranscriptBuilder } = require('../shared/transcript');
+const approval = require('../shared/approval');
+const toolAudit = require('../shared/audit');
+
+const TERMINAL_COLS = 120; // Same size as the session's pty, a replay has the recording's
+const TERMINAL_ROWS = 30;
+const STARTUP_TIMEOUT_MS = 120000; // Q loads its MCP servers before the first prompt
+const QUIT_TIMEOUT_MS = 5000;
+
+// script: from loadScript (or loadReplay, with cols and rows) plus the detectors of its backend,
+// rules: approval rules for the policy
+// Returns { done, cancel(reason) }, done resolves to
+// { status: 'completed' | 'timeout' | 'failed' | 'cancelled', error, turns, turnsSent, startedAt, endedAt }
+function startRun(script, rules, deps) {
+  const { detectors } = script;
+  const parser = new OutputParser({
+    detectors,
+    cols: script.cols || TERMINAL_COLS,
+    rows: script.rows || TERMINAL_ROWS,
+    onEvent: commitLine
+  });
+  const replaying = Boolean(script.replay); // Only turn the output into turns, nobody to answer
+  const transcript = new TranscriptBuilder([], detectors);
+  const auditedCalls = new Map();
+  const startedAt = new Date().toISOString();
+  let sessionId = null;
+  let sessionClosed = false;
+  let turnsSent = 0;
+  let approvalPromptsHandled = 0;
+  let timer = null;
+  let recording = Promise.resolve();
+  let finish;
+
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  let finished = false;
+
+  transcript.skipUntilNextPrompt(); // Q's startup banner is not part of the chat
+
+  function commitLine(event) {
+    if (event.type === 'line' && !event.continued) {
+      transcript.addLine(event.text);
+    }
+  }
+
+  function currentTurns() {
+    return transcript.preview(parser.liveTexts());
+  }
+
+  function startTimer(milliseconds, message) {
+    clearTimeout(timer);
+    timer = setTimeout(() => stop('timeout', message), milliseconds);
+  }
+
+  function sendNextTurn() {
+    const turn = script.turns[turnsSent];
+    turnsSent++;
+    deps.log(`▶ Turn ${turnsSent}/${script.turns.length}`);
+    startTimer(turn.timeout, `Turn ${turnsSent} got no reply within ${turn.timeout / 1000}s`);
+    // Newlines would submit the prompt early, Q gets it as one line
+    deps.sendInput(sessionId, turn.prompt.replace(/\s*\n\s*/g, ' ').trim());
+  }
+
+  function handleOutput(data) {
+    const events = parser.write(data);
+    if (replaying) {
+      return;
+    }
+
+    if (approvalPromptPending()) {
+      return;
+    }
+    if (events.some(toolAudit.changesToolCalls)) {
+      recordToolCalls(false);
+    }
+    if (!events.some(event => event.type === 'ready')) {
+      return;
+    }
+
+    // The echo of the last prompt has to be seen, until then the empty prompt is the old one
+    const userTurns = currentTurns().filter(turn => turn.role === 'user').length;
+    if (userTurns < turnsSent) {
+      return;
+    }
+    recordToolCalls(true);
+    if (turnsSent < script.turns.length) {
+      sendNextTurn();
+    } else {
+      stop('completed');
+    }
+  }
+
+  // Answers new approval prompts, returns whether Q waits for an answer
+  function approvalPromptPending() {
+    if (!transcript.awaitingApproval && !parser.approvalOnScreen) {
+      return false;
+    }
+    const preview = transcript.withLines(parser.liveTexts());
+    if (!preview.awaitingApproval) {
+      return false;
+    }
+    if (preview.approvalPrompts > approvalPromptsHandled) {
+      approvalPromptsHandled = preview.approvalPrompts;
+      answerApprovalPrompt(approvalPromptsHandled, approval.findPendingToolRequest(preview.getTurns()));
+    }
+    return true;
+  }
+
+  // Nobody is there to ask, "ask" rules and prompts no rule matches get the policy default
+  function answerApprovalPrompt(promptNumber, request) {
+    const toolName = (request && request.toolName) || 'tool';
+    let action = 'ask';
+    let rule = null;
+    if (request && request.toolName) {
+      ({ action, rule } = approval.evaluateRules(rules, request, {
+        cwd: script.cwd,
+        resolvePath: (filePath) => deps.resolvePath(filePath, script.cwd)
+      }));
+    }
+    const answer = action === 'ask' ? script.policy.default : action;
+    const description = action === 'ask' ? `headless default (${answer})` : approval.describeRule(rule);
+    const text = approval.formatDecision(answer, toolName, description);
+
+    deps.log(text);
+    transcript.addApprovalDecision(promptNumber, text);
+    deps.sendInput(sessionId, answer === 'allow' ? 'y' : 'n');
+    recordToolCalls(false);
+  }
+
+  // Same call keys as a chat tab, turn index and call index within the turn
+  function recordToolCalls(replyOver) {
+    if (!sessionId || !deps.recordToolCalls || replaying) return;
+
+    const preview = transcript.withLines(parser.liveTexts());
+    const turns = preview.getTurns();
+    const calls = [];
+    turns.forEach((turn, turnIndex) => {
+      if (turn.role !== 'assistant') return;
+      const over = turnIndex < turns.length - 1 || (replyOver && !preview.awaitingApproval);
+      toolAudit.extractToolCalls(turn, { finished: over }).forEach(call => {
+        const key = `0.${turnIndex}.${call.index}`;
+        const { startedAt: callStartedAt, decidedAt, ...details } = call;
+        const sent = JSON.stringify(details);
+        if (auditedCalls.get(key) !== sent) {
+          auditedCalls.set(key, sent);
+          calls.push({ key, ...call });
+        }
+      });
+    });
+    if (calls.length === 0) return;
+
+    recording = recording
+      .then(() => deps.recordToolCalls({ sessionId, cwd: script.cwd, profile: script.profile, calls }))
+      .then(result => {
+        if (!result.success) deps.log(`⚠️ Tool calls not saved to the audit log: ${result.error}`);
+      });
+  }
+
+  async function stop(status, error = null) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    unsubscribe();
+
+    const turns = currentTurns();
+    recordToolCalls(true);
+    if (sessionId && !sessionClosed) {
+      await quitSession();
+    }
+    await recording;
+    finish({ status, error, turns, turnsSent, startedAt, endedAt: new Date().toISOString() });
+  }
+
+  // /quit first so Q can shut down its MCP servers, the process is killed when it takes too long
+  function quitSession() {
+    return new Promise(resolve => {
+      const id = sessionId;
+      const closeTimer = setTimeout(() => {
+        stopListening();
+        try {
+          deps.closeSession(id);
+        } catch (error) {
+          deps.log(`⚠️ Could not stop Q: ${error.message}`);
+        }
+        resolve();
+      }, QUIT_TIMEOUT_MS);
+      const stopListening = deps.onSessionEvent((channel, payload) => {
+        if (channel === 'session-closed' && payload.sessionId === id) {
+          clearTimeout(closeTimer);
+          stopListening();
+          resolve();
+        }
+      });
+      try {
+        deps.sendInput(id, '/quit');
+      } catch (error) {
+        // Already gone, the close timer cleans up
+      }
+    });
+  }
+
+  const unsubscribe = deps.onSessionEvent((channel, payload) => {
+    if (finished || payload.sessionId !== sessionId) return;
+    if (channel === 'q-output') {
+      handleOutput(payload.data);
+    } else if (channel === 'session-resized') {
+      parser.resize(payload.cols, payload.rows);
+    } else if (channel === 'session-closed') {
+      sessionClosed = true; // Nothing left to quit
+      if (replaying) {
+        stop('completed');
+        return;
+      }
+      if (payload.reason) {
+        stop('failed', `Turn ${turnsSent || 1} was not answered: ${payload.reason}`);
+        return;
+      }
+      const reason = payload.error || `exit code ${payload.code}`;
+      stop('failed', `Q exited (${reason}) before turn ${turnsSent || 1} was answered`);
+    }
+  });
+
+  startTimer(STARTUP_TIMEOUT_MS, `Q did not show its prompt within ${STARTUP_TIMEOUT_MS / 1000}s`);
+  Promise.resolve()
+    .then(() => (replaying
+      ? deps.replaySession(script.replay)
+      : deps.createSession({ cwd: script.cwd, profile: script.profile, backend: script.backend })))
+    .then(id => {
+      sessionId = id;
+      if (finished) {
+        deps.closeSession(id); // Cancelled while Q was starting
+      } else {
+        deps.log(`Session started in ${script.cwd}`);
+      }
+    })
+    .catch(error => stop('failed', `Could not start Q: ${error.message}`));
+
+  return {
+    done,
+    cancel: (reason = 'Cancelled') => stop('cancelled', reason)
+  };
+}
+
+module.exports = { startRun };
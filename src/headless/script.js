@@ -0,0 +1,230 @@
+// Prompt scripts and approval policies for headless runs.
+//
+// A plain text file has one prompt per line, blank lines and lines starting with # are skipped.
+// A .yaml/.yml file can say more:
+//
+//   title: Nightly dependency check
+//   cwd: ../my-project          # relative to the script, the shell's directory when left out
+//   profile: work               # MCP profile
+//   backend: echo               # agent to run, q when left out
+//   timeout: 300                # seconds per turn
+//   vars:
+//     module: src/main.js
+//   policy:
+//     default: deny             # answer when no rule matches, allow or deny
+//     rules:                    # approval rules, the app's saved rules when left out
+//       - action: allow
+//         tool: fs_read
+//         under: "{project}"
+//   turns:
+//     - Summarize {{module}}
+//     - prompt: |
+//         List the npm dependencies that are out of date
+//       timeout: 600
+//
+// Prompts of YAML scripts are prompt library templates (src/shared/prompts.js):
+// {{cwd}}, {{date}} and {{time}} are filled in, every other variable must be set under vars.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const promptLibrary = require('../shared/prompts');
+const approval = require('../shared/approval');
+
+const SCRIPT_KEYS = ['title', 'cwd', 'profile', 'backend', 'timeout', 'vars', 'policy', 'turns'];
+const TURN_KEYS = ['prompt', 'timeout'];
+const POLICY_KEYS = ['default', 'rules'];
+const POLICY_DEFAULTS = ['allow', 'deny'];
+const DEFAULT_TIMEOUT_SECONDS = 600;
+
+function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkKeys(value, allowed, where, hint = '') {
+  const unknown = Object.keys(value).find(key => !allowed.includes(key));
+  if (unknown !== undefined) {
+    throw new Error(`${where}: unknown key "${unknown}", known keys are ${allowed.join(', ')}${hint}`);
+  }
+}
+
+function optionalText(value, where) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`${where} must be text`);
+  }
+  return String(value).trim() || null;
+}
+
+// Seconds, null when left out
+function parseTimeout(value, where) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`${where} must be a number of seconds above 0`);
+  }
+  return seconds;
+}
+
+// ~ is the home directory, relative paths start at baseDir
+function resolveDirectory(directory, baseDir) {
+  return path.resolve(baseDir, directory.replace(/^~(?=$|[\/\\])/, os.homedir()));
+}
+
+function readFile(filePath, what) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${what} ${filePath}: ${error.message}`);
+  }
+}
+
+// { default, rules }, rules is null when the app's saved rules should be used
+function normalizePolicy(value, where) {
+  if (Array.isArray(value)) {
+    value = { rules: value };
+  }
+  if (!isMapping(value)) {
+    throw new Error(`${where} must be a mapping with default and rules, or a list of rules`);
+  }
+  checkKeys(value, POLICY_KEYS, where);
+  const fallback = value.default === undefined || value.default === null ? 'deny' : value.default;
+  if (!POLICY_DEFAULTS.includes(fallback)) {
+    throw new Error(`${where}: default must be ${POLICY_DEFAULTS.join(' or ')}`);
+  }
+  let rules = null;
+  if (value.rules !== undefined && value.rules !== null) {
+    try {
+      rules = approval.normalizeRules(value.rules);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  return { default: fallback, rules };
+}
+
+// Policy file given with --policy, JSON or YAML
+function loadPolicy(filePath) {
+  const text = readFile(filePath, 'policy');
+  let value;
+  try {
+    value = isYamlFile(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Policy ${filePath} is not valid: ${error.message}`);
+  }
+  return normalizePolicy(value, `Policy ${filePath}`);
+}
+
+function parseTextScript(text) {
+  return {
+    turns: text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(prompt => ({ prompt, timeout: null }))
+  };
+}
+
+function parseYamlScript(text, filePath) {
+  let document;
+  try {
+    document = parseYaml(text);
+  } catch (error) {
+    throw new Error(`Script ${filePath} is not valid YAML: ${error.message}`);
+  }
+  if (Array.isArray(document)) {
+    document = { turns: document }; // Just the turns
+  }
+  if (!isMapping(document)) {
+    throw new Error(`Script ${filePath} must be a mapping with turns, or a list of prompts`);
+  }
+  checkKeys(document, SCRIPT_KEYS, `Script ${filePath}`);
+
+  if (!Array.isArray(document.turns)) {
+    throw new Error(`Script ${filePath} has no list of turns`);
+  }
+  const turns = document.turns.map((turn, index) => {
+    const where = `Turn ${index + 1}`;
+    if (typeof turn === 'string' || typeof turn === 'number') {
+      return { prompt: String(turn), timeout: null };
+    }
+    if (!isMapping(turn)) {
+      throw new Error(`${where} must be a prompt or a mapping with prompt and timeout`);
+    }
+    // "- Fix this: now" is a mapping in YAML, the usual way to end up here
+    checkKeys(turn, TURN_KEYS, where, '. Put prompts that contain ": " in quotes');
+    if (typeof turn.prompt !== 'string') {
+      throw new Error(`${where} has no prompt`);
+    }
+    return { prompt: turn.prompt, timeout: parseTimeout(turn.timeout, `${where} timeout`) };
+  });
+
+  const vars = document.vars === undefined || document.vars === null ? {} : document.vars;
+  if (!isMapping(vars) || Object.values(vars).some(value => value !== null && typeof value === 'object')) {
+    throw new Error('vars must be a mapping of names to text');
+  }
+
+  return {
+    title: optionalText(document.title, 'title'),
+    cwd: optionalText(document.cwd, 'cwd'),
+    profile: optionalText(document.profile, 'profile'),
+    backend: optionalText(document.backend, 'backend'),
+    timeout: parseTimeout(document.timeout, 'timeout'),
+    vars,
+    policy: document.policy === undefined || document.policy === null ? null : normalizePolicy(document.policy, 'policy'),
+    turns
+  };
+}
+
+// Script ready to run: { title, cwd, profile, backend, policy, turns: [{ prompt, timeout }] }
+// overrides: command line options { cwd, profile, backend, timeout, policy } that win over the script
+function loadScript(filePath, overrides = {}, now = new Date()) {
+  const text = readFile(filePath, 'prompts file');
+  const script = isYamlFile(filePath) ? parseYamlScript(text, filePath) : parseTextScript(text);
+
+  const cwd = overrides.cwd
+    ? resolveDirectory(overrides.cwd, process.cwd())
+    : script.cwd ? resolveDirectory(script.cwd, path.dirname(path.resolve(filePath))) : process.cwd();
+  const timeout = overrides.timeout || script.timeout || DEFAULT_TIMEOUT_SECONDS;
+  const values = { ...promptLibrary.builtinValues({ cwd, now }), ...(script.vars || {}) };
+
+  const turns = script.turns.map((turn, index) => {
+    if (!isYamlFile(filePath)) {
+      return { prompt: turn.prompt, timeout: timeout * 1000 };
+    }
+    const missing = promptLibrary.promptedFields(turn.prompt).filter(field => !(field.name in values));
+    if (missing.length > 0) {
+      throw new Error(`Turn ${index + 1} uses ${missing.map(field => `{{${field.name}}}`).join(', ')}, set ${missing.length > 1 ? 'them' : 'it'} under vars`);
+    }
+    const prompt = promptLibrary.renderTemplate(turn.prompt, values).trim();
+    if (!prompt) {
+      throw new Error(`Turn ${index + 1} has no prompt`);
+    }
+    return { prompt, timeout: (turn.timeout || timeout) * 1000 };
+  });
+  if (turns.length === 0) {
+    throw new Error(`Prompts file ${filePath} has no prompts`);
+  }
+
+  return {
+    title: script.title || `Headless run: ${path.basename(filePath)}`,
+    cwd,
+    profile: overrides.profile || script.profile || null,
+    backend: overrides.backend || script.backend || null,
+    policy: overrides.policy || script.policy || { default: 'deny', rules: null },
+    turns
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_SECONDS,
+  loadScript,
+  loadPolicy
+};
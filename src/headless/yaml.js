@@ -0,0 +1,260 @@
+// The part of YAML that prompt scripts need, so headless runs do not pull in a YAML library:
+// block mappings and sequences, plain and quoted scalars, | and > block scalars,
+// [a, b] lists of scalars, numbers, booleans, null and # comments.
+// Anchors, tags, multi-line plain scalars and flow mappings are refused with the line number.
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-?:][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/;
+const BLOCK_SCALAR_PATTERN = /^([|>])([+-]?)\s*(?:#.*)?$/;
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line || null;
+  }
+}
+
+function parseYaml(text) {
+  const lines = String(text).replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+    if (/^\s*\t/.test(raw)) {
+      throw new YamlError('tabs cannot be used for indentation', index + 1);
+    }
+    return { raw, number: index + 1 };
+  });
+  let position = 0;
+
+  function isContent(line) {
+    const trimmed = line.raw.trim();
+    return trimmed !== '' && !trimmed.startsWith('#') && trimmed !== '---' && trimmed !== '...';
+  }
+
+  // Next line with content: { indent, text, number }, null at the end
+  function peek() {
+    while (position < lines.length && !isContent(lines[position])) {
+      position++;
+    }
+    if (position >= lines.length) {
+      return null;
+    }
+    const raw = lines[position].raw;
+    const indent = raw.length - raw.trimStart().length;
+    return { indent, text: raw.slice(indent).replace(/\s+$/, ''), number: lines[position].number };
+  }
+
+  function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  function parseNode(minIndent) {
+    const line = peek();
+    if (!line || line.indent < minIndent) {
+      return null;
+    }
+    return isSequenceItem(line.text) ? parseSequence(line.indent) : parseMapping(line.indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    let line = peek();
+    while (line && line.indent === indent && isSequenceItem(line.text)) {
+      const rest = line.text.slice(1).trimStart();
+      if (!rest || rest.startsWith('#')) {
+        position++;
+        items.push(parseNode(indent + 1));
+      } else if (KEY_PATTERN.test(rest)) {
+        // "- key: value" starts a mapping indented like the key
+        const keyIndent = indent + (line.text.length - rest.length);
+        lines[position].raw = ' '.repeat(keyIndent) + rest;
+        items.push(parseMapping(keyIndent));
+      } else {
+        position++;
+        items.push(parseValue(rest, indent, line.number));
+      }
+      line = peek();
+    }
+    if (line && line.indent > indent) {
+      throw new YamlError('unexpected indentation', line.number);
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const mapping = {};
+    let line = peek();
+    while (line && line.indent === indent && !isSequenceItem(line.text)) {
+      const match = line.text.match(KEY_PATTERN);
+      if (!match) {
+        throw new YamlError(`expected "key: value", found "${line.text}"`, line.number);
+      }
+      const key = parseScalar(match[1], line.number);
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new YamlError(`duplicate key "${key}"`, line.number);
+      }
+      position++;
+
+      const value = match[2] === undefined ? '' : match[2];
+      if (value === '' || value.startsWith('#')) {
+        const next = peek();
+        // A sequence may sit at the same indentation as its key
+        mapping[key] = next && next.indent === indent && isSequenceItem(next.text)
+          ? parseSequence(indent)
+          : parseNode(indent + 1);
+      } else {
+        mapping[key] = parseValue(value, indent, line.number);
+      }
+      line = peek();
+    }
+    if (line && line.indent > indent) {
+      throw new YamlError('unexpected indentation, use | for text over several lines', line.number);
+    }
+    return mapping;
+  }
+
+  // Value after "key:" or "- ", block scalars read the lines below
+  function parseValue(text, parentIndent, lineNumber) {
+    const block = text.match(BLOCK_SCALAR_PATTERN);
+    return block ? parseBlockScalar(block[1], block[2], parentIndent) : parseScalar(text, lineNumber);
+  }
+
+  function parseBlockScalar(style, chomping, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+    while (position < lines.length) {
+      const raw = lines[position].raw;
+      if (raw.trim() === '') {
+        collected.push('');
+        position++;
+        continue;
+      }
+      const indent = raw.length - raw.trimStart().length;
+      if (indent <= parentIndent || (blockIndent !== null && indent < blockIndent)) {
+        break;
+      }
+      if (blockIndent === null) {
+        blockIndent = indent;
+      }
+      collected.push(raw.slice(blockIndent));
+      position++;
+    }
+
+    // Trailing blank lines belong to what follows unless kept with +
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+    let text;
+    if (style === '|') {
+      text = collected.join('\n');
+    } else {
+      // Folded: lines join with spaces, a blank line is a line break, indented lines stay as they are
+      text = collected.reduce((folded, line, index) => {
+        const previous = collected[index - 1];
+        if (index === 0) return line;
+        if (line === '') return folded + '\n';
+        if (previous === '') return folded + line;
+        if (/^\s/.test(line) || /^\s/.test(previous)) return folded + '\n' + line;
+        return folded + ' ' + line;
+      }, '');
+    }
+
+    if (chomping === '-' || text === '') {
+      return text;
+    }
+    return chomping === '+' ? text + '\n'.repeat(trailing + 1) : text + '\n';
+  }
+
+  const document = parseNode(0);
+  const rest = peek();
+  if (rest) {
+    throw new YamlError(`unexpected "${rest.text}"`, rest.number);
+  }
+  return document;
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parseScalar(rawText, lineNumber) {
+  const text = stripComment(rawText.trim());
+
+  if (text.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+      throw new YamlError('unterminated "quoted" text', lineNumber);
+    }
+    return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (whole, escape) => {
+      if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+      return { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/' }[escape] ?? whole;
+    });
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) {
+      throw new YamlError("unterminated 'quoted' text", lineNumber);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YamlError('unterminated [list]', lineNumber);
+    }
+    const inner = text.slice(1, -1).trim();
+    return inner ? splitFlowList(inner).map(item => parseScalar(item, lineNumber)) : [];
+  }
+  if (text === '{}') {
+    return {};
+  }
+  if (/^[{&*!%@`]/.test(text)) {
+    throw new YamlError(`"${text[0]}" is not supported here, put the text in quotes`, lineNumber);
+  }
+  if (text === '' || text === '~' || text === 'null') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+// "a, 'b, c', d" -> ["a", "'b, c'", "d"]
+function splitFlowList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        current += ch + text[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  items.push(current.trim());
+  return items;
+}
+
+module.exports = { parseYaml, YamlError };
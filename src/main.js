@@ -1,34 +1,239 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Menu, safeStorage } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { parseTranscriptText, classifyLine } = require('./shared/transcript');
+const { compileDetectors } = require('./shared/backends');
+const { OutputParser } = require('./shared/output-parser');
+const approval = require('./shared/approval');
+const toolAudit = require('./shared/audit');
+const promptLibrary = require('./shared/prompts');
+const { SNIPPET_MARK_START, SNIPPET_MARK_END, buildMatchQuery } = require('./shared/search');
+const { parseMcpConfig, formatErrors, formatErrorPath } = require('./shared/mcp-schema');
+const mcpBackups = require('./mcp/backups');
+const mcpHealth = require('./mcp/health');
+const mcpSecrets = require('./shared/secrets');
+const { createSecretStore } = require('./mcp/secret-store');
+const mcpProfileTools = require('./mcp/profiles');
+const exporters = require('./exporters');
+const backends = require('./backends');
+const { createRecorder, readRecording } = require('./recordings/asciicast');
+const { playRecording } = require('./recordings/replay');
+const auditExporters = require('./exporters/audit-log');
+const { runMigrations } = require('./db/migrate');
+const migrations = require('./db/migrations');
+const headless = require('./headless/cli');
+const { createApiServer, generateToken } = require('./api/server');
+const { createToolCallTracker } = require('./api/tool-calls');
+
+// "--headless" runs a prompt script without a window, see src/headless/cli.js.
+// Its stdout carries only the transcript, the app's own logging is dropped unless --verbose.
+const headlessOptions = headless.parseArgs(process.argv);
+if (headlessOptions) {
+  console.log = headlessOptions.verbose ? console.error : () => {};
+}
 
 // Database setup
-let sqlite3;
-let db;
-try {
-  sqlite3 = require('sqlite3').verbose();
-  const dbPath = path.join(app.getPath('userData'), 'chats.db');
-  db = new sqlite3.Database(dbPath);
-  
-  // Create table if not exists
-  db.serialize(() => {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS saved_chats (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+const dbPath = path.join(app.getPath('userData'), 'chats.db');
+let db = null;
+let dbError = null; // Why the database cannot be used, shown to the user
+
+async function openDatabase() {
+  try {
+    const sqlite3 = require('sqlite3').verbose();
+    db = await new Promise((resolve, reject) => {
+      const database = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(database)));
+    });
+    await dbRun('PRAGMA foreign_keys = ON');
+    
+    const result = await runMigrations(
+      { run: dbRun, get: dbGet, all: dbAll, transaction: withTransaction },
+      { dbPath, migrations }
+    );
+    console.log(`Database initialized at: ${dbPath} (schema version ${result.to})`);
+    
+    await applyRetentionPolicy();
+    await addBuiltinPrompts();
+  } catch (error) {
+    console.error('Failed to initialize database:', error);
+    dbError = 'Chat database unavailable: ' + error.message;
+    if (db) {
+      db.close();
+      db = null;
+    }
+    
+    // Tell the user instead of silently running without saved chats
+    app.whenReady().then(() => {
+      if (headlessOptions) {
+        return; // Reported on stderr above, headless runs go on without rules and audit log
+      }
+      dialog.showErrorBox('Chat database error', `${dbError}\n\nSaved chats are disabled until this is fixed. Database: ${dbPath}`);
+    });
+  }
+}
+
+// Error message when the database cannot be used, null when it is ready
+async function databaseError() {
+  await dbReady;
+  return db ? null : dbError;
+}
+
+// Promise wrappers for multi-step database work
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// One connection is shared, so transactions must not interleave
+let transactionQueue = Promise.resolve();
+
+function withTransaction(work) {
+  const run = transactionQueue.then(async () => {
+    await dbRun('BEGIN');
+    try {
+      const result = await work();
+      await dbRun('COMMIT');
+      return result;
+    } catch (error) {
+      await dbRun('ROLLBACK').catch(() => {});
+      throw error;
+    }
   });
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+async function insertTurns(chatId, turns) {
+  for (let position = 0; position < turns.length; position++) {
+    const turn = turns[position];
+    const result = await dbRun(
+      'INSERT INTO chat_turns (chat_id, position, role, text, started_at, ended_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [chatId, position, turn.role, turn.text || '', turn.startedAt || null, turn.endedAt || null]
+    );
+    
+    const events = turn.toolEvents || [];
+    for (let eventPosition = 0; eventPosition < events.length; eventPosition++) {
+      const toolEvent = events[eventPosition];
+      await dbRun(
+        'INSERT INTO tool_events (turn_id, position, kind, tool_name, text, text_offset, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [result.lastID, eventPosition, toolEvent.kind, toolEvent.toolName || null, toolEvent.text || '', toolEvent.offset || 0, toolEvent.at || null]
+      );
+    }
+  }
+}
+
+async function loadTurns(chatId) {
+  const turnRows = await dbAll('SELECT * FROM chat_turns WHERE chat_id = ? ORDER BY position', [chatId]);
+  const eventRows = await dbAll(
+    'SELECT e.* FROM tool_events e JOIN chat_turns t ON e.turn_id = t.id WHERE t.chat_id = ? ORDER BY e.turn_id, e.position',
+    [chatId]
+  );
   
-  console.log('Database initialized at:', dbPath);
-} catch (error) {
-  console.error('Failed to initialize database:', error);
-  db = null;
+  return turnRows.map(row => ({
+    role: row.role,
+    text: row.text,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    toolEvents: eventRows.filter(event => event.turn_id === row.id).map(event => ({
+      kind: event.kind,
+      toolName: event.tool_name,
+      text: event.text,
+      offset: event.text_offset,
+      at: event.created_at
+    }))
+  }));
+}
+
+async function getSetting(key, defaultValue) {
+  const row = await dbGet('SELECT value FROM app_settings WHERE key = ?', [key]);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+async function setSetting(key, value) {
+  await dbRun(
+    'INSERT INTO app_settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+    [key, JSON.stringify(value)]
+  );
+}
+
+// Retention replaces the old hard limit of 100 chats. Both rules are off unless configured,
+// archived chats are hidden from the library but never deleted, pinned chats are kept.
+const DEFAULT_RETENTION_POLICY = { archiveAfterDays: null, maxActiveChats: null };
+
+function normalizeRetentionPolicy(policy = {}) {
+  const positiveInt = (value) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  };
+  return {
+    archiveAfterDays: positiveInt(policy.archiveAfterDays),
+    maxActiveChats: positiveInt(policy.maxActiveChats)
+  };
+}
+
+async function applyRetentionPolicy() {
+  try {
+    const policy = normalizeRetentionPolicy(await getSetting('retentionPolicy', DEFAULT_RETENTION_POLICY));
+    let archived = 0;
+    
+    if (policy.archiveAfterDays) {
+      const result = await dbRun(`
+        UPDATE saved_chats SET archived = 1
+        WHERE archived = 0 AND pinned = 0 AND COALESCE(updated_at, created_at) < datetime('now', ?)
+      `, [`-${policy.archiveAfterDays} days`]);
+      archived += result.changes;
+    }
+    
+    if (policy.maxActiveChats) {
+      const result = await dbRun(`
+        UPDATE saved_chats SET archived = 1
+        WHERE id IN (
+          SELECT id FROM saved_chats WHERE archived = 0 AND pinned = 0
+          ORDER BY COALESCE(updated_at, created_at) DESC
+          LIMIT -1 OFFSET ?
+        )
+      `, [policy.maxActiveChats]);
+      archived += result.changes;
+    }
+    
+    if (archived > 0) {
+      console.log(`Retention policy archived ${archived} saved chats`);
+    }
+    return archived;
+  } catch (error) {
+    console.error('Failed to apply retention policy:', error);
+    return 0;
+  }
+}
+
+// Tags are lowercase, trimmed and unique, commas separate tags when editing
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
 }
 
+// Opens chats.db and brings its schema up to date, chat handlers wait for this
+const dbReady = openDatabase();
+
 // Try to load node-pty, fallback to child_process if it fails
 let pty;
 let useNodePty = true;
@@ -43,9 +248,33 @@ try {
 
 let mainWindow;
 const sessions = new Map();
+let sessionCounter = 0; // Keeps ids unique when several sessions start in the same millisecond
+
+// Session events ('q-output', 'session-resized', 'session-closed') go to every listener (headless runs, the local API)
+// and to the window for the sessions of its tabs
+const sessionListeners = new Set();
+
+function emitSessionEvent(channel, payload, owner) {
+  sessionListeners.forEach(listener => {
+    try {
+      listener(channel, payload);
+    } catch (error) {
+      console.error(`Session listener failed on ${channel}:`, error);
+    }
+  });
+  if (owner === 'window' && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
 
-// Single instance lock
-const gotTheLock = app.requestSingleInstanceLock();
+// Returns the function that removes the listener
+function subscribeToSessions(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+// Single instance lock, headless runs may go alongside the app and each other
+const gotTheLock = Boolean(headlessOptions) || app.requestSingleInstanceLock();
 
 if (!gotTheLock) {
   app.quit();
@@ -264,171 +493,183 @@ function findQCliPath() {
   return 'q'; // Fallback to PATH
 }
 
+// Build comprehensive PATH for MCP servers (including Docker). Apps started from the
+// Dock or Finder do not get the shell PATH, Q and the health check both use this one.
+function buildMcpServerPath(userHome) {
+  const originalPath = process.env.PATH || '';
+  const additionalPaths = [
+    '/usr/local/bin',           // Homebrew Intel, Docker Desktop
+    '/opt/homebrew/bin',        // Homebrew Apple Silicon
+    '/Applications/Docker.app/Contents/Resources/bin', // Docker Desktop
+    '/usr/bin',                 // System binaries
+    userHome + '/bin',          // User binaries
+    userHome + '/.local/bin',   // Local installs
+    userHome + '/.npm-global/bin', // Global npm packages
+    '/usr/local/lib/node_modules/.bin', // Node.js modules
+    '/opt/homebrew/lib/node_modules/.bin' // Homebrew Node.js modules
+  ];
+  
+  return [originalPath, ...additionalPaths].join(':');
+}
+
+// Validate the project directory a session should run in, defaults to home
+function resolveSessionCwd(requestedCwd, userHome) {
+  if (!requestedCwd) {
+    return userHome;
+  }
+  
+  const resolved = path.resolve(requestedCwd.replace(/^~(?=$|[\/\\])/, userHome));
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Project directory not found: ${resolved}`);
+  }
+  return resolved;
+}
+
+// Resolve a path from Q output (absolute, ~/..., ./... or ../...) against a session directory
+function resolveUserPath(filePath, baseDir) {
+  const expanded = filePath.replace(/^~(?=$|[\/\\])/, os.homedir());
+  return path.resolve(baseDir || os.homedir(), expanded);
+}
+
+// Forget a session and remove its profile agent file
+function endSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    mcpProfileTools.removeSessionAgent(session.agentPath);
+    if (session.recorder) {
+      session.recorder.close();
+    }
+    if (session.toolCalls) {
+      session.toolCalls.close();
+    }
+    sessions.delete(sessionId);
+  }
+}
+
 // Docker status check endpoint
 ipcMain.handle('check-docker', async () => {
   return checkDockerStatus();
 });
 
+// Terminal size of a session when the renderer did not measure one
+const DEFAULT_TERMINAL_SIZE = { cols: 120, rows: 30 };
+
+// Whole numbers in a range a terminal can have, anything else throws
+function terminalSize(cols, rows) {
+  if (!Number.isInteger(cols) || cols < 20 || cols > 1000 || !Number.isInteger(rows) || rows < 5 || rows > 1000) {
+    throw new Error(`Invalid terminal size ${cols}x${rows}`);
+  }
+  return { cols, rows };
+}
+
 // Q CLI Session Management with cross-platform path detection
-ipcMain.handle('create-session', async () => {
-  const sessionId = Date.now().toString();
+// options: { cwd, profile, backend, cols, rows, owner }, returns the new session id.
+// owner: 'window' for tabs, 'api' or 'headless' for sessions without a tab, their output is not sent to the window
+async function createSession(options = {}) {
+  const sessionId = `${Date.now()}-${++sessionCounter}`;
+  const owner = options.owner || 'window';
+  const startedAt = new Date().toISOString();
+  const backend = backends.getBackend(options.backend, await getCustomBackends());
+  const detectors = compileDetectors(backend);
+  const { cols, rows } = options.cols || options.rows ? terminalSize(options.cols, options.rows) : DEFAULT_TERMINAL_SIZE;
+  const profile = options.profile || null;
+  if (profile && !backend.mcpProfiles) {
+    throw new Error(`MCP profiles are Q agents, ${backend.label} cannot use profile "${profile}"`);
+  }
+  if (profile && backend.args.includes('--agent')) {
+    throw new Error(`${backend.label} already runs a Q agent, start it without an MCP profile`);
+  }
+  let agentPath = null;
+  let recorder = null;
   
   try {
     let qProcess;
-    const qCliPath = findQCliPath(); // Get platform-specific Q CLI path
+    const qCliPath = backend.command || findQCliPath(); // Get platform-specific Q CLI path
     const os = require('os');
     const userHome = os.homedir(); // Get user home directory for proper context
+    const workingDir = resolveSessionCwd(options.cwd, userHome); // Project directory Q's tools resolve against
     
-    // Build comprehensive PATH for MCP servers (including Docker)
-    const originalPath = process.env.PATH || '';
-    const additionalPaths = [
-      '/usr/local/bin',           // Homebrew Intel, Docker Desktop
-      '/opt/homebrew/bin',        // Homebrew Apple Silicon
-      '/Applications/Docker.app/Contents/Resources/bin', // Docker Desktop
-      '/usr/bin',                 // System binaries
-      userHome + '/bin',          // User binaries
-      userHome + '/.local/bin',   // Local installs
-      userHome + '/.npm-global/bin', // Global npm packages
-      '/usr/local/lib/node_modules/.bin', // Node.js modules
-      '/opt/homebrew/lib/node_modules/.bin' // Homebrew Node.js modules
-    ];
+    const comprehensivePath = buildMcpServerPath(userHome); // Includes Docker and npm for MCP servers
+    // The real values of ${env:NAME} placeholders are for the MCP servers Q starts, other agents do not read mcp.json
+    const secretEnv = backend.mcpProfiles ? getSecretEnv() : {};
     
-    const comprehensivePath = [originalPath, ...additionalPaths].join(':');
+    // A profile reaches Q as an agent file for this session only, mcp.json is left alone
+    const qArgs = backend.args.slice();
+    if (profile) {
+      const agent = writeMcpProfileAgent(sessionId, profile, workingDir);
+      qArgs.push('--agent', agent.agentName);
+      agentPath = agent.agentPath;
+    }
+    recorder = await startSessionRecorder(backend, workingDir, [qCliPath, ...qArgs].join(' '), { cols, rows });
     
     if (useNodePty && pty) {
       console.log('Using node-pty for session creation with path:', qCliPath);
-      console.log('Working directory:', userHome);
+      console.log('Working directory:', workingDir);
       console.log('Comprehensive PATH:', comprehensivePath);
       // Use node-pty for proper terminal emulation
-      qProcess = pty.spawn(qCliPath, ['chat'], {
+      qProcess = pty.spawn(qCliPath, qArgs, {
         name: 'xterm-256color',
-        cols: 120,
-        rows: 30,
-        cwd: userHome,
+        cols,
+        rows,
+        cwd: workingDir,
         env: {
           ...process.env,
           TERM: 'xterm-256color',
           COLORTERM: 'truecolor',
+          ...backend.env,
+          ...secretEnv,
           HOME: userHome,
           USERPROFILE: userHome,
           PATH: comprehensivePath
         }
       });
       
-      sessions.set(sessionId, { process: qProcess, state: 'ready', type: 'pty' });
+      sessions.set(sessionId, { process: qProcess, state: 'ready', type: 'pty', cwd: workingDir, profile, backend: backend.id, parser: new OutputParser({ detectors, cols, rows }), agentPath, recorder, owner, startedAt, awaitingApproval: false, errorOutput: '' });
       
       // Handle data from Q CLI - send raw terminal data
       qProcess.onData((data) => {
-        if (!mainWindow || mainWindow.isDestroyed()) {
-          console.log('Window closed, ignoring Q CLI output');
-          return;
-        }
-        
-        const isPrompt = /\(y\/n\)|Do you want to continue\?|Can I|Should I|Allow|Trust|Proceed/i.test(data);
-        
-        if (isPrompt) {
-          console.log('PROMPT DETECTED:', data);
-        }
-        
-        mainWindow.webContents.send('q-output', {
-          sessionId,
-          data: data,
-          isPrompt
-        });
+        emitSessionOutput(sessionId, data);
       });
       
       // Handle process exit
-      qProcess.onExit((code, signal) => {
-        console.log('Q CLI process exited with code:', code, 'signal:', signal);
-        sessions.delete(sessionId);
-        
-        // Log error details to console instead of showing popup
-        if (code !== 0 && code !== null) {
-          console.error(`Q CLI failed to start (exit code: ${code})`);
-          console.error('Possible causes:');
-          console.error('• Q CLI not installed or not in PATH');
-          console.error('• Missing AWS credentials');
-          console.error('• MCP server configuration issues');
-          console.error('• MCP servers not found in PATH');
-          console.error('Check the console output for details.');
-        }
-        
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('session-closed', { sessionId, code });
-        }
+      qProcess.onExit(({ exitCode, signal }) => {
+        console.log('Q CLI process exited with code:', exitCode, 'signal:', signal);
+        sessionExited(sessionId, backend, exitCode, signal || null);
       });
       
     } else {
       console.log('Using child_process fallback for session creation with path:', qCliPath);
-      console.log('Working directory:', userHome);
+      console.log('Working directory:', workingDir);
       console.log('Comprehensive PATH:', comprehensivePath);
       const { spawn } = require('child_process');
       // Fallback to original spawn method
-      qProcess = spawn(qCliPath, ['chat'], { 
+      qProcess = spawn(qCliPath, qArgs, { 
         stdio: ['pipe', 'pipe', 'pipe'],
         shell: true,
-        cwd: userHome, // Set working directory to user home
+        cwd: workingDir, // Set working directory to the chosen project
         env: {
           ...process.env,
+          ...backend.env,
+          ...secretEnv,
           HOME: userHome, // Ensure HOME is set
           USERPROFILE: userHome, // For Windows compatibility
           PATH: comprehensivePath // Extended PATH for MCP servers
         }
       });
       
-      sessions.set(sessionId, { process: qProcess, state: 'ready', type: 'spawn' });
+      sessions.set(sessionId, { process: qProcess, state: 'ready', type: 'spawn', cwd: workingDir, profile, backend: backend.id, parser: new OutputParser({ detectors, cols, rows }), agentPath, recorder, owner, startedAt, awaitingApproval: false, errorOutput: '' });
       
       qProcess.stdout.on('data', (data) => {
-        if (!mainWindow || mainWindow.isDestroyed()) {
-          console.log('Window closed, ignoring Q CLI stdout');
-          return;
-        }
-        
-        const text = data.toString();
-        const isPrompt = /\(y\/n\)|Do you want to continue\?|Can I|Should I|Allow|Trust|Proceed/i.test(text);
-        
-        if (isPrompt) {
-          console.log('PROMPT DETECTED:', text);
-        }
-        
-        mainWindow.webContents.send('q-output', {
-          sessionId,
-          data: text,
-          isPrompt
-        });
+        emitSessionOutput(sessionId, data.toString());
       });
       
       qProcess.stderr.on('data', (data) => {
-        if (!mainWindow || mainWindow.isDestroyed()) {
-          console.log('Window closed, ignoring Q CLI stderr');
-          return;
-        }
-        
-        mainWindow.webContents.send('q-output', {
-          sessionId,
-          data: data.toString(),
-          isError: true
-        });
+        emitSessionOutput(sessionId, data.toString(), true);
       });
       
-      qProcess.on('close', (code) => {
-        console.log('Q CLI process closed with code:', code);
-        sessions.delete(sessionId);
-        
-        // Log error details to console instead of showing popup
-        if (code !== 0 && code !== null) {
-          console.error(`Q CLI failed to start (exit code: ${code})`);
-          console.error('Possible causes:');
-          console.error('• Q CLI not installed or not in PATH');
-          console.error('• Missing AWS credentials');
-          console.error('• MCP server configuration issues');
-          console.error('• MCP servers not found in PATH');
-          console.error('Check the console output for details.');
-        }
-        
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('session-closed', { sessionId, code });
-        }
+      qProcess.on('close', (code, signal) => {
+        console.log('Q CLI process closed with code:', code, 'signal:', signal);
+        sessionExited(sessionId, backend, code, signal);
       });
       
       qProcess.on('error', (error) => {
@@ -440,11 +681,23 @@ ipcMain.handle('create-session', async () => {
         console.error('• MCP servers are installed and accessible');
         console.error('Try running "q chat" in Terminal to verify installation.');
         
-        sessions.delete(sessionId);
+        endSession(sessionId);
         
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('session-closed', { sessionId, code: -1, error: error.message });
-        }
+        emitSessionEvent('session-closed', { sessionId, code: -1, signal: null, unexpected: true, reason: `${backend.label} could not start: ${error.message}`, error: error.message }, owner);
+      });
+    }
+    
+    // Tabs and headless runs write the tool calls of their sessions to the audit log, API sessions have neither
+    if (owner === 'api') {
+      sessions.get(sessionId).toolCalls = createToolCallTracker({
+        detectors,
+        cols,
+        rows,
+        record: (calls) => recordToolCalls({ sessionId, cwd: workingDir, profile, calls }).then(result => {
+          if (!result.success) {
+            console.error(`Tool calls of API session ${sessionId} not saved to the audit log:`, result.error);
+          }
+        })
       });
     }
     
@@ -460,21 +713,101 @@ ipcMain.handle('create-session', async () => {
     console.error('• MCP server path issues');
     console.error('Please check your Q CLI installation.');
     
+    mcpProfileTools.removeSessionAgent(agentPath);
+    if (recorder) {
+      recorder.close();
+    }
     throw error;
   }
-});
+}
+
+ipcMain.handle('create-session', (event, options = {}) => createSession({ ...options, owner: 'window' }));
+
+const EXIT_REASON_LINES = 3; // Lines of the agent's last error output in the reason
+const MAX_ERROR_OUTPUT = 4096;
+
+// What the agent printed last before it exited: its stderr, or for a pty where stderr is
+// mixed in, what is on the screen after the last input prompt
+function lastErrorLines(session) {
+  if (session.errorOutput) {
+    return session.errorOutput.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').split(/\r?\n/);
+  }
+  const texts = session.parser.liveTexts();
+  const promptIndex = texts.findLastIndex(text => classifyLine(text, session.parser.detectors).kind === 'user_input');
+  return texts.slice(promptIndex + 1);
+}
+
+// Sessions ended by killSession are gone before their process exits, any other exit
+// that is not a clean one is a crash. The reason tells the user what happened.
+function sessionExited(sessionId, backend, code, signal) {
+  const session = sessions.get(sessionId);
+  const owner = session ? session.owner : 'window';
+  const unexpected = Boolean(session) && (code !== 0 || Boolean(signal));
+  let reason = null;
+  if (unexpected) {
+    const lines = lastErrorLines(session).map(line => line.trim()).filter(Boolean);
+    const how = signal ? `was stopped by signal ${signal}` : `exited with code ${code}`;
+    reason = `${backend.label} ${how}`;
+    if (lines.length > 0) {
+      reason += `: ${lines.slice(-EXIT_REASON_LINES).join(' | ')}`;
+    }
+    console.error(`Session ${sessionId} ended unexpectedly: ${reason}`);
+  }
+  endSession(sessionId);
+  emitSessionEvent('session-closed', { sessionId, code, signal: signal || null, unexpected, reason }, owner);
+}
+
+// Output goes out as the agent printed it. The session's output parser reads it too:
+// isPrompt when the agent asks to run a tool (the next input answers it), isReady when it waits for input.
+function emitSessionOutput(sessionId, data, isError = false) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return; // Output after the exit, nobody is listening anymore
+  }
+  if (session.recorder) {
+    session.recorder.output(data);
+  }
+  if (isError) {
+    session.errorOutput = (session.errorOutput + data).slice(-MAX_ERROR_OUTPUT);
+  }
+  const events = session.parser.write(data);
+  if (session.toolCalls) {
+    session.toolCalls.output(data);
+  }
+  const isPrompt = events.some(event => event.type === 'permission_prompt');
+  const isReady = events.some(event => event.type === 'ready');
+  if (isPrompt) {
+    console.log('PROMPT DETECTED:', data);
+    session.awaitingApproval = true;
+  }
+  emitSessionEvent('q-output', { sessionId, data, isPrompt, isReady, isError }, session.owner);
+}
+
+function writeToSession(session, input) {
+  session.awaitingApproval = false;
+  if (session.type === 'replay') {
+    return; // Nothing reads it, the recording plays on
+  }
+  if (session.type === 'pty') {
+    // Clean up input but preserve intentional formatting
+    const cleanInput = input.trim();
+    session.process.write(cleanInput + '\r');
+    if (session.recorder) {
+      session.recorder.input(cleanInput + '\r');
+    }
+  } else {
+    session.process.stdin.write(input + '\n');
+    if (session.recorder) {
+      session.recorder.input(input + '\n');
+    }
+  }
+}
 
 ipcMain.handle('send-to-q', (event, { sessionId, input }) => {
   const session = sessions.get(sessionId);
   if (session && session.process) {
     try {
-      if (session.type === 'pty') {
-        // Clean up input but preserve intentional formatting
-        const cleanInput = input.trim();
-        session.process.write(cleanInput + '\r');
-      } else {
-        session.process.stdin.write(input + '\n');
-      }
+      writeToSession(session, input);
       return true;
     } catch (error) {
       console.error('Error sending input:', error);
@@ -484,152 +817,1675 @@ ipcMain.handle('send-to-q', (event, { sessionId, input }) => {
   return false;
 });
 
-ipcMain.handle('kill-session', (event, sessionId) => {
-  const session = sessions.get(sessionId);
-  if (session && session.process) {
-    session.process.kill();
-    sessions.delete(sessionId);
-    return true;
+// Tool approval rules, see src/shared/approval.js. Without a database nothing is answered automatically.
+async function getApprovalRules() {
+  if (await databaseError()) {
+    return [];
   }
-  return false;
-});
+  return approval.normalizeRules(await getSetting('approvalRules', []));
+}
 
-// Chat Management
-ipcMain.handle('save-chat', async (event, { title, content }) => {
-  if (!db) {
-    return { success: false, error: 'Database not available' };
+ipcMain.handle('get-approval-rules', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
   }
   
-  return new Promise((resolve) => {
-    // Check if we're at the limit
-    db.get('SELECT COUNT(*) as count FROM saved_chats', (err, row) => {
-      if (err) {
-        resolve({ success: false, error: err.message });
-        return;
-      }
-      
-      if (row.count >= 100) {
-        resolve({ success: false, error: 'Maximum 100 saved chats reached. Delete some chats first.' });
-        return;
-      }
-      
-      // Insert new chat
-      db.run('INSERT INTO saved_chats (title, content) VALUES (?, ?)', [title, content], function(err) {
-        if (err) {
-          resolve({ success: false, error: err.message });
-        } else {
-          resolve({ success: true, id: this.lastID });
-        }
-      });
-    });
-  });
-});
-
-ipcMain.handle('get-chat-list', async () => {
-  if (!db) {
-    return { success: false, error: 'Database not available' };
+  try {
+    return { success: true, rules: await getApprovalRules() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  return new Promise((resolve) => {
-    db.all('SELECT id, title, created_at FROM saved_chats ORDER BY created_at DESC', (err, rows) => {
-      if (err) {
-        resolve({ success: false, error: err.message });
-      } else {
-        resolve({ success: true, chats: rows });
-      }
-    });
-  });
 });
 
-ipcMain.handle('load-chat', async (event, chatId) => {
-  if (!db) {
-    return { success: false, error: 'Database not available' };
+ipcMain.handle('set-approval-rules', async (event, rules) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
   }
   
-  return new Promise((resolve) => {
-    db.get('SELECT * FROM saved_chats WHERE id = ?', [chatId], (err, row) => {
-      if (err) {
-        resolve({ success: false, error: err.message });
-      } else if (!row) {
-        resolve({ success: false, error: 'Chat not found' });
-      } else {
-        resolve({ success: true, content: row.content, title: row.title });
-      }
-    });
-  });
-});
-
-ipcMain.handle('delete-chat', async (event, chatId) => {
-  if (!db) {
-    return { success: false, error: 'Database not available' };
+  try {
+    const normalized = approval.normalizeRules(rules);
+    await setSetting('approvalRules', normalized);
+    return { success: true, rules: normalized };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  return new Promise((resolve) => {
-    db.run('DELETE FROM saved_chats WHERE id = ?', [chatId], function(err) {
-      if (err) {
-        resolve({ success: false, error: err.message });
-      } else if (this.changes === 0) {
-        resolve({ success: false, error: 'Chat not found' });
-      } else {
-        resolve({ success: true });
-      }
-    });
-  });
 });
 
-ipcMain.handle('update-chat', async (event, { id, content }) => {
-  if (!db) {
-    return { success: false, error: 'Database not available' };
+// Q asks to run a tool: answer it when a rule matches, otherwise the user decides.
+// Returns { action: 'allow' | 'deny' | 'ask', rule: { id, description } | null }
+ipcMain.handle('resolve-approval', async (event, { sessionId, request }) => {
+  const session = sessions.get(sessionId);
+  if (!session || !session.process) {
+    return { success: false, error: 'Session not found' };
   }
   
-  return new Promise((resolve) => {
-    db.run('UPDATE saved_chats SET content = ?, created_at = CURRENT_TIMESTAMP WHERE id = ?', [content, id], function(err) {
-      if (err) {
-        resolve({ success: false, error: err.message });
-      } else if (this.changes === 0) {
-        resolve({ success: false, error: 'Chat not found' });
-      } else {
-        resolve({ success: true });
-      }
-    });
-  });
-});
-
-// MCP Config Management
-ipcMain.handle('get-mcp-config', async () => {
-  const configPath = path.join(os.homedir(), '.aws', 'amazonq', 'mcp.json');
   try {
-    const content = fs.readFileSync(configPath, 'utf8');
-    return { success: true, content, path: configPath };
+    const rules = await getApprovalRules();
+    const { action, rule } = approval.evaluateRules(rules, request, {
+      cwd: session.cwd,
+      resolvePath: (filePath) => resolveUserPath(filePath, session.cwd)
+    });
+    // Answered already, by the user or over the API: a "y" now would be a chat message
+    if (!session.awaitingApproval) {
+      return { success: true, action: null, rule: null };
+    }
+    if (action !== 'ask') {
+      writeToSession(session, action === 'allow' ? 'y' : 'n');
+    }
+    return { success: true, action, rule: rule ? { id: rule.id, description: approval.describeRule(rule) } : null };
   } catch (error) {
+    console.error('Error applying approval rules:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('save-mcp-config', async (event, content) => {
-  const configPath = path.join(os.homedir(), '.aws', 'amazonq', 'mcp.json');
-  const backupPath = configPath + '.backup.' + Date.now();
+// Tool audit log. The renderer sends the calls of a session (see src/shared/audit.js) whenever
+// one starts, gets an answer or ends. Rows are updated by call key and never deleted by the app.
+function oneOf(value, allowed) {
+  return allowed.includes(value) ? value : null;
+}
+
+// Also used by headless runs, calls: [{ key, ...call }]
+async function recordToolCalls({ sessionId, cwd, profile, calls }) {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  if (!sessionId || !Array.isArray(calls)) {
+    return { success: false, error: 'Invalid tool calls' };
+  }
   
   try {
-    // Create backup
-    if (fs.existsSync(configPath)) {
-      fs.copyFileSync(configPath, backupPath);
-    }
-    
-    // Validate JSON
-    JSON.parse(content);
-    
-    // Save new content
-    fs.writeFileSync(configPath, content, 'utf8');
-    return { success: true, backupPath };
+    await withTransaction(async () => {
+      for (const call of calls) {
+        const outcome = oneOf(call.outcome, toolAudit.OUTCOMES) || 'unknown';
+        await dbRun(`
+          INSERT INTO tool_audit_log (session_id, call_key, cwd, mcp_profile, tool_name, server, arguments,
+            decision, decided_by, rule, outcome, started_at, decided_at, finished_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT (session_id, call_key) DO UPDATE SET
+            tool_name = excluded.tool_name,
+            server = excluded.server,
+            arguments = excluded.arguments,
+            decision = excluded.decision,
+            decided_by = excluded.decided_by,
+            rule = excluded.rule,
+            outcome = excluded.outcome,
+            decided_at = excluded.decided_at,
+            finished_at = COALESCE(tool_audit_log.finished_at, excluded.finished_at)
+        `, [
+          sessionId,
+          String(call.key),
+          cwd || null,
+          profile || null,
+          call.toolName || null,
+          call.server || null,
+          JSON.stringify(call.arguments || {}),
+          oneOf(call.decision, toolAudit.DECISIONS),
+          oneOf(call.decidedBy, toolAudit.DECIDED_BY),
+          call.rule || null,
+          outcome,
+          call.startedAt || null,
+          call.decidedAt || null,
+          toolAudit.FINAL_OUTCOMES.includes(outcome) ? new Date().toISOString() : null
+        ]);
+      }
+    });
+    return { success: true };
   } catch (error) {
+    console.error('Error recording tool calls:', error);
     return { success: false, error: error.message };
   }
-});
+}
+
+ipcMain.handle('record-tool-calls', (event, request) => recordToolCalls(request));
+
+// WHERE clause for the audit log filters, all optional:
+// { tool, decision, decidedBy, outcome, sessionId, from, to, query }
+function auditLogConditions(filters = {}) {
+  const conditions = [];
+  const params = [];
+  const like = (text) => '%' + String(text).trim().replace(/[\\%_]/g, '\\$&') + '%';
+  
+  if (filters.tool && String(filters.tool).trim()) {
+    conditions.push("tool_name LIKE ? ESCAPE '\\'");
+    params.push(like(filters.tool));
+  }
+  if (filters.decision === 'pending') {
+    conditions.push('decision IS NULL');
+  } else if (filters.decision) {
+    conditions.push('decision = ?');
+    params.push(filters.decision);
+  }
+  if (filters.decidedBy) {
+    conditions.push('decided_by = ?');
+    params.push(filters.decidedBy);
+  }
+  if (filters.outcome) {
+    conditions.push('outcome = ?');
+    params.push(filters.outcome);
+  }
+  if (filters.sessionId) {
+    conditions.push('session_id = ?');
+    params.push(filters.sessionId);
+  }
+  if (filters.from) {
+    conditions.push('date(started_at) >= date(?)');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('date(started_at) <= date(?)');
+    params.push(filters.to);
+  }
+  if (filters.query && String(filters.query).trim()) {
+    conditions.push("(arguments LIKE ? ESCAPE '\\' OR cwd LIKE ? ESCAPE '\\' OR rule LIKE ? ESCAPE '\\')");
+    params.push(like(filters.query), like(filters.query), like(filters.query));
+  }
+  
+  return { where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '', params };
+}
+
+function auditLogEntry(row) {
+  let args = null;
+  try {
+    args = JSON.parse(row.arguments);
+  } catch (error) {
+    args = row.arguments;
+  }
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    cwd: row.cwd,
+    profile: row.mcp_profile,
+    toolName: row.tool_name,
+    server: row.server,
+    arguments: args,
+    decision: row.decision,
+    decidedBy: row.decided_by,
+    rule: row.rule,
+    outcome: row.outcome,
+    startedAt: row.started_at,
+    decidedAt: row.decided_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// Newest first, limit null returns every match
+async function queryAuditLog(filters = {}, limit = null, offset = 0) {
+  const { where, params } = auditLogConditions(filters);
+  const paging = limit ? 'LIMIT ? OFFSET ?' : '';
+  const rows = await dbAll(
+    `SELECT * FROM tool_audit_log ${where} ORDER BY started_at DESC, id DESC ${paging}`,
+    limit ? [...params, limit, offset] : params
+  );
+  const countRow = await dbGet(`SELECT COUNT(*) AS count FROM tool_audit_log ${where}`, params);
+  return { entries: rows.map(auditLogEntry), total: countRow.count };
+}
+
+ipcMain.handle('get-tool-audit-log', async (event, { filters = {}, limit = 100, offset = 0 } = {}) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+    const { entries, total } = await queryAuditLog(filters, pageSize, Math.max(parseInt(offset, 10) || 0, 0));
+    const tools = await dbAll('SELECT DISTINCT tool_name AS name FROM tool_audit_log WHERE tool_name IS NOT NULL ORDER BY tool_name');
+    return { success: true, entries, total, tools: tools.map(row => row.name) };
+  } catch (error) {
+    console.error('Error reading tool audit log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export every entry matching the filters as CSV or JSON
+ipcMain.handle('export-tool-audit-log', async (event, { format, filters = {} } = {}) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const auditFormat = auditExporters.getAuditFormat(format);
+    if (!auditFormat) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    const { entries } = await queryAuditLog(filters);
+    const data = auditFormat.render(entries, { filters });
+    const savedPath = saveExportFile(`q-tool-audit-${Date.now()}.${auditFormat.extension}`, data);
+    
+    return {
+      success: true,
+      filePath: savedPath,
+      count: entries.length,
+      size: fs.statSync(savedPath).size
+    };
+  } catch (error) {
+    console.error('Tool audit export failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+function killSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session && session.process) {
+    session.process.kill();
+    endSession(sessionId);
+    return true;
+  }
+  return false;
+}
+
+ipcMain.handle('kill-session', (event, sessionId) => killSession(sessionId));
+
+// The agent lays its output out for the new size. Only a pty has a size, a plain process
+// just gets its output parsed at the new width.
+function resizeSession(sessionId, cols, rows) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  if (session.type === 'replay') {
+    return; // The recording has its own size
+  }
+  const size = terminalSize(cols, rows);
+  if (session.type === 'pty') {
+    session.process.resize(size.cols, size.rows);
+  }
+  session.parser.resize(size.cols, size.rows);
+  if (session.toolCalls) {
+    session.toolCalls.resize(size.cols, size.rows);
+  }
+  if (session.recorder) {
+    session.recorder.resize(size.cols, size.rows);
+  }
+  emitSessionEvent('session-resized', { sessionId, ...size }, session.owner);
+}
+
+ipcMain.handle('resize-session', (event, { sessionId, cols, rows }) => {
+  try {
+    resizeSession(sessionId, cols, rows);
+    return { success: true };
+  } catch (error) {
+    console.error('Error resizing session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Chat Management
+ipcMain.handle('save-chat', async (event, { title, content, cwd, profile, turns }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    // Insert new chat with its turns
+    const id = await withTransaction(async () => {
+      const result = await dbRun('INSERT INTO saved_chats (title, content, cwd, mcp_profile) VALUES (?, ?, ?, ?)', [title, content, cwd || null, profile || null]);
+      await insertTurns(result.lastID, turns || parseTranscriptText(content));
+      return result.lastID;
+    });
+    
+    await applyRetentionPolicy();
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+const CHAT_LIST_ORDER = {
+  updated: 'COALESCE(c.updated_at, c.created_at) DESC',
+  created: 'c.created_at DESC',
+  title: 'c.title COLLATE NOCASE ASC'
+};
+
+// One page of the chat library, pinned chats first
+ipcMain.handle('get-chat-list', async (event, { sort = 'updated', folder = null, tag = null, archived = false, offset = 0, limit = 50 } = {}) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  // folder null lists every folder, an empty string lists chats without one
+  const conditions = ['c.archived = ?'];
+  const params = [archived ? 1 : 0];
+  if (folder !== null) {
+    conditions.push("COALESCE(c.folder, '') = ?");
+    params.push(folder);
+  }
+  if (tag) {
+    conditions.push('EXISTS (SELECT 1 FROM chat_tags t WHERE t.chat_id = c.id AND t.tag = ?)');
+    params.push(tag);
+  }
+  const where = 'WHERE ' + conditions.join(' AND ');
+  
+  try {
+    const countRow = await dbGet(`SELECT COUNT(*) AS count FROM saved_chats c ${where}`, params);
+    const rows = await dbAll(`
+      SELECT c.id, c.title, c.cwd, c.mcp_profile AS profile, c.created_at, c.updated_at, c.folder, c.pinned, c.archived,
+        (SELECT group_concat(t.tag, ',') FROM chat_tags t WHERE t.chat_id = c.id) AS tags
+      FROM saved_chats c
+      ${where}
+      ORDER BY c.pinned DESC, ${CHAT_LIST_ORDER[sort] || CHAT_LIST_ORDER.updated}, c.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    
+    const chats = rows.map(row => ({
+      ...row,
+      pinned: Boolean(row.pinned),
+      archived: Boolean(row.archived),
+      tags: row.tags ? row.tags.split(',').sort() : []
+    }));
+    return { success: true, chats, total: countRow.count };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Folders and tags in use, for the library filters
+ipcMain.handle('get-chat-facets', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const folders = await dbAll(`
+      SELECT folder AS name, COUNT(*) AS count FROM saved_chats
+      WHERE archived = 0 AND folder IS NOT NULL AND folder != ''
+      GROUP BY folder ORDER BY folder COLLATE NOCASE
+    `);
+    const tags = await dbAll(`
+      SELECT t.tag AS name, COUNT(*) AS count FROM chat_tags t JOIN saved_chats c ON c.id = t.chat_id
+      WHERE c.archived = 0
+      GROUP BY t.tag ORDER BY t.tag
+    `);
+    const archivedRow = await dbGet('SELECT COUNT(*) AS count FROM saved_chats WHERE archived = 1');
+    return { success: true, folders, tags, archivedCount: archivedRow.count };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Rename, move to a folder, tag, pin or archive a chat. Only the given fields change.
+ipcMain.handle('update-chat-meta', async (event, { id, title, folder, tags, pinned, archived }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  if (title !== undefined && !String(title).trim()) {
+    return { success: false, error: 'Title cannot be empty' };
+  }
+  
+  const assignments = [];
+  const params = [];
+  if (title !== undefined) {
+    assignments.push('title = ?');
+    params.push(String(title).trim());
+  }
+  if (folder !== undefined) {
+    assignments.push('folder = ?');
+    params.push(folder && String(folder).trim() ? String(folder).trim() : null);
+  }
+  if (pinned !== undefined) {
+    assignments.push('pinned = ?');
+    params.push(pinned ? 1 : 0);
+  }
+  if (archived !== undefined) {
+    assignments.push('archived = ?');
+    params.push(archived ? 1 : 0);
+  }
+  
+  try {
+    const found = await withTransaction(async () => {
+      const row = await dbGet('SELECT id FROM saved_chats WHERE id = ?', [id]);
+      if (!row) {
+        return false;
+      }
+      
+      if (assignments.length > 0) {
+        await dbRun(`UPDATE saved_chats SET ${assignments.join(', ')} WHERE id = ?`, [...params, id]);
+      }
+      if (tags !== undefined) {
+        await dbRun('DELETE FROM chat_tags WHERE chat_id = ?', [id]);
+        for (const tag of normalizeTags(tags)) {
+          await dbRun('INSERT INTO chat_tags (chat_id, tag) VALUES (?, ?)', [id, tag]);
+        }
+      }
+      return true;
+    });
+    
+    if (!found) {
+      return { success: false, error: 'Chat not found' };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-retention-policy', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const policy = normalizeRetentionPolicy(await getSetting('retentionPolicy', DEFAULT_RETENTION_POLICY));
+    return { success: true, policy };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Saving a policy applies it right away
+ipcMain.handle('set-retention-policy', async (event, policy) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const normalized = normalizeRetentionPolicy(policy);
+    await setSetting('retentionPolicy', normalized);
+    const archived = await applyRetentionPolicy();
+    return { success: true, policy: normalized, archived };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('search-chats', async (event, { query = '', title = '', from = null, to = null, limit = 50 } = {}) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  const matchQuery = buildMatchQuery(query);
+  // Filters shared by content search and plain title/date filtering
+  const conditions = [];
+  const params = [];
+  if (title.trim()) {
+    conditions.push("c.title LIKE ? ESCAPE '\\'");
+    params.push('%' + title.trim().replace(/[\\%_]/g, '\\$&') + '%');
+  }
+  if (from) {
+    conditions.push('date(c.created_at) >= date(?)');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(c.created_at) <= date(?)');
+    params.push(to);
+  }
+  
+  try {
+    let rows;
+    if (matchQuery) {
+      // Title matches rank above content matches
+      rows = await dbAll(`
+        SELECT c.id, c.title, c.cwd, c.mcp_profile AS profile, c.created_at, c.archived,
+          snippet(chat_search, -1, ?, ?, '…', 16) AS snippet
+        FROM chat_search JOIN saved_chats c ON c.id = chat_search.rowid
+        WHERE chat_search MATCH ?${conditions.map(condition => ' AND ' + condition).join('')}
+        ORDER BY bm25(chat_search, 5.0, 1.0)
+        LIMIT ?
+      `, [SNIPPET_MARK_START, SNIPPET_MARK_END, matchQuery, ...params, limit]);
+    } else {
+      rows = await dbAll(`
+        SELECT c.id, c.title, c.cwd, c.mcp_profile AS profile, c.created_at, c.archived, NULL AS snippet
+        FROM saved_chats c
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY c.created_at DESC
+        LIMIT ?
+      `, [...params, limit]);
+    }
+    
+    return { success: true, results: rows };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-chat', async (event, chatId) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const row = await dbGet('SELECT * FROM saved_chats WHERE id = ?', [chatId]);
+    if (!row) {
+      return { success: false, error: 'Chat not found' };
+    }
+    
+    const turns = await loadTurns(chatId);
+    return { success: true, content: row.content, title: row.title, cwd: row.cwd || null, profile: row.mcp_profile || null, turns };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-chat', async (event, chatId) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  return new Promise((resolve) => {
+    // Turns and tool events are removed by ON DELETE CASCADE
+    db.run('DELETE FROM saved_chats WHERE id = ?', [chatId], function(err) {
+      if (err) {
+        resolve({ success: false, error: err.message });
+      } else if (this.changes === 0) {
+        resolve({ success: false, error: 'Chat not found' });
+      } else {
+        resolve({ success: true });
+      }
+    });
+  });
+});
+
+ipcMain.handle('update-chat', async (event, { id, content, turns }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const changes = await withTransaction(async () => {
+      const result = await dbRun('UPDATE saved_chats SET content = ?, updated_at = CURRENT_TIMESTAMP, archived = 0 WHERE id = ?', [content, id]);
+      if (result.changes > 0) {
+        await dbRun('DELETE FROM chat_turns WHERE chat_id = ?', [id]);
+        await insertTurns(id, turns || parseTranscriptText(content));
+      }
+      return result.changes;
+    });
+    
+    if (changes === 0) {
+      return { success: false, error: 'Chat not found' };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Autosaved conversations of open tabs, see migration 9. The renderer saves a tab's draft as the
+// conversation goes and deletes it once the chat is saved or the tab is closed, what is left at
+// startup did not survive a crash or restart.
+ipcMain.handle('save-chat-draft', async (event, { id, title, content, cwd, profile, backend, turns }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    await dbRun(`
+      INSERT INTO chat_drafts (id, title, content, turns, cwd, mcp_profile, backend) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET title = excluded.title, content = excluded.content, turns = excluded.turns,
+        cwd = excluded.cwd, mcp_profile = excluded.mcp_profile, backend = excluded.backend, updated_at = CURRENT_TIMESTAMP
+    `, [String(id), title, content, JSON.stringify(turns || []), cwd || null, profile || null, backend || null]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error autosaving conversation:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-chat-draft', async (event, id) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    await dbRun('DELETE FROM chat_drafts WHERE id = ?', [String(id)]);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-chat-drafts', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const rows = await dbAll('SELECT * FROM chat_drafts ORDER BY updated_at DESC');
+    const drafts = rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      cwd: row.cwd,
+      profile: row.mcp_profile,
+      backend: row.backend,
+      turnCount: JSON.parse(row.turns).length,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+    return { success: true, drafts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// A recovered draft becomes a saved chat, the renderer resumes it from there
+ipcMain.handle('recover-chat-draft', async (event, id) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const chat = await withTransaction(async () => {
+      const draft = await dbGet('SELECT * FROM chat_drafts WHERE id = ?', [String(id)]);
+      if (!draft) {
+        return null;
+      }
+      const result = await dbRun(
+        'INSERT INTO saved_chats (title, content, cwd, mcp_profile, created_at, updated_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [draft.title, draft.content, draft.cwd, draft.mcp_profile, draft.created_at]
+      );
+      await insertTurns(result.lastID, JSON.parse(draft.turns));
+      await dbRun('DELETE FROM chat_drafts WHERE id = ?', [draft.id]);
+      return { id: result.lastID, title: draft.title };
+    });
+    
+    if (!chat) {
+      return { success: false, error: 'Draft not found' };
+    }
+    await applyRetentionPolicy();
+    return { success: true, ...chat };
+  } catch (error) {
+    console.error('Error recovering conversation:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// MCP Config Management
+const mcpConfigPath = path.join(os.homedir(), '.aws', 'amazonq', 'mcp.json');
+const mcpProfiles = mcpProfileTools.createProfileStore(path.join(app.getPath('userData'), 'mcp-profiles'));
+const qAgentsDirectory = path.join(os.homedir(), '.aws', 'amazonq', 'cli-agents');
+
+// null is the global mcp.json, anything else a profile managed by the app
+function resolveMcpConfigPath(profile) {
+  return profile ? mcpProfiles.getPath(profile) : mcpConfigPath;
+}
+
+// Stored with the app settings, without the database backups are simply kept
+async function getMcpBackupRetention() {
+  if (await databaseError()) {
+    return mcpBackups.DEFAULT_BACKUP_RETENTION;
+  }
+  return mcpBackups.normalizeBackupRetention(
+    await getSetting('mcpBackupRetention', mcpBackups.DEFAULT_BACKUP_RETENTION)
+  );
+}
+
+async function pruneMcpBackups(configPath) {
+  try {
+    const deleted = mcpBackups.pruneBackups(configPath, await getMcpBackupRetention());
+    if (deleted.length > 0) {
+      console.log(`Deleted ${deleted.length} old MCP config backup(s)`);
+    }
+    return deleted;
+  } catch (error) {
+    console.error('Failed to prune MCP config backups:', error);
+    return [];
+  }
+}
+
+// Tokens referenced as ${env:NAME} in mcp.json, decrypted only for the q chat environment
+const secretStore = createSecretStore({
+  filePath: path.join(app.getPath('userData'), 'secrets.json'),
+  safeStorage
+});
+
+function getSecretEnv() {
+  try {
+    return secretStore.getAll();
+  } catch (error) {
+    console.error('Could not read stored secrets:', error.message);
+    return {};
+  }
+}
+
+function readMcpConfigFile(configPath) {
+  return fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+}
+
+function parseJsonOrEmpty(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+// What the renderer, copies and backups get: plain-text secrets and stored secret values masked
+function redactMcpConfigText(text) {
+  let redacted = mcpSecrets.maskSecretsInText(text);
+  Object.values(getSecretEnv()).forEach(value => {
+    if (value.length >= 4) {
+      redacted = redacted.split(JSON.stringify(value).slice(1, -1)).join(mcpSecrets.SECRET_MASK);
+    }
+  });
+  return redacted;
+}
+
+// Masked values coming back from the editor get their real value from the file on disk.
+// Returns { content, config, unresolved }, content is only reformatted when something was put back.
+function unmaskMcpConfigText(text, configPath) {
+  const { config, errors } = parseMcpConfig(text);
+  if (!config) {
+    return { content: text, config: null, errors, unresolved: [] };
+  }
+  const restored = mcpSecrets.unmaskSecrets(config, parseJsonOrEmpty(readMcpConfigFile(configPath)));
+  return {
+    content: restored.unmasked > 0 ? JSON.stringify(restored.config, null, 2) : text,
+    config: restored.config,
+    errors,
+    unresolved: restored.unresolved
+  };
+}
+
+function unresolvedSecretsError(unresolved) {
+  return 'These values are masked and have no saved value to keep, enter them again or use a ${env:NAME} secret:\n' +
+    unresolved.map(formatErrorPath).join('\n');
+}
+
+ipcMain.handle('get-mcp-config', async (event, profile = null) => {
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    const content = fs.readFileSync(configPath, 'utf8');
+    return { success: true, content: redactMcpConfigText(content), path: configPath, profile };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-mcp-config', async (event, content, profile = null) => {
+  // Q refuses to start with a broken config, so never write one
+  const { errors } = parseMcpConfig(content);
+  if (errors.length > 0) {
+    return { success: false, error: 'Invalid MCP config:\n' + formatErrors(errors), errors };
+  }
+  
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    const unmasked = unmaskMcpConfigText(content, configPath);
+    if (unmasked.unresolved.length > 0) {
+      return { success: false, error: unresolvedSecretsError(unmasked.unresolved) };
+    }
+    
+    const backupPath = mcpBackups.createBackup(configPath, { redact: redactMcpConfigText });
+    
+    // Save new content
+    fs.writeFileSync(configPath, unmasked.content, 'utf8');
+    await pruneMcpBackups(configPath);
+    return { success: true, backupPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Launch every server like Q would and run the MCP handshake, the editor may pass unsaved content
+ipcMain.handle('test-mcp-servers', async (event, content, profile = null) => {
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    const text = typeof content === 'string' ? content : fs.readFileSync(configPath, 'utf8');
+    const { config, errors, unresolved } = unmaskMcpConfigText(text, configPath);
+    if (errors.length > 0) {
+      return { success: false, error: 'Invalid MCP config:\n' + formatErrors(errors), errors };
+    }
+    if (unresolved.length > 0) {
+      return { success: false, error: unresolvedSecretsError(unresolved) };
+    }
+    
+    // Servers get the same secrets Q would pass on to them
+    const userHome = os.homedir();
+    const results = await mcpHealth.checkServers(config, {
+      cwd: userHome,
+      env: { ...process.env, ...getSecretEnv(), HOME: userHome, PATH: buildMcpServerPath(userHome) },
+      clientInfo: { name: 'classic-q-interface', version: app.getVersion() }
+    });
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-mcp-backups', async (event, profile = null) => {
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    const current = readMcpConfigFile(configPath);
+    return {
+      success: true,
+      backups: mcpBackups.listBackups(configPath),
+      current: current === null ? null : redactMcpConfigText(current)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('read-mcp-backup', async (event, name, profile = null) => {
+  try {
+    // Backups made before secrets were redacted may still contain them
+    return { success: true, content: redactMcpConfigText(mcpBackups.readBackup(resolveMcpConfigPath(profile), name)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-mcp-backup', async (event, name, profile = null) => {
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    // Like saving, never write a masked value Q would start with
+    const { backupPath, content } = mcpBackups.restoreBackup(configPath, name, {
+      redact: redactMcpConfigText,
+      prepare: (saved) => {
+        const unmasked = unmaskMcpConfigText(saved, configPath);
+        if (unmasked.unresolved.length > 0) {
+          throw new Error(unresolvedSecretsError(unmasked.unresolved));
+        }
+        return unmasked.content;
+      }
+    });
+    await pruneMcpBackups(configPath);
+    return { success: true, backupPath, content: redactMcpConfigText(content) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-mcp-backup-retention', async () => {
+  try {
+    return { success: true, policy: await getMcpBackupRetention() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Saving a policy applies it right away
+ipcMain.handle('set-mcp-backup-retention', async (event, policy) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const normalized = mcpBackups.normalizeBackupRetention(policy);
+    await setSetting('mcpBackupRetention', normalized);
+    // The policy covers the global config and every profile
+    let deleted = 0;
+    for (const configPath of [mcpConfigPath, ...mcpProfiles.list().map(name => mcpProfiles.getPath(name))]) {
+      deleted += (await pruneMcpBackups(configPath)).length;
+    }
+    return { success: true, policy: normalized, deleted };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Secret store: names and status only, values never go back to the renderer
+ipcMain.handle('get-secrets-status', async (event, profile = null) => {
+  try {
+    const names = secretStore.listNames();
+    const config = parseJsonOrEmpty(readMcpConfigFile(resolveMcpConfigPath(profile)));
+    const referenced = mcpSecrets.placeholderNames(config);
+    return {
+      success: true,
+      available: secretStore.isAvailable(),
+      names,
+      referenced,
+      missing: referenced.filter(name => !names.includes(name) && process.env[name] === undefined),
+      plainText: mcpSecrets.findPlainTextSecrets(config).map(formatErrorPath)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-secret', async (event, { name, value }) => {
+  try {
+    secretStore.set(name, value);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-secret', async (event, name) => {
+  try {
+    if (!secretStore.remove(name)) {
+      return { success: false, error: 'Secret not found' };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Move plain-text env values of sensitive keys from mcp.json into the store, leaving ${env:NAME} behind
+ipcMain.handle('move-mcp-secrets-to-store', async (event, profile = null) => {
+  try {
+    const configPath = resolveMcpConfigPath(profile);
+    const config = JSON.parse(readMcpConfigFile(configPath) || '{}');
+    const paths = mcpSecrets.findPlainTextSecrets(config)
+      .filter(secretPath => secretPath.length === 4 && secretPath[0] === 'mcpServers' && secretPath[2] === 'env');
+    if (paths.length === 0) {
+      return { success: true, moved: [] };
+    }
+    
+    const stored = secretStore.getAll();
+    const moved = [];
+    paths.forEach(([, server, , key]) => {
+      const value = config.mcpServers[server].env[key];
+      // Same key in two servers with different values gets the server name in front
+      const toSecretName = (text) => text.toUpperCase().replace(/[^A-Z0-9_]/g, '_').replace(/^(?=\d)/, '_');
+      const taken = (candidate) => stored[candidate] !== undefined && stored[candidate] !== value;
+      let name = toSecretName(key);
+      if (taken(name)) {
+        name = toSecretName(`${server}_${key}`);
+        for (let i = 2; taken(name); i++) {
+          name = toSecretName(`${server}_${key}_${i}`);
+        }
+      }
+      if (stored[name] === undefined) {
+        secretStore.set(name, value);
+        stored[name] = value;
+      }
+      config.mcpServers[server].env[key] = mcpSecrets.secretPlaceholder(name);
+      moved.push({ path: formatErrorPath(['mcpServers', server, 'env', key]), name });
+    });
+    
+    const backupPath = mcpBackups.createBackup(configPath, { redact: redactMcpConfigText });
+    const content = JSON.stringify(config, null, 2);
+    fs.writeFileSync(configPath, content, 'utf8');
+    await pruneMcpBackups(configPath);
+    return { success: true, moved, backupPath, content: redactMcpConfigText(content) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// MCP profiles: named server sets picked when a session starts
+// Profile servers plus the workspace servers of the project, written as the session's agent file
+function writeMcpProfileAgent(sessionId, profile, cwd) {
+  const configPath = resolveMcpConfigPath(profile);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`MCP profile "${profile}" does not exist`);
+  }
+  const { config, errors } = parseMcpConfig(fs.readFileSync(configPath, 'utf8'));
+  if (errors.length > 0) {
+    throw new Error(`MCP profile "${profile}" is not valid:\n${formatErrors(errors)}`);
+  }
+  
+  let workspace;
+  try {
+    workspace = mcpProfileTools.readWorkspaceConfig(cwd);
+  } catch (error) {
+    throw new Error(`Workspace MCP config ${mcpProfileTools.workspaceConfigPath(cwd)} is not valid JSON: ${error.message}`);
+  }
+  
+  return mcpProfileTools.writeSessionAgent({
+    agentsDirectory: qAgentsDirectory,
+    sessionId,
+    profileName: profile,
+    mcpServers: mcpProfileTools.mergeMcpServers(config, workspace && workspace.config)
+  });
+}
+
+ipcMain.handle('list-mcp-profiles', async () => {
+  try {
+    const profiles = mcpProfiles.list().map(name => {
+      const { config } = parseMcpConfig(readMcpConfigFile(mcpProfiles.getPath(name)) || '');
+      const servers = config && config.mcpServers ? Object.keys(config.mcpServers) : [];
+      return { name, servers, valid: Boolean(config) };
+    });
+    return { success: true, profiles };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// from: 'empty', 'global' (a copy of mcp.json) or the name of another profile
+ipcMain.handle('create-mcp-profile', async (event, { name, from = 'empty' }) => {
+  try {
+    let content = JSON.stringify({ mcpServers: {} }, null, 2);
+    if (from === 'global') {
+      content = readMcpConfigFile(mcpConfigPath) || content;
+    } else if (from !== 'empty') {
+      content = fs.readFileSync(resolveMcpConfigPath(from), 'utf8');
+    }
+    mcpProfiles.create(name, content);
+    return { success: true, name };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Running sessions keep their agent file, only new sessions lose the profile
+ipcMain.handle('delete-mcp-profile', async (event, name) => {
+  try {
+    if (!mcpProfiles.remove(name)) {
+      return { success: false, error: `Profile "${name}" does not exist` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// <project>/.amazonq/mcp.json, shown in the new session dialog
+ipcMain.handle('get-workspace-mcp-config', async (event, cwd) => {
+  try {
+    const workspace = mcpProfileTools.readWorkspaceConfig(cwd);
+    if (!workspace) {
+      return { success: true, found: false };
+    }
+    const servers = workspace.config && workspace.config.mcpServers ? Object.keys(workspace.config.mcpServers) : [];
+    return { success: true, found: true, path: workspace.path, servers };
+  } catch (error) {
+    return { success: false, found: true, path: mcpProfileTools.workspaceConfigPath(cwd), error: error.message };
+  }
+});
+
+// Prompt Library, see src/shared/prompts.js
+// Built-in templates come back when they are missing, e.g. in a new database
+async function addBuiltinPrompts() {
+  for (const template of promptLibrary.BUILTIN_TEMPLATES) {
+    await dbRun(
+      'INSERT OR IGNORE INTO prompt_templates (name, description, body) VALUES (?, ?, ?)',
+      [template.name, template.description, template.body]
+    );
+  }
+}
+
+function promptTemplateEntry(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    body: row.body,
+    builtin: Boolean(promptLibrary.getBuiltinTemplate(row.name)),
+    updatedAt: row.updated_at
+  };
+}
+
+ipcMain.handle('list-prompt-templates', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const rows = await dbAll('SELECT * FROM prompt_templates ORDER BY name');
+    return { success: true, templates: rows.map(promptTemplateEntry) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Adds a template, or changes the one with this id. Built-in templates keep their name.
+ipcMain.handle('save-prompt-template', async (event, { id, name, description, body }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const template = promptLibrary.validateTemplate({ name, description, body });
+    const savedId = await withTransaction(async () => {
+      const existing = id ? await dbGet('SELECT * FROM prompt_templates WHERE id = ?', [id]) : null;
+      if (id && !existing) {
+        throw new Error('Prompt not found');
+      }
+      if (existing && existing.name !== template.name && promptLibrary.getBuiltinTemplate(existing.name)) {
+        throw new Error(`/${existing.name} is built in and cannot be renamed`);
+      }
+      const sameName = await dbGet('SELECT id FROM prompt_templates WHERE name = ?', [template.name]);
+      if (sameName && sameName.id !== id) {
+        throw new Error(`A prompt named /${template.name} already exists`);
+      }
+      
+      if (existing) {
+        await dbRun(
+          'UPDATE prompt_templates SET name = ?, description = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [template.name, template.description, template.body, id]
+        );
+        return id;
+      }
+      const result = await dbRun(
+        'INSERT INTO prompt_templates (name, description, body) VALUES (?, ?, ?)',
+        [template.name, template.description, template.body]
+      );
+      return result.lastID;
+    });
+    
+    const row = await dbGet('SELECT * FROM prompt_templates WHERE id = ?', [savedId]);
+    return { success: true, template: promptTemplateEntry(row) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-prompt-template', async (event, id) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const row = await dbGet('SELECT name FROM prompt_templates WHERE id = ?', [id]);
+    if (!row) {
+      return { success: false, error: 'Prompt not found' };
+    }
+    if (promptLibrary.getBuiltinTemplate(row.name)) {
+      return { success: false, error: `/${row.name} is built in and cannot be deleted` };
+    }
+    await dbRun('DELETE FROM prompt_templates WHERE id = ?', [id]);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Puts the shipped text back into a built-in template
+ipcMain.handle('reset-prompt-template', async (event, id) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const row = await dbGet('SELECT * FROM prompt_templates WHERE id = ?', [id]);
+    const builtin = row ? promptLibrary.getBuiltinTemplate(row.name) : null;
+    if (!builtin) {
+      return { success: false, error: 'Only built-in prompts can be reset' };
+    }
+    await dbRun(
+      'UPDATE prompt_templates SET description = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [builtin.description, builtin.body, id]
+    );
+    return { success: true, template: promptTemplateEntry({ ...row, description: builtin.description, body: builtin.body }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Saves the templates with these ids (all when none are given) as a file to share
+ipcMain.handle('export-prompt-templates', async (event, ids = null) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const rows = await dbAll('SELECT * FROM prompt_templates ORDER BY name');
+    const templates = Array.isArray(ids) ? rows.filter(row => ids.includes(row.id)) : rows;
+    const savedPath = saveExportFile(`q-prompts-${Date.now()}.json`, promptLibrary.serializeTemplates(templates));
+    return { success: true, filePath: savedPath, count: templates.length };
+  } catch (error) {
+    console.error('Prompt export failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Lets the user pick a prompt library file, returns its templates without importing them
+ipcMain.handle('read-prompt-file', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Prompts',
+      properties: ['openFile'],
+      filters: [{ name: 'Prompt library', extensions: ['json'] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    const templates = promptLibrary.parseTemplateFile(fs.readFileSync(result.filePaths[0], 'utf8'));
+    return { success: true, path: result.filePaths[0], templates };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Templates with a name that is taken replace the existing one when replace is set, otherwise they are skipped
+ipcMain.handle('import-prompt-templates', async (event, { templates, replace = false }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const checked = (templates || []).map(promptLibrary.validateTemplate);
+    const counts = await withTransaction(async () => {
+      const result = { imported: 0, replaced: 0, skipped: 0 };
+      for (const template of checked) {
+        const existing = await dbGet('SELECT id FROM prompt_templates WHERE name = ?', [template.name]);
+        if (existing && !replace) {
+          result.skipped++;
+        } else if (existing) {
+          await dbRun(
+            'UPDATE prompt_templates SET description = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [template.description, template.body, existing.id]
+          );
+          result.replaced++;
+        } else {
+          await dbRun(
+            'INSERT INTO prompt_templates (name, description, body) VALUES (?, ?, ?)',
+            [template.name, template.description, template.body]
+          );
+          result.imported++;
+        }
+      }
+      return result;
+    });
+    return { success: true, ...counts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Agent backends (src/backends), the user's own are saved with the settings.
+// Without a database only the builtin ones can be used.
+async function getCustomBackends() {
+  if (await databaseError()) {
+    return [];
+  }
+  return backends.normalizeCustomBackends(await getSetting('agentBackends', []));
+}
+
+ipcMain.handle('list-agent-backends', async () => {
+  try {
+    const custom = await getCustomBackends();
+    return { success: true, backends: backends.listBackends(custom), custom };
+  } catch (error) {
+    console.error('Error loading agent backends:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-agent-backends', async (event, custom) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+
+  try {
+    const normalized = backends.normalizeCustomBackends(custom);
+    await setSetting('agentBackends', normalized);
+    return { success: true, backends: backends.listBackends(normalized), custom: normalized };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Session recordings (src/recordings), asciicast files of the raw output and input of every
+// session while recording is on. Off by default, what is typed ends up in the files.
+const DEFAULT_RECORDING_SETTINGS = { enabled: false };
+const recordingsDir = path.join(app.getPath('userData'), 'recordings');
+
+async function getRecordingSettings() {
+  if (await databaseError()) {
+    return DEFAULT_RECORDING_SETTINGS;
+  }
+  return { ...DEFAULT_RECORDING_SETTINGS, ...(await getSetting('sessionRecording', {})) };
+}
+
+// Recorder for a session that is starting, null when recording is off or the file cannot be made
+async function startSessionRecorder(backend, cwd, command, size) {
+  if (!(await getRecordingSettings()).enabled) {
+    return null;
+  }
+  try {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(recordingsDir, `${stamp}-${backend.id}-${sessionCounter}.cast`);
+    console.log('Recording session to', filePath);
+    return createRecorder(filePath, {
+      width: size.cols,
+      height: size.rows,
+      title: `${backend.label} in ${cwd}`,
+      command,
+      env: { TERM: 'xterm-256color' },
+      backend: backend.id,
+      cwd
+    });
+  } catch (error) {
+    console.error('Could not start recording the session:', error.message);
+    return null;
+  }
+}
+
+// Plays a recording as a session: its output goes out as q-output events like a live
+// agent's and input is ignored. speed 1 is real time, 0 as fast as possible.
+async function replaySession({ filePath, speed = 1, owner = 'window' }) {
+  const recording = readRecording(filePath);
+  const sessionId = `${Date.now()}-${++sessionCounter}`;
+  const custom = await getCustomBackends();
+  let backend;
+  try {
+    backend = backends.getBackend(recording.header.backend, custom);
+  } catch (error) {
+    backend = backends.getBackend(null, custom); // Recorded with an agent that is gone
+  }
+  const cols = recording.header.width || DEFAULT_TERMINAL_SIZE.cols;
+  const rows = recording.header.height || DEFAULT_TERMINAL_SIZE.rows;
+
+  const player = playRecording(recording, {
+    speed,
+    onOutput: (data) => emitSessionOutput(sessionId, data),
+    onResize: (newCols, newRows) => {
+      const session = sessions.get(sessionId);
+      if (session) {
+        session.parser.resize(newCols, newRows);
+        emitSessionEvent('session-resized', { sessionId, cols: newCols, rows: newRows }, owner);
+      }
+    },
+    onEnd: ({ stopped }) => {
+      endSession(sessionId);
+      emitSessionEvent('session-closed', { sessionId, code: stopped ? null : 0 }, owner);
+    }
+  });
+  sessions.set(sessionId, {
+    process: { kill: () => player.stop() },
+    state: 'ready',
+    type: 'replay',
+    cwd: recording.header.cwd || null,
+    profile: null,
+    backend: backend.id,
+    parser: new OutputParser({ detectors: compileDetectors(backend), cols, rows }),
+    agentPath: null,
+    recorder: null,
+    owner,
+    startedAt: new Date().toISOString(),
+    awaitingApproval: false
+  });
+  return { sessionId, title: recording.header.title || path.basename(filePath), cwd: recording.header.cwd || null, backend: backend.id, cols, rows };
+}
+
+// Only plain file names inside the recordings directory
+function recordingPath(name) {
+  if (typeof name !== 'string' || path.basename(name) !== name || !name.endsWith('.cast')) {
+    throw new Error('Not a recording name');
+  }
+  return path.join(recordingsDir, name);
+}
+
+ipcMain.handle('get-session-recordings', async () => {
+  try {
+    const settings = await getRecordingSettings();
+    const recordings = fs.existsSync(recordingsDir)
+      ? fs.readdirSync(recordingsDir)
+        .filter(name => name.endsWith('.cast'))
+        .map(name => {
+          const stat = fs.statSync(path.join(recordingsDir, name));
+          return { name, filePath: path.join(recordingsDir, name), size: stat.size, modifiedAt: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt))
+      : [];
+    return { success: true, settings, directory: recordingsDir, recordings };
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-session-recording', async (event, enabled) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+
+  try {
+    const settings = { enabled: enabled === true };
+    await setSetting('sessionRecording', settings);
+    return { success: true, settings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-session-recording', async (event, name) => {
+  try {
+    fs.unlinkSync(recordingPath(name));
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('show-session-recording', async (event, name) => {
+  try {
+    if (name) {
+      shell.showItemInFolder(recordingPath(name));
+    } else {
+      fs.mkdirSync(recordingsDir, { recursive: true });
+      const error = await shell.openPath(recordingsDir);
+      if (error) {
+        throw new Error(error);
+      }
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('choose-session-recording', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Replay Recording',
+      defaultPath: fs.existsSync(recordingsDir) ? recordingsDir : os.homedir(),
+      filters: [{ name: 'asciicast recordings', extensions: ['cast'] }, { name: 'All files', extensions: ['*'] }],
+      properties: ['openFile']
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, filePath: result.filePaths[0] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('replay-session-recording', async (event, { filePath, speed }) => {
+  try {
+    return { success: true, ...(await replaySession({ filePath, speed: Number(speed) || 0, owner: 'window' })) };
+  } catch (error) {
+    console.error('Error replaying recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Local API server (src/api/server.js), off until the user turns it on in "🔌 API".
+// While it runs, api-server.json in the user data directory tells scripts its URL and token.
+const DEFAULT_API_SERVER_SETTINGS = { enabled: false, port: 7862, token: null };
+const apiServerInfoPath = path.join(app.getPath('userData'), 'api-server.json');
+let apiServerError = null; // Why the server is not running although it is enabled
+
+function apiSessionInfo(sessionId, session) {
+  return {
+    id: sessionId,
+    owner: session.owner,
+    cwd: session.cwd,
+    profile: session.profile,
+    backend: session.backend,
+    awaitingApproval: session.awaitingApproval,
+    atInputPrompt: session.parser.atInputPrompt,
+    startedAt: session.startedAt
+  };
+}
+
+// The decision is the API client's, not the user's: the audit log and the tab say so
+function answerApprovalFromClient(sessionId, answer) {
+  const session = sessions.get(sessionId);
+  if (session.toolCalls) {
+    session.toolCalls.clientAnswered(answer);
+  }
+  emitSessionEvent('api-approval', { sessionId, answer }, session.owner);
+  writeToSession(session, answer);
+}
+
+const apiServer = createApiServer({
+  listSessions: () => Array.from(sessions, ([sessionId, session]) => apiSessionInfo(sessionId, session)),
+  getSession: (sessionId) => (sessions.has(sessionId) ? apiSessionInfo(sessionId, sessions.get(sessionId)) : null),
+  createSession: async (options) => {
+    const sessionId = await createSession({ ...options, owner: 'api' });
+    return sessions.has(sessionId) ? apiSessionInfo(sessionId, sessions.get(sessionId)) : { id: sessionId };
+  },
+  sendInput: (sessionId, text) => writeToSession(sessions.get(sessionId), text),
+  answerApproval: answerApprovalFromClient,
+  killSession,
+  onSessionEvent: subscribeToSessions
+});
+
+function normalizeApiServerSettings(settings = {}) {
+  const port = Number(settings.port);
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    throw new Error('Port must be a number from 1024 to 65535');
+  }
+  return {
+    enabled: settings.enabled === true,
+    port,
+    token: typeof settings.token === 'string' && settings.token ? settings.token : null
+  };
+}
+
+async function getApiServerSettings() {
+  return normalizeApiServerSettings({ ...DEFAULT_API_SERVER_SETTINGS, ...(await getSetting('apiServer', {})) });
+}
+
+function removeApiServerInfo() {
+  try {
+    fs.rmSync(apiServerInfoPath, { force: true });
+  } catch (error) {
+    console.error('Could not remove API server info:', error.message);
+  }
+}
+
+// Stops the server and starts it again when it is enabled
+async function applyApiServerSettings(settings) {
+  apiServerError = null;
+  removeApiServerInfo();
+  await apiServer.stop();
+  if (!settings.enabled) {
+    return;
+  }
+  
+  try {
+    const url = await apiServer.start({ port: settings.port, token: settings.token });
+    fs.writeFileSync(apiServerInfoPath, JSON.stringify({ url, port: settings.port, token: settings.token, pid: process.pid }, null, 2), { mode: 0o600 });
+    console.log('API server listening on', url);
+  } catch (error) {
+    apiServerError = error.message;
+    console.error('Could not start the API server:', error.message);
+  }
+}
+
+async function startApiServerFromSettings() {
+  if (await databaseError()) {
+    return;
+  }
+  try {
+    await applyApiServerSettings(await getApiServerSettings());
+  } catch (error) {
+    console.error('API server settings are not valid:', error.message);
+  }
+}
+
+function apiServerResult(settings) {
+  return {
+    success: true,
+    settings,
+    status: { ...apiServer.status(), error: apiServerError },
+    infoPath: apiServerInfoPath
+  };
+}
+
+ipcMain.handle('get-api-server', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    return apiServerResult(await getApiServerSettings());
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// { enabled, port }, the token is made the first time the server is turned on
+ipcMain.handle('set-api-server', async (event, { enabled, port }) => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const current = await getApiServerSettings();
+    const settings = normalizeApiServerSettings({ enabled, port, token: current.token || generateToken() });
+    await setSetting('apiServer', settings);
+    await applyApiServerSettings(settings);
+    return apiServerResult(settings);
+  } catch (error) {
+    console.error('Error saving API server settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Clients with the old token are disconnected
+ipcMain.handle('regenerate-api-token', async () => {
+  const unavailable = await databaseError();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+  
+  try {
+    const settings = { ...(await getApiServerSettings()), token: generateToken() };
+    await setSetting('apiServer', settings);
+    await applyApiServerSettings(settings);
+    return apiServerResult(settings);
+  } catch (error) {
+    console.error('Error regenerating API token:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Project Directory Selection
+ipcMain.handle('select-directory', async (event, defaultPath) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose Project Directory',
+      defaultPath: defaultPath || os.homedir(),
+      properties: ['openDirectory']
+    });
+    
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, path: result.filePaths[0] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
 // File System Operations
-ipcMain.handle('read-file', async (event, filePath) => {
+ipcMain.handle('read-file', async (event, requestedPath, baseDir) => {
   try {
+    const filePath = resolveUserPath(requestedPath, baseDir);
     const stats = fs.statSync(filePath);
     if (stats.isDirectory()) {
       const files = fs.readdirSync(filePath).map(name => {
@@ -653,9 +2509,9 @@ ipcMain.handle('read-file', async (event, filePath) => {
   }
 });
 
-ipcMain.handle('open-file-external', async (event, filePath) => {
+ipcMain.handle('open-file-external', async (event, filePath, baseDir) => {
   try {
-    await shell.openPath(filePath);
+    await shell.openPath(resolveUserPath(filePath, baseDir));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -698,6 +2554,65 @@ ipcMain.handle('close-app', async () => {
   }
 });
 
+// Write an export to the first location that works (Downloads, Documents, ./exports, temp),
+// adding a counter to the name instead of overwriting. Returns the saved path.
+function saveExportFile(filename, data) {
+  // Sanitize filename
+  const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+  console.log('Sanitized filename:', sanitizedFilename);
+  
+  // Try multiple save locations in order of preference
+  const saveLocations = [
+    path.join(os.homedir(), 'Downloads'),
+    path.join(os.homedir(), 'Documents'),
+    path.join(process.cwd(), 'exports'),
+    os.tmpdir()
+  ];
+  
+  let saveError = null;
+  
+  for (const location of saveLocations) {
+    try {
+      // Ensure directory exists
+      if (!fs.existsSync(location)) {
+        fs.mkdirSync(location, { recursive: true });
+      }
+      
+      const filePath = path.join(location, sanitizedFilename);
+      console.log('Attempting to save to:', filePath);
+      
+      // Check if file already exists and create unique name
+      let finalPath = filePath;
+      let counter = 1;
+      while (fs.existsSync(finalPath)) {
+        const ext = path.extname(sanitizedFilename);
+        const name = path.basename(sanitizedFilename, ext);
+        finalPath = path.join(location, `${name}_${counter}${ext}`);
+        counter++;
+      }
+      
+      // Write file, strings as UTF-8 and Buffers (PDF) as is
+      fs.writeFileSync(finalPath, data, { encoding: typeof data === 'string' ? 'utf8' : null, mode: 0o644 });
+      
+      // Verify file was written correctly
+      const stats = fs.statSync(finalPath);
+      if (stats.size === 0) {
+        throw new Error('File was created but is empty');
+      }
+      
+      console.log('Export saved successfully:', finalPath, 'Size:', stats.size);
+      return finalPath;
+      
+    } catch (locationError) {
+      console.warn(`Failed to save to ${location}:`, locationError.message);
+      saveError = locationError;
+      continue;
+    }
+  }
+  
+  throw new Error(`Failed to save to any location. Last error: ${saveError?.message || 'Unknown error'}`);
+}
+
 // Report Export Handler
 ipcMain.handle('save-report', async (event, filename, htmlContent) => {
   const maxRetries = 3;
@@ -716,64 +2631,7 @@ ipcMain.handle('save-report', async (event, filename, htmlContent) => {
         throw new Error('Invalid HTML content provided');
       }
       
-      // Sanitize filename
-      const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
-      console.log('Sanitized filename:', sanitizedFilename);
-      
-      // Try multiple save locations in order of preference
-      const saveLocations = [
-        path.join(os.homedir(), 'Downloads'),
-        path.join(os.homedir(), 'Documents'),
-        path.join(process.cwd(), 'exports'),
-        os.tmpdir()
-      ];
-      
-      let savedPath = null;
-      let saveError = null;
-      
-      for (const location of saveLocations) {
-        try {
-          // Ensure directory exists
-          if (!fs.existsSync(location)) {
-            fs.mkdirSync(location, { recursive: true });
-          }
-          
-          const filePath = path.join(location, sanitizedFilename);
-          console.log('Attempting to save to:', filePath);
-          
-          // Check if file already exists and create unique name
-          let finalPath = filePath;
-          let counter = 1;
-          while (fs.existsSync(finalPath)) {
-            const ext = path.extname(sanitizedFilename);
-            const name = path.basename(sanitizedFilename, ext);
-            finalPath = path.join(location, `${name}_${counter}${ext}`);
-            counter++;
-          }
-          
-          // Write file with proper encoding
-          fs.writeFileSync(finalPath, htmlContent, { encoding: 'utf8', mode: 0o644 });
-          
-          // Verify file was written correctly
-          const stats = fs.statSync(finalPath);
-          if (stats.size === 0) {
-            throw new Error('File was created but is empty');
-          }
-          
-          console.log('Report saved successfully:', finalPath, 'Size:', stats.size);
-          savedPath = finalPath;
-          break;
-          
-        } catch (locationError) {
-          console.warn(`Failed to save to ${location}:`, locationError.message);
-          saveError = locationError;
-          continue;
-        }
-      }
-      
-      if (!savedPath) {
-        throw new Error(`Failed to save to any location. Last error: ${saveError?.message || 'Unknown error'}`);
-      }
+      const savedPath = saveExportFile(filename, htmlContent);
       
       return { 
         success: true, 
@@ -799,11 +2657,92 @@ ipcMain.handle('save-report', async (event, filename, htmlContent) => {
   };
 });
 
+// Chat Export
+ipcMain.handle('get-export-formats', async () => {
+  return exporters.listFormats();
+});
+
+ipcMain.handle('export-chat', async (event, { format, chat }) => {
+  try {
+    const exporter = exporters.getExporter(format);
+    if (!exporter) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    const data = await exporters.renderChat(format, chat || {});
+    const savedPath = saveExportFile(`q-cli-chat-${Date.now()}.${exporter.extension}`, data);
+    
+    return { 
+      success: true, 
+      filePath: savedPath,
+      size: fs.statSync(savedPath).size
+    };
+  } catch (error) {
+    console.error('Chat export failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // App lifecycle - proper Electron pattern
 app.whenReady().then(() => {
+  if (headlessOptions) {
+    runHeadless();
+    return;
+  }
+  mcpProfileTools.removeStaleSessionAgents(qAgentsDirectory);
   createWindow();
+  startApiServerFromSettings();
+});
+
+app.on('will-quit', () => {
+  if (!headlessOptions) {
+    removeApiServerInfo();
+  }
 });
 
+// Runs the prompt script from the command line and quits with its exit code.
+// Stale agent files are left alone, the app may be running next to us.
+async function runHeadless() {
+  if (process.platform === 'darwin' && app.dock) {
+    app.dock.hide();
+  }
+  let run = null;
+  const stop = () => {
+    if (run) run.cancel('Interrupted');
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  const code = await headless.main(headlessOptions, {
+    createSession: (options) => createSession({ ...options, owner: 'headless' }),
+    sendInput: (sessionId, input) => {
+      const session = sessions.get(sessionId);
+      if (!session || !session.process) {
+        throw new Error('Session not found');
+      }
+      writeToSession(session, input);
+    },
+    closeSession: killSession,
+    onSessionEvent: subscribeToSessions,
+    getApprovalRules: async () => {
+      try {
+        return await getApprovalRules();
+      } catch (error) {
+        console.error('Saved approval rules are not valid, none are used:', error.message);
+        return [];
+      }
+    },
+    resolvePath: resolveUserPath,
+    recordToolCalls,
+    getBackend: async (id) => backends.getBackend(id, await getCustomBackends()),
+    replaySession: async (filePath) => (await replaySession({ filePath, speed: 0, owner: 'headless' })).sessionId,
+    onStart: (started) => {
+      run = started;
+    }
+  });
+  app.exit(code);
+}
+
 app.on('window-all-closed', () => {
   // Kill all Q processes
   sessions.forEach(session => {
@@ -814,6 +2753,7 @@ app.on('window-all-closed', () => {
         console.error('Error killing session:', error);
       }
     }
+    mcpProfileTools.removeSessionAgent(session.agentPath);
   });
   sessions.clear();
   
@@ -822,7 +2762,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
+  if (!headlessOptions && BrowserWindow.getAllWindows().length === 0) {
     createWindow();
   }
 });
@@ -0,0 +1,105 @@
+// Backups of mcp.json. Every save copies the current file to mcp.json.backup.<ms timestamp>
+// next to it, with plain-text secrets redacted by the caller. Backups can be listed, read,
+// restored and pruned by a retention policy.
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_PATTERN = /^(.+)\.backup\.(\d+)$/;
+
+// Both rules are off unless configured, so existing backups are kept as before
+const DEFAULT_BACKUP_RETENTION = { keepLast: null, maxAgeDays: null };
+
+function normalizeBackupRetention(policy = {}) {
+  const positiveInt = (value) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  };
+  return {
+    keepLast: positiveInt(policy.keepLast),
+    maxAgeDays: positiveInt(policy.maxAgeDays)
+  };
+}
+
+// Copy the current config aside, returns the backup path or null when there is no config yet.
+// redact(content) may change what is written, e.g. to leave out secrets.
+function createBackup(configPath, { now = Date.now(), redact = null } = {}) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  let backupPath = `${configPath}.backup.${now}`;
+  for (let time = now + 1; fs.existsSync(backupPath); time++) {
+    backupPath = `${configPath}.backup.${time}`; // Two saves in the same millisecond
+  }
+  const content = fs.readFileSync(configPath, 'utf8');
+  fs.writeFileSync(backupPath, redact ? redact(content) : content, 'utf8');
+  return backupPath;
+}
+
+// Newest first: [{ name, path, createdAt, size }]
+function listBackups(configPath) {
+  const directory = path.dirname(configPath);
+  const configName = path.basename(configPath);
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .map(name => ({ name, match: name.match(BACKUP_PATTERN) }))
+    .filter(({ match }) => match && match[1] === configName)
+    .map(({ name, match }) => {
+      const backupPath = path.join(directory, name);
+      return {
+        name,
+        path: backupPath,
+        createdAt: new Date(Number(match[2])).toISOString(),
+        size: fs.statSync(backupPath).size
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+}
+
+// Backups are picked by file name, anything that is not one of ours is refused
+function resolveBackup(configPath, name) {
+  const backup = listBackups(configPath).find(entry => entry.name === name);
+  if (!backup) {
+    throw new Error(`Backup not found: ${name}`);
+  }
+  return backup;
+}
+
+function readBackup(configPath, name) {
+  return fs.readFileSync(resolveBackup(configPath, name).path, 'utf8');
+}
+
+// The current config is backed up before it is replaced, so a restore can be undone.
+// prepare(content) turns the backup into what is written, e.g. to put redacted secrets back.
+function restoreBackup(configPath, name, { now = Date.now(), redact = null, prepare = null } = {}) {
+  const backup = resolveBackup(configPath, name);
+  const saved = fs.readFileSync(backup.path, 'utf8');
+  const content = prepare ? prepare(saved) : saved;
+  const backupPath = createBackup(configPath, { now, redact });
+  fs.writeFileSync(configPath, content, 'utf8');
+  return { backupPath, content };
+}
+
+// Deletes backups beyond the newest keepLast or older than maxAgeDays, returns the deleted names
+function pruneBackups(configPath, policy, now = Date.now()) {
+  const { keepLast, maxAgeDays } = normalizeBackupRetention(policy);
+  const cutoff = maxAgeDays ? now - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const expired = listBackups(configPath).filter((backup, index) =>
+    (keepLast && index >= keepLast) || (cutoff && Date.parse(backup.createdAt) < cutoff)
+  );
+  expired.forEach(backup => fs.unlinkSync(backup.path));
+  return expired.map(backup => backup.name);
+}
+
+module.exports = {
+  DEFAULT_BACKUP_RETENTION,
+  normalizeBackupRetention,
+  createBackup,
+  listBackups,
+  readBackup,
+  restoreBackup,
+  pruneBackups
+};
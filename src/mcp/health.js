@@ -0,0 +1,152 @@
+// Health check for the servers in mcp.json. Each server is launched the way Q launches it
+// (command, args, env over stdio), then the MCP initialize handshake and tools/list are run.
+//
+// Result: { name, status: 'ok' | 'error' | 'timeout' | 'disabled', latencyMs, serverInfo,
+//           tools: [{ name, description }], stderr, error, exitCode }
+const { spawn: spawnProcess } = require('child_process');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_STDERR_LENGTH = 8192;
+const MAX_TOOL_PAGES = 10;
+
+// Q expands "${env:NAME}" in env values from its own environment, secrets included
+function expandEnv(serverEnv, env) {
+  const expanded = {};
+  Object.keys(serverEnv).forEach(key => {
+    expanded[key] = String(serverEnv[key]).replace(/\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => env[name] || '');
+  });
+  return expanded;
+}
+
+function checkServer(name, server, { env = process.env, cwd, timeoutMs, spawn = spawnProcess, clientInfo } = {}) {
+  const result = { name, status: 'error', latencyMs: null, serverInfo: null, tools: [], stderr: '', error: null, exitCode: null };
+
+  if (server.disabled === true) {
+    return Promise.resolve({ ...result, status: 'disabled' });
+  }
+
+  return new Promise((resolve) => {
+    let child;
+    let finished = false;
+    let stdout = '';
+    let nextId = 1;
+    const pending = new Map(); // JSON-RPC id -> { resolve, reject }
+
+    const finish = (status, error = null) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      result.status = status;
+      result.error = error;
+      pending.forEach(request => request.reject(new Error(error || 'Server stopped')));
+      pending.clear();
+      if (child && child.exitCode === null && !child.killed) {
+        child.kill();
+      }
+      resolve(result);
+    };
+
+    const limit = timeoutMs || DEFAULT_TIMEOUT_MS;
+    const timer = setTimeout(() => finish('timeout', `No answer within ${limit} ms`), limit);
+
+    const send = (message) => child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+    const request = (method, params) => new Promise((resolveRequest, rejectRequest) => {
+      const id = nextId++;
+      pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+      send({ id, method, params });
+    });
+
+    // stdio transport: one JSON-RPC message per line, anything else on stdout is ignored
+    const handleLine = (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      if (message.id === undefined || !pending.has(message.id)) {
+        return; // Notification or a request from the server
+      }
+      const { resolve: resolveRequest, reject: rejectRequest } = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) {
+        rejectRequest(new Error(`${message.error.message || 'Error'} (code ${message.error.code})`));
+      } else {
+        resolveRequest(message.result || {});
+      }
+    };
+
+    try {
+      child = spawn(server.command, Array.isArray(server.args) ? server.args : [], {
+        cwd,
+        env: { ...env, ...expandEnv(server.env || {}, env) },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: process.platform === 'win32' // npx, uvx etc. are .cmd files on Windows
+      });
+    } catch (error) {
+      finish('error', error.message);
+      return;
+    }
+
+    child.on('error', (error) => {
+      finish('error', error.code === 'ENOENT' ? `Command not found: ${server.command}` : error.message);
+    });
+    // 'close' comes after the last stdout data, so a reply written right before exiting is not lost
+    child.on('close', (code, signal) => {
+      if (finished) return;
+      result.exitCode = code;
+      finish('error', `Server exited before answering (${code !== null ? `exit code ${code}` : `signal ${signal}`})`);
+    });
+    child.stdin.on('error', () => {}); // Exit is reported above
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+      let newline;
+      while ((newline = stdout.indexOf('\n')) !== -1) {
+        const line = stdout.slice(0, newline).trim();
+        stdout = stdout.slice(newline + 1);
+        if (line) handleLine(line);
+      }
+    });
+    child.stderr.on('data', (data) => {
+      if (result.stderr.length < MAX_STDERR_LENGTH) {
+        result.stderr = (result.stderr + data.toString()).slice(0, MAX_STDERR_LENGTH);
+      }
+    });
+
+    (async () => {
+      const startedAt = Date.now();
+      const initialized = await request('initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: clientInfo || { name: 'classic-q-interface', version: '1.0.0' }
+      });
+      result.latencyMs = Date.now() - startedAt;
+      result.serverInfo = initialized.serverInfo || null;
+      send({ method: 'notifications/initialized' });
+
+      let cursor;
+      for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+        const listed = await request('tools/list', cursor ? { cursor } : {});
+        (listed.tools || []).forEach(tool => {
+          result.tools.push({ name: tool.name, description: tool.description || '' });
+        });
+        cursor = listed.nextCursor;
+        if (!cursor) break;
+      }
+      finish('ok');
+    })().catch(error => finish('error', error.message));
+  });
+}
+
+// Checks all servers of a parsed mcp.json side by side, in config order
+function checkServers(config, options = {}) {
+  const servers = (config && config.mcpServers) || {};
+  return Promise.all(Object.keys(servers).map(name => checkServer(name, servers[name], {
+    ...options,
+    timeoutMs: options.timeoutMs || servers[name].timeout
+  })));
+}
+
+module.exports = { checkServer, checkServers, PROTOCOL_VERSION };
@@ -0,0 +1,138 @@
+// Named MCP profiles managed by the app, e.g. "Jira+Confluence" or "no Docker".
+// Each profile is an mcp.json-style file in <userData>/mcp-profiles. A session started with
+// a profile gets it as a Q agent file that exists only while the session runs, merged with
+// the workspace config (<project>/.amazonq/mcp.json) of the session's project directory.
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_NAME_PATTERN = /^[\w][\w .+\-]{0,63}$/;
+const SESSION_AGENT_PREFIX = 'classic-q-session-';
+
+function validateProfileName(name) {
+  if (!PROFILE_NAME_PATTERN.test(name || '') || name !== name.trim()) {
+    throw new Error(`"${name}" is not a valid profile name, use up to 64 letters, digits, spaces and . + - _`);
+  }
+}
+
+function createProfileStore(directory) {
+  const fileName = (name) => encodeURIComponent(name) + '.json';
+
+  function getPath(name) {
+    validateProfileName(name);
+    return path.join(directory, fileName(name));
+  }
+
+  function exists(name) {
+    return fs.existsSync(getPath(name));
+  }
+
+  // Sorted names, backups of profile files are skipped
+  function list() {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  function create(name, content) {
+    const profilePath = getPath(name);
+    if (fs.existsSync(profilePath)) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(profilePath, content, 'utf8');
+    return profilePath;
+  }
+
+  // Removes the profile together with its backups
+  function remove(name) {
+    const profilePath = getPath(name);
+    if (!fs.existsSync(profilePath)) {
+      return false;
+    }
+    const prefix = path.basename(profilePath) + '.backup.';
+    fs.readdirSync(directory)
+      .filter(file => file.startsWith(prefix))
+      .forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.unlinkSync(profilePath);
+    return true;
+  }
+
+  return { getPath, exists, list, create, remove };
+}
+
+function workspaceConfigPath(cwd) {
+  return path.join(cwd, '.amazonq', 'mcp.json');
+}
+
+// Parsed workspace config of a project directory, null when there is none
+function readWorkspaceConfig(cwd) {
+  if (!cwd) {
+    return null;
+  }
+  const configPath = workspaceConfigPath(cwd);
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { path: configPath, config };
+}
+
+// Workspace servers win over profile servers with the same name, like Q does with the global config
+function mergeMcpServers(profileConfig, workspaceConfig) {
+  return {
+    ...((profileConfig && profileConfig.mcpServers) || {}),
+    ...((workspaceConfig && workspaceConfig.mcpServers) || {})
+  };
+}
+
+// Writes the agent file Q loads with `q chat --agent <name>`, returns { agentName, agentPath }
+function writeSessionAgent({ agentsDirectory, sessionId, profileName, mcpServers }) {
+  const agentName = SESSION_AGENT_PREFIX + sessionId;
+  const agentPath = path.join(agentsDirectory, agentName + '.json');
+  const agent = {
+    name: agentName,
+    description: `Classic Q session with MCP profile "${profileName}"`,
+    mcpServers,
+    tools: ['*'],
+    resources: ['file://AmazonQ.md', 'file://README.md', 'file://.amazonq/rules/**/*.md'],
+    useLegacyMcpJson: false // Only the profile's servers, not the global mcp.json
+  };
+  fs.mkdirSync(agentsDirectory, { recursive: true });
+  fs.writeFileSync(agentPath, JSON.stringify(agent, null, 2), { encoding: 'utf8', mode: 0o600 });
+  return { agentName, agentPath };
+}
+
+function removeSessionAgent(agentPath) {
+  try {
+    if (agentPath && fs.existsSync(agentPath)) {
+      fs.unlinkSync(agentPath);
+    }
+  } catch (error) {
+    console.error('Could not remove session agent file:', error.message);
+  }
+}
+
+// Agent files left behind when the app was killed
+function removeStaleSessionAgents(agentsDirectory) {
+  if (!fs.existsSync(agentsDirectory)) {
+    return;
+  }
+  fs.readdirSync(agentsDirectory)
+    .filter(file => file.startsWith(SESSION_AGENT_PREFIX) && file.endsWith('.json'))
+    .forEach(file => removeSessionAgent(path.join(agentsDirectory, file)));
+}
+
+module.exports = {
+  validateProfileName,
+  createProfileStore,
+  workspaceConfigPath,
+  readWorkspaceConfig,
+  mergeMcpServers,
+  writeSessionAgent,
+  removeSessionAgent,
+  removeStaleSessionAgents
+};
@@ -0,0 +1,84 @@
+// Secret store for MCP tokens and passwords, encrypted with Electron safeStorage
+// (Keychain on macOS, DPAPI on Windows, the desktop keyring on Linux).
+// The file only holds encrypted values: { version: 1, secrets: { NAME: base64 } }.
+// Values are decrypted in the main process and never sent to the renderer.
+const fs = require('fs');
+const { SECRET_NAME_PATTERN } = require('../shared/secrets');
+
+function createSecretStore({ filePath, safeStorage }) {
+  function read() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data.secrets || {};
+  }
+
+  function write(secrets) {
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, secrets }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  function isAvailable() {
+    return Boolean(safeStorage) && safeStorage.isEncryptionAvailable();
+  }
+
+  function requireAvailable() {
+    if (!isAvailable()) {
+      throw new Error('Secure storage is not available on this system (no keychain or keyring found)');
+    }
+  }
+
+  function listNames() {
+    return Object.keys(read()).sort();
+  }
+
+  function set(name, value) {
+    if (!SECRET_NAME_PATTERN.test(name || '')) {
+      throw new Error(`"${name}" is not a valid secret name, use letters, digits and _ like JIRA_PERSONAL_TOKEN`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw new Error('Secret value must not be empty');
+    }
+    requireAvailable();
+    const secrets = read();
+    secrets[name] = safeStorage.encryptString(value).toString('base64');
+    write(secrets);
+  }
+
+  function remove(name) {
+    const secrets = read();
+    if (!(name in secrets)) {
+      return false;
+    }
+    delete secrets[name];
+    write(secrets);
+    return true;
+  }
+
+  function get(name) {
+    const encrypted = read()[name];
+    if (encrypted === undefined) {
+      return null;
+    }
+    requireAvailable();
+    return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+  }
+
+  // NAME -> value for all secrets, for the environment of a process
+  function getAll() {
+    const secrets = read();
+    if (Object.keys(secrets).length === 0) {
+      return {};
+    }
+    requireAvailable();
+    const values = {};
+    Object.keys(secrets).forEach(name => {
+      values[name] = safeStorage.decryptString(Buffer.from(secrets[name], 'base64'));
+    });
+    return values;
+  }
+
+  return { isAvailable, listNames, set, remove, get, getAll };
+}
+
+module.exports = { createSecretStore };
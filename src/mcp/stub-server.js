@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Minimal MCP server over stdio for trying out "Test servers" without real MCP servers.
+// Add it to mcp.json like any other server:
+//
+//   "stub": { "command": "node", "args": ["/path/to/src/mcp/stub-server.js", "--tools", "echo,add"] }
+//
+// Options:
+//   --tools a,b      tool names returned by tools/list (default: echo)
+//   --delay <ms>     wait before answering initialize, to see the latency or hit the timeout
+//   --stderr <text>  write a line to stderr on startup
+//   --crash          exit with code 1 instead of answering initialize
+//   --error          answer initialize with a JSON-RPC error
+
+function option(name, fallback = null) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return fallback;
+  return process.argv[index + 1] !== undefined && !process.argv[index + 1].startsWith('--')
+    ? process.argv[index + 1]
+    : true;
+}
+
+const tools = String(option('--tools', 'echo')).split(',').filter(Boolean).map(name => ({
+  name,
+  description: `Stub tool ${name}`,
+  inputSchema: { type: 'object', properties: { text: { type: 'string' } } }
+}));
+const delay = parseInt(option('--delay', '0'), 10) || 0;
+
+if (option('--stderr')) {
+  process.stderr.write(option('--stderr') + '\n');
+}
+
+function reply(id, body) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, ...body }) + '\n');
+}
+
+function handle(message) {
+  if (message.id === undefined) {
+    return; // notifications/initialized and other notifications
+  }
+
+  switch (message.method) {
+    case 'initialize':
+      if (option('--crash')) {
+        process.exit(1);
+      }
+      if (option('--error')) {
+        reply(message.id, { error: { code: -32603, message: 'Stub initialize failure' } });
+        return;
+      }
+      setTimeout(() => reply(message.id, {
+        result: {
+          protocolVersion: message.params && message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'stub-mcp-server', version: '1.0.0' }
+        }
+      }), delay);
+      break;
+    case 'tools/list':
+      reply(message.id, { result: { tools } });
+      break;
+    case 'tools/call': {
+      const args = (message.params && message.params.arguments) || {};
+      reply(message.id, { result: { content: [{ type: 'text', text: String(args.text || '') }] } });
+      break;
+    }
+    default:
+      reply(message.id, { error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+}
+
+let buffer = '';
+process.stdin.on('data', (data) => {
+  buffer += data.toString();
+  let newline;
+  while ((newline = buffer.indexOf('\n')) !== -1) {
+    const line = buffer.slice(0, newline).trim();
+    buffer = buffer.slice(newline + 1);
+    if (line) {
+      try {
+        handle(JSON.parse(line));
+      } catch (error) {
+        process.stderr.write('Invalid message: ' + error.message + '\n');
+      }
+    }
+  }
+});
+process.stdin.on('end', () => process.exit(0));
@@ -2,33 +2,101 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   // Q CLI Operations
-  createSession: () => ipcRenderer.invoke('create-session'),
+  createSession: (options) => ipcRenderer.invoke('create-session', options),
   sendToQ: (sessionId, input) => ipcRenderer.invoke('send-to-q', { sessionId, input }),
   killSession: (sessionId) => ipcRenderer.invoke('kill-session', sessionId),
+  resizeSession: (sessionId, cols, rows) => ipcRenderer.invoke('resize-session', { sessionId, cols, rows }),
   checkDocker: () => ipcRenderer.invoke('check-docker'),
+  resolveApproval: (sessionId, request) => ipcRenderer.invoke('resolve-approval', { sessionId, request }),
+  
+  // Tool Approval Rules
+  getApprovalRules: () => ipcRenderer.invoke('get-approval-rules'),
+  setApprovalRules: (rules) => ipcRenderer.invoke('set-approval-rules', rules),
+  
+  // Tool Audit Log
+  recordToolCalls: (sessionId, cwd, profile, calls) => ipcRenderer.invoke('record-tool-calls', { sessionId, cwd, profile, calls }),
+  getToolAuditLog: (filters, limit, offset) => ipcRenderer.invoke('get-tool-audit-log', { filters, limit, offset }),
+  exportToolAuditLog: (format, filters) => ipcRenderer.invoke('export-tool-audit-log', { format, filters }),
+  
+  // Prompt Library
+  listPromptTemplates: () => ipcRenderer.invoke('list-prompt-templates'),
+  savePromptTemplate: (template) => ipcRenderer.invoke('save-prompt-template', template),
+  deletePromptTemplate: (id) => ipcRenderer.invoke('delete-prompt-template', id),
+  resetPromptTemplate: (id) => ipcRenderer.invoke('reset-prompt-template', id),
+  exportPromptTemplates: (ids) => ipcRenderer.invoke('export-prompt-templates', ids),
+  readPromptFile: () => ipcRenderer.invoke('read-prompt-file'),
+  importPromptTemplates: (templates, replace) => ipcRenderer.invoke('import-prompt-templates', { templates, replace }),
+  
+  // Agent Backends
+  listAgentBackends: () => ipcRenderer.invoke('list-agent-backends'),
+  setAgentBackends: (backends) => ipcRenderer.invoke('set-agent-backends', backends),
+  
+  // Session Recordings
+  getSessionRecordings: () => ipcRenderer.invoke('get-session-recordings'),
+  setSessionRecording: (enabled) => ipcRenderer.invoke('set-session-recording', enabled),
+  deleteSessionRecording: (name) => ipcRenderer.invoke('delete-session-recording', name),
+  showSessionRecording: (name) => ipcRenderer.invoke('show-session-recording', name),
+  chooseSessionRecording: () => ipcRenderer.invoke('choose-session-recording'),
+  replaySessionRecording: (filePath, speed) => ipcRenderer.invoke('replay-session-recording', { filePath, speed }),
+  
+  // Local API Server
+  getApiServer: () => ipcRenderer.invoke('get-api-server'),
+  setApiServer: (settings) => ipcRenderer.invoke('set-api-server', settings),
+  regenerateApiToken: () => ipcRenderer.invoke('regenerate-api-token'),
   
   // Chat Management
   saveChat: (chatData) => ipcRenderer.invoke('save-chat', chatData),
-  getChatList: () => ipcRenderer.invoke('get-chat-list'),
+  getChatList: (options) => ipcRenderer.invoke('get-chat-list', options),
+  getChatFacets: () => ipcRenderer.invoke('get-chat-facets'),
+  updateChatMeta: (chatMeta) => ipcRenderer.invoke('update-chat-meta', chatMeta),
+  getRetentionPolicy: () => ipcRenderer.invoke('get-retention-policy'),
+  setRetentionPolicy: (policy) => ipcRenderer.invoke('set-retention-policy', policy),
+  searchChats: (options) => ipcRenderer.invoke('search-chats', options),
   loadChat: (chatId) => ipcRenderer.invoke('load-chat', chatId),
   updateChat: (chatData) => ipcRenderer.invoke('update-chat', chatData),
   deleteChat: (chatId) => ipcRenderer.invoke('delete-chat', chatId),
   
+  // Autosaved Conversations
+  saveChatDraft: (draft) => ipcRenderer.invoke('save-chat-draft', draft),
+  deleteChatDraft: (id) => ipcRenderer.invoke('delete-chat-draft', id),
+  getChatDrafts: () => ipcRenderer.invoke('get-chat-drafts'),
+  recoverChatDraft: (id) => ipcRenderer.invoke('recover-chat-draft', id),
+  
   // Event listeners
   onQOutput: (callback) => ipcRenderer.on('q-output', callback),
   onSessionClosed: (callback) => ipcRenderer.on('session-closed', callback),
+  onSessionResized: (callback) => ipcRenderer.on('session-resized', callback),
+  onApiApproval: (callback) => ipcRenderer.on('api-approval', callback),
   onDockerWarning: (callback) => ipcRenderer.on('docker-warning', callback),
   
   // MCP Config
-  getMcpConfig: () => ipcRenderer.invoke('get-mcp-config'),
-  saveMcpConfig: (content) => ipcRenderer.invoke('save-mcp-config', content),
+  // profile is null for the global mcp.json
+  getMcpConfig: (profile) => ipcRenderer.invoke('get-mcp-config', profile),
+  saveMcpConfig: (content, profile) => ipcRenderer.invoke('save-mcp-config', content, profile),
+  testMcpServers: (content, profile) => ipcRenderer.invoke('test-mcp-servers', content, profile),
+  listMcpBackups: (profile) => ipcRenderer.invoke('list-mcp-backups', profile),
+  readMcpBackup: (name, profile) => ipcRenderer.invoke('read-mcp-backup', name, profile),
+  restoreMcpBackup: (name, profile) => ipcRenderer.invoke('restore-mcp-backup', name, profile),
+  getMcpBackupRetention: () => ipcRenderer.invoke('get-mcp-backup-retention'),
+  setMcpBackupRetention: (policy) => ipcRenderer.invoke('set-mcp-backup-retention', policy),
+  getSecretsStatus: (profile) => ipcRenderer.invoke('get-secrets-status', profile),
+  setSecret: (secret) => ipcRenderer.invoke('set-secret', secret),
+  deleteSecret: (name) => ipcRenderer.invoke('delete-secret', name),
+  moveMcpSecretsToStore: (profile) => ipcRenderer.invoke('move-mcp-secrets-to-store', profile),
+  listMcpProfiles: () => ipcRenderer.invoke('list-mcp-profiles'),
+  createMcpProfile: (profile) => ipcRenderer.invoke('create-mcp-profile', profile),
+  deleteMcpProfile: (name) => ipcRenderer.invoke('delete-mcp-profile', name),
+  getWorkspaceMcpConfig: (cwd) => ipcRenderer.invoke('get-workspace-mcp-config', cwd),
   
   // File Operations
-  readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
-  openFileExternal: (filePath) => ipcRenderer.invoke('open-file-external', filePath),
+  readFile: (filePath, baseDir) => ipcRenderer.invoke('read-file', filePath, baseDir),
+  openFileExternal: (filePath, baseDir) => ipcRenderer.invoke('open-file-external', filePath, baseDir),
+  selectDirectory: (defaultPath) => ipcRenderer.invoke('select-directory', defaultPath),
   
   // Report Export
   saveReport: (filename, htmlContent) => ipcRenderer.invoke('save-report', filename, htmlContent),
+  getExportFormats: () => ipcRenderer.invoke('get-export-formats'),
+  exportChat: (options) => ipcRenderer.invoke('export-chat', options),
   
   // App Control
   closeApp: () => ipcRenderer.invoke('close-app'),
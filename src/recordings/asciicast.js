@@ -0,0 +1,93 @@
+// Session recordings in asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/), the format
+// asciinema plays. A JSON header on the first line, then one event per line:
+//
+//   {"version": 2, "width": 120, "height": 30, "timestamp": 1760000000, "title": "...", "env": {...}, "backend": "q"}
+//   [0.523, "o", "\u001b[32m> \u001b[0m"]
+//   [4.107, "i", "hello\r"]
+//   [9.350, "r", "96x24"]
+//
+// "o" is the agent's raw terminal output, "i" what the app sent to it, "r" a new terminal size
+// (columns x rows), times are seconds since the start. "backend" is ours, the agent backend whose patterns read the output when it is replayed.
+const fs = require('fs');
+
+const EVENT_CODES = ['o', 'i', 'r', 'm'];
+
+// Starts writing a recording, header: { width, height, title, command, env, backend }
+// Returns { output(data), input(data), resize(cols, rows), close() }
+function createRecorder(filePath, header) {
+  const startedAt = Date.now();
+  const stream = fs.createWriteStream(filePath, { flags: 'wx', mode: 0o600 });
+  let closed = false;
+
+  stream.on('error', (error) => {
+    console.error('Recording stopped, could not write', filePath + ':', error.message);
+    closed = true;
+  });
+  stream.write(JSON.stringify({ version: 2, timestamp: Math.floor(startedAt / 1000), ...header }) + '\n');
+
+  function event(code, data) {
+    if (closed || !data) return;
+    const seconds = Math.round(Date.now() - startedAt) / 1000;
+    stream.write(JSON.stringify([seconds, code, data]) + '\n');
+  }
+
+  return {
+    output: (data) => event('o', data),
+    input: (data) => event('i', data),
+    resize: (cols, rows) => event('r', `${cols}x${rows}`),
+    close: () => {
+      if (closed) return;
+      closed = true;
+      stream.end();
+    }
+  };
+}
+
+// { header, events: [{ time, code, data }] }, throws with the line number of the first problem.
+// Events with codes we do not know are skipped, newer asciinema versions may add some.
+function parseRecording(text) {
+  const lines = text.split(/\r?\n/);
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    throw new Error('Line 1: not an asciicast header');
+  }
+  if (!header || header.version !== 2) {
+    throw new Error('Line 1: only asciicast version 2 recordings can be replayed');
+  }
+
+  const events = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(lines[i]);
+    } catch (error) {
+      throw new Error(`Line ${i + 1}: not valid JSON`);
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[1] !== 'string' || typeof event[2] !== 'string') {
+      throw new Error(`Line ${i + 1}: events are [time, code, data]`);
+    }
+    if (EVENT_CODES.includes(event[1])) {
+      events.push({ time: event[0], code: event[1], data: event[2] });
+    }
+  }
+  return { header, events };
+}
+
+function readRecording(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read recording ${filePath}: ${error.message}`);
+  }
+  try {
+    return parseRecording(text);
+  } catch (error) {
+    throw new Error(`${filePath} is not an asciicast recording. ${error.message}`);
+  }
+}
+
+module.exports = { createRecorder, parseRecording, readRecording };
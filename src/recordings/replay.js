@@ -0,0 +1,48 @@
+// Plays the output of a recording back with its timing. Every "o" event stays one chunk,
+// so the renderer sees the same splits it saw live, which is where parsing bugs hide.
+const DEFAULT_IDLE_TIME_LIMIT = 2; // Seconds, long pauses (the user reading) are cut to this
+const SIZE_PATTERN = /^(\d+)x(\d+)$/;
+
+// options: { speed, onOutput(data), onResize(cols, rows), onEnd({ stopped }) }, speed 0 plays without pauses.
+// Returns { stop() }
+function playRecording(recording, options) {
+  const speed = options.speed || 0;
+  const idleTimeLimit = recording.header.idle_time_limit || DEFAULT_IDLE_TIME_LIMIT;
+  const events = recording.events.filter(event => event.code === 'o' || (event.code === 'r' && SIZE_PATTERN.test(event.data)));
+  let index = 0;
+  let previousTime = 0;
+  let timer = null;
+  let ended = false;
+
+  function end(stopped) {
+    if (ended) return;
+    ended = true;
+    clearTimeout(timer);
+    options.onEnd({ stopped });
+  }
+
+  function scheduleNext() {
+    if (index >= events.length) {
+      timer = setTimeout(() => end(false), 0); // Also after the caller got its { stop }
+      return;
+    }
+    const event = events[index];
+    const pause = Math.min(Math.max(event.time - previousTime, 0), idleTimeLimit);
+    timer = setTimeout(() => {
+      index++;
+      previousTime = event.time;
+      if (event.code === 'o') {
+        options.onOutput(event.data);
+      } else {
+        const [, cols, rows] = event.data.match(SIZE_PATTERN);
+        options.onResize(Number(cols), Number(rows));
+      }
+      if (!ended) scheduleNext();
+    }, speed > 0 ? (pause * 1000) / speed : 0);
+  }
+
+  scheduleNext();
+  return { stop: () => end(true) };
+}
+
+module.exports = { playRecording, DEFAULT_IDLE_TIME_LIMIT };
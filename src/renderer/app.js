@@ -0,0 +1,5107 @@
+// The app's window: session tabs, chat library and dialogs. Loaded as a plain script after the
+// shared modules, the Content-Security-Policy in index.html allows no inline scripts or handlers.
+
+const tabs = new Map(); // tabId -> per-session state (output pane, buffer, prompt state)
+const pendingEvents = new Map(); // sessionId -> events that arrived before a tab claimed the session
+const discardedSessions = new Set(); // Sessions whose tab was closed, late events are ignored
+let activeTabId = null;
+let tabCounter = 0;
+let sidebarVisible = false; // Start collapsed
+let isDarkMode = false; // Track theme state
+let currentFontSize = 13; // Default font size
+let isResizing = false;
+let terminalSize = { cols: 120, rows: 30 }; // What fits the output pane, see fitTerminals()
+let fitTimer = null;
+const DRAFT_SAVE_DELAY_MS = 2000; // Autosave waits for the output to settle
+const RESTART_DELAYS_MS = [1000, 2000, 5000, 10000, 30000]; // Between automatic restarts, then it gives up
+const STABLE_SESSION_MS = 60000; // A crash after running this long starts the backoff over
+
+// Session Tab Functions
+function createTab(title, cwd = null, profile = null, backend = null) {
+  tabCounter++;
+
+  const outputEl = document.createElement('div');
+  outputEl.className = 'output hidden';
+  document.getElementById('outputs').appendChild(outputEl);
+
+  const tab = {
+    id: 'tab-' + tabCounter,
+    title: title || `Session ${tabCounter}`,
+    sessionId: null,
+    cwd, // Project directory the session runs in, null for home
+    profile, // MCP profile of the session, null for the global mcp.json
+    backend, // Agent backend of the session, null for Q
+    detectors: AgentBackends.compileDetectors(backend), // How the backend's output is read
+    connected: false,
+    outputEl,
+    followOutput: true, // Keep scrolling to new output unless the user scrolled up
+    liveEl: null, // Terminal lines Q can still redraw, always last in the output pane
+    parser: null, // Reads Q's output, see src/shared/output-parser.js
+    terminal: null, // The parser's terminal emulator
+    transcript: null, // Turns parsed from committed terminal lines
+    dataBuffer: '', // Buffer for accumulating app message chunks
+    isWaitingForPrompt: false,
+    thinkingShown: false,
+    lastThinkingTime: 0,
+    loadedChatId: null, // Saved chat shown in this tab
+    loadedChatTitle: null,
+    replay: false, // Plays a session recording, there is no agent behind it
+    resumedChat: false, // Saved chat continued in this session, synced after every reply
+    pendingResumeContext: null, // Context message waiting for Q's first prompt
+    syncedTurnCount: 0,
+    approvalPromptsHandled: 0, // Approval prompts already answered by a rule or shown to the user
+    auditFromTurn: 0, // Turns before this one are from a loaded chat or an earlier session
+    auditClears: 0, // Output clears in this session, part of the call keys since turns start over
+    auditedCalls: new Map(), // Tool call key -> what was last sent to the audit log
+    isGeneratingReport: false,
+    waitingForReportResponse: false,
+    reportPromptStart: null, // Start of the report prompt, its echo is not shown
+    draftId: `${Date.now()}-${tabCounter}`, // Autosaved conversation of the tab, see saveDraft()
+    draftSnapshot: null, // Turns last autosaved or saved as a chat, as JSON
+    draftTimer: null,
+    autoRestart: localStorage.getItem('autoRestartSessions') === 'true', // Start again when the agent crashes
+    restartAttempts: 0, // Automatic restarts since the session last ran for a while
+    restartTimer: null,
+    sessionStartedAt: 0
+  };
+
+  tab.transcript = new Transcript.TranscriptBuilder([], tab.detectors);
+
+  // Q's pty output is interpreted by a terminal emulator per session
+  tab.parser = new OutputParser({
+    detectors: tab.detectors,
+    cols: terminalSize.cols,
+    rows: terminalSize.rows,
+    onEvent: (event) => {
+      if (event.type === 'line') commitTerminalLine(tab, event);
+    }
+  });
+  tab.terminal = tab.parser.terminal;
+  outputEl.addEventListener('scroll', () => {
+    tab.followOutput = outputEl.scrollHeight - outputEl.scrollTop - outputEl.clientHeight < 40;
+  });
+  resetOutputPane(tab, 'Q CLI Interface Ready\n');
+  
+  tabs.set(tab.id, tab);
+  renderTabs();
+  return tab;
+}
+
+function getActiveTab() {
+  return tabs.get(activeTabId) || null;
+}
+
+function findTabBySession(sessionId) {
+  for (const tab of tabs.values()) {
+    if (tab.sessionId === sessionId) {
+      return tab;
+    }
+  }
+  return null;
+}
+
+function switchTab(tabId) {
+  const tab = tabs.get(tabId);
+  if (!tab) return;
+
+  activeTabId = tabId;
+  tabs.forEach(t => t.outputEl.classList.toggle('hidden', t.id !== tabId));
+  scrollToBottom(tab);
+
+  renderTabs();
+  updateStatusIndicator();
+  updatePromptMode();
+  updateHeaderTitle();
+  updateCwdLabel();
+  loadChatList(); // Refresh sidebar selection for this tab
+}
+
+async function closeTab(tabId) {
+  const tab = tabs.get(tabId);
+  if (!tab) return;
+
+  clearTimeout(tab.restartTimer);
+  discardDraft(tab); // Closing the tab is the user's answer to keeping it
+  try {
+    if (tab.sessionId) {
+      discardedSessions.add(tab.sessionId);
+      await window.electronAPI.killSession(tab.sessionId);
+    }
+  } catch (error) {
+    console.error('Error killing session for tab:', error);
+  }
+
+  tab.outputEl.remove();
+  tabs.delete(tabId);
+
+  if (tabs.size === 0) {
+    // Always keep at least one session open
+    await startNewSession();
+  } else if (activeTabId === tabId) {
+    switchTab(Array.from(tabs.keys()).pop());
+  } else {
+    renderTabs();
+  }
+}
+
+function renderTabs() {
+  const tabBar = document.getElementById('tabBar');
+  tabBar.innerHTML = '';
+
+  tabs.forEach(tab => {
+    const tabEl = document.createElement('div');
+    tabEl.className = 'tab';
+    tabEl.classList.toggle('active', tab.id === activeTabId);
+    tabEl.classList.toggle('needs-attention', tab.isWaitingForPrompt && tab.id !== activeTabId);
+    tabEl.title = tab.title;
+    tabEl.addEventListener('click', () => switchTab(tab.id));
+
+    const statusEl = document.createElement('span');
+    statusEl.className = tab.connected ? 'connected' : 'disconnected';
+    statusEl.textContent = '●';
+
+    const titleEl = document.createElement('span');
+    titleEl.className = 'tab-title';
+    titleEl.textContent = tab.title;
+    tabEl.append(statusEl, titleEl);
+
+    if (tab.profile) {
+      const profileEl = document.createElement('span');
+      profileEl.className = 'tab-profile';
+      profileEl.textContent = '🧩 ' + tab.profile;
+      tabEl.title = `${tab.title} (MCP profile: ${tab.profile})`;
+      tabEl.appendChild(profileEl);
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'tab-close';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Close session';
+    closeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeTab(tab.id);
+    });
+
+    tabEl.appendChild(closeBtn);
+    tabBar.appendChild(tabEl);
+  });
+
+  const newBtn = document.createElement('button');
+  newBtn.className = 'tab-new';
+  newBtn.textContent = '+';
+  newBtn.title = 'New session';
+  newBtn.addEventListener('click', () => newSession());
+  tabBar.appendChild(newBtn);
+}
+
+function updateStatusIndicator() {
+  const tab = getActiveTab();
+  document.getElementById('status').className = tab && tab.connected ? 'connected' : 'disconnected';
+}
+
+function updateHeaderTitle() {
+  const tab = getActiveTab();
+  document.getElementById('headerTitle').textContent = tab && tab.loadedChatTitle
+    ? `Classic Q Interface - Loaded: ${tab.loadedChatTitle}`
+    : 'Classic Q Interface';
+}
+
+function updateCwdLabel() {
+  const tab = getActiveTab();
+  const label = document.getElementById('cwdLabel');
+  const cwd = tab && tab.cwd ? tab.cwd : '~';
+  
+  label.textContent = '📁 ' + cwd;
+  label.title = 'Working directory: ' + cwd;
+  
+  const profileLabel = document.getElementById('profileLabel');
+  const profile = tab ? tab.profile : null;
+  profileLabel.classList.toggle('hidden', !profile);
+  profileLabel.textContent = profile ? '🧩 ' + profile : '';
+  profileLabel.title = profile ? 'MCP profile: ' + profile : '';
+}
+
+function updatePromptMode() {
+  const tab = getActiveTab();
+  const input = document.getElementById('input');
+
+  if (tab && tab.isWaitingForPrompt) {
+    input.className = 'prompt-mode';
+    input.placeholder = 'Enter y/n/yes/no/trust response...';
+  } else {
+    input.className = '';
+    input.placeholder = 'Enter command...';
+  }
+}
+
+function setTabPromptState(tab, waiting) {
+  if (tab.isWaitingForPrompt === waiting) return;
+
+  tab.isWaitingForPrompt = waiting;
+  if (tab.id === activeTabId) {
+    updatePromptMode();
+  }
+  renderTabs();
+}
+
+function setTabConnected(tab, connected) {
+  tab.connected = connected;
+  if (tab.id === activeTabId) {
+    updateStatusIndicator();
+  }
+  renderTabs();
+}
+
+// Project Directory Functions
+function getRecentProjects() {
+  try {
+    return JSON.parse(localStorage.getItem('recentProjects') || '[]');
+  } catch (error) {
+    console.error('Error reading recent projects:', error);
+    return [];
+  }
+}
+
+function addRecentProject(dir) {
+  if (!dir) return;
+  
+  const recent = getRecentProjects().filter(p => p !== dir);
+  recent.unshift(dir);
+  localStorage.setItem('recentProjects', JSON.stringify(recent.slice(0, 10)));
+}
+
+function projectName(dir) {
+  return dir ? (dir.split(/[\\/]/).filter(Boolean).pop() || dir) : null;
+}
+
+function showNewSessionDialog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'newSessionModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 500px; height: 410px; padding: 20px;">
+      <h3 style="margin-top: 0;">New Session</h3>
+      <div style="margin: 10px 0; flex: 1;">
+        <label>Project Directory:</label><br>
+        <div style="display: flex; gap: 6px; margin-top: 8px;">
+          <select id="projectSelect" style="flex: 1; font-family: monospace;" data-change="updateWorkspaceMcpNote"></select>
+          <button data-action="browseProjectDirectory">Browse...</button>
+        </div>
+        <label style="display: block; margin-top: 12px;">MCP Profile:</label>
+        <select id="profileSelect" style="width: 100%; margin-top: 8px;"></select>
+        <div id="workspaceMcpNote" class="workspace-mcp-note"></div>
+        <label style="display: block; margin-top: 12px;">Agent:</label>
+        <div style="display: flex; gap: 6px; margin-top: 8px;">
+          <select id="agentSelect" style="flex: 1;" data-change="updateAgentNote"></select>
+          <button data-action="showAgentBackendsDialog">Edit...</button>
+        </div>
+        <div id="agentNote" class="agent-note"></div>
+        <label style="display: block; margin-top: 12px;"><input type="checkbox" id="autoRestartCheck"> Restart the agent when it crashes</label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: auto; padding-top: 15px;">
+        <button data-action="confirmNewSession">Start Session</button>
+        <button data-action="closeNewSessionDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  populateProjectSelect(getRecentProjects()[0] || '');
+  populateProfileSelect(localStorage.getItem('lastMcpProfile') || '');
+  populateAgentSelect(localStorage.getItem('lastAgentBackend') || AgentBackends.DEFAULT_BACKEND_ID);
+  document.getElementById('autoRestartCheck').checked = localStorage.getItem('autoRestartSessions') === 'true';
+  updateWorkspaceMcpNote();
+}
+
+// Agent backends, builtin ones first (see src/shared/backends.js)
+let agentBackends = [];
+
+async function loadAgentBackends() {
+  const result = await window.electronAPI.listAgentBackends();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  agentBackends = result.backends;
+  return result;
+}
+
+function findAgentBackend(id) {
+  return agentBackends.find(backend => backend.id === id) || null;
+}
+
+async function populateAgentSelect(selected) {
+  const select = document.getElementById('agentSelect');
+  select.innerHTML = '';
+  
+  try {
+    await loadAgentBackends();
+  } catch (error) {
+    console.error('Could not list agent backends:', error);
+  }
+  if (agentBackends.length === 0) {
+    select.appendChild(new Option('Amazon Q (q chat)', AgentBackends.DEFAULT_BACKEND_ID));
+  }
+  agentBackends.forEach(backend => {
+    select.appendChild(new Option(backend.builtin ? backend.label : `🤖 ${backend.label}`, backend.id));
+  });
+  select.value = findAgentBackend(selected) ? selected : AgentBackends.DEFAULT_BACKEND_ID;
+  updateAgentNote();
+}
+
+// What the agent runs, MCP profiles only mean something to Q
+function updateAgentNote() {
+  const backend = findAgentBackend(document.getElementById('agentSelect').value);
+  const profileSelect = document.getElementById('profileSelect');
+  const note = document.getElementById('agentNote');
+  const profiles = !backend || backend.mcpProfiles;
+  
+  profileSelect.disabled = !profiles;
+  note.textContent = backend
+    ? `Runs: ${AgentBackends.describeCommand(backend)}${profiles ? '' : '\nMCP profiles are not used by this agent.'}`
+    : '';
+}
+
+// Profiles replace the global mcp.json for one session
+async function populateProfileSelect(selected) {
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '';
+  select.appendChild(new Option('Default (global mcp.json)', ''));
+  
+  try {
+    const result = await window.electronAPI.listMcpProfiles();
+    if (!result.success) {
+      console.error('Could not list MCP profiles:', result.error);
+      return;
+    }
+    result.profiles.forEach(profile => {
+      const servers = profile.valid ? `${profile.servers.length} server${profile.servers.length === 1 ? '' : 's'}` : 'invalid';
+      select.appendChild(new Option(`🧩 ${profile.name} (${servers})`, profile.name));
+    });
+    if (result.profiles.some(profile => profile.name === selected)) {
+      select.value = selected;
+    }
+  } catch (error) {
+    console.error('Error listing MCP profiles:', error);
+  }
+}
+
+async function updateWorkspaceMcpNote() {
+  const cwd = document.getElementById('projectSelect').value;
+  const note = document.getElementById('workspaceMcpNote');
+  note.textContent = '';
+  if (!cwd) return;
+  
+  try {
+    const result = await window.electronAPI.getWorkspaceMcpConfig(cwd);
+    if (document.getElementById('projectSelect').value !== cwd) return; // Changed while loading
+    if (!result.success) {
+      note.textContent = `⚠️ ${result.path} is not valid: ${result.error}`;
+    } else if (result.found) {
+      note.textContent = `📂 Workspace config ${result.path} adds: ${result.servers.join(', ') || 'no servers'}\n` +
+        'Its servers are added to the chosen MCP config and win when names clash.';
+    }
+  } catch (error) {
+    console.error('Error reading workspace MCP config:', error);
+  }
+}
+
+function populateProjectSelect(selected) {
+  const select = document.getElementById('projectSelect');
+  const projects = getRecentProjects();
+  if (selected && !projects.includes(selected)) {
+    projects.unshift(selected);
+  }
+  
+  select.innerHTML = '';
+  select.appendChild(new Option('🏠 Home directory', ''));
+  projects.forEach(dir => select.appendChild(new Option(dir, dir)));
+  select.value = selected;
+}
+
+async function browseProjectDirectory() {
+  try {
+    const current = document.getElementById('projectSelect').value;
+    const result = await window.electronAPI.selectDirectory(current);
+    
+    if (result.success) {
+      populateProjectSelect(result.path);
+      updateWorkspaceMcpNote();
+    } else if (!result.canceled) {
+      alert('❌ Could not open folder picker: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error selecting directory:', error);
+    alert('❌ Error selecting directory: ' + error.message);
+  }
+}
+
+function confirmNewSession() {
+  const cwd = document.getElementById('projectSelect').value || null;
+  const profileSelect = document.getElementById('profileSelect');
+  const profile = profileSelect.disabled ? null : profileSelect.value || null;
+  const backend = findAgentBackend(document.getElementById('agentSelect').value);
+  if (!profileSelect.disabled) {
+    localStorage.setItem('lastMcpProfile', profile || '');
+  }
+  localStorage.setItem('lastAgentBackend', backend ? backend.id : '');
+  localStorage.setItem('autoRestartSessions', document.getElementById('autoRestartCheck').checked);
+  closeNewSessionDialog();
+  startNewSession(cwd, profile, backend);
+}
+
+function closeNewSessionDialog() {
+  const modal = document.getElementById('newSessionModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Attach a session to a tab and replay anything it emitted before the tab knew its id
+function claimSession(tab, sessionId) {
+  tab.sessionId = sessionId;
+
+  const events = pendingEvents.get(sessionId) || [];
+  pendingEvents.delete(sessionId);
+  events.forEach(({ type, data }) => {
+    if (type === 'output') {
+      handleSessionOutput(tab, data);
+    } else if (type === 'resized') {
+      handleSessionResized(tab, data);
+    } else {
+      handleSessionClosed(tab, data);
+    }
+  });
+}
+
+function queuePendingEvent(sessionId, type, data) {
+  if (discardedSessions.has(sessionId)) return;
+
+  if (!pendingEvents.has(sessionId)) {
+    pendingEvents.set(sessionId, []);
+  }
+  pendingEvents.get(sessionId).push({ type, data });
+}
+
+// Font size control
+function cycleFontSize() {
+  const sizes = [13, 15, 17, 19];
+  const currentIndex = sizes.indexOf(currentFontSize);
+  currentFontSize = sizes[(currentIndex + 1) % sizes.length];
+  
+  document.documentElement.style.setProperty('--output-font-size', currentFontSize + 'px');
+  localStorage.setItem('fontSize', currentFontSize);
+  fitTerminals();
+}
+
+// Load saved font size
+function loadSavedFontSize() {
+  const savedSize = localStorage.getItem('fontSize');
+  if (savedSize) {
+    currentFontSize = parseInt(savedSize);
+    document.documentElement.style.setProperty('--output-font-size', currentFontSize + 'px');
+  }
+}
+
+// Resize functionality
+function initResize() {
+  const handle = document.getElementById('resizeHandle');
+  
+  handle.addEventListener('mousedown', (e) => {
+    isResizing = true;
+    document.addEventListener('mousemove', handleResize);
+    document.addEventListener('mouseup', stopResize);
+    e.preventDefault();
+  });
+
+  // Dragging the handle, the window or the sidebar all change the pane size
+  new ResizeObserver(() => {
+    clearTimeout(fitTimer);
+    fitTimer = setTimeout(fitTerminals, 100);
+  }).observe(document.getElementById('outputs'));
+}
+
+// Columns and rows of the output font that fit the visible output pane, null while nothing is shown
+function measureTerminalSize() {
+  const tab = getActiveTab();
+  if (!tab || tab.outputEl.classList.contains('hidden')) return null;
+
+  const probe = document.createElement('span');
+  probe.className = 'terminal-probe';
+  probe.textContent = 'M'.repeat(10);
+  tab.outputEl.appendChild(probe);
+  const charRect = probe.getBoundingClientRect();
+  probe.remove();
+
+  const style = getComputedStyle(tab.outputEl);
+  const width = tab.outputEl.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+  const height = tab.outputEl.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+  if (!charRect.width || !charRect.height || width <= 0 || height <= 0) return null;
+  return {
+    cols: Math.min(1000, Math.max(20, Math.floor(width / (charRect.width / 10)))),
+    rows: Math.min(1000, Math.max(5, Math.floor(height / charRect.height)))
+  };
+}
+
+// Every session gets the size of the pane, so Q wraps and draws its tables for what is on screen.
+// Replays keep the size they were recorded with.
+function fitTerminals() {
+  const size = measureTerminalSize();
+  if (!size) return;
+  terminalSize = size;
+  tabs.forEach(tab => {
+    if (!tab.replay) resizeTabTerminal(tab, size.cols, size.rows);
+  });
+}
+
+function resizeTabTerminal(tab, cols, rows) {
+  if (tab.terminal.cols === cols && tab.terminal.rows === rows) return;
+  tab.parser.resize(cols, rows);
+  renderLiveLines(tab);
+  scrollToBottom(tab);
+  sendTerminalSize(tab);
+}
+
+// Resizes the session's pty to the tab's terminal
+async function sendTerminalSize(tab) {
+  if (!tab.sessionId || !tab.connected || tab.replay) return;
+
+  try {
+    const result = await window.electronAPI.resizeSession(tab.sessionId, tab.terminal.cols, tab.terminal.rows);
+    if (!result.success) {
+      console.error('Could not resize the session:', result.error);
+    }
+  } catch (error) {
+    console.error('Error resizing session:', error);
+  }
+}
+
+// A replay got to a point where the recorded terminal changed size
+function handleSessionResized(tab, data) {
+  if (tab.replay) {
+    resizeTabTerminal(tab, data.cols, data.rows);
+  }
+}
+
+function handleResize(e) {
+  if (!isResizing) return;
+  
+  const container = document.querySelector('.content-area');
+  const rect = container.getBoundingClientRect();
+  const percentage = ((e.clientY - rect.top) / rect.height) * 100;
+  
+  if (percentage > 20 && percentage < 80) {
+    document.documentElement.style.setProperty('--output-height', percentage + 'vh');
+    localStorage.setItem('outputHeight', percentage);
+  }
+}
+
+function stopResize() {
+  isResizing = false;
+  document.removeEventListener('mousemove', handleResize);
+  document.removeEventListener('mouseup', stopResize);
+}
+
+// Load saved output height
+function loadSavedHeight() {
+  const savedHeight = localStorage.getItem('outputHeight');
+  if (savedHeight) {
+    document.documentElement.style.setProperty('--output-height', savedHeight + 'vh');
+  }
+}
+
+// Theme toggle function
+function toggleTheme() {
+  isDarkMode = !isDarkMode;
+  const body = document.body;
+  const toggleBtn = document.getElementById('themeToggle');
+  
+  if (isDarkMode) {
+    body.setAttribute('data-theme', 'dark');
+    toggleBtn.textContent = '☀️';
+    localStorage.setItem('theme', 'dark');
+  } else {
+    body.removeAttribute('data-theme');
+    toggleBtn.textContent = '🌙';
+    localStorage.setItem('theme', 'light');
+  }
+}
+
+// Load saved theme on startup
+function loadSavedTheme() {
+  const savedTheme = localStorage.getItem('theme');
+  if (savedTheme === 'dark') {
+    isDarkMode = true;
+    document.body.setAttribute('data-theme', 'dark');
+    document.getElementById('themeToggle').textContent = '☀️';
+  }
+}
+
+// Sidebar Functions
+function toggleSidebar() {
+  const sidebar = document.getElementById('sidebar');
+  sidebarVisible = !sidebarVisible;
+  sidebar.classList.toggle('hidden', !sidebarVisible);
+}
+
+// Chat Management Functions
+let currentChatContent = ''; // Store chat content here
+let currentChatTurns = []; // Structured turns saved along with the content
+
+async function saveCurrentChat() {
+  try {
+    const chatContent = getTabTranscript(getActiveTab());
+    
+    if (chatContent.length < 200) {
+      alert('⚠️ Chat too short to save. Minimum 200 characters required.');
+      return;
+    }
+    
+    // Store content and show appropriate dialog
+    currentChatContent = chatContent;
+    currentChatTurns = getTabTurns(getActiveTab());
+    
+    if (getActiveTab().loadedChatId) {
+      // We have a loaded chat - ask if user wants to update or save new
+      showUpdateOrSaveDialog();
+    } else {
+      // No loaded chat - save as new
+      showSaveChatDialog();
+    }
+    
+  } catch (error) {
+    console.error('Error saving chat:', error);
+    alert('❌ Error saving chat: ' + error.message);
+  }
+}
+
+function showUpdateOrSaveDialog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 450px; height: 220px; padding: 20px;">
+      <h3 style="margin-top: 0;">Save Chat</h3>
+      <div style="margin: 20px 0; flex: 1;">
+        <p>Currently loaded: <strong id="loadedChatTitleLabel"></strong></p>
+        <p>What would you like to do?</p>
+      </div>
+      <div class="mcp-buttons" style="margin-top: auto; padding-top: 15px;">
+        <button data-action="updateCurrentChat">Update Current Chat</button>
+        <button data-action="saveAsNewChat">Save as New Chat</button>
+        <button data-action="closeSaveChatDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  modal.querySelector('#loadedChatTitleLabel').textContent = `"${getActiveTab().loadedChatTitle}"`;
+  document.body.appendChild(modal);
+}
+
+async function updateCurrentChat() {
+  try {
+    const result = await window.electronAPI.updateChat({
+      id: getActiveTab().loadedChatId,
+      content: currentChatContent,
+      turns: currentChatTurns
+    });
+    
+    if (result.success) {
+      markDraftSaved(getActiveTab(), currentChatTurns);
+      alert('✅ Chat updated successfully!');
+      closeSaveChatDialog();
+    } else {
+      alert('❌ Failed to update chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error updating chat:', error);
+    alert('❌ Error updating chat: ' + error.message);
+  }
+}
+
+function saveAsNewChat() {
+  closeSaveChatDialog();
+  showSaveChatDialog();
+}
+
+function showSaveChatDialog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 400px; height: 200px; padding: 20px;">
+      <h3 style="margin-top: 0;">Save New Chat</h3>
+      <div style="margin: 20px 0; flex: 1;">
+        <label>Chat Title:</label><br>
+        <input type="text" id="chatTitle" style="width: calc(100% - 10px); margin-top: 8px; padding: 8px; box-sizing: border-box;" placeholder="Enter chat title...">
+      </div>
+      <div class="mcp-buttons" style="margin-top: auto; padding-top: 15px;">
+        <button data-action="confirmSaveChat">Save</button>
+        <button data-action="closeSaveChatDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // Focus on input
+  setTimeout(() => {
+    document.getElementById('chatTitle').focus();
+  }, 100);
+}
+
+async function confirmSaveChat() {
+  const title = document.getElementById('chatTitle').value.trim();
+  
+  if (!title) {
+    alert('Please enter a title for the chat.');
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.saveChat({
+      title: title,
+      content: currentChatContent,
+      turns: currentChatTurns,
+      cwd: getActiveTab().cwd,
+      profile: getActiveTab().profile
+    });
+    
+    if (result.success) {
+      markDraftSaved(getActiveTab(), currentChatTurns);
+      alert('✅ Chat saved successfully!');
+      loadChatList(); // Refresh the sidebar
+      closeSaveChatDialog();
+    } else {
+      alert('❌ Failed to save chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error saving chat:', error);
+    alert('❌ Error saving chat: ' + error.message);
+  }
+}
+
+function closeSaveChatDialog() {
+  const modal = document.querySelector('.mcp-modal');
+  if (modal) {
+    modal.remove();
+  }
+  currentChatContent = ''; // Clear stored content
+  currentChatTurns = [];
+}
+
+async function deleteChat(chatId, chatTitle) {
+  try {
+    // Confirmation dialog
+    if (!confirm(`Delete "${chatTitle}"?\n\nThis cannot be undone.`)) {
+      return;
+    }
+    
+    const result = await window.electronAPI.deleteChat(chatId);
+    
+    if (result.success) {
+      // If deleting a chat loaded in any tab, clear that tab's state
+      tabs.forEach(tab => {
+        if (tab.loadedChatId === chatId) {
+          tab.loadedChatId = null;
+          tab.loadedChatTitle = null;
+        }
+      });
+      updateHeaderTitle();
+      
+      // Refresh the chat list
+      loadChatList();
+      
+      alert('✅ Chat deleted successfully!');
+    } else {
+      alert('❌ Failed to delete chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error deleting chat:', error);
+    alert('❌ Error deleting chat: ' + error.message);
+  }
+}
+
+// Chat Library Functions
+const CHAT_PAGE_SIZE = 50;
+let chatLibraryLoaded = 0; // Chats shown in the sidebar, more are loaded on scroll
+let chatLibraryTotal = 0;
+let chatLibraryLoading = false;
+let chatLibraryTag = null; // Tag the library is filtered by
+
+// Folder select values: "all", "unfiled", "archived" or "folder:<name>"
+function getChatLibraryOptions() {
+  const view = document.getElementById('libraryFolder').value;
+  return {
+    sort: document.getElementById('librarySort').value,
+    folder: view === 'unfiled' ? '' : (view.startsWith('folder:') ? view.slice('folder:'.length) : null),
+    archived: view === 'archived',
+    tag: chatLibraryTag
+  };
+}
+
+// Reload the sidebar, keeping as many chats loaded as before
+async function loadChatList() {
+  try {
+    loadChatFacets();
+    
+    const result = await window.electronAPI.getChatList({
+      ...getChatLibraryOptions(),
+      offset: 0,
+      limit: Math.max(chatLibraryLoaded, CHAT_PAGE_SIZE)
+    });
+    
+    if (result.success) {
+      const chatList = document.getElementById('chatList');
+      const chatCount = document.getElementById('chatCount');
+      
+      chatCount.textContent = result.total;
+      chatLibraryTotal = result.total;
+      chatLibraryLoaded = result.chats.length;
+      
+      // Search results replace the list while a search is active
+      if (isChatSearchActive()) {
+        await runChatSearch();
+        return;
+      }
+      
+      chatList.innerHTML = '';
+      if (result.chats.length === 0) {
+        showChatListMessage('No saved chats');
+      }
+      result.chats.forEach(chat => chatList.appendChild(createChatItem(chat)));
+    } else {
+      document.getElementById('chatList').innerHTML = '';
+      showChatListMessage('⚠️ ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error loading chat list:', error);
+  }
+}
+
+async function loadMoreChats() {
+  if (chatLibraryLoading || chatLibraryLoaded >= chatLibraryTotal || isChatSearchActive()) {
+    return;
+  }
+  
+  chatLibraryLoading = true;
+  try {
+    const result = await window.electronAPI.getChatList({
+      ...getChatLibraryOptions(),
+      offset: chatLibraryLoaded,
+      limit: CHAT_PAGE_SIZE
+    });
+    
+    if (result.success) {
+      const chatList = document.getElementById('chatList');
+      result.chats.forEach(chat => chatList.appendChild(createChatItem(chat)));
+      chatLibraryLoaded += result.chats.length;
+      chatLibraryTotal = result.total;
+    }
+  } catch (error) {
+    console.error('Error loading more chats:', error);
+  } finally {
+    chatLibraryLoading = false;
+  }
+}
+
+function handleChatListScroll() {
+  const chatList = document.getElementById('chatList');
+  if (chatList.scrollHeight - chatList.scrollTop - chatList.clientHeight < 100) {
+    loadMoreChats();
+  }
+}
+
+// Fill the folder filter and the folder suggestions from the folders in use
+async function loadChatFacets() {
+  try {
+    const result = await window.electronAPI.getChatFacets();
+    if (!result.success) return;
+    
+    const select = document.getElementById('libraryFolder');
+    const selected = select.value;
+    select.innerHTML = '';
+    
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    };
+    addOption('all', 'All chats');
+    addOption('unfiled', 'Unfiled');
+    result.folders.forEach(folder => addOption('folder:' + folder.name, `📁 ${folder.name} (${folder.count})`));
+    addOption('archived', `Archived (${result.archivedCount})`);
+    
+    // Keep the current view, fall back to all chats if its folder is gone
+    select.value = selected;
+    if (select.value !== selected) {
+      select.value = 'all';
+    }
+    
+    const suggestions = document.getElementById('folderSuggestions');
+    suggestions.innerHTML = '';
+    result.folders.forEach(folder => {
+      const option = document.createElement('option');
+      option.value = folder.name;
+      suggestions.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading chat folders:', error);
+  }
+}
+
+function changeChatLibraryView() {
+  chatLibraryLoaded = 0;
+  document.getElementById('chatList').scrollTop = 0;
+  loadChatList();
+}
+
+function filterChatsByTag(tag) {
+  chatLibraryTag = tag;
+  
+  const filter = document.getElementById('libraryTagFilter');
+  filter.innerHTML = '';
+  filter.classList.toggle('hidden', !tag);
+  if (tag) {
+    const chip = document.createElement('span');
+    chip.className = 'chat-tag active';
+    chip.textContent = `#${tag} ✕`;
+    chip.title = 'Clear tag filter';
+    chip.addEventListener('click', () => filterChatsByTag(null));
+    filter.appendChild(chip);
+  }
+  
+  changeChatLibraryView();
+}
+
+async function toggleChatPinned(chat) {
+  try {
+    const result = await window.electronAPI.updateChatMeta({ id: chat.id, pinned: !chat.pinned });
+    if (result.success) {
+      loadChatList();
+    } else {
+      alert('❌ Failed to pin chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error pinning chat:', error);
+    alert('❌ Error pinning chat: ' + error.message);
+  }
+}
+
+function showChatPropertiesDialog(chat) {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'chatPropertiesModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 420px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">Chat Properties</h3>
+      <div class="dialog-fields">
+        <label>Title:<br><input type="text" id="chatPropTitle"></label>
+        <label>Folder:<br><input type="text" id="chatPropFolder" list="folderSuggestions" placeholder="No folder"></label>
+        <label>Tags (comma separated):<br><input type="text" id="chatPropTags" placeholder="aws, iam"></label>
+        <label><input type="checkbox" id="chatPropPinned"> Pinned</label>
+        <label><input type="checkbox" id="chatPropArchived"> Archived</label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="confirmChatProperties" data-args="[${Number(chat.id)}]">Save</button>
+        <button data-action="closeChatPropertiesDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  document.getElementById('chatPropTitle').value = chat.title;
+  document.getElementById('chatPropFolder').value = chat.folder || '';
+  document.getElementById('chatPropTags').value = (chat.tags || []).join(', ');
+  document.getElementById('chatPropPinned').checked = Boolean(chat.pinned);
+  document.getElementById('chatPropArchived').checked = Boolean(chat.archived);
+  document.getElementById('chatPropTitle').focus();
+}
+
+async function confirmChatProperties(chatId) {
+  const title = document.getElementById('chatPropTitle').value.trim();
+  if (!title) {
+    alert('Please enter a title for the chat.');
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.updateChatMeta({
+      id: chatId,
+      title,
+      folder: document.getElementById('chatPropFolder').value,
+      tags: document.getElementById('chatPropTags').value,
+      pinned: document.getElementById('chatPropPinned').checked,
+      archived: document.getElementById('chatPropArchived').checked
+    });
+    
+    if (result.success) {
+      // Tabs showing this chat follow the rename
+      tabs.forEach(tab => {
+        if (tab.loadedChatId === chatId) {
+          tab.title = title;
+          tab.loadedChatTitle = title;
+        }
+      });
+      renderTabs();
+      updateHeaderTitle();
+      
+      closeChatPropertiesDialog();
+      loadChatList();
+    } else {
+      alert('❌ Failed to update chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error updating chat properties:', error);
+    alert('❌ Error updating chat: ' + error.message);
+  }
+}
+
+function closeChatPropertiesDialog() {
+  const modal = document.getElementById('chatPropertiesModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function showRetentionDialog() {
+  let policy = { archiveAfterDays: null, maxActiveChats: null };
+  try {
+    const result = await window.electronAPI.getRetentionPolicy();
+    if (result.success) {
+      policy = result.policy;
+    }
+  } catch (error) {
+    console.error('Error loading retention policy:', error);
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'retentionModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 420px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">Chat Retention</h3>
+      <p style="font-size: 11px; margin-top: 0;">Old chats are moved to Archived, never deleted. Pinned chats are kept. Leave a field empty to turn the rule off.</p>
+      <div class="dialog-fields">
+        <label>Archive chats not updated for (days):<br><input type="number" min="1" id="retentionDays" placeholder="Off"></label>
+        <label>Keep at most this many active chats:<br><input type="number" min="1" id="retentionMaxChats" placeholder="Off"></label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="confirmRetentionPolicy">Save</button>
+        <button data-action="closeRetentionDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  document.getElementById('retentionDays').value = policy.archiveAfterDays || '';
+  document.getElementById('retentionMaxChats').value = policy.maxActiveChats || '';
+}
+
+async function confirmRetentionPolicy() {
+  try {
+    const result = await window.electronAPI.setRetentionPolicy({
+      archiveAfterDays: document.getElementById('retentionDays').value,
+      maxActiveChats: document.getElementById('retentionMaxChats').value
+    });
+    
+    if (result.success) {
+      if (result.archived > 0) {
+        alert(`📦 Archived ${result.archived} chats.`);
+      }
+      closeRetentionDialog();
+      loadChatList();
+    } else {
+      alert('❌ Failed to save retention policy: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    alert('❌ Error saving retention policy: ' + error.message);
+  }
+}
+
+function closeRetentionDialog() {
+  const modal = document.getElementById('retentionModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Chat Search Functions
+let chatSearchTimer = null;
+let chatSearchSequence = 0; // Ignore results of searches that were superseded
+
+function getChatSearchOptions() {
+  return {
+    query: document.getElementById('chatSearchInput').value.trim(),
+    title: document.getElementById('searchTitleFilter').value.trim(),
+    from: document.getElementById('searchFromFilter').value || null,
+    to: document.getElementById('searchToFilter').value || null
+  };
+}
+
+function isChatSearchActive() {
+  const options = getChatSearchOptions();
+  return Boolean(options.query || options.title || options.from || options.to);
+}
+
+function toggleSearchFilters() {
+  document.getElementById('searchFilters').classList.toggle('hidden');
+}
+
+// Search while typing, once the user pauses
+function scheduleChatSearch() {
+  clearTimeout(chatSearchTimer);
+  chatSearchTimer = setTimeout(() => {
+    if (isChatSearchActive()) {
+      runChatSearch();
+    } else {
+      loadChatList();
+    }
+  }, 250);
+}
+
+async function runChatSearch() {
+  const options = getChatSearchOptions();
+  const chatList = document.getElementById('chatList');
+  const sequence = ++chatSearchSequence;
+  
+  try {
+    const result = await window.electronAPI.searchChats(options);
+    if (sequence !== chatSearchSequence) return;
+    chatList.innerHTML = '';
+    
+    if (!result.success) {
+      showChatListMessage('Search failed: ' + result.error);
+      return;
+    }
+    if (result.results.length === 0) {
+      showChatListMessage('No matching chats');
+      return;
+    }
+    
+    result.results.forEach(chat => {
+      chatList.appendChild(createChatItem(chat, options.query));
+    });
+  } catch (error) {
+    console.error('Error searching chats:', error);
+    showChatListMessage('Search failed: ' + error.message);
+  }
+}
+
+function showChatListMessage(text) {
+  const message = document.createElement('div');
+  message.className = 'chat-list-empty';
+  message.textContent = text;
+  document.getElementById('chatList').appendChild(message);
+}
+
+// Sidebar entry of a saved chat, query is set for search results
+function createChatItem(chat, query = null) {
+  const chatItem = document.createElement('div');
+  chatItem.className = 'chat-item';
+  chatItem.title = chat.cwd ? `Project: ${chat.cwd}` : 'Project: ~';
+  
+  const activeTab = getActiveTab();
+  if (activeTab && activeTab.loadedChatId === chat.id) {
+    chatItem.classList.add('selected');
+  }
+  
+  const content = document.createElement('div');
+  content.className = 'chat-content';
+  content.addEventListener('click', () => loadSavedChat(chat.id, chat.title, query));
+  
+  const title = document.createElement('div');
+  title.className = 'chat-title';
+  title.textContent = chat.title;
+  
+  const date = document.createElement('div');
+  date.className = 'chat-date';
+  date.textContent = new Date(chat.created_at).toLocaleDateString() +
+    (chat.folder ? ` · 📁 ${chat.folder}` : '') +
+    (chat.profile ? ` · 🧩 ${chat.profile}` : '') +
+    (chat.archived ? ' · archived' : '');
+  
+  if (chat.pinned) {
+    title.textContent = '📌 ' + chat.title;
+  }
+  
+  content.appendChild(title);
+  content.appendChild(date);
+  
+  if (chat.tags && chat.tags.length > 0) {
+    const tagList = document.createElement('div');
+    tagList.className = 'chat-tags';
+    chat.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'chat-tag';
+      chip.textContent = '#' + tag;
+      chip.title = 'Show chats tagged ' + tag;
+      chip.addEventListener('click', (event) => {
+        event.stopPropagation();
+        filterChatsByTag(tag);
+      });
+      tagList.appendChild(chip);
+    });
+    content.appendChild(tagList);
+  }
+  
+  // Snippet with the matched words highlighted
+  if (chat.snippet) {
+    const snippet = document.createElement('div');
+    snippet.className = 'chat-snippet';
+    ChatSearch.splitSnippet(chat.snippet).forEach(part => {
+      if (part.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = part.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(part.text));
+      }
+    });
+    content.appendChild(snippet);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'chat-actions';
+  
+  const resumeBtn = document.createElement('button');
+  resumeBtn.className = 'chat-action-btn';
+  resumeBtn.textContent = '▶';
+  resumeBtn.title = 'Resume with Q';
+  resumeBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    resumeSavedChat(chat.id, chat.title);
+  });
+  actions.appendChild(resumeBtn);
+  
+  // Search results have no library fields, so they only offer delete
+  if (!query && chat.tags) {
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'chat-action-btn' + (chat.pinned ? ' active' : '');
+    pinBtn.textContent = '📌';
+    pinBtn.title = chat.pinned ? 'Unpin' : 'Pin to top';
+    pinBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      toggleChatPinned(chat);
+    });
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'chat-action-btn';
+    editBtn.textContent = '✎';
+    editBtn.title = 'Rename, folder, tags';
+    editBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      showChatPropertiesDialog(chat);
+    });
+    
+    actions.appendChild(pinBtn);
+    actions.appendChild(editBtn);
+  }
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'delete-btn';
+  deleteBtn.textContent = '🗑️';
+  deleteBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    deleteChat(chat.id, chat.title);
+  });
+  actions.appendChild(deleteBtn);
+  
+  chatItem.appendChild(content);
+  chatItem.appendChild(actions);
+  return chatItem;
+}
+
+// Highlight the first match between two output nodes and scroll it into view
+function revealSearchMatch(tab, startNode, endNode, query) {
+  const pattern = ChatSearch.termPattern(query);
+  if (!pattern) return;
+  
+  let node = startNode ? startNode.nextSibling : tab.outputEl.firstChild;
+  while (node) {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+    let textNode = node.nodeType === Node.TEXT_NODE ? node : walker.nextNode();
+    
+    while (textNode) {
+      const match = pattern.exec(textNode.textContent);
+      if (match) {
+        const matchNode = textNode.splitText(match.index);
+        matchNode.splitText(match[0].length);
+        
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        matchNode.parentNode.replaceChild(mark, matchNode);
+        mark.appendChild(matchNode);
+        
+        tab.followOutput = false;
+        mark.scrollIntoView({ block: 'center' });
+        return;
+      }
+      textNode = node.nodeType === Node.TEXT_NODE ? null : walker.nextNode();
+    }
+    
+    if (node === endNode) break;
+    node = node.nextSibling;
+  }
+}
+
+// Open a saved chat with Q seeded with the conversation, it keeps saving into the same record
+function resumeSavedChat(chatId, chatTitle) {
+  return loadSavedChat(chatId, chatTitle, null, true);
+}
+
+async function loadSavedChat(chatId, chatTitle, searchQuery = null, resume = false) {
+  try {
+    const result = await window.electronAPI.loadChat(chatId);
+    
+    if (result.success) {
+      // Open the saved chat in its own tab so running sessions keep going, with its MCP profile if it still exists
+      const profile = await findMcpProfile(result.profile);
+      const tab = createTab(chatTitle, result.cwd, profile);
+      tab.loadedChatId = chatId;
+      tab.loadedChatTitle = chatTitle;
+      tab.transcript = new Transcript.TranscriptBuilder(result.turns || [], tab.detectors);
+      tab.draftSnapshot = draftSnapshot(getTabTurns(tab)); // Already saved, only new turns need an autosave
+      switchTab(tab.id);
+      
+      // Add helpful header message
+      addOutput(`📂 Loaded saved chat: "${chatTitle}"\n`, tab);
+      if (result.profile && !profile) {
+        addOutput(`⚠️ MCP profile "${result.profile}" no longer exists, the session uses the global mcp.json.\n`, tab);
+      }
+      if (resume) {
+        addOutput('💡 Resuming: the history below is sent to Q as context once it is ready, new replies are saved to this chat.\n\n', tab);
+      } else {
+        addOutput('💡 Chat history displayed below. Use ▶ in the sidebar to resume it with Q.\n\n', tab);
+      }
+      addOutput('--- Saved Chat History ---\n\n', tab);
+      const historyStart = tab.liveEl.previousSibling;
+      
+      // Display saved chat turns, chats without turns fall back to the raw content
+      if (result.turns && result.turns.length > 0) {
+        renderSavedTurns(tab, result.turns);
+      } else {
+        const span = document.createElement('span');
+        span.textContent = result.content;
+        appendOutputNode(tab, span);
+      }
+      const historyEnd = tab.liveEl.previousSibling;
+      
+      // Add separator and start fresh session
+      addOutput('\n\n--- End of Saved History ---\n', tab);
+      addOutput('🆕 Starting fresh Q CLI session...\n\n', tab);
+      
+      if (resume) {
+        const savedTurns = result.turns && result.turns.length > 0
+          ? result.turns
+          : Transcript.parseTranscriptText(result.content);
+        tab.pendingResumeContext = Transcript.buildResumePreamble(savedTurns, { title: chatTitle });
+        tab.resumedChat = true;
+        tab.syncedTurnCount = savedTurns.length;
+      }
+      
+      // Start new session
+      await initSession(tab);
+      
+      // Opened from search results, jump to the first match in the history
+      if (searchQuery) {
+        revealSearchMatch(tab, historyStart, historyEnd, searchQuery);
+      }
+      
+      // Refresh sidebar to show selection
+      loadChatList();
+      
+    } else {
+      alert('❌ Failed to load chat: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error loading saved chat:', error);
+    alert('❌ Error loading chat: ' + error.message);
+  }
+}
+
+async function findMcpProfile(name) {
+  if (!name) return null;
+  try {
+    const result = await window.electronAPI.listMcpProfiles();
+    return result.success && result.profiles.some(profile => profile.name === name) ? name : null;
+  } catch (error) {
+    console.error('Error listing MCP profiles:', error);
+    return null;
+  }
+}
+
+function renderSavedTurns(tab, turns) {
+  turns.forEach(turn => {
+    if (turn.role === 'user') {
+      appendStyledLine(tab, '> ' + turn.text, 'user-bubble');
+      return;
+    }
+    
+    Transcript.turnParts(turn).forEach(part => {
+      if (part.type === 'tool') {
+        const classNames = { tool_use: 'tool', approval_decision: 'approval-decision' };
+        appendStyledLine(tab, part.event.text, classNames[part.event.kind] || 'prompt');
+      } else {
+        part.text.split('\n').forEach(line => appendStyledLine(tab, line, classifyLine(line, tab.detectors)));
+      }
+    });
+  });
+}
+
+function processBuffer(tab) {
+  try {
+    // Split buffer into lines
+    const lines = tab.dataBuffer.split('\n');
+    
+    // Keep the last incomplete line in buffer
+    tab.dataBuffer = lines.pop() || '';
+    
+    // Process complete lines
+    lines.forEach(line => {
+      processCompleteLine(tab, line);
+    });
+  } catch (error) {
+    console.error('Error processing buffer:', error);
+    // Fallback: just display raw text
+    appendOutputNode(tab, document.createTextNode(tab.dataBuffer));
+    tab.dataBuffer = '';
+  }
+}
+
+// App messages (session status, export results) are plain text lines
+function processCompleteLine(tab, lineContent) {
+  try {
+    const text = lineContent.replace(/\r/g, '');
+    appendStyledLine(tab, text, classifyLine(text, tab.detectors));
+    
+  } catch (error) {
+    console.error('Error processing line:', error, 'Line content:', lineContent);
+    // Fallback: display raw line
+    appendOutputNode(tab, document.createTextNode(lineContent + '\n'));
+  }
+}
+
+function appendStyledLine(tab, text, className) {
+  appendOutputNode(tab, OutputRender.renderTextLine(document, text, className));
+}
+
+// CSS class of each kind of line, see Transcript.classifyLine
+const LINE_CLASSES = {
+  user_input: 'user-bubble',
+  thinking: 'system-msg',
+  tool_use: 'tool',
+  permission_prompt: 'prompt',
+  error: 'error'
+};
+
+function classifyLine(text, detectors = Transcript.DEFAULT_DETECTORS) {
+  const lineClass = LINE_CLASSES[Transcript.classifyLine(text, detectors).kind];
+  if (lineClass) {
+    return lineClass;
+  } else if (text.includes('Docker Status:') || text.includes('Getting Ready') || text.includes('Session started')) {
+    return 'system-msg';
+  }
+  return '';
+}
+
+// Everything is added above the live terminal lines, which stay at the bottom
+function appendOutputNode(tab, node) {
+  tab.outputEl.insertBefore(node, tab.liveEl);
+  scrollToBottom(tab);
+}
+
+function scrollToBottom(tab) {
+  if (tab.followOutput) {
+    tab.outputEl.scrollTop = tab.outputEl.scrollHeight;
+  }
+}
+
+function resetOutputPane(tab, text) {
+  tab.outputEl.textContent = text;
+  tab.liveEl = document.createElement('span');
+  tab.liveEl.className = 'live-lines';
+  tab.outputEl.appendChild(tab.liveEl);
+}
+
+// Plain-text transcript of a tab, used for save and export
+function getTabTranscript(tab) {
+  return tab ? (tab.outputEl.textContent || '') : '';
+}
+
+// Turns of a tab including the lines still on the terminal screen
+function getTabTurns(tab) {
+  if (!tab) return [];
+  return tab.transcript.preview(tab.parser.liveTexts());
+}
+
+// Terminal Rendering Functions
+// Returns the parser events of the output
+function writeToTerminal(tab, data) {
+  try {
+    const events = tab.parser.write(data);
+    renderLiveLines(tab);
+    scrollToBottom(tab);
+    return events;
+  } catch (error) {
+    console.error('Error writing to terminal:', error);
+    // Fallback: display raw text
+    appendOutputNode(tab, document.createTextNode(data));
+    return [];
+  }
+}
+
+// Lines still on the terminal screen can be redrawn by Q, re-render them on every write
+function renderLiveLines(tab) {
+  tab.liveEl.innerHTML = '';
+  let promptIndex = 0;
+  tab.parser.liveLines().forEach(({ line, text, continued }) => {
+    const { kind } = Transcript.classifyLine(text, tab.detectors);
+    if (isReportPromptEcho(tab, text)) return;
+    tab.liveEl.appendChild(OutputRender.renderTerminalLine(document, line, LINE_CLASSES[kind] || ''));
+    
+    // Rule decisions show right below their prompt, also before the prompt line is final
+    if (kind === 'permission_prompt' && !continued) {
+      const decision = tab.transcript.pendingDecisions[promptIndex++];
+      if (decision) {
+        tab.liveEl.appendChild(OutputRender.renderApprovalDecision(document, decision));
+      }
+    }
+  });
+}
+
+// Lines that scrolled off the terminal screen are final, event is a line event of the parser
+function commitTerminalLine(tab, event) {
+  const { kind, text, line } = event;
+  
+  // Only show messages that contain "servers initialized"
+  if (kind === 'noise') {
+    console.log('Skipping MCP loading message:', text.substring(0, 50));
+    return; // Don't display these messages
+  }
+  
+  // Handle "Thinking..." - show only once per thinking session
+  if (kind === 'thinking') {
+    const now = Date.now();
+    if (!tab.thinkingShown || (now - tab.lastThinkingTime > 5000)) {
+      tab.thinkingShown = true;
+      tab.lastThinkingTime = now;
+      appendOutputNode(tab, OutputRender.renderTerminalLine(document, line, 'system-msg'));
+    }
+    return;
+  }
+  
+  // Reset thinking flag when we get actual content
+  if (tab.thinkingShown && text.trim()) {
+    tab.thinkingShown = false;
+  }
+  
+  if (!isReportPromptEcho(tab, text)) {
+    appendOutputNode(tab, OutputRender.renderTerminalLine(document, line, LINE_CLASSES[kind] || ''));
+  }
+  
+  // Soft-wrapped lines are one line of the transcript
+  if (!event.continued) {
+    const result = tab.transcript.addLine(text);
+    if (result && result.type === 'tool' && result.event.kind === 'approval_decision') {
+      appendOutputNode(tab, OutputRender.renderApprovalDecision(document, result.event.text));
+    }
+  }
+}
+
+function addOutput(text, tab = getActiveTab()) {
+  if (!tab) {
+    console.warn('No tab to add output to:', text);
+    return;
+  }
+  
+  try {
+    console.log('Adding output:', text.substring(0, 100) + (text.length > 100 ? '...' : ''));
+    
+    // Add to buffer instead of processing immediately
+    tab.dataBuffer += text;
+    
+    // Process complete lines
+    processBuffer(tab);
+    
+  } catch (error) {
+    console.error('Error in addOutput:', error);
+    // Emergency fallback: just append raw text
+    const span = document.createElement('span');
+    span.textContent = text;
+    appendOutputNode(tab, span);
+  }
+}
+
+async function initSession(tab = getActiveTab()) {
+  try {
+    console.log('Checking Docker status...');
+    const dockerStatus = await window.electronAPI.checkDocker();
+    console.log('Docker status result:', dockerStatus);
+    console.log('Docker running?', dockerStatus.running);
+    console.log('Docker error?', dockerStatus.error);
+    
+    console.log('Attempting to create session...');
+    tab.transcript.skipUntilNextPrompt(); // Q's startup banner is not part of the chat
+    tab.auditFromTurn = tab.transcript.getTurns().length;
+    tab.auditClears = 0;
+    tab.auditedCalls = new Map();
+    fitTerminals(); // The saved font size and pane height are in place by now
+    const { cols, rows } = tab.terminal;
+    const sessionId = await window.electronAPI.createSession({
+      cwd: tab.cwd,
+      profile: tab.profile,
+      backend: tab.backend ? tab.backend.id : null,
+      cols,
+      rows
+    });
+    console.log('Session created successfully:', sessionId);
+    tab.sessionStartedAt = Date.now();
+    
+    // Tab was closed while the session was starting
+    if (!tabs.has(tab.id)) {
+      discardedSessions.add(sessionId);
+      await window.electronAPI.killSession(sessionId);
+      return;
+    }
+    
+    setTabConnected(tab, true);
+    addRecentProject(tab.cwd);
+    
+    let startMessage = 'Session started\n';
+    if (tab.cwd) {
+      startMessage += `Working directory: ${tab.cwd}\n`;
+    }
+    if (tab.profile) {
+      startMessage += `MCP profile: ${tab.profile}\n`;
+    }
+    if (tab.backend && tab.backend.id !== AgentBackends.DEFAULT_BACKEND_ID) {
+      startMessage += `Agent: ${tab.backend.label}\n`;
+    }
+    if (!dockerStatus.running) {
+      console.log('Adding Docker warning because dockerStatus.running is:', dockerStatus.running);
+      startMessage += '⚠️  Docker is not running. Some MCP servers in Amazon Q tools might fail to load.\n\n';
+    } else {
+      startMessage += 'Docker Status: Running\n\n';
+      startMessage += 'Getting Ready in few seconds...\n\n';
+    }
+    
+    addOutput(startMessage, tab);
+    claimSession(tab, sessionId);
+    if (tab.terminal.cols !== cols || tab.terminal.rows !== rows) {
+      sendTerminalSize(tab); // Resized while Q was starting
+    }
+  } catch (error) {
+    console.error('Session creation failed:', error);
+    setTabConnected(tab, false);
+    addOutput('Error creating session: ' + error.message + '\n', tab);
+  }
+}
+
+async function sendYes() {
+  try {
+    console.log('Sending Yes response');
+    const tab = getActiveTab();
+    if (!tab || !tab.sessionId) {
+      addOutput('❌ No active session\n');
+      return;
+    }
+    
+    const result = await window.electronAPI.sendToQ(tab.sessionId, 'y');
+    if (!result) {
+      addOutput('Error: Failed to send response\n', tab);
+    }
+  } catch (error) {
+    console.error('Error sending Yes:', error);
+    addOutput('Error: ' + error.message + '\n');
+  }
+}
+
+async function sendNo() {
+  try {
+    console.log('Sending No response');
+    const tab = getActiveTab();
+    if (!tab || !tab.sessionId) {
+      addOutput('❌ No active session\n');
+      return;
+    }
+    
+    const result = await window.electronAPI.sendToQ(tab.sessionId, 'n');
+    if (!result) {
+      addOutput('Error: Failed to send response\n', tab);
+    }
+  } catch (error) {
+    console.error('Error sending No:', error);
+    addOutput('Error: ' + error.message + '\n');
+  }
+}
+
+async function sendTrust() {
+  try {
+    console.log('Sending Trust response');
+    const tab = getActiveTab();
+    if (!tab || !tab.sessionId) {
+      addOutput('❌ No active session\n');
+      return;
+    }
+    
+    const result = await window.electronAPI.sendToQ(tab.sessionId, 'trust');
+    if (!result) {
+      addOutput('Error: Failed to send response\n', tab);
+    }
+  } catch (error) {
+    console.error('Error sending Trust:', error);
+    addOutput('Error: ' + error.message + '\n');
+  }
+}
+
+async function sendMessage() {
+  try {
+    const input = document.getElementById('input');
+    const message = input.value.trim();
+    
+    console.log('Sending message:', message);
+    
+    if (!message) {
+      console.log('Empty message, not sending');
+      return;
+    }
+    
+    const tab = getActiveTab();
+    if (!tab || !tab.sessionId) {
+      console.error('No session ID available');
+      addOutput('Error: No active session\n');
+      return;
+    }
+    if (tab.replay) {
+      addOutput('⚠️ This tab replays a recording, nothing reads what you type. Start a new session to chat.\n', tab);
+      return;
+    }
+    
+    input.value = '';
+    tab.followOutput = true;
+    
+    // Slash commands of the prompt library, anything else (e.g. Q's own /tools) goes to Q as typed
+    const command = PromptLibrary.parseSlashCommand(message);
+    const template = command ? await findPromptTemplate(command.name) : null;
+    if (template) {
+      if (!(await usePromptTemplate(template, command.input))) {
+        input.value = message; // Canceled, keep what was typed
+      }
+      return;
+    }
+    
+    const result = await window.electronAPI.sendToQ(tab.sessionId, message);
+    console.log('Send result:', result);
+    
+    if (!result) {
+      addOutput('Error: Failed to send message\n', tab);
+    }
+    
+  } catch (error) {
+    console.error('Error sending message:', error);
+    addOutput('Error sending message: ' + error.message + '\n');
+  }
+}
+
+function clearOutput() {
+  const tab = getActiveTab();
+  if (!tab) return;
+  
+  recordToolCalls(tab);
+  tab.auditClears++;
+  tab.auditFromTurn = 0;
+  tab.auditedCalls = new Map();
+  
+  resetOutputPane(tab, 'Output cleared\n');
+  tab.parser.clear();
+  tab.transcript = new Transcript.TranscriptBuilder([], tab.detectors);
+  tab.approvalPromptsHandled = 0;
+  tab.thinkingShown = false;
+  tab.lastThinkingTime = 0;
+  tab.dataBuffer = ''; // Clear the buffer
+}
+
+function newSession() {
+  showNewSessionDialog();
+}
+
+async function startNewSession(cwd = null, profile = null, backend = null) {
+  try {
+    // Each new session gets its own tab, existing sessions keep running
+    const tab = createTab(projectName(cwd), cwd, profile, backend);
+    switchTab(tab.id);
+    
+    await initSession(tab);
+    
+    // Refresh sidebar to remove selection
+    loadChatList();
+  } catch (error) {
+    console.error('Error creating new session:', error);
+    addOutput('Error creating new session: ' + error.message + '\n');
+  }
+}
+
+function detectContentType(chatContent) {
+  try {
+    console.log('Analyzing content type, length:', chatContent.length);
+    
+    const reportKeywords = /analysis|summary|findings|results|issue|bug|code|documentation|jira|confluence|error|defect|investigation|review|api|tool|using|completed/i;
+    const hasStructuredData = chatContent.includes('•') || chatContent.includes('|') || chatContent.includes('```') || chatContent.includes('🛠️');
+    const substantialContent = chatContent.length > 500;
+    const multipleExchanges = (chatContent.match(/>/g) || []).length > 2;
+    
+    const isReport = reportKeywords.test(chatContent) || hasStructuredData || (substantialContent && multipleExchanges);
+    
+    console.log('Content analysis:', {
+      hasKeywords: reportKeywords.test(chatContent),
+      hasStructuredData,
+      substantialContent,
+      multipleExchanges,
+      isReport
+    });
+    
+    return isReport ? 'report' : 'chat';
+  } catch (error) {
+    console.error('Error detecting content type:', error);
+    return 'chat'; // Safe fallback
+  }
+}
+
+function generateReportHTML(chatContent, contentType, timestamp) {
+  try {
+    console.log('Generating HTML report, type:', contentType);
+    
+    const title = contentType === 'report' ? 'Q CLI Analysis Report' : 'Q CLI Chat History';
+    const subtitle = contentType === 'report' ? 'Generated Analysis Report' : 'Chat Session Export';
+    
+    // Clean and format content
+    const cleanContent = chatContent
+      .replace(/Session started\n/g, '')
+      .replace(/Session ended.*\n/g, '')
+      .replace(/Output cleared\n/g, '')
+      .replace(/Error creating session.*\n/g, '')
+      .trim();
+    
+    // Convert to HTML with proper formatting
+    const htmlContent = cleanContent
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\n/g, '<br>')
+      .replace(/&gt; ([^<]+)<br>/g, '<div class="user-input">▶ $1</div>')
+      .replace(/🛠️([^<]+)<br>/g, '<div class="tool-usage">🛠️ $1</div>')
+      .replace(/Error:([^<]+)<br>/g, '<div class="error-msg">❌ Error: $1</div>');
+    
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - ${timestamp}</title>
+    <style>
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; 
+            max-width: 800px; 
+            margin: 40px auto; 
+            padding: 20px; 
+            line-height: 1.6; 
+            color: #333;
+            background: #f9f9f9;
+        }
+        .header { 
+            border-bottom: 2px solid #ddd; 
+            padding-bottom: 20px; 
+            margin-bottom: 30px; 
+        }
+        .header h1 { 
+            color: #2c3e50; 
+            margin: 0; 
+            font-size: 28px; 
+        }
+        .header .subtitle { 
+            color: #7f8c8d; 
+            font-size: 16px; 
+            margin-top: 5px; 
+        }
+        .header .timestamp { 
+            color: #95a5a6; 
+            font-size: 14px; 
+            margin-top: 10px; 
+        }
+        .content { 
+            background: white; 
+            padding: 25px; 
+            border-radius: 8px; 
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1); 
+        }
+        .user-input { 
+            background: #e3f2fd; 
+            color: #1976d2; 
+            padding: 10px 15px; 
+            margin: 15px 0; 
+            border-radius: 8px; 
+            border-left: 4px solid #2196f3; 
+            font-weight: 600; 
+        }
+        .tool-usage { 
+            background: #f1f8e9; 
+            color: #558b2f; 
+            padding: 10px 15px; 
+            margin: 10px 0; 
+            border-radius: 8px; 
+            border-left: 4px solid #8bc34a; 
+            font-family: monospace; 
+            font-size: 14px; 
+        }
+        .error-msg { 
+            background: #ffebee; 
+            color: #c62828; 
+            padding: 10px 15px; 
+            margin: 10px 0; 
+            border-radius: 8px; 
+            border-left: 4px solid #f44336; 
+        }
+        .assistant-response { 
+            margin: 15px 0; 
+            padding: 15px; 
+            background: #fafafa; 
+            border-radius: 8px; 
+            font-style: italic; 
+        }
+        .footer { 
+            margin-top: 40px; 
+            padding-top: 20px; 
+            border-top: 1px solid #eee; 
+            text-align: center; 
+            color: #999; 
+            font-size: 12px; 
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+    <div class="subtitle">${subtitle}</div>
+    <div class="timestamp">Generated on ${timestamp}</div>
+</div>
+<div class="content">
+    ${htmlContent || '<p><em>No content to display</em></p>'}
+    </div>
+    <div class="footer">
+        Generated by Q CLI Web Interface
+    </div>
+</body>
+</html>`;
+    
+    console.log('HTML report generated successfully, length:', html.length);
+    return html;
+    
+  } catch (error) {
+    console.error('Error generating HTML report:', error);
+    throw new Error('Failed to generate HTML content: ' + error.message);
+  }
+}
+
+// Formats offered when the exporters cannot be listed
+const DEFAULT_EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown', extension: 'md' },
+  { id: 'json', label: 'JSON', extension: 'json' },
+  { id: 'text', label: 'Plain text', extension: 'txt' },
+  { id: 'html', label: 'HTML', extension: 'html' },
+  { id: 'pdf', label: 'PDF', extension: 'pdf' }
+];
+
+async function showExportDialog() {
+  const tab = getActiveTab();
+  if (!tab || !getTabTranscript(tab).trim()) {
+    addOutput('⚠️ No content to export. Start a conversation first.\n', tab);
+    return;
+  }
+  
+  let formats = DEFAULT_EXPORT_FORMATS;
+  try {
+    formats = await window.electronAPI.getExportFormats();
+  } catch (error) {
+    console.error('Error loading export formats:', error);
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'exportModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 360px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">Export Chat</h3>
+      <div id="exportFormatList" class="dialog-fields"></div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="confirmExportChat">Export</button>
+        <button data-action="closeExportDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  // Preselect the format used last time
+  const lastFormat = localStorage.getItem('exportFormat') || 'markdown';
+  const list = document.getElementById('exportFormatList');
+  formats.forEach((format, index) => {
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'exportFormat';
+    radio.value = format.id;
+    radio.checked = format.id === lastFormat || (index === 0 && !formats.some(f => f.id === lastFormat));
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(` ${format.label} (.${format.extension})`));
+    list.appendChild(label);
+  });
+}
+
+function confirmExportChat() {
+  const selected = document.querySelector('input[name="exportFormat"]:checked');
+  if (!selected) return;
+  
+  localStorage.setItem('exportFormat', selected.value);
+  closeExportDialog();
+  exportChat(selected.value);
+}
+
+function closeExportDialog() {
+  const modal = document.getElementById('exportModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function exportChat(format = 'markdown', retryCount = 0, tab = getActiveTab()) {
+  const maxRetries = 3;
+  
+  try {
+    console.log(`Starting export chat as ${format} (attempt ${retryCount + 1}/${maxRetries + 1})`);
+    
+    // Get chat content
+    if (!tab) {
+      throw new Error('Output element not found');
+    }
+    
+    const chatContent = getTabTranscript(tab);
+    console.log('Extracted chat content, length:', chatContent.length);
+    
+    if (!chatContent.trim()) {
+      addOutput('⚠️ No content to export. Start a conversation first.\n', tab);
+      return;
+    }
+    
+    // Show processing message
+    addOutput('📄 Exporting chat history...\n', tab);
+    
+    if (!window.electronAPI || !window.electronAPI.exportChat) {
+      throw new Error('Export functionality not available');
+    }
+    
+    // The main process renders the chosen format and saves the file
+    const result = await window.electronAPI.exportChat({
+      format,
+      chat: {
+        title: tab.loadedChatTitle || tab.title,
+        cwd: tab.cwd,
+        profile: tab.profile,
+        exportedAt: new Date().toLocaleString(),
+        turns: getTabTurns(tab),
+        content: chatContent
+      }
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to save chat export');
+    }
+    
+    console.log('Chat exported successfully:', result.filePath);
+    
+    // Show success message with clickable link
+    addOutput(`✅ Chat history exported successfully!\n`, tab);
+    addOutput(`📁 Saved to: ${result.filePath}\n`, tab);
+    
+    // Add clickable link
+    const linkSpan = document.createElement('span');
+    linkSpan.append(OutputRender.createFileLink(document, result.filePath, '🔗 Click to open chat export'), '\n');
+    appendOutputNode(tab, linkSpan);
+    
+  } catch (error) {
+    console.error(`Export chat attempt ${retryCount + 1} failed:`, error);
+    
+    if (retryCount < maxRetries) {
+      console.log(`Retrying chat export (${retryCount + 1}/${maxRetries})...`);
+      addOutput(`⚠️ Export failed, retrying... (${retryCount + 1}/${maxRetries})\n`, tab);
+      
+      setTimeout(() => {
+        exportChat(format, retryCount + 1, tab);
+      }, Math.pow(2, retryCount) * 1000);
+      
+    } else {
+      console.error('All chat export attempts failed:', error);
+      addOutput(`❌ Chat export failed after ${maxRetries + 1} attempts: ${error.message}\n`, tab);
+    }
+  }
+}
+
+async function generateReport() {
+  const tab = getActiveTab();
+  
+  try {
+    console.log('Starting generate report process');
+    
+    if (!tab || !tab.sessionId) {
+      addOutput('❌ No active session. Please start a conversation first.\n');
+      return;
+    }
+    
+    // Prevent multiple simultaneous report generations
+    if (tab.isGeneratingReport) {
+      console.log('Report generation already in progress, ignoring click');
+      return;
+    }
+    
+    // Get current chat content to check if there's enough for a report
+    const chatContent = getTabTranscript(tab);
+    
+    if (!chatContent.trim() || chatContent.length < 100) {
+      addOutput('⚠️ Not enough conversation content for a meaningful report. Have a longer conversation first.\n', tab);
+      return;
+    }
+    
+    // Set flags to prevent duplicates
+    tab.isGeneratingReport = true;
+    
+    // The report prompt is the "report" template of the prompt library
+    const template = await findPromptTemplate(PromptLibrary.REPORT_TEMPLATE);
+    const reportPrompt = await renderPromptTemplate(template, tab);
+    if (reportPrompt === null || !tab.sessionId) {
+      tab.isGeneratingReport = false; // Canceled or the session ended meanwhile
+      return;
+    }
+    tab.waitingForReportResponse = true;
+    tab.reportPromptStart = reportPrompt.trim().split('\n')[0].slice(0, 80);
+    
+    // Show processing message
+    addOutput('🤖 Generating comprehensive report...\n', tab);
+    
+    console.log('Sending report generation prompt to Q CLI (hidden from UI):', reportPrompt.substring(0, 100) + '...');
+    
+    // Send the prompt to Q CLI (this won't show in UI due to our filtering)
+    const result = await window.electronAPI.sendToQ(tab.sessionId, reportPrompt);
+    
+    if (!result) {
+      throw new Error('Failed to send report generation request to Q CLI');
+    }
+    
+    console.log('Report generation request sent successfully');
+    addOutput('📝 Q CLI is analyzing the conversation...\n', tab);
+    
+    // Set up auto-save detection for when Q responds with HTML
+    setTimeout(() => {
+      if (tab.waitingForReportResponse) {
+        addOutput('💡 The generated report will be automatically saved when Q CLI completes the analysis.\n', tab);
+      }
+    }, 3000);
+    
+  } catch (error) {
+    console.error('Error generating report:', error);
+    addOutput(`❌ Failed to generate report: ${error.message}\n`, tab);
+    addOutput('💡 Try using "Export Chat" instead for a simple chat history export.\n', tab);
+    
+    // Reset flags on error
+    tab.isGeneratingReport = false;
+    tab.waitingForReportResponse = false;
+  }
+}
+
+async function autoSaveGeneratedReport(tab) {
+  try {
+    console.log('Auto-saving generated report...');
+    
+    // Get the latest output which should contain Q's HTML report
+    const fullContent = getTabTranscript(tab);
+    
+    // Extract HTML content from Q's response (look for HTML tags)
+    const htmlMatch = fullContent.match(/<!DOCTYPE html[\s\S]*<\/html>/i);
+    
+    if (!htmlMatch) {
+      console.log('No complete HTML found in Q response');
+      addOutput('⚠️ Q finished without a complete HTML report, nothing was saved. Try Generate Report again.\n', tab);
+      tab.isGeneratingReport = false;
+      tab.waitingForReportResponse = false;
+      return;
+    }
+    
+    const generatedHTML = htmlMatch[0];
+    console.log('Found generated HTML report, length:', generatedHTML.length);
+    
+    const timestamp = new Date().toLocaleString();
+    const filename = `q-cli-generated-report-${Date.now()}.html`;
+    
+    // Save the Q-generated HTML report
+    const result = await window.electronAPI.saveReport(filename, generatedHTML);
+    
+    if (result.success) {
+      console.log('Generated report auto-saved successfully:', result.filePath);
+      addOutput(`✅ Report auto-saved successfully!\n`, tab);
+      addOutput(`📁 Saved to: ${result.filePath}\n`, tab);
+      
+      // Add clickable link
+      const linkSpan = document.createElement('span');
+      linkSpan.append(OutputRender.createFileLink(document, result.filePath, '🔗 Click to open generated report'), '\n');
+      appendOutputNode(tab, linkSpan);
+    } else {
+      console.error('Failed to auto-save generated report:', result.error);
+      addOutput(`⚠️ Generated report could not be auto-saved: ${result.error}\n`, tab);
+    }
+    
+    // Reset flags
+    tab.isGeneratingReport = false;
+    tab.waitingForReportResponse = false;
+    
+  } catch (error) {
+    console.error('Error in auto-save generated report:', error);
+    addOutput(`⚠️ Error auto-saving report: ${error.message}\n`, tab);
+    
+    // Reset flags
+    tab.isGeneratingReport = false;
+    tab.waitingForReportResponse = false;
+  }
+}
+
+function openFile(path) {
+  try {
+    if (window.electronAPI) {
+      // Relative paths in Q output are relative to the session's project directory
+      const tab = getActiveTab();
+      window.electronAPI.openFileExternal(path, tab ? tab.cwd : null);
+    }
+  } catch (error) {
+    console.error('Error opening file:', error);
+  }
+}
+
+// Prompt Library: templates sent from the Prompts menu or typed as /name, see src/shared/prompts.js
+let promptTemplates = null; // Loaded on first use
+let editingPromptTemplate = null; // Template open in the prompt editor, null for a new one
+let lastOutputSelection = ''; // For {{selection}}, the page selection is gone once the input box has focus
+
+function rememberOutputSelection() {
+  const selection = window.getSelection();
+  const node = selection ? selection.anchorNode : null;
+  const element = node && node.nodeType !== Node.ELEMENT_NODE ? node.parentElement : node;
+  if (element && element.closest('.output')) {
+    lastOutputSelection = selection.toString();
+  }
+}
+
+async function loadPromptTemplates() {
+  try {
+    const result = await window.electronAPI.listPromptTemplates();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    promptTemplates = result.templates;
+  } catch (error) {
+    console.error('Error loading prompt library:', error);
+    promptTemplates = null;
+  }
+  return promptTemplates || [];
+}
+
+// Built-in templates still work when the library cannot be loaded
+async function findPromptTemplate(name) {
+  const templates = promptTemplates || await loadPromptTemplates();
+  return templates.find(template => template.name === name) || PromptLibrary.getBuiltinTemplate(name);
+}
+
+// Prompt text with the variables filled in, null when the user canceled the fields dialog
+async function renderPromptTemplate(template, tab, input = '') {
+  const values = {
+    ...PromptLibrary.builtinValues({ selection: lastOutputSelection, cwd: tab.cwd || '~' }),
+    input
+  };
+  const fields = PromptLibrary.promptedFields(template.body, values);
+  if (fields.length > 0) {
+    const answers = await askPromptFields(template, fields);
+    if (!answers) {
+      return null;
+    }
+    Object.assign(values, answers);
+  }
+  return PromptLibrary.renderTemplate(template.body, values);
+}
+
+// Sends a template to the active session, returns false when it was not sent
+async function usePromptTemplate(template, input = '') {
+  if (template.name === PromptLibrary.REPORT_TEMPLATE) {
+    generateReport(); // Also saves the HTML Q answers with
+    return true;
+  }
+  
+  const tab = getActiveTab();
+  if (!tab || !tab.sessionId) {
+    addOutput('❌ No active session\n');
+    return false;
+  }
+  
+  const prompt = await renderPromptTemplate(template, tab, input);
+  if (prompt === null) {
+    return false;
+  }
+  if (!tab.sessionId) {
+    addOutput('❌ Session ended before the prompt was sent\n', tab);
+    return false;
+  }
+  
+  tab.followOutput = true;
+  const result = await window.electronAPI.sendToQ(tab.sessionId, prompt);
+  if (!result) {
+    addOutput('Error: Failed to send message\n', tab);
+  }
+  return true;
+}
+
+// Asks for the fields of a template, resolves to { name: value } or null when canceled
+function askPromptFields(template, fields) {
+  return new Promise(resolve => {
+    const modal = document.createElement('div');
+    modal.className = 'mcp-modal';
+    modal.id = 'promptFieldsModal';
+    modal.innerHTML = `
+      <div class="mcp-editor" style="width: 420px; height: auto;">
+        <h3 style="margin-top: 0;" id="promptFieldsTitle"></h3>
+        <div id="promptFieldList" class="dialog-fields"></div>
+        <div class="mcp-buttons" style="margin-top: 15px;">
+          <button id="promptFieldsSend">Send</button>
+          <button id="promptFieldsCancel">Cancel</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    document.getElementById('promptFieldsTitle').textContent = `/${template.name}`;
+    
+    const list = document.getElementById('promptFieldList');
+    const inputs = fields.map(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label + ':';
+      label.appendChild(document.createElement('br'));
+      const input = document.createElement('input');
+      input.type = 'text';
+      label.appendChild(input);
+      list.appendChild(label);
+      return input;
+    });
+    
+    const finish = (values) => {
+      modal.remove();
+      resolve(values);
+    };
+    const send = () => {
+      const values = {};
+      fields.forEach((field, index) => {
+        values[field.name] = inputs[index].value;
+      });
+      finish(values);
+    };
+    document.getElementById('promptFieldsSend').addEventListener('click', send);
+    document.getElementById('promptFieldsCancel').addEventListener('click', () => finish(null));
+    inputs.forEach(input => {
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') send();
+        if (event.key === 'Escape') finish(null);
+      });
+    });
+    inputs[0].focus();
+  });
+}
+
+async function showPromptLibrary() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'promptLibraryModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 640px; height: auto; max-height: 85%;">
+      <h3 style="margin-top: 0;">📝 Prompt Library</h3>
+      <div class="secrets-status">Type /name in the input box to send a prompt, text after the name fills {{input}}. Prompts can use {{selection}} (text selected in the output), {{cwd}}, {{date}} and {{time}}. Any other {{name}} or {{name:Question}} is asked for before the prompt is sent.</div>
+      <div id="promptTemplateList" class="secret-list" style="max-height: 50vh;"></div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="showPromptEditor">+ New Prompt</button>
+        <button data-action="importPromptTemplates">Import</button>
+        <button data-action="exportPromptTemplates">Export All</button>
+        <button data-action="closePromptLibrary">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  await loadPromptTemplates();
+  renderPromptLibrary();
+}
+
+function renderPromptLibrary() {
+  const list = document.getElementById('promptTemplateList');
+  if (!list) return;
+  list.innerHTML = '';
+  
+  if (!promptTemplates) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'The prompt library could not be loaded, see the chat database error.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  promptTemplates.forEach(template => {
+    const row = document.createElement('div');
+    row.className = 'secret-row';
+    
+    const name = document.createElement('span');
+    name.className = 'secret-name';
+    name.textContent = `/${template.name}`;
+    name.title = template.body;
+    const description = document.createElement('span');
+    description.className = 'secret-value';
+    description.textContent = template.description;
+    row.appendChild(name);
+    row.appendChild(description);
+    
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    };
+    addButton('▶', 'Send to the active session', () => {
+      closePromptLibrary();
+      usePromptTemplate(template);
+    });
+    addButton('✏️', 'Edit', () => showPromptEditor(template));
+    addButton('📤', 'Export to a file', () => exportPromptTemplates([template.id]));
+    if (!template.builtin) {
+      addButton('🗑️', 'Delete', () => deletePromptTemplate(template));
+    }
+    list.appendChild(row);
+  });
+}
+
+function showPromptEditor(template = null) {
+  editingPromptTemplate = template;
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'promptEditorModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 600px; height: auto; max-height: 90%;">
+      <h3 style="margin-top: 0;" id="promptEditorTitle"></h3>
+      <div class="dialog-fields">
+        <label>Name (used as /name):<br><input type="text" id="promptName" placeholder="standup"></label>
+        <label>Description:<br><input type="text" id="promptDescription" placeholder="Daily standup summary"></label>
+        <label>Prompt:<br><textarea id="promptBody" rows="14" spellcheck="false" placeholder="Summarize what changed in {{cwd}} since {{since:Since when?}}"></textarea></label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="savePromptTemplate">Save</button>
+        <button id="promptResetBtn" data-action="resetPromptTemplate">Restore Default</button>
+        <button data-action="closePromptEditor">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  document.getElementById('promptEditorTitle').textContent = template ? `Edit /${template.name}` : 'New Prompt';
+  document.getElementById('promptName').value = template ? template.name : '';
+  document.getElementById('promptName').disabled = Boolean(template && template.builtin);
+  document.getElementById('promptDescription').value = template ? template.description : '';
+  document.getElementById('promptBody').value = template ? template.body : '';
+  document.getElementById('promptResetBtn').style.display = template && template.builtin ? '' : 'none';
+  document.getElementById(template && template.builtin ? 'promptBody' : 'promptName').focus();
+}
+
+async function savePromptTemplate() {
+  try {
+    const result = await window.electronAPI.savePromptTemplate({
+      id: editingPromptTemplate ? editingPromptTemplate.id : null,
+      name: document.getElementById('promptName').value,
+      description: document.getElementById('promptDescription').value,
+      body: document.getElementById('promptBody').value
+    });
+    if (!result.success) {
+      alert('❌ Could not save the prompt: ' + result.error);
+      return;
+    }
+    closePromptEditor();
+    await loadPromptTemplates();
+    renderPromptLibrary();
+  } catch (error) {
+    alert('❌ Error saving the prompt: ' + error.message);
+  }
+}
+
+async function resetPromptTemplate() {
+  if (!editingPromptTemplate || !confirm(`Restore the default text of /${editingPromptTemplate.name}? Your changes are lost.`)) {
+    return;
+  }
+  try {
+    const result = await window.electronAPI.resetPromptTemplate(editingPromptTemplate.id);
+    if (!result.success) {
+      alert('❌ Could not restore the prompt: ' + result.error);
+      return;
+    }
+    document.getElementById('promptDescription').value = result.template.description;
+    document.getElementById('promptBody').value = result.template.body;
+    await loadPromptTemplates();
+    renderPromptLibrary();
+  } catch (error) {
+    alert('❌ Error restoring the prompt: ' + error.message);
+  }
+}
+
+function closePromptEditor() {
+  const modal = document.getElementById('promptEditorModal');
+  if (modal) {
+    modal.remove();
+  }
+  editingPromptTemplate = null;
+}
+
+async function deletePromptTemplate(template) {
+  if (!confirm(`Delete the prompt /${template.name}?`)) {
+    return;
+  }
+  try {
+    const result = await window.electronAPI.deletePromptTemplate(template.id);
+    if (!result.success) {
+      alert('❌ Could not delete the prompt: ' + result.error);
+      return;
+    }
+    await loadPromptTemplates();
+    renderPromptLibrary();
+  } catch (error) {
+    alert('❌ Error deleting the prompt: ' + error.message);
+  }
+}
+
+async function exportPromptTemplates(ids = null) {
+  try {
+    const result = await window.electronAPI.exportPromptTemplates(ids);
+    if (!result.success) {
+      alert('❌ Prompt export failed: ' + result.error);
+      return;
+    }
+    alert(`✅ Exported ${result.count} prompt${result.count === 1 ? '' : 's'} to:\n${result.filePath}`);
+  } catch (error) {
+    alert('❌ Error exporting prompts: ' + error.message);
+  }
+}
+
+// Prompts with a name that is already taken are replaced only when the user agrees
+async function importPromptTemplates() {
+  try {
+    const file = await window.electronAPI.readPromptFile();
+    if (file.canceled) {
+      return;
+    }
+    if (!file.success) {
+      alert('❌ Could not read the prompt file: ' + file.error);
+      return;
+    }
+    
+    const existing = new Set((promptTemplates || []).map(template => template.name));
+    const taken = file.templates.filter(template => existing.has(template.name)).map(template => `/${template.name}`);
+    const replace = taken.length > 0 &&
+      confirm(`These prompts already exist: ${taken.join(', ')}\n\nOK replaces them, Cancel keeps yours and imports the rest.`);
+    
+    const result = await window.electronAPI.importPromptTemplates(file.templates, replace);
+    if (!result.success) {
+      alert('❌ Prompt import failed: ' + result.error);
+      return;
+    }
+    let message = `✅ Imported ${result.imported} new prompt${result.imported === 1 ? '' : 's'}`;
+    if (result.replaced > 0) message += `, replaced ${result.replaced}`;
+    if (result.skipped > 0) message += `, kept ${result.skipped} existing`;
+    alert(message);
+    await loadPromptTemplates();
+    renderPromptLibrary();
+  } catch (error) {
+    alert('❌ Error importing prompts: ' + error.message);
+  }
+}
+
+function closePromptLibrary() {
+  const modal = document.getElementById('promptLibraryModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Tool Approval Rules, checked top to bottom when Q asks to run a tool
+let approvalRules = [];
+
+async function showApprovalRules() {
+  let result;
+  try {
+    result = await window.electronAPI.getApprovalRules();
+  } catch (error) {
+    alert('❌ Error loading approval rules: ' + error.message);
+    return;
+  }
+  if (!result.success) {
+    alert('❌ Could not load approval rules: ' + result.error);
+    return;
+  }
+  approvalRules = result.rules;
+  
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'approvalRulesModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 600px; height: auto; max-height: 85%;">
+      <h3 style="margin-top: 0;">🛡️ Tool Approval Rules</h3>
+      <div class="secrets-status">Rules are checked from top to bottom when Q asks to run a tool, the first match answers the prompt and is shown in the chat. Prompts no rule matches are left to you (Y/N/T).</div>
+      <div id="approvalRuleList" class="secret-list"></div>
+      <div class="dialog-fields">
+        <label>Action:<br>
+          <select id="approvalRuleAction" style="width: 100%; margin-top: 4px;">
+            <option value="allow">Always allow</option>
+            <option value="deny">Always deny</option>
+            <option value="ask">Always ask</option>
+          </select>
+        </label>
+        <label>Tool (* matches anything):<br><input type="text" id="approvalRuleTool" list="approvalToolSuggestions" placeholder="fs_read"></label>
+        <label>Only under directory (optional):<br><input type="text" id="approvalRuleUnder" placeholder="{project} is the session's project directory"></label>
+        <label>Only when the command or arguments contain (optional):<br><input type="text" id="approvalRuleContains" placeholder="rm -rf"></label>
+      </div>
+      <datalist id="approvalToolSuggestions">
+        <option value="fs_read"></option>
+        <option value="fs_write"></option>
+        <option value="execute_bash"></option>
+        <option value="use_aws"></option>
+        <option value="*"></option>
+      </datalist>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="addApprovalRule">+ Add Rule</button>
+        <button data-action="closeApprovalRules">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  renderApprovalRules();
+}
+
+function renderApprovalRules() {
+  const list = document.getElementById('approvalRuleList');
+  list.innerHTML = '';
+  
+  if (approvalRules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'No rules yet, Q asks before every tool that is not trusted.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  approvalRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'secret-row approval-rule-row';
+    row.classList.toggle('disabled', !rule.enabled);
+    
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Enabled';
+    enabled.addEventListener('change', () => {
+      rule.enabled = enabled.checked;
+      saveApprovalRules();
+    });
+    
+    const description = document.createElement('span');
+    description.className = 'secret-name';
+    description.textContent = `${index + 1}. ${Approval.describeRule(rule)}`;
+    
+    const up = document.createElement('button');
+    up.textContent = '↑';
+    up.title = 'Move up';
+    up.disabled = index === 0;
+    up.addEventListener('click', () => moveApprovalRule(index, -1));
+    
+    const down = document.createElement('button');
+    down.textContent = '↓';
+    down.title = 'Move down';
+    down.disabled = index === approvalRules.length - 1;
+    down.addEventListener('click', () => moveApprovalRule(index, 1));
+    
+    const remove = document.createElement('button');
+    remove.textContent = '🗑️';
+    remove.title = 'Delete rule';
+    remove.addEventListener('click', () => {
+      approvalRules.splice(index, 1);
+      saveApprovalRules();
+    });
+    
+    row.append(enabled, description, up, down, remove);
+    list.appendChild(row);
+  });
+}
+
+function moveApprovalRule(index, offset) {
+  const [rule] = approvalRules.splice(index, 1);
+  approvalRules.splice(index + offset, 0, rule);
+  saveApprovalRules();
+}
+
+async function addApprovalRule() {
+  const rule = {
+    action: document.getElementById('approvalRuleAction').value,
+    tool: document.getElementById('approvalRuleTool').value,
+    under: document.getElementById('approvalRuleUnder').value,
+    contains: document.getElementById('approvalRuleContains').value
+  };
+  if (!rule.tool.trim()) {
+    alert('Please enter a tool name, or * for any tool.');
+    return;
+  }
+  
+  if (await saveApprovalRules([...approvalRules, rule])) {
+    ['approvalRuleTool', 'approvalRuleUnder', 'approvalRuleContains'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+  }
+}
+
+// Saves the list (the current one by default) and shows what the main process stored
+async function saveApprovalRules(rules = approvalRules) {
+  try {
+    const result = await window.electronAPI.setApprovalRules(rules);
+    if (!result.success) {
+      alert('❌ Could not save approval rules: ' + result.error);
+      return false;
+    }
+    approvalRules = result.rules;
+    return true;
+  } catch (error) {
+    alert('❌ Error saving approval rules: ' + error.message);
+    return false;
+  } finally {
+    renderApprovalRules();
+  }
+}
+
+function closeApprovalRules() {
+  const modal = document.getElementById('approvalRulesModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Tool Audit Log, every tool call Q made with its decision and outcome
+const AUDIT_PAGE_SIZE = 100;
+let auditEntries = [];
+let auditTotal = 0;
+
+function showToolAuditLog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'toolAuditModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 90%; height: 85%;">
+      <h3 style="margin-top: 0;">🧾 Tool Audit Log</h3>
+      <div class="audit-filters">
+        <input type="text" id="auditTool" list="auditToolSuggestions" placeholder="Tool">
+        <select id="auditDecision">
+          <option value="">Any decision</option>
+          <option value="allow">Allowed</option>
+          <option value="deny">Denied</option>
+          <option value="trust">Trusted</option>
+          <option value="pending">No answer</option>
+        </select>
+        <select id="auditDecidedBy">
+          <option value="">Decided by anyone</option>
+          <option value="user">User</option>
+          <option value="rule">Rule</option>
+          <option value="api">API client</option>
+          <option value="trusted">Trusted tool</option>
+        </select>
+        <select id="auditOutcome">
+          <option value="">Any outcome</option>
+          <option value="completed">Completed</option>
+          <option value="failed">Failed</option>
+          <option value="denied">Denied</option>
+          <option value="running">Running</option>
+          <option value="waiting">Waiting</option>
+          <option value="unknown">Unknown</option>
+        </select>
+        <label>From <input type="date" id="auditFrom"></label>
+        <label>To <input type="date" id="auditTo"></label>
+        <input type="text" id="auditQuery" placeholder="Arguments, directory or rule">
+        <button data-action="loadToolAuditLog">Filter</button>
+      </div>
+      <datalist id="auditToolSuggestions"></datalist>
+      <div class="audit-log" id="auditLog"></div>
+      <div class="mcp-buttons" style="margin-top: 10px;">
+        <span id="auditCount" style="font-size: 12px; margin-right: auto;"></span>
+        <button id="auditMoreBtn" data-action="loadToolAuditLog" data-args="[true]">Load More</button>
+        <button data-action="exportToolAuditLog" data-args='["csv"]'>Export CSV</button>
+        <button data-action="exportToolAuditLog" data-args='["json"]'>Export JSON</button>
+        <button data-action="closeToolAuditLog">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  modal.querySelectorAll('.audit-filters input[type="text"]').forEach(input => {
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') loadToolAuditLog();
+    });
+  });
+  modal.querySelectorAll('.audit-filters select, .audit-filters input[type="date"]').forEach(input => {
+    input.addEventListener('change', () => loadToolAuditLog());
+  });
+  loadToolAuditLog();
+}
+
+function getAuditFilters() {
+  const value = (id) => document.getElementById(id).value.trim() || null;
+  return {
+    tool: value('auditTool'),
+    decision: value('auditDecision'),
+    decidedBy: value('auditDecidedBy'),
+    outcome: value('auditOutcome'),
+    from: value('auditFrom'),
+    to: value('auditTo'),
+    query: value('auditQuery')
+  };
+}
+
+async function loadToolAuditLog(more = false) {
+  let result;
+  try {
+    result = await window.electronAPI.getToolAuditLog(getAuditFilters(), AUDIT_PAGE_SIZE, more ? auditEntries.length : 0);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  if (!document.getElementById('toolAuditModal')) return; // Closed while loading
+  if (!result.success) {
+    alert('❌ Could not load the audit log: ' + result.error);
+    return;
+  }
+  
+  auditEntries = more ? auditEntries.concat(result.entries) : result.entries;
+  auditTotal = result.total;
+  
+  const suggestions = document.getElementById('auditToolSuggestions');
+  suggestions.innerHTML = '';
+  result.tools.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    suggestions.appendChild(option);
+  });
+  renderToolAuditLog();
+}
+
+function renderToolAuditLog() {
+  const log = document.getElementById('auditLog');
+  log.innerHTML = '';
+  document.getElementById('auditCount').textContent = `${auditEntries.length} of ${auditTotal} tool calls`;
+  document.getElementById('auditMoreBtn').disabled = auditEntries.length >= auditTotal;
+  
+  if (auditEntries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'No tool calls match the filters.';
+    log.appendChild(empty);
+    return;
+  }
+  
+  const table = document.createElement('table');
+  const header = table.insertRow();
+  ['Time', 'Tool', 'Arguments', 'Decision', 'By', 'Outcome', 'Directory', 'Session'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  });
+  
+  auditEntries.forEach(entry => {
+    const row = table.insertRow();
+    const cell = (text, className = '') => {
+      const td = row.insertCell();
+      td.textContent = text || '';
+      td.className = className;
+      return td;
+    };
+    cell(entry.startedAt ? new Date(entry.startedAt).toLocaleString() : '');
+    cell(entry.server ? `${entry.toolName} (${entry.server})` : entry.toolName);
+    const args = cell(ToolAudit.summarizeArguments(entry.arguments), 'audit-arguments');
+    args.title = entry.arguments && entry.arguments.text ? entry.arguments.text : '';
+    cell(entry.decision || '—', entry.decision === 'deny' ? 'audit-denied' : '');
+    cell(entry.decidedBy || '—').title = entry.rule ? `Rule: ${entry.rule}` : '';
+    cell(entry.outcome, `audit-${entry.outcome}`);
+    cell([entry.cwd, entry.profile ? `🧩 ${entry.profile}` : null].filter(Boolean).join(' · '));
+    cell(entry.sessionId);
+  });
+  log.appendChild(table);
+}
+
+async function exportToolAuditLog(format) {
+  try {
+    const result = await window.electronAPI.exportToolAuditLog(format, getAuditFilters());
+    if (!result.success) {
+      alert('❌ Audit log export failed: ' + result.error);
+      return;
+    }
+    if (confirm(`✅ Exported ${result.count} tool calls to:\n${result.filePath}\n\nOpen the file now?`)) {
+      openFile(result.filePath);
+    }
+  } catch (error) {
+    alert('❌ Error exporting the audit log: ' + error.message);
+  }
+}
+
+function closeToolAuditLog() {
+  const modal = document.getElementById('toolAuditModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Local API Server Functions
+async function showApiServerDialog() {
+  let result;
+  try {
+    result = await window.electronAPI.getApiServer();
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  if (!result.success) {
+    alert('❌ Failed to load API server settings: ' + result.error);
+    return;
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'apiServerModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 520px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">🔌 Local API</h3>
+      <p style="font-size: 11px; margin-top: 0;">Lets editor extensions and scripts on this computer list sessions, start them, send input, answer approval prompts and stream output. The server only listens on 127.0.0.1 and every request needs the token.</p>
+      <div class="dialog-fields">
+        <label><input type="checkbox" id="apiServerEnabled"> Run the API server</label>
+        <label>Port:<br><input type="number" min="1024" max="65535" id="apiServerPort"></label>
+        <label>Token:<br><input type="text" id="apiServerToken" readonly placeholder="Made when the server is first turned on"></label>
+        <div id="apiServerStatus"></div>
+        <textarea id="apiServerExample" rows="4" readonly></textarea>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="saveApiServerSettings">Save</button>
+        <button data-action="copyApiToken">📋 Copy Token</button>
+        <button data-action="regenerateApiToken">New Token</button>
+        <button data-action="closeApiServerDialog">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  renderApiServerDialog(result);
+}
+
+function renderApiServerDialog({ settings, status, infoPath }) {
+  document.getElementById('apiServerEnabled').checked = settings.enabled;
+  document.getElementById('apiServerPort').value = settings.port;
+  document.getElementById('apiServerToken').value = settings.token || '';
+  
+  let statusText;
+  if (status.running) {
+    statusText = `✅ Listening on ${status.url}. URL and token are also in ${infoPath} while it runs.`;
+  } else if (settings.enabled && status.error) {
+    statusText = `❌ Not running: ${status.error}`;
+  } else {
+    statusText = 'Not running';
+  }
+  document.getElementById('apiServerStatus').textContent = statusText;
+  
+  const url = status.url || `http://127.0.0.1:${settings.port}`;
+  document.getElementById('apiServerExample').value = settings.token
+    ? `curl -H "Authorization: Bearer ${settings.token}" ${url}/api/sessions\n` +
+      `curl -H "Authorization: Bearer ${settings.token}" -H "Content-Type: application/json" -d '{"text":"Explain this code"}' ${url}/api/sessions/<id>/input\n` +
+      `WebSocket: ${url.replace(/^http/, 'ws')}/api/sessions/<id>/stream?token=${settings.token}`
+    : '';
+}
+
+async function saveApiServerSettings() {
+  try {
+    const result = await window.electronAPI.setApiServer({
+      enabled: document.getElementById('apiServerEnabled').checked,
+      port: document.getElementById('apiServerPort').value
+    });
+    if (!result.success) {
+      alert('❌ Failed to save API server settings: ' + result.error);
+      return;
+    }
+    renderApiServerDialog(result);
+  } catch (error) {
+    console.error('Error saving API server settings:', error);
+    alert('❌ Error saving API server settings: ' + error.message);
+  }
+}
+
+function copyApiToken() {
+  const token = document.getElementById('apiServerToken').value;
+  if (!token) {
+    alert('⚠️ Turn the server on first, the token is made then.');
+    return;
+  }
+  navigator.clipboard.writeText(token).then(() => {
+    alert('📋 API token copied to clipboard!');
+  }).catch(error => {
+    alert('❌ Failed to copy: ' + error.message);
+  });
+}
+
+async function regenerateApiToken() {
+  if (!confirm('Make a new token? Scripts and extensions using the old one stop working.')) {
+    return;
+  }
+  try {
+    const result = await window.electronAPI.regenerateApiToken();
+    if (!result.success) {
+      alert('❌ Failed to make a new token: ' + result.error);
+      return;
+    }
+    renderApiServerDialog(result);
+  } catch (error) {
+    console.error('Error regenerating API token:', error);
+    alert('❌ Error making a new token: ' + error.message);
+  }
+}
+
+function closeApiServerDialog() {
+  const modal = document.getElementById('apiServerModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Agent backends: the builtin ones are listed, the user's own are edited as JSON
+const AGENT_BACKEND_EXAMPLES = [
+  { id: 'q-trusted', label: 'Q, all tools trusted', base: 'q', args: ['chat', '--trust-all-tools'] },
+  { id: 'q-reviewer', label: 'Q reviewer agent', base: 'q', args: ['chat', '--agent', 'reviewer'] }
+];
+
+async function showAgentBackendsDialog() {
+  let result;
+  try {
+    result = await loadAgentBackends();
+  } catch (error) {
+    alert('❌ Failed to load agents: ' + error.message);
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'agentBackendsModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 620px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">🤖 Agents</h3>
+      <p style="font-size: 11px; margin-top: 0;">Sessions run one of these command line chat agents. Add your own as JSON: another program, or Q with other arguments such as a named agent. Keys: id, label, base (an agent to start from), command, args, env and detectors (patterns for its prompt, tool calls, approval questions, thinking lines and errors, the base agent's are used for the ones left out).</p>
+      <div id="agentBackendList" class="agent-note"></div>
+      <div class="dialog-fields" style="margin-top: 10px;">
+        <label>Your agents:<br><textarea id="agentBackendsJson" rows="12" spellcheck="false"></textarea></label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="saveAgentBackends">Save</button>
+        <button data-action="addAgentBackendExamples">Add Examples</button>
+        <button data-action="closeAgentBackendsDialog">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  renderAgentBackendsDialog(result);
+}
+
+function renderAgentBackendsDialog({ backends, custom }) {
+  document.getElementById('agentBackendList').textContent = backends
+    .map(backend => `${backend.builtin ? '' : '🤖 '}${backend.label} (${backend.id}): ${AgentBackends.describeCommand(backend)}`)
+    .join('\n');
+  document.getElementById('agentBackendsJson').value = JSON.stringify(custom, null, 2);
+}
+
+function addAgentBackendExamples() {
+  const textarea = document.getElementById('agentBackendsJson');
+  let current;
+  try {
+    current = textarea.value.trim() ? JSON.parse(textarea.value) : [];
+  } catch (error) {
+    alert('❌ Fix the JSON first: ' + error.message);
+    return;
+  }
+  const list = Array.isArray(current) ? current : [current];
+  const examples = AGENT_BACKEND_EXAMPLES.filter(example => !list.some(backend => backend && backend.id === example.id));
+  textarea.value = JSON.stringify([...list, ...examples], null, 2);
+}
+
+async function saveAgentBackends() {
+  let custom;
+  try {
+    const text = document.getElementById('agentBackendsJson').value.trim();
+    custom = text ? JSON.parse(text) : [];
+  } catch (error) {
+    alert('❌ Agents are not valid JSON: ' + error.message);
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.setAgentBackends(custom);
+    if (!result.success) {
+      alert('❌ Failed to save agents: ' + result.error);
+      return;
+    }
+    agentBackends = result.backends;
+    renderAgentBackendsDialog(result);
+
+    // Opened from the new session dialog, offer the new agents there
+    const agentSelect = document.getElementById('agentSelect');
+    if (agentSelect) {
+      populateAgentSelect(agentSelect.value);
+    }
+    alert('✅ Agents saved');
+  } catch (error) {
+    console.error('Error saving agents:', error);
+    alert('❌ Error saving agents: ' + error.message);
+  }
+}
+
+function closeAgentBackendsDialog() {
+  const modal = document.getElementById('agentBackendsModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Session recordings: asciicast files of raw agent output, replayed into a tab of their own
+async function showRecordingsDialog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'recordingsModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 640px; height: auto; max-height: 85%;">
+      <h3 style="margin-top: 0;">🎬 Session Recordings</h3>
+      <div class="secrets-status">A recording keeps everything a session printed and everything sent to it, with timings, as an asciicast v2 file that asciinema can play too. Attach it to a bug report, or replay it here: the output goes through the app again like it came from the agent. What you type is saved as plain text.</div>
+      <div class="dialog-fields">
+        <label><input type="checkbox" id="recordSessions" data-change="setSessionRecording"> Record new sessions</label>
+        <label>Replay speed:
+          <select id="replaySpeed" data-change="setReplaySpeed">
+            <option value="1">Real time</option>
+            <option value="4">4x</option>
+            <option value="0">As fast as possible</option>
+          </select>
+        </label>
+      </div>
+      <div id="recordingList" class="secret-list" style="max-height: 40vh; margin-top: 10px;"></div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="replayRecordingFile">Replay File...</button>
+        <button data-action="showRecording">Open Folder</button>
+        <button data-action="closeRecordingsDialog">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  document.getElementById('replaySpeed').value = localStorage.getItem('replaySpeed') || '1';
+  await refreshRecordings();
+}
+
+async function refreshRecordings() {
+  let result;
+  try {
+    result = await window.electronAPI.getSessionRecordings();
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  const list = document.getElementById('recordingList');
+  if (!list) return;
+  list.innerHTML = '';
+  if (!result.success) {
+    const failed = document.createElement('div');
+    failed.className = 'chat-list-empty';
+    failed.textContent = `❌ Could not list recordings: ${result.error}`;
+    list.appendChild(failed);
+    return;
+  }
+
+  document.getElementById('recordSessions').checked = result.settings.enabled;
+  if (result.recordings.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = `No recordings in ${result.directory} yet.`;
+    list.appendChild(empty);
+  }
+  result.recordings.forEach(recording => {
+    const row = document.createElement('div');
+    row.className = 'secret-row';
+
+    const name = document.createElement('span');
+    name.className = 'secret-name';
+    name.textContent = recording.name;
+    name.title = recording.filePath;
+    const details = document.createElement('span');
+    details.className = 'secret-value';
+    details.textContent = `${Math.max(1, Math.round(recording.size / 1024))} KB, ${new Date(recording.modifiedAt).toLocaleString()}`;
+    row.appendChild(name);
+    row.appendChild(details);
+
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    };
+    addButton('▶', 'Replay in a new tab', () => replayRecording(recording.filePath));
+    addButton('📂', 'Show in folder', () => showRecording(recording.name));
+    addButton('🗑️', 'Delete', () => deleteRecording(recording.name));
+    list.appendChild(row);
+  });
+}
+
+async function setSessionRecording(enabled) {
+  try {
+    const result = await window.electronAPI.setSessionRecording(enabled);
+    if (!result.success) {
+      alert('❌ Failed to save the recording setting: ' + result.error);
+      document.getElementById('recordSessions').checked = !enabled;
+    }
+  } catch (error) {
+    console.error('Error saving the recording setting:', error);
+    alert('❌ Error saving the recording setting: ' + error.message);
+  }
+}
+
+function setReplaySpeed(speed) {
+  localStorage.setItem('replaySpeed', speed);
+}
+
+async function showRecording(name = null) {
+  const result = await window.electronAPI.showSessionRecording(name);
+  if (!result.success) {
+    alert('❌ Could not open the recordings folder: ' + result.error);
+  }
+}
+
+async function deleteRecording(name) {
+  if (!confirm(`Delete the recording ${name}?`)) return;
+  const result = await window.electronAPI.deleteSessionRecording(name);
+  if (!result.success) {
+    alert('❌ Failed to delete the recording: ' + result.error);
+  }
+  await refreshRecordings();
+}
+
+async function replayRecordingFile() {
+  const result = await window.electronAPI.chooseSessionRecording();
+  if (result.success) {
+    await replayRecording(result.filePath);
+  } else if (!result.canceled) {
+    alert('❌ Could not open the file picker: ' + result.error);
+  }
+}
+
+async function replayRecording(filePath) {
+  const speed = Number(localStorage.getItem('replaySpeed') || '1');
+  try {
+    await loadAgentBackends(); // The recording may come from one of the user's agents
+  } catch (error) {
+    console.error('Could not list agent backends:', error);
+  }
+
+  try {
+    const result = await window.electronAPI.replaySessionRecording(filePath, speed);
+    if (!result.success) {
+      alert('❌ Could not replay the recording: ' + result.error);
+      return;
+    }
+    closeRecordingsDialog();
+
+    const tab = createTab(`▶ ${projectName(result.cwd) || 'Replay'}`, result.cwd, null, findAgentBackend(result.backend));
+    tab.replay = true;
+    tab.parser.resize(result.cols, result.rows); // As recorded
+    tab.transcript.skipUntilNextPrompt();
+    switchTab(tab.id);
+    addOutput(`🎬 Replaying ${filePath} (${speed ? `${speed}x` : 'as fast as possible'}), input is not sent anywhere\n\n`, tab);
+    setTabConnected(tab, true);
+    claimSession(tab, result.sessionId);
+  } catch (error) {
+    console.error('Error replaying recording:', error);
+    alert('❌ Error replaying recording: ' + error.message);
+  }
+}
+
+function closeRecordingsDialog() {
+  const modal = document.getElementById('recordingsModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// MCP Configuration Functions
+// Open editor: { filePath, profile, loadedContent, mode: 'form' | 'raw', servers: [{ name, server, envError }], rest }
+// profile is null while editing the global mcp.json
+let mcpEditor = null;
+
+function mcpEditorProfile() {
+  return mcpEditor ? mcpEditor.profile : null;
+}
+
+async function openMcpConfig(profile = null) {
+  try {
+    const result = await window.electronAPI.getMcpConfig(profile);
+    
+    if (result.success) {
+      showMcpEditor(result.content, result.path, profile);
+    } else {
+      alert('Could not load MCP config: ' + result.error);
+    }
+  } catch (error) {
+    alert('Error loading MCP config: ' + error.message);
+  }
+}
+
+function showMcpEditor(jsonContent, filePath, profile = null) {
+  const sizeKB = new Blob([jsonContent]).size / 1024;
+  
+  if (sizeKB > 500) {
+    if (!confirm(`Large file (${Math.round(sizeKB)}KB). Continue editing?`)) return;
+  }
+  
+  mcpEditor = { filePath, profile, loadedContent: jsonContent, mode: 'raw', servers: [], rest: {} };
+  
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'mcpEditorModal';
+  modal.innerHTML = `
+    <div class="mcp-editor">
+      <h3>MCP Configuration Editor <button data-action="copyMcpConfig" style="float: right; font-size: 10px; padding: 2px 6px;">📋 Copy</button></h3>
+      <div class="mcp-profile-bar">
+        <label for="mcpProfileSelect">Editing:</label>
+        <select id="mcpProfileSelect" data-change="switchMcpProfile"></select>
+        <button data-action="showNewMcpProfileDialog">+ New Profile</button>
+        <button id="mcpDeleteProfileBtn" data-action="deleteMcpProfile">🗑 Delete Profile</button>
+      </div>
+      <div id="mcpFilePath" class="mcp-path"></div>
+      <div class="mcp-mode-bar">
+        <button id="mcpFormModeBtn" data-action="setMcpEditorMode" data-args='["form"]'>Form</button>
+        <button id="mcpRawModeBtn" data-action="setMcpEditorMode" data-args='["raw"]'>Raw JSON</button>
+      </div>
+      <div id="mcpForm" class="mcp-form hidden">
+        <div id="mcpFormErrors" class="mcp-errors"></div>
+        <div id="mcpServerList"></div>
+        <button data-action="addMcpServer">+ Add Server</button>
+      </div>
+      <div id="mcpRaw" class="mcp-raw">
+        <div class="editor-container">
+          <div id="lineNumbers" class="line-numbers"></div>
+          <textarea id="jsonEditor" class="mcp-textarea" data-input="handleMcpRawInput"></textarea>
+        </div>
+        <div id="mcpRawErrors" class="mcp-errors"></div>
+      </div>
+      <div class="mcp-buttons">
+        <button id="mcpBeautifyBtn" data-action="validateAndBeautifyJson">Validate & Beautify JSON</button>
+        <button data-action="resetMcpConfig">Reset Config</button>
+        <button data-action="testMcpServers">🩺 Test Servers</button>
+        <button data-action="showSecretsDialog">🔑 Secrets</button>
+        <button data-action="showMcpBackups">🕘 Backups</button>
+        <button data-action="saveMcpConfig">Save & Restart</button>
+        <button data-action="closeMcpEditor">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  document.getElementById('mcpFilePath').textContent = `📁 ${filePath} (${Math.round(sizeKB)}KB)`;
+  document.getElementById('jsonEditor').value = jsonContent;
+  document.getElementById('mcpDeleteProfileBtn').disabled = !profile;
+  populateMcpProfileSelect(profile);
+  updateLineNumbers();
+  
+  // Open in the form, a file the form cannot show stays in raw mode with its errors listed
+  if (!setMcpEditorMode('form', true)) {
+    setMcpEditorMode('raw');
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function setMcpEditorMode(mode, quiet = false) {
+  if (mode === 'form' && mcpEditor.mode !== 'form') {
+    const { config } = McpSchema.parseMcpConfig(document.getElementById('jsonEditor').value);
+    if (!config || !loadMcpForm(config)) {
+      if (!quiet) {
+        alert('❌ The form needs valid JSON with an "mcpServers" object. Fix the errors listed below the editor first.');
+      }
+      return false;
+    }
+  } else if (mode === 'raw' && mcpEditor.mode === 'form') {
+    // Typed text the form could not apply would be lost
+    if (mcpEditor.servers.some(entry => entry.envError)) {
+      alert('❌ Fix the Env fields marked in red before switching to raw JSON.');
+      return false;
+    }
+    document.getElementById('jsonEditor').value = getMcpEditorContent();
+    updateLineNumbers();
+  }
+  
+  mcpEditor.mode = mode;
+  document.getElementById('mcpForm').classList.toggle('hidden', mode !== 'form');
+  document.getElementById('mcpRaw').classList.toggle('hidden', mode !== 'raw');
+  document.getElementById('mcpFormModeBtn').classList.toggle('active', mode === 'form');
+  document.getElementById('mcpRawModeBtn').classList.toggle('active', mode === 'raw');
+  document.getElementById('mcpBeautifyBtn').style.display = mode === 'raw' ? '' : 'none';
+  refreshMcpValidation();
+  return true;
+}
+
+// Form mode keeps servers as a list so they can be renamed and reordered
+function loadMcpForm(config) {
+  if (!isPlainObject(config)) return false;
+  
+  const { mcpServers = {}, ...rest } = config;
+  if (!isPlainObject(mcpServers)) return false;
+  
+  mcpEditor.rest = rest;
+  mcpEditor.servers = Object.keys(mcpServers).map(name => ({
+    name,
+    server: JSON.parse(JSON.stringify(mcpServers[name])),
+    envError: null
+  }));
+  renderMcpServers();
+  return true;
+}
+
+function buildMcpConfigFromForm() {
+  const mcpServers = {};
+  mcpEditor.servers.forEach(entry => {
+    if (!Object.prototype.hasOwnProperty.call(mcpServers, entry.name)) {
+      mcpServers[entry.name] = entry.server;
+    }
+  });
+  return { ...mcpEditor.rest, mcpServers };
+}
+
+function getMcpEditorContent() {
+  if (mcpEditor && mcpEditor.mode === 'form') {
+    return JSON.stringify(buildMcpConfigFromForm(), null, 2);
+  }
+  return document.getElementById('jsonEditor').value;
+}
+
+function renderMcpServers() {
+  const list = document.getElementById('mcpServerList');
+  list.innerHTML = '';
+  
+  if (mcpEditor.servers.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'No MCP servers configured. Click "+ Add Server" to add one.';
+    list.appendChild(empty);
+  }
+  mcpEditor.servers.forEach((entry, index) => list.appendChild(createMcpServerCard(entry, index)));
+  
+  refreshMcpValidation();
+}
+
+function createMcpServerCard(entry, index) {
+  const card = document.createElement('div');
+  card.className = 'mcp-server-card';
+  card.dataset.index = index;
+  card.innerHTML = `
+    <div class="mcp-server-header">
+      <label>Name <input type="text" data-field="name" data-input="updateMcpServerField" data-args='[${index}, "name"]'></label>
+      <button data-action="duplicateMcpServer" data-args="[${index}]" title="Duplicate server">⧉ Duplicate</button>
+      <button data-action="removeMcpServer" data-args="[${index}]" title="Remove server">🗑️ Remove</button>
+    </div>
+    <div class="mcp-field-error" data-error="name"></div>
+    <div class="mcp-field-error" data-error="server"></div>
+    <div class="dialog-fields">
+      <label>Command:<br><input type="text" data-field="command" placeholder="npx, uvx, docker..." data-input="updateMcpServerField" data-args='[${index}, "command"]'></label>
+      <div class="mcp-field-error" data-error="command"></div>
+      <label>Args (one per line):<br><textarea data-field="args" rows="3" data-input="updateMcpServerField" data-args='[${index}, "args"]'></textarea></label>
+      <div class="mcp-field-error" data-error="args"></div>
+      <label>Env (NAME=value, one per line):<br><textarea data-field="env" rows="3" data-input="updateMcpServerField" data-args='[${index}, "env"]'></textarea></label>
+      <div class="mcp-field-error" data-error="env"></div>
+      <label>Timeout (ms):<br><input type="number" min="1" step="1" data-field="timeout" placeholder="Q default" data-input="updateMcpServerField" data-args='[${index}, "timeout"]'></label>
+      <div class="mcp-field-error" data-error="timeout"></div>
+      <label><input type="checkbox" data-field="disabled" data-change="updateMcpServerField" data-args='[${index}, "disabled"]'> Disabled</label>
+      <div class="mcp-field-error" data-error="disabled"></div>
+    </div>
+  `;
+  
+  // Values the form cannot show as-is (e.g. args given as a string) are shown as text with their error
+  const server = isPlainObject(entry.server) ? entry.server : {};
+  const field = (name) => card.querySelector(`[data-field="${name}"]`);
+  field('name').value = entry.name;
+  field('command').value = typeof server.command === 'string' ? server.command : '';
+  field('args').value = Array.isArray(server.args) ? server.args.join('\n') : (server.args === undefined ? '' : String(server.args));
+  field('env').value = isPlainObject(server.env)
+    ? Object.keys(server.env).map(key => `${key}=${server.env[key]}`).join('\n')
+    : '';
+  field('timeout').value = server.timeout === undefined ? '' : server.timeout;
+  field('disabled').checked = server.disabled === true;
+  
+  // Fields the form does not know are kept, typos like "comand" can be dropped
+  const unknownFields = Object.keys(server).filter(key => !Object.prototype.hasOwnProperty.call(McpSchema.SERVER_FIELDS, key));
+  if (unknownFields.length > 0) {
+    const button = document.createElement('button');
+    button.textContent = '✂ Remove unknown fields';
+    button.title = McpSchema.mcpConfigWarnings({ mcpServers: { [entry.name]: server } }).map(warning => warning.message).join('\n');
+    button.dataset.action = 'removeUnknownMcpFields';
+    button.dataset.args = JSON.stringify([index]);
+    card.querySelector('.mcp-server-header').appendChild(button);
+  }
+  
+  return card;
+}
+
+function removeUnknownMcpFields(index) {
+  const server = mcpEditor.servers[index].server;
+  Object.keys(server)
+    .filter(key => !Object.prototype.hasOwnProperty.call(McpSchema.SERVER_FIELDS, key))
+    .forEach(key => delete server[key]);
+  renderMcpServers();
+}
+
+// Only the edited field is written back, untouched invalid values keep their error
+function updateMcpServerField(index, field, value) {
+  const entry = mcpEditor.servers[index];
+  if (!entry) return;
+  
+  if (field === 'name') {
+    entry.name = value.trim();
+    refreshMcpValidation();
+    return;
+  }
+  
+  if (!isPlainObject(entry.server)) {
+    entry.server = {};
+  }
+  const server = entry.server;
+  
+  if (field === 'command') {
+    server.command = value.trim();
+  } else if (field === 'args') {
+    const args = value.split('\n').filter(arg => arg.trim());
+    if (args.length > 0) {
+      server.args = args;
+    } else {
+      delete server.args;
+    }
+  } else if (field === 'env') {
+    const env = {};
+    entry.envError = null;
+    value.split('\n').forEach((line, lineIndex) => {
+      if (!line.trim()) return;
+      const separator = line.indexOf('=');
+      if (separator <= 0) {
+        entry.envError = entry.envError || `Line ${lineIndex + 1}: expected NAME=value`;
+        return;
+      }
+      env[line.slice(0, separator).trim()] = line.slice(separator + 1);
+    });
+    if (!entry.envError) {
+      if (Object.keys(env).length > 0) {
+        server.env = env;
+      } else {
+        delete server.env;
+      }
+    }
+  } else if (field === 'timeout') {
+    if (value === '') {
+      delete server.timeout;
+    } else {
+      server.timeout = Number(value);
+    }
+  } else if (field === 'disabled') {
+    if (value) {
+      server.disabled = true;
+    } else {
+      delete server.disabled;
+    }
+  }
+  
+  refreshMcpValidation();
+}
+
+function uniqueMcpServerName(base) {
+  const names = new Set(mcpEditor.servers.map(entry => entry.name));
+  let name = base;
+  for (let i = 2; names.has(name); i++) {
+    name = `${base}-${i}`;
+  }
+  return name;
+}
+
+function addMcpServer() {
+  mcpEditor.servers.push({ name: uniqueMcpServerName('new-server'), server: { command: '', args: [] }, envError: null });
+  renderMcpServers();
+  
+  const cards = document.querySelectorAll('#mcpServerList .mcp-server-card');
+  const input = cards[cards.length - 1].querySelector('[data-field="name"]');
+  input.focus();
+  input.select();
+}
+
+function duplicateMcpServer(index) {
+  const entry = mcpEditor.servers[index];
+  mcpEditor.servers.splice(index + 1, 0, {
+    name: uniqueMcpServerName(entry.name + '-copy'),
+    server: JSON.parse(JSON.stringify(entry.server)),
+    envError: null
+  });
+  renderMcpServers();
+}
+
+function removeMcpServer(index) {
+  const entry = mcpEditor.servers[index];
+  if (!confirm(`Remove MCP server "${entry.name}"?`)) return;
+  
+  mcpEditor.servers.splice(index, 1);
+  renderMcpServers();
+}
+
+// Form errors: { index, field, message }, index is null for errors outside a server
+function getMcpFormErrors() {
+  const errors = [];
+  const seen = new Set();
+  
+  mcpEditor.servers.forEach((entry, index) => {
+    if (seen.has(entry.name)) {
+      errors.push({ index, field: 'name', message: 'Another server already uses this name' });
+    }
+    seen.add(entry.name);
+    if (entry.envError) {
+      errors.push({ index, field: 'env', message: entry.envError });
+    }
+  });
+  
+  McpSchema.validateMcpConfig(buildMcpConfigFromForm()).forEach(error => {
+    if (error.path[0] === 'mcpServers' && error.path.length >= 2) {
+      const index = mcpEditor.servers.findIndex(entry => entry.name === error.path[1]);
+      const field = error.path.length >= 3 && Object.prototype.hasOwnProperty.call(McpSchema.SERVER_FIELDS, error.path[2])
+        ? error.path[2]
+        : 'server';
+      errors.push({ index, field, message: error.message });
+    } else {
+      errors.push({ index: null, field: null, message: McpSchema.formatErrors([error]) });
+    }
+  });
+  
+  return errors;
+}
+
+// Show errors next to their fields (form) or as a list with line numbers (raw), returns the errors
+function refreshMcpValidation() {
+  if (!mcpEditor) return [];
+  if (mcpEditor.mode === 'raw') {
+    return showMcpRawErrors();
+  }
+  
+  const errors = getMcpFormErrors();
+  const list = document.getElementById('mcpServerList');
+  list.querySelectorAll('.mcp-field-error').forEach(element => { element.textContent = ''; });
+  list.querySelectorAll('.mcp-field-invalid').forEach(element => element.classList.remove('mcp-field-invalid'));
+  
+  const general = [];
+  errors.forEach(error => {
+    const card = error.index === null ? null : list.querySelector(`.mcp-server-card[data-index="${error.index}"]`);
+    if (!card) {
+      general.push(error.message);
+      return;
+    }
+    const slot = card.querySelector(`[data-error="${error.field}"]`);
+    slot.textContent = slot.textContent ? slot.textContent + '\n' + error.message : error.message;
+    const input = card.querySelector(`[data-field="${error.field}"]`);
+    if (input) {
+      input.classList.add('mcp-field-invalid');
+    }
+  });
+  
+  // Unknown fields are kept and do not block saving
+  const generalWarnings = [];
+  McpSchema.mcpConfigWarnings(buildMcpConfigFromForm()).forEach(warning => {
+    const index = warning.path.length >= 3 ? mcpEditor.servers.findIndex(entry => entry.name === warning.path[1]) : -1;
+    const card = index === -1 ? null : list.querySelector(`.mcp-server-card[data-index="${index}"]`);
+    if (!card) {
+      generalWarnings.push(McpSchema.formatErrors([warning]));
+      return;
+    }
+    const slot = card.querySelector('[data-error="server"]');
+    slot.textContent = (slot.textContent ? slot.textContent + '\n' : '') + '⚠️ ' + warning.message;
+  });
+  
+  const container = document.getElementById('mcpFormErrors');
+  container.innerHTML = '';
+  general.forEach(message => {
+    const item = document.createElement('div');
+    item.textContent = '❌ ' + message;
+    container.appendChild(item);
+  });
+  generalWarnings.forEach(message => {
+    const item = document.createElement('div');
+    item.textContent = '⚠️ ' + message;
+    container.appendChild(item);
+  });
+  
+  return errors;
+}
+
+function handleMcpRawInput() {
+  updateLineNumbers();
+  showMcpRawErrors();
+}
+
+// Line where the key at the end of a path is written, close enough to point the user at it
+function findJsonPathLine(text, path) {
+  let position = 0;
+  for (const part of path) {
+    if (typeof part === 'number') break;
+    
+    const key = JSON.stringify(String(part));
+    let found = text.indexOf(key, position);
+    while (found !== -1 && !/^\s*:/.test(text.slice(found + key.length, found + key.length + 20))) {
+      found = text.indexOf(key, found + key.length);
+    }
+    if (found === -1) break;
+    position = found;
+  }
+  return getLineFromPosition(text, position);
+}
+
+function showMcpRawErrors() {
+  const content = document.getElementById('jsonEditor').value;
+  const { errors, warnings } = McpSchema.parseMcpConfig(content);
+  const container = document.getElementById('mcpRawErrors');
+  container.innerHTML = '';
+  
+  errors.forEach(error => {
+    const item = document.createElement('div');
+    if (error.path === null) {
+      item.textContent = '❌ ' + enhanceJsonError(content, error);
+    } else {
+      item.textContent = `❌ Line ${findJsonPathLine(content, error.path)}: ${McpSchema.formatErrors([error])}`;
+    }
+    container.appendChild(item);
+  });
+  // Warnings do not block saving
+  warnings.forEach(warning => {
+    const item = document.createElement('div');
+    item.textContent = `⚠️ Line ${findJsonPathLine(content, warning.path)}: ${McpSchema.formatErrors([warning])}`;
+    container.appendChild(item);
+  });
+  
+  return errors;
+}
+
+function updateLineNumbers() {
+  const textarea = document.getElementById('jsonEditor');
+  const lineNumbers = document.getElementById('lineNumbers');
+  const lines = textarea.value.split('\n').length;
+  
+  let numbers = '';
+  for (let i = 1; i <= lines; i++) {
+    numbers += i + '\n';
+  }
+  lineNumbers.textContent = numbers;
+}
+
+function getLineFromPosition(text, position) {
+  return text.substring(0, position).split('\n').length;
+}
+
+function enhanceJsonError(content, error) {
+  let errorMsg = error.message;
+  const posMatch = errorMsg.match(/position (\d+)/);
+  if (posMatch) {
+    const position = parseInt(posMatch[1]);
+    const lineNumber = getLineFromPosition(content, position);
+    errorMsg += ` (Line ${lineNumber})`;
+  }
+  return errorMsg;
+}
+
+function validateAndBeautifyJson() {
+  const content = document.getElementById('jsonEditor').value;
+  try {
+    const parsed = JSON.parse(content);
+    const formatted = JSON.stringify(parsed, null, 2);
+    document.getElementById('jsonEditor').value = formatted;
+    handleMcpRawInput();
+    
+    const errors = McpSchema.validateMcpConfig(parsed);
+    const warnings = McpSchema.mcpConfigWarnings(parsed);
+    if (errors.length > 0) {
+      alert('⚠️ JSON has been beautified, but the config has problems:\n\n' + McpSchema.formatErrors(errors));
+    } else if (warnings.length > 0) {
+      alert('✅ JSON is valid and has been beautified!\n\n⚠️ Fields Q may not know:\n' + McpSchema.formatErrors(warnings));
+    } else {
+      alert('✅ JSON is valid and has been beautified!');
+    }
+  } catch (error) {
+    alert('❌ JSON Error: ' + enhanceJsonError(content, error));
+  }
+}
+
+function copyMcpConfig() {
+  const content = McpSecrets.maskSecretsInText(getMcpEditorContent()); // Never copy tokens in clear text
+  navigator.clipboard.writeText(content).then(() => {
+    alert('📋 JSON copied to clipboard!');
+  }).catch(() => {
+    // Fallback for older browsers, needs the visible raw editor
+    if (mcpEditor.mode !== 'raw') {
+      alert('❌ Could not copy, switch to Raw JSON and try again.');
+      return;
+    }
+    const editor = document.getElementById('jsonEditor');
+    const original = editor.value;
+    editor.value = content;
+    editor.select();
+    document.execCommand('copy');
+    editor.value = original;
+    alert('📋 JSON copied to clipboard!');
+  });
+}
+
+function resetMcpConfig() {
+  const templateConfig = `{
+  "mcpServers": {
+    "mcp-atlassian": {
+      "command": "docker",
+      "args": [
+        "run",
+        "--rm",
+        "-i",
+        "-e", "CONFLUENCE_URL",
+        "-e", "CONFLUENCE_PERSONAL_TOKEN",
+        "-e", "CONFLUENCE_SSL_VERIFY",
+        "-e", "JIRA_URL",
+        "-e", "JIRA_PERSONAL_TOKEN",
+        "-e", "JIRA_SSL_VERIFY",
+        "ghcr.io/sooperset/mcp-atlassian:latest"
+      ],
+      "env": {
+        "CONFLUENCE_URL": "https://confluence.base.domain.com",
+        "CONFLUENCE_USERNAME": "00000001",
+        "CONFLUENCE_SSL_VERIFY": "false",
+        "CONFLUENCE_PERSONAL_TOKEN": "\${env:CONFLUENCE_PERSONAL_TOKEN}",
+        "JIRA_URL": "https://jira.base.domain.com",
+        "JIRA_USERNAME": "00000001", 
+        "JIRA_SSL_VERIFY": "false",
+        "JIRA_PERSONAL_TOKEN": "\${env:JIRA_PERSONAL_TOKEN}"
+      }
+    }
+  }
+}`;
+  
+  if (confirm('Reset to template configuration? This will replace current content.')) {
+    if (mcpEditor.mode === 'form') {
+      loadMcpForm(JSON.parse(templateConfig));
+    } else {
+      document.getElementById('jsonEditor').value = templateConfig;
+      handleMcpRawInput();
+    }
+    alert('✅ Template configuration loaded! Update placeholder values, store CONFLUENCE_PERSONAL_TOKEN and JIRA_PERSONAL_TOKEN under 🔑 Secrets and save.');
+  }
+}
+
+async function saveMcpConfig() {
+  const errors = refreshMcpValidation();
+  if (errors.length > 0) {
+    alert(`❌ The config has ${errors.length} problem${errors.length === 1 ? '' : 's'}. Fix the fields marked in red before saving.`);
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.saveMcpConfig(getMcpEditorContent(), mcpEditorProfile());
+    
+    if (result.success) {
+      alert(mcpEditorProfile()
+        ? `MCP profile "${mcpEditorProfile()}" saved successfully! New sessions with this profile use it.`
+        : 'MCP config saved successfully!');
+      closeMcpEditor();
+    } else {
+      alert('Error saving MCP config: ' + result.error);
+    }
+  } catch (error) {
+    alert('Error saving MCP config: ' + error.message);
+  }
+}
+
+function closeMcpEditor() {
+  const modal = document.getElementById('mcpEditorModal');
+  if (modal) {
+    modal.remove();
+  }
+  mcpEditor = null;
+}
+
+// Edits the form or raw text made since the config was loaded, formatting aside
+function mcpEditorHasChanges() {
+  const current = getMcpEditorContent();
+  try {
+    return JSON.stringify(JSON.parse(current)) !== JSON.stringify(JSON.parse(mcpEditor.loadedContent));
+  } catch (error) {
+    return current !== mcpEditor.loadedContent;
+  }
+}
+
+async function populateMcpProfileSelect(selected) {
+  const select = document.getElementById('mcpProfileSelect');
+  select.innerHTML = '';
+  select.appendChild(new Option('Global mcp.json', ''));
+  
+  try {
+    const result = await window.electronAPI.listMcpProfiles();
+    if (!result.success) {
+      alert('Could not list MCP profiles: ' + result.error);
+      return;
+    }
+    result.profiles.forEach(profile => select.appendChild(new Option('🧩 ' + profile.name, profile.name)));
+  } catch (error) {
+    console.error('Error listing MCP profiles:', error);
+  }
+  select.value = selected || '';
+}
+
+async function switchMcpProfile(profile) {
+  if (mcpEditorHasChanges() && !confirm('Discard unsaved changes in the editor?')) {
+    document.getElementById('mcpProfileSelect').value = mcpEditorProfile() || '';
+    return;
+  }
+  closeMcpEditor();
+  await openMcpConfig(profile || null);
+}
+
+function showNewMcpProfileDialog() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'newMcpProfileModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 420px; height: auto; padding: 20px;">
+      <h3 style="margin-top: 0;">🧩 New MCP Profile</h3>
+      <div class="dialog-fields">
+        <label>Name:<br><input type="text" id="newMcpProfileName" placeholder="Jira + Confluence" maxlength="64"></label>
+        <label>Start from:<br><select id="newMcpProfileFrom" style="width: 100%; margin-top: 4px;"></select></label>
+      </div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="createMcpProfile">Create Profile</button>
+        <button data-action="closeNewMcpProfileDialog">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const from = document.getElementById('newMcpProfileFrom');
+  from.appendChild(new Option('Empty (no servers)', 'empty'));
+  from.appendChild(new Option('Copy of the global mcp.json', 'global'));
+  if (mcpEditorProfile()) {
+    from.appendChild(new Option(`Copy of "${mcpEditorProfile()}"`, mcpEditorProfile()));
+  }
+  document.getElementById('newMcpProfileName').focus();
+}
+
+async function createMcpProfile() {
+  const name = document.getElementById('newMcpProfileName').value.trim();
+  if (!name) {
+    alert('Please enter a name for the profile.');
+    return;
+  }
+  if (mcpEditorHasChanges() && !confirm('Discard unsaved changes in the editor?')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.createMcpProfile({ name, from: document.getElementById('newMcpProfileFrom').value });
+    if (!result.success) {
+      alert('❌ Could not create profile: ' + result.error);
+      return;
+    }
+    closeNewMcpProfileDialog();
+    closeMcpEditor();
+    await openMcpConfig(result.name);
+  } catch (error) {
+    alert('❌ Error creating profile: ' + error.message);
+  }
+}
+
+function closeNewMcpProfileDialog() {
+  const modal = document.getElementById('newMcpProfileModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function deleteMcpProfile() {
+  const profile = mcpEditorProfile();
+  if (!profile || !confirm(`Delete the MCP profile "${profile}" and its backups? Running sessions keep their servers until they end.`)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.deleteMcpProfile(profile);
+    if (!result.success) {
+      alert('❌ Could not delete profile: ' + result.error);
+      return;
+    }
+    if (localStorage.getItem('lastMcpProfile') === profile) {
+      localStorage.removeItem('lastMcpProfile');
+    }
+    closeMcpEditor();
+    await openMcpConfig();
+  } catch (error) {
+    alert('❌ Error deleting profile: ' + error.message);
+  }
+}
+
+// Secret store for MCP tokens, values are write-only from here
+async function showSecretsDialog() {
+  let modal = document.getElementById('secretsModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.className = 'mcp-modal';
+    modal.id = 'secretsModal';
+    modal.innerHTML = `
+      <div class="mcp-editor" style="width: 560px; height: auto; max-height: 85%;">
+        <h3 style="margin-top: 0;">🔑 Secrets</h3>
+        <div id="secretsStatus" class="secrets-status"></div>
+        <div id="secretList" class="secret-list"></div>
+        <div class="dialog-fields">
+          <label>Name:<br><input type="text" id="secretName" placeholder="JIRA_PERSONAL_TOKEN"></label>
+          <label>Value:<br><input type="password" id="secretValue" autocomplete="off"></label>
+        </div>
+        <div class="mcp-buttons" style="margin-top: 15px;">
+          <button data-action="saveSecret">Save Secret</button>
+          <button id="moveSecretsBtn" data-action="moveMcpSecretsToStore">🔒 Move Plain-Text Secrets</button>
+          <button data-action="closeSecretsDialog">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+  
+  let status;
+  try {
+    status = await window.electronAPI.getSecretsStatus(mcpEditorProfile());
+  } catch (error) {
+    alert('Error loading secrets: ' + error.message);
+    return;
+  }
+  if (!status.success) {
+    alert('Could not load secrets: ' + status.error);
+    return;
+  }
+  
+  const messages = [];
+  if (!status.available) {
+    messages.push('⚠️ Secure storage is not available on this system, secrets cannot be saved.');
+  }
+  if (status.missing.length > 0) {
+    messages.push(`❌ mcp.json uses secrets that are not stored: ${status.missing.join(', ')}`);
+  }
+  if (status.plainText.length > 0) {
+    messages.push(`⚠️ mcp.json has ${status.plainText.length} plain-text secret${status.plainText.length === 1 ? '' : 's'}: ${status.plainText.join(', ')}`);
+  }
+  messages.push('Reference a secret in an env value as ${env:NAME}. Only the q chat process gets the real value.');
+  const statusElement = document.getElementById('secretsStatus');
+  statusElement.textContent = messages.join('\n');
+  document.getElementById('moveSecretsBtn').disabled = !status.available || status.plainText.length === 0;
+  
+  const list = document.getElementById('secretList');
+  list.innerHTML = '';
+  if (status.names.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'No secrets stored yet.';
+    list.appendChild(empty);
+  }
+  status.names.forEach(name => {
+    const row = document.createElement('div');
+    row.className = 'secret-row';
+    
+    const label = document.createElement('span');
+    label.className = 'secret-name';
+    label.textContent = McpSecrets.secretPlaceholder(name);
+    label.title = status.referenced.includes(name) ? 'Used in mcp.json' : 'Not used in mcp.json';
+    const value = document.createElement('span');
+    value.className = 'secret-value';
+    value.textContent = McpSecrets.SECRET_MASK + (status.referenced.includes(name) ? '' : ' (unused)');
+    
+    const replace = document.createElement('button');
+    replace.className = 'chat-action-btn';
+    replace.textContent = '✎';
+    replace.title = 'Replace value';
+    replace.dataset.action = 'replaceSecret';
+    replace.dataset.args = JSON.stringify([name]);
+    const remove = document.createElement('button');
+    remove.className = 'chat-action-btn';
+    remove.textContent = '🗑️';
+    remove.title = 'Delete secret';
+    remove.dataset.action = 'deleteSecret';
+    remove.dataset.args = JSON.stringify([name]);
+    
+    row.append(label, value, replace, remove);
+    list.appendChild(row);
+  });
+}
+
+// Fills in the name, the value is typed again
+function replaceSecret(name) {
+  document.getElementById('secretName').value = name;
+  document.getElementById('secretValue').value = '';
+  document.getElementById('secretValue').focus();
+}
+
+async function saveSecret() {
+  const name = document.getElementById('secretName').value.trim();
+  const value = document.getElementById('secretValue').value;
+  if (!McpSecrets.SECRET_NAME_PATTERN.test(name)) {
+    alert('Please enter a secret name made of letters, digits and _, e.g. JIRA_PERSONAL_TOKEN.');
+    return;
+  }
+  if (!value) {
+    alert('Please enter the secret value.');
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.setSecret({ name, value });
+    if (!result.success) {
+      alert('Error saving secret: ' + result.error);
+      return;
+    }
+    document.getElementById('secretName').value = '';
+    document.getElementById('secretValue').value = '';
+    await showSecretsDialog();
+  } catch (error) {
+    alert('Error saving secret: ' + error.message);
+  }
+}
+
+async function deleteSecret(name) {
+  if (!confirm(`Delete secret "${name}"? Servers that use \${env:${name}} will not get a value anymore.`)) return;
+  
+  try {
+    const result = await window.electronAPI.deleteSecret(name);
+    if (!result.success) {
+      alert('Error deleting secret: ' + result.error);
+      return;
+    }
+    await showSecretsDialog();
+  } catch (error) {
+    alert('Error deleting secret: ' + error.message);
+  }
+}
+
+async function moveMcpSecretsToStore() {
+  if (!confirm('Move the plain-text secrets in mcp.json into the secret store? The file is backed up first (with secrets redacted) and the values are replaced by ${env:NAME} placeholders. Unsaved changes in the editor are discarded.')) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.moveMcpSecretsToStore(mcpEditorProfile());
+    if (!result.success) {
+      alert('Error moving secrets: ' + result.error);
+      return;
+    }
+    
+    closeSecretsDialog();
+    if (mcpEditor && result.content) {
+      const { filePath, profile } = mcpEditor;
+      closeMcpEditor();
+      showMcpEditor(result.content, filePath, profile);
+    }
+    alert(`✅ Moved ${result.moved.length} secret${result.moved.length === 1 ? '' : 's'} to the secret store:\n` +
+      result.moved.map(entry => `${entry.path} → \${env:${entry.name}}`).join('\n'));
+  } catch (error) {
+    alert('Error moving secrets: ' + error.message);
+  }
+}
+
+function closeSecretsDialog() {
+  const modal = document.getElementById('secretsModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// MCP server health check
+const MCP_HEALTH_ICONS = { ok: '✅', error: '❌', timeout: '⏱️', disabled: '⏸️' };
+
+async function testMcpServers() {
+  const errors = refreshMcpValidation();
+  if (errors.length > 0) {
+    alert('❌ Fix the config problems marked in red before testing the servers.');
+    return;
+  }
+  
+  let modal = document.getElementById('mcpHealthModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.className = 'mcp-modal';
+    modal.id = 'mcpHealthModal';
+    modal.innerHTML = `
+      <div class="mcp-editor" style="width: 70%; height: 75%;">
+        <h3 style="margin-top: 0;">MCP Server Test</h3>
+        <div id="mcpHealthResults" class="mcp-health-results"></div>
+        <div class="mcp-buttons">
+          <button id="mcpHealthRerunBtn" data-action="testMcpServers">Test Again</button>
+          <button data-action="closeMcpHealth">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+  
+  const container = document.getElementById('mcpHealthResults');
+  const rerun = document.getElementById('mcpHealthRerunBtn');
+  container.innerHTML = '';
+  const running = document.createElement('div');
+  running.className = 'mcp-diff-note';
+  running.textContent = '⏳ Starting servers and running the MCP handshake...';
+  container.appendChild(running);
+  rerun.disabled = true;
+  
+  try {
+    const result = await window.electronAPI.testMcpServers(getMcpEditorContent(), mcpEditorProfile());
+    if (!document.getElementById('mcpHealthModal')) return; // Closed while running
+    
+    container.innerHTML = '';
+    if (!result.success) {
+      running.textContent = '❌ ' + result.error;
+      container.appendChild(running);
+    } else if (result.results.length === 0) {
+      running.textContent = 'No MCP servers configured.';
+      container.appendChild(running);
+    } else {
+      result.results.forEach(server => container.appendChild(createMcpHealthItem(server)));
+    }
+  } catch (error) {
+    running.textContent = '❌ Error testing MCP servers: ' + error.message;
+    container.appendChild(running);
+  } finally {
+    rerun.disabled = false;
+  }
+}
+
+function createMcpHealthItem(server) {
+  const item = document.createElement('div');
+  item.className = `mcp-server-card mcp-health-${server.status}`;
+  
+  const header = document.createElement('div');
+  header.className = 'mcp-health-header';
+  const details = [];
+  if (server.status === 'ok') {
+    details.push(`handshake ${server.latencyMs} ms`);
+    if (server.serverInfo) {
+      details.push([server.serverInfo.name, server.serverInfo.version].filter(Boolean).join(' '));
+    }
+  } else if (server.status === 'disabled') {
+    details.push('disabled, not started');
+  } else if (server.error) {
+    details.push(server.error);
+  }
+  header.textContent = `${MCP_HEALTH_ICONS[server.status] || '❔'} ${server.name}` + (details.length ? ` - ${details.join(' - ')}` : '');
+  item.appendChild(header);
+  
+  if (server.status === 'ok') {
+    const tools = document.createElement('div');
+    tools.className = 'mcp-health-tools';
+    tools.textContent = server.tools.length > 0 ? `Tools (${server.tools.length}): ` : 'No tools exposed';
+    server.tools.forEach((tool, index) => {
+      const name = document.createElement('span');
+      name.textContent = tool.name + (index < server.tools.length - 1 ? ', ' : '');
+      name.title = tool.description;
+      tools.appendChild(name);
+    });
+    item.appendChild(tools);
+  }
+  
+  if (server.stderr) {
+    const stderr = document.createElement('pre');
+    stderr.className = 'mcp-health-stderr';
+    stderr.textContent = server.stderr;
+    item.appendChild(stderr);
+  }
+  
+  return item;
+}
+
+function closeMcpHealth() {
+  const modal = document.getElementById('mcpHealthModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// MCP backup history
+let mcpBackupsView = null; // { backups, current, selected }
+
+async function showMcpBackups() {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'mcpBackupsModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 90%; height: 85%;">
+      <h3 style="margin-top: 0;">MCP Config Backups</h3>
+      <div class="mcp-backups">
+        <div id="mcpBackupList" class="mcp-backup-list"></div>
+        <div class="mcp-backup-diff">
+          <div class="mcp-diff-header">
+            <span id="mcpDiffLeftTitle">Backup</span>
+            <span>Current mcp.json</span>
+          </div>
+          <div id="mcpDiff" class="mcp-diff"></div>
+        </div>
+      </div>
+      <div class="mcp-backup-retention">
+        Keep the last <input type="number" id="mcpBackupKeepLast" min="1" placeholder="all"> backups,
+        delete backups older than <input type="number" id="mcpBackupMaxAge" min="1" placeholder="never"> days
+        <button data-action="applyMcpBackupRetention">Apply</button>
+      </div>
+      <div class="mcp-buttons">
+        <button id="mcpRestoreBtn" data-action="restoreSelectedMcpBackup" disabled>Restore Selected</button>
+        <button data-action="closeMcpBackups">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  try {
+    const retention = await window.electronAPI.getMcpBackupRetention();
+    if (retention.success) {
+      document.getElementById('mcpBackupKeepLast').value = retention.policy.keepLast || '';
+      document.getElementById('mcpBackupMaxAge').value = retention.policy.maxAgeDays || '';
+    }
+  } catch (error) {
+    console.error('Error loading backup retention:', error);
+  }
+  
+  await loadMcpBackups();
+}
+
+async function loadMcpBackups() {
+  const list = document.getElementById('mcpBackupList');
+  
+  try {
+    const result = await window.electronAPI.listMcpBackups(mcpEditorProfile());
+    if (!result.success) {
+      alert('Could not list MCP backups: ' + result.error);
+      return;
+    }
+    mcpBackupsView = { backups: result.backups, current: result.current || '', selected: null };
+  } catch (error) {
+    alert('Error listing MCP backups: ' + error.message);
+    return;
+  }
+  
+  list.innerHTML = '';
+  document.getElementById('mcpDiff').innerHTML = '';
+  document.getElementById('mcpRestoreBtn').disabled = true;
+  
+  if (mcpBackupsView.backups.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chat-list-empty';
+    empty.textContent = 'No backups yet. A backup is made every time the config is saved.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  mcpBackupsView.backups.forEach(backup => {
+    const item = document.createElement('div');
+    item.className = 'chat-item';
+    item.dataset.name = backup.name;
+    item.title = backup.path;
+    item.dataset.action = 'selectMcpBackup';
+    item.dataset.args = JSON.stringify([backup.name]);
+    
+    const date = document.createElement('div');
+    date.className = 'chat-title';
+    date.textContent = new Date(backup.createdAt).toLocaleString();
+    const size = document.createElement('div');
+    size.className = 'chat-date';
+    size.textContent = `${(backup.size / 1024).toFixed(1)}KB`;
+    item.append(date, size);
+    list.appendChild(item);
+  });
+  
+  selectMcpBackup(mcpBackupsView.backups[0].name);
+}
+
+// Pretty-printed so formatting differences do not hide the real changes
+function formatMcpConfigForDiff(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+}
+
+async function selectMcpBackup(name) {
+  const result = await window.electronAPI.readMcpBackup(name, mcpEditorProfile());
+  if (!result.success) {
+    alert('Could not read backup: ' + result.error);
+    return;
+  }
+  
+  const backup = mcpBackupsView.backups.find(entry => entry.name === name);
+  mcpBackupsView.selected = { ...backup, content: result.content };
+  document.querySelectorAll('#mcpBackupList .chat-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.name === name);
+  });
+  document.getElementById('mcpDiffLeftTitle').textContent = `Backup from ${new Date(backup.createdAt).toLocaleString()}`;
+  document.getElementById('mcpRestoreBtn').disabled = false;
+  
+  renderMcpDiff(formatMcpConfigForDiff(result.content), formatMcpConfigForDiff(mcpBackupsView.current));
+}
+
+function renderMcpDiff(leftText, rightText) {
+  const container = document.getElementById('mcpDiff');
+  container.innerHTML = '';
+  
+  const rows = LineDiff.diffLines(leftText, rightText);
+  if (rows.every(row => row.type === 'same')) {
+    const same = document.createElement('div');
+    same.className = 'mcp-diff-note';
+    same.textContent = 'Identical to the current config.';
+    container.appendChild(same);
+  }
+  
+  const table = document.createElement('table');
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.className = 'diff-' + row.type;
+    [row.left, row.right].forEach(line => {
+      const number = document.createElement('td');
+      number.className = 'diff-line-number';
+      number.textContent = line ? line.number : '';
+      const text = document.createElement('td');
+      text.className = 'diff-text' + (line ? '' : ' diff-empty');
+      text.textContent = line ? line.text : '';
+      tr.append(number, text);
+    });
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+async function restoreSelectedMcpBackup() {
+  const backup = mcpBackupsView && mcpBackupsView.selected;
+  if (!backup) return;
+  
+  const errors = McpSchema.parseMcpConfig(backup.content).errors;
+  const warning = errors.length > 0
+    ? `\n\n⚠️ This backup has ${errors.length} problem${errors.length === 1 ? '' : 's'} and Q may fail to start with it:\n${McpSchema.formatErrors(errors)}`
+    : '';
+  if (!confirm(`Restore the backup from ${new Date(backup.createdAt).toLocaleString()}?\n\nThe current config is backed up first. Unsaved changes in the editor are discarded.${warning}`)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.restoreMcpBackup(backup.name, mcpEditorProfile());
+    if (!result.success) {
+      alert('Error restoring backup: ' + result.error);
+      return;
+    }
+    
+    closeMcpBackups();
+    if (mcpEditor) {
+      const { filePath, profile } = mcpEditor;
+      closeMcpEditor();
+      showMcpEditor(result.content, filePath, profile);
+    }
+    alert('✅ Backup restored. The previous config was saved as a new backup.');
+  } catch (error) {
+    alert('Error restoring backup: ' + error.message);
+  }
+}
+
+async function applyMcpBackupRetention() {
+  const policy = {
+    keepLast: document.getElementById('mcpBackupKeepLast').value,
+    maxAgeDays: document.getElementById('mcpBackupMaxAge').value
+  };
+  
+  try {
+    const result = await window.electronAPI.setMcpBackupRetention(policy);
+    if (!result.success) {
+      alert('Error saving backup retention: ' + result.error);
+      return;
+    }
+    
+    document.getElementById('mcpBackupKeepLast').value = result.policy.keepLast || '';
+    document.getElementById('mcpBackupMaxAge').value = result.policy.maxAgeDays || '';
+    alert(`✅ Backup retention saved. ${result.deleted} old backup${result.deleted === 1 ? '' : 's'} deleted.`);
+    await loadMcpBackups();
+  } catch (error) {
+    alert('Error saving backup retention: ' + error.message);
+  }
+}
+
+function closeMcpBackups() {
+  const modal = document.getElementById('mcpBackupsModal');
+  if (modal) {
+    modal.remove();
+  }
+  mcpBackupsView = null;
+}
+
+function closeApp() {
+  try {
+    console.log('Close button clicked, closing app...');
+    if (window.electronAPI && window.electronAPI.closeApp) {
+      window.electronAPI.closeApp();
+    } else {
+      // Fallback: close window
+      window.close();
+    }
+  } catch (error) {
+    console.error('Error closing app:', error);
+    window.close();
+  }
+}
+
+// Ctrl/Cmd+Enter to send, Enter for new line
+document.getElementById('input').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    sendMessage();
+  }
+});
+
+// Enable copy functionality in output area
+document.getElementById('outputs').addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.key === 'c') {
+    // Let browser handle the copy - don't prevent default
+    console.log('Copy shortcut detected in output area');
+  }
+});
+
+// Enable right-click context menu for copy
+document.getElementById('outputs').addEventListener('contextmenu', (e) => {
+  // Allow default context menu for copy functionality
+  console.log('Right-click context menu enabled for copy');
+});
+
+// Fix Cmd+A selection
+document.getElementById('input').addEventListener('keydown', (e) => {
+  if ((e.metaKey || e.ctrlKey) && e.key === 'a') {
+    e.preventDefault();
+    e.target.select();
+  }
+});
+
+function handleSessionOutput(tab, data) {
+  const events = writeToTerminal(tab, data.data);
+  const ready = events.some(event => event.type === 'ready');
+  
+  // Check if this is the start of Q's HTML report response
+  if (tab.waitingForReportResponse && events.some(event => event.type === 'line' && /<!DOCTYPE html/i.test(event.text))) {
+    console.log('Detected start of HTML report response from Q CLI');
+    addOutput('📄 Report generated! Processing...\n', tab);
+  }
+  
+  // Q is back at its prompt, the report is as complete as it gets
+  if (ready && tab.waitingForReportResponse) {
+    console.log('Detected completion of HTML report generation');
+    autoSaveGeneratedReport(tab);
+  }
+  
+  if (ready) {
+    handleInputPrompt(tab);
+  }
+  if (ready || events.some(ToolAudit.changesToolCalls)) {
+    recordToolCalls(tab, tab.parser.atInputPrompt);
+  }
+  
+  // Approval prompts go through the rules first, the Y/N/T buttons are for what is left
+  if (!handleApprovalPrompt(tab) && tab.isWaitingForPrompt) {
+    console.log('Prompt response received, switching back to normal mode');
+    setTabPromptState(tab, false);
+  }
+  scheduleDraftSave(tab);
+}
+
+// The report prompt is sent like a message, its echo is not shown
+function isReportPromptEcho(tab, text) {
+  if (!tab.waitingForReportResponse || !tab.reportPromptStart) return false;
+  const { kind, input } = Transcript.classifyLine(text, tab.detectors);
+  return kind === 'user_input' && Boolean(input) && input.startsWith(tab.reportPromptStart.slice(0, input.length));
+}
+
+// Returns whether Q waits for an approval, a new prompt is sent to the rules once
+function handleApprovalPrompt(tab) {
+  if (!tab.transcript.awaitingApproval && !tab.parser.approvalOnScreen) {
+    return false; // Cheap check first, the preview copies all turns
+  }
+  
+  const preview = tab.transcript.withLines(tab.parser.liveTexts());
+  if (!preview.awaitingApproval) {
+    return false;
+  }
+  // A replay shows the prompt, the answer given back then is in the recording
+  if (preview.approvalPrompts > tab.approvalPromptsHandled && !tab.replay) {
+    tab.approvalPromptsHandled = preview.approvalPrompts;
+    resolveApprovalPrompt(tab, preview.approvalPrompts, Approval.findPendingToolRequest(preview.getTurns()));
+  }
+  return true;
+}
+
+async function resolveApprovalPrompt(tab, promptNumber, request) {
+  let result = { success: true, action: 'ask', rule: null };
+  if (request && request.toolName && tab.sessionId) {
+    try {
+      result = await window.electronAPI.resolveApproval(tab.sessionId, request);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+  }
+  
+  if (result.success && !result.action) {
+    return; // The prompt was answered in the meantime
+  }
+  if (!result.success || result.action === 'ask') {
+    if (!result.success) {
+      console.error('Could not apply approval rules:', result.error);
+    }
+    console.log('Prompt detected, switching to prompt mode');
+    setTabPromptState(tab, true);
+    recordToolCalls(tab);
+    return;
+  }
+  
+  const text = Approval.formatDecision(result.action, request.toolName, result.rule.description);
+  const event = tab.transcript.addApprovalDecision(promptNumber, text);
+  if (event) {
+    appendOutputNode(tab, OutputRender.renderApprovalDecision(document, text));
+  }
+  renderLiveLines(tab);
+  recordToolCalls(tab);
+}
+
+// An API client answered the approval prompt (POST /api/sessions/:id/approval), it shows like a rule's answer
+function handleApiApproval(tab, data) {
+  const preview = tab.transcript.withLines(tab.parser.liveTexts());
+  if (!preview.awaitingApproval) return;
+  
+  const request = Approval.findPendingToolRequest(preview.getTurns());
+  const text = Approval.formatClientDecision(data.answer, (request && request.toolName) || 'tool');
+  const event = tab.transcript.addApprovalDecision(preview.approvalPrompts, text);
+  if (event) {
+    appendOutputNode(tab, OutputRender.renderApprovalDecision(document, text));
+  }
+  renderLiveLines(tab);
+  recordToolCalls(tab);
+}
+
+// Tool calls of the session go to the audit log when they start, get an answer and end.
+// replyOver: Q is back at its input prompt, calls without an outcome will not get one.
+function recordToolCalls(tab, replyOver = false) {
+  if (!tab.sessionId || tab.replay) return; // Replayed calls were logged when they happened
+  
+  const preview = tab.transcript.withLines(tab.parser.liveTexts());
+  const turns = preview.getTurns();
+  const calls = [];
+  for (let turnIndex = tab.auditFromTurn; turnIndex < turns.length; turnIndex++) {
+    if (turns[turnIndex].role !== 'assistant') continue;
+    const finished = turnIndex < turns.length - 1 || (replyOver && !preview.awaitingApproval);
+    ToolAudit.extractToolCalls(turns[turnIndex], { finished }).forEach(call => {
+      const key = `${tab.auditClears}.${turnIndex}.${call.index}`;
+      // Lines still on the screen get a new time with every preview, so times are left out
+      const { startedAt, decidedAt, ...details } = call;
+      const sent = JSON.stringify(details);
+      if (tab.auditedCalls.get(key) !== sent) {
+        tab.auditedCalls.set(key, sent);
+        calls.push({ key, ...call });
+      }
+    });
+  }
+  if (calls.length === 0) return;
+  
+  const retryLater = (error) => {
+    console.error('Could not record tool calls:', error);
+    calls.forEach(call => tab.auditedCalls.delete(call.key));
+  };
+  window.electronAPI.recordToolCalls(tab.sessionId, tab.cwd, tab.profile, calls)
+    .then(result => {
+      if (!result.success) retryLater(result.error);
+    })
+    .catch(error => retryLater(error.message));
+}
+
+// Q finished starting up or replying and waits for input
+function handleInputPrompt(tab) {
+  if (tab.pendingResumeContext) {
+    const context = tab.pendingResumeContext;
+    tab.pendingResumeContext = null;
+    window.electronAPI.sendToQ(tab.sessionId, context).then(sent => {
+      addOutput(sent ? '💡 Earlier conversation sent to Q as context\n' : '❌ Failed to send earlier conversation to Q\n', tab);
+    });
+  } else if (tab.resumedChat) {
+    syncResumedChat(tab);
+  }
+}
+
+// Resumed chats keep appending to their saved record
+async function syncResumedChat(tab) {
+  const turns = getTabTurns(tab);
+  if (turns.length === tab.syncedTurnCount) {
+    return;
+  }
+  tab.syncedTurnCount = turns.length;
+  
+  try {
+    const result = await window.electronAPI.updateChat({
+      id: tab.loadedChatId,
+      content: getTabTranscript(tab),
+      turns
+    });
+    if (!result.success) {
+      console.error('Failed to update resumed chat:', result.error);
+    }
+  } catch (error) {
+    console.error('Error updating resumed chat:', error);
+  }
+}
+
+function handleSessionClosed(tab, data) {
+  // Whatever is still on the terminal screen is final now
+  tab.parser.flush();
+  renderLiveLines(tab);
+  recordToolCalls(tab, true);
+  
+  tab.sessionId = null;
+  setTabConnected(tab, false);
+  setTabPromptState(tab, false);
+  saveDraft(tab);
+  if (!data.unexpected) {
+    addOutput('Session ended\n', tab);
+    return;
+  }
+  addOutput(`❌ ${data.reason}\n`, tab);
+  scheduleRestart(tab);
+}
+
+// A crashed session starts again in the same tab after a growing delay, Q gets the
+// conversation so far as context like a resumed chat
+function scheduleRestart(tab) {
+  if (!tab.autoRestart) {
+    addOutput('💡 Use New to start another session, tick "Restart the agent when it crashes" there to have it done automatically.\n', tab);
+    return;
+  }
+  if (Date.now() - tab.sessionStartedAt >= STABLE_SESSION_MS) {
+    tab.restartAttempts = 0;
+  }
+  if (tab.restartAttempts >= RESTART_DELAYS_MS.length) {
+    addOutput(`⚠️ Not restarting again after ${tab.restartAttempts} attempts, use New to start another session.\n`, tab);
+    return;
+  }
+  const delay = RESTART_DELAYS_MS[tab.restartAttempts++];
+  addOutput(`🔄 Restarting in ${delay / 1000}s (attempt ${tab.restartAttempts} of ${RESTART_DELAYS_MS.length})...\n`, tab);
+  tab.restartTimer = setTimeout(() => restartSession(tab), delay);
+}
+
+async function restartSession(tab) {
+  tab.restartTimer = null;
+  if (!tabs.has(tab.id) || tab.sessionId) return;
+  
+  const turns = getTabTurns(tab);
+  if (turns.length > 0) {
+    tab.pendingResumeContext = Transcript.buildResumePreamble(turns, { title: tab.loadedChatTitle || '' });
+  }
+  await initSession(tab);
+}
+
+// Autosave: the tab's conversation goes to the database as it happens, so a crash of the
+// app loses nothing (see offerDraftRecovery). Resumed chats save into their chat instead.
+function scheduleDraftSave(tab) {
+  if (tab.replay || tab.resumedChat || tab.draftTimer) return;
+  tab.draftTimer = setTimeout(() => saveDraft(tab), DRAFT_SAVE_DELAY_MS);
+}
+
+async function saveDraft(tab) {
+  clearTimeout(tab.draftTimer);
+  tab.draftTimer = null;
+  if (tab.replay || tab.resumedChat || !tabs.has(tab.id)) return;
+  
+  const turns = getTabTurns(tab);
+  const snapshot = draftSnapshot(turns);
+  if (snapshot === tab.draftSnapshot) return;
+  tab.draftSnapshot = snapshot;
+  
+  try {
+    const result = turns.length === 0
+      ? await window.electronAPI.deleteChatDraft(tab.draftId)
+      : await window.electronAPI.saveChatDraft({
+        id: tab.draftId,
+        title: tab.loadedChatTitle || `${tab.title}, ${new Date(tab.sessionStartedAt || Date.now()).toLocaleString()}`,
+        content: getTabTranscript(tab),
+        cwd: tab.cwd,
+        profile: tab.profile,
+        backend: tab.backend ? tab.backend.id : null,
+        turns
+      });
+    if (!result.success) {
+      console.error('Could not autosave the conversation:', result.error);
+      tab.draftSnapshot = null; // Try again with the next output
+    }
+  } catch (error) {
+    console.error('Error autosaving the conversation:', error);
+    tab.draftSnapshot = null;
+  }
+}
+
+// Lines still on the screen get a new time with every preview, so times are left out
+function draftSnapshot(turns) {
+  return JSON.stringify(turns, (key, value) => (['startedAt', 'endedAt', 'at'].includes(key) ? undefined : value));
+}
+
+// The conversation is in the chat library now, nothing to recover until it goes on
+function markDraftSaved(tab, turns) {
+  if (!tab) return;
+  tab.draftSnapshot = draftSnapshot(turns);
+  deleteDraft(tab);
+}
+
+function discardDraft(tab) {
+  tab.draftSnapshot = null;
+  deleteDraft(tab);
+}
+
+function deleteDraft(tab) {
+  clearTimeout(tab.draftTimer);
+  tab.draftTimer = null;
+  window.electronAPI.deleteChatDraft(tab.draftId)
+    .then(result => {
+      if (!result.success) console.error('Could not delete the autosaved conversation:', result.error);
+    })
+    .catch(error => console.error('Error deleting the autosaved conversation:', error));
+}
+
+// Conversations autosaved by an earlier run that were never saved as chats: the app
+// crashed, or was closed with them open
+async function offerDraftRecovery() {
+  try {
+    const result = await window.electronAPI.getChatDrafts();
+    if (!result.success) {
+      console.error('Could not list autosaved conversations:', result.error);
+      return;
+    }
+    if (result.drafts.length > 0) {
+      showDraftRecoveryDialog(result.drafts);
+    }
+  } catch (error) {
+    console.error('Error listing autosaved conversations:', error);
+  }
+}
+
+function showDraftRecoveryDialog(drafts) {
+  const modal = document.createElement('div');
+  modal.className = 'mcp-modal';
+  modal.id = 'draftRecoveryModal';
+  modal.innerHTML = `
+    <div class="mcp-editor" style="width: 600px; height: auto; max-height: 85%;">
+      <h3 style="margin-top: 0;">♻️ Recover Conversations</h3>
+      <div class="secrets-status">These conversations were not saved when the app last closed. Recover saves one as a chat and resumes it with Q, Discard throws it away.</div>
+      <div id="draftList" class="secret-list" style="max-height: 40vh; margin-top: 10px;"></div>
+      <div class="mcp-buttons" style="margin-top: 15px;">
+        <button data-action="discardAllDrafts">Discard All</button>
+        <button data-action="closeDraftRecoveryDialog">Later</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const list = document.getElementById('draftList');
+  drafts.forEach(draft => {
+    const row = document.createElement('div');
+    row.className = 'secret-row';
+    row.dataset.draftId = draft.id;
+    
+    const name = document.createElement('span');
+    name.className = 'secret-name';
+    name.textContent = draft.title;
+    name.title = draft.cwd || '';
+    const details = document.createElement('span');
+    details.className = 'secret-value';
+    details.textContent = `${draft.turnCount} turn${draft.turnCount === 1 ? '' : 's'}, ${new Date(draft.updatedAt).toLocaleString()}`;
+    row.appendChild(name);
+    row.appendChild(details);
+    
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    };
+    addButton('Recover', 'Save as a chat and resume it', () => recoverDraft(draft.id));
+    addButton('Discard', 'Throw it away', () => discardRecoveredDraft(draft.id));
+    list.appendChild(row);
+  });
+}
+
+async function recoverDraft(id) {
+  try {
+    const result = await window.electronAPI.recoverChatDraft(id);
+    if (!result.success) {
+      alert('❌ Failed to recover the conversation: ' + result.error);
+      return;
+    }
+    removeDraftRow(id);
+    loadChatList();
+    await resumeSavedChat(result.id, result.title);
+  } catch (error) {
+    console.error('Error recovering conversation:', error);
+    alert('❌ Error recovering conversation: ' + error.message);
+  }
+}
+
+async function discardRecoveredDraft(id) {
+  try {
+    const result = await window.electronAPI.deleteChatDraft(id);
+    if (!result.success) {
+      alert('❌ Failed to discard the conversation: ' + result.error);
+      return;
+    }
+    removeDraftRow(id);
+  } catch (error) {
+    console.error('Error discarding conversation:', error);
+    alert('❌ Error discarding conversation: ' + error.message);
+  }
+}
+
+async function discardAllDrafts() {
+  if (!confirm('Throw away all unsaved conversations?')) return;
+  const ids = Array.from(document.querySelectorAll('#draftList .secret-row'), row => row.dataset.draftId);
+  for (const id of ids) {
+    await discardRecoveredDraft(id);
+  }
+}
+
+// The dialog closes with its last conversation
+function removeDraftRow(id) {
+  const row = Array.from(document.querySelectorAll('#draftList .secret-row')).find(candidate => candidate.dataset.draftId === id);
+  if (row) row.remove();
+  if (!document.querySelector('#draftList .secret-row')) {
+    closeDraftRecoveryDialog();
+  }
+}
+
+function closeDraftRecoveryDialog() {
+  const modal = document.getElementById('draftRecoveryModal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// The Content-Security-Policy blocks inline handlers, elements name the function to call instead:
+// data-action on click, data-change and data-input on fields. The function gets the JSON array in
+// data-args, if any, and fields add their value (checked for checkboxes).
+function handleDelegatedEvent(event, attribute) {
+  const element = event.target.closest(`[data-${attribute}]`);
+  if (!element) return;
+  
+  const name = element.dataset[attribute];
+  const handler = window[name];
+  if (typeof handler !== 'function') {
+    console.error(`No function ${name} for the ${event.type} event`);
+    return;
+  }
+  
+  const args = element.dataset.args ? JSON.parse(element.dataset.args) : [];
+  if (event.type !== 'click') {
+    args.push(element.type === 'checkbox' ? element.checked : element.value);
+  }
+  handler(...args);
+}
+
+function initUiEvents() {
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest('.file-link[data-path]');
+    if (link) {
+      openFile(link.dataset.path);
+      return;
+    }
+    handleDelegatedEvent(event, 'action');
+  });
+  document.addEventListener('change', (event) => handleDelegatedEvent(event, 'change'));
+  document.addEventListener('input', (event) => handleDelegatedEvent(event, 'input'));
+  // Scroll events do not bubble
+  document.getElementById('chatList').addEventListener('scroll', handleChatListScroll);
+}
+
+// Initialize
+window.addEventListener('DOMContentLoaded', () => {
+  try {
+    console.log('DOM loaded, initializing...');
+    initUiEvents();
+    
+    // First tab exists before anything else so early output has somewhere to go
+    const firstTab = createTab();
+    switchTab(firstTab.id);
+    
+    if (!window.electronAPI) {
+      console.error('Electron API not available');
+      addOutput('Error: Electron API not available\n');
+      return;
+    }
+    
+    console.log('Electron API available, starting session...');
+    initSession(firstTab);
+    offerDraftRecovery(); // Before the first tab autosaves anything
+    loadChatList(); // Load saved chats (and the folder filter)
+    loadSavedTheme(); // Load saved theme
+    loadSavedFontSize(); // Load saved font size
+    loadSavedHeight(); // Load saved output height
+    initResize(); // Initialize resize functionality
+    document.addEventListener('selectionchange', rememberOutputSelection); // {{selection}} in prompts
+    
+    window.electronAPI.onQOutput((event, data) => {
+      try {
+        console.log('Received Q output for session:', data.sessionId, 'Active tab:', activeTabId);
+        
+        const tab = findTabBySession(data.sessionId);
+        if (tab) {
+          handleSessionOutput(tab, data);
+        } else {
+          // Session not claimed by a tab yet, keep the output until it is
+          queuePendingEvent(data.sessionId, 'output', data);
+        }
+      } catch (error) {
+        console.error('Error handling Q output:', error);
+      }
+    });
+    
+    window.electronAPI.onSessionClosed((event, data) => {
+      console.log('Session closed:', data);
+      const tab = findTabBySession(data.sessionId);
+      if (tab) {
+        handleSessionClosed(tab, data);
+      } else {
+        queuePendingEvent(data.sessionId, 'closed', data);
+      }
+    });
+
+    window.electronAPI.onSessionResized((event, data) => {
+      const tab = findTabBySession(data.sessionId);
+      if (tab) {
+        handleSessionResized(tab, data);
+      } else {
+        queuePendingEvent(data.sessionId, 'resized', data);
+      }
+    });
+    
+    window.electronAPI.onApiApproval((event, data) => {
+      const tab = findTabBySession(data.sessionId);
+      if (tab) {
+        handleApiApproval(tab, data);
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error during initialization:', error);
+    addOutput('Initialization error: ' + error.message + '\n');
+  }
+});
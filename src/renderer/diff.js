@@ -0,0 +1,104 @@
+// Line diff for comparing MCP config backups with the current config side by side.
+// Row: { type: 'same' | 'changed' | 'removed' | 'added', left: { number, text } | null, right: ... }
+
+(function (root) {
+  const MAX_LCS_CELLS = 4000000; // Larger middles are shown as fully replaced instead
+
+  // Operations turning a into b: 'same', 'removed' or 'added', by longest common subsequence
+  function lcsOperations(a, b) {
+    if (a.length * b.length > MAX_LCS_CELLS) {
+      return [...a.map(() => 'removed'), ...b.map(() => 'added')];
+    }
+
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i * width + j] = a[i] === b[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        operations.push('same');
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        operations.push('removed');
+        i++;
+      } else {
+        operations.push('added');
+        j++;
+      }
+    }
+    while (i++ < a.length) operations.push('removed');
+    while (j++ < b.length) operations.push('added');
+    return operations;
+  }
+
+  function diffLines(leftText, rightText) {
+    const left = leftText.split('\n');
+    const right = rightText.split('\n');
+
+    // Only the part between the common head and tail needs the LCS table
+    let head = 0;
+    while (head < left.length && head < right.length && left[head] === right[head]) {
+      head++;
+    }
+    let tail = 0;
+    while (tail < left.length - head && tail < right.length - head &&
+      left[left.length - 1 - tail] === right[right.length - 1 - tail]) {
+      tail++;
+    }
+
+    const operations = [
+      ...Array(head).fill('same'),
+      ...lcsOperations(left.slice(head, left.length - tail), right.slice(head, right.length - tail)),
+      ...Array(tail).fill('same')
+    ];
+
+    // Removed and added lines between two unchanged ones are paired up as changed rows
+    const rows = [];
+    let leftIndex = 0;
+    let rightIndex = 0;
+    let removed = [];
+    let added = [];
+    const line = (lines, index) => ({ number: index + 1, text: lines[index] });
+    const flush = () => {
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        const l = k < removed.length ? removed[k] : null;
+        const r = k < added.length ? added[k] : null;
+        rows.push({ type: l && r ? 'changed' : (l ? 'removed' : 'added'), left: l, right: r });
+      }
+      removed = [];
+      added = [];
+    };
+
+    operations.forEach(operation => {
+      if (operation === 'same') {
+        flush();
+        rows.push({ type: 'same', left: line(left, leftIndex++), right: line(right, rightIndex++) });
+      } else if (operation === 'removed') {
+        removed.push(line(left, leftIndex++));
+      } else {
+        added.push(line(right, rightIndex++));
+      }
+    });
+    flush();
+
+    return rows;
+  }
+
+  const api = { diffLines };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.LineDiff = api;
+  }
+})(this);
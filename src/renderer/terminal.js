@@ -0,0 +1,687 @@
+// VT/xterm-style terminal emulator for Q CLI pty output.
+// Interprets the raw stream (cursor movement, erase, SGR colors) into styled lines.
+// Lines that scroll off the top of the screen are final and handed to onCommit,
+// lines still on screen can be redrawn by Q (spinners, progress) and are "live".
+
+(function (root) {
+  const DEFAULT_STYLE = Object.freeze({
+    fg: null, // null, palette index 0-255 or '#rrggbb'
+    bg: null,
+    bold: false,
+    dim: false,
+    italic: false,
+    underline: false,
+    inverse: false,
+    strike: false
+  });
+
+  const BLANK_CELL = Object.freeze({ ch: ' ', style: DEFAULT_STYLE, width: 1 });
+  const TAB_WIDTH = 8;
+  const MAX_STRING_LENGTH = 4096; // Cap for ignored OSC/DCS payloads
+
+  function newLine() {
+    return { cells: [], wrapped: false };
+  }
+
+  // Column width of a code point: 0 for combining marks, 2 for wide/emoji, else 1
+  function charWidth(codePoint) {
+    if (codePoint === 0x200d || (codePoint >= 0xfe00 && codePoint <= 0xfe0f) ||
+        (codePoint >= 0x0300 && codePoint <= 0x036f) || (codePoint >= 0x1f3fb && codePoint <= 0x1f3ff)) {
+      return 0;
+    }
+    if ((codePoint >= 0x1100 && codePoint <= 0x115f) ||
+        (codePoint >= 0x2e80 && codePoint <= 0xa4cf) ||
+        (codePoint >= 0xac00 && codePoint <= 0xd7a3) ||
+        (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+        (codePoint >= 0xfe30 && codePoint <= 0xfe4f) ||
+        (codePoint >= 0xff00 && codePoint <= 0xff60) ||
+        (codePoint >= 0xffe0 && codePoint <= 0xffe6) ||
+        (codePoint >= 0x1f300 && codePoint <= 0x1f64f) ||
+        (codePoint >= 0x1f680 && codePoint <= 0x1f6ff) ||
+        (codePoint >= 0x1f900 && codePoint <= 0x1f9ff) ||
+        (codePoint >= 0x1fa70 && codePoint <= 0x1faff) ||
+        (codePoint >= 0x20000 && codePoint <= 0x3fffd)) {
+      return 2;
+    }
+    return 1;
+  }
+
+  class VirtualTerminal {
+    constructor(options = {}) {
+      this.cols = options.cols || 120;
+      this.rows = options.rows || 30;
+      this.onCommit = options.onCommit || (() => {});
+      this.reset();
+    }
+
+    reset() {
+      this.lines = [newLine()];
+      this.cursorRow = 0;
+      this.cursorCol = 0;
+      this.pendingWrap = false;
+      this.style = DEFAULT_STYLE;
+      this.savedCursor = null;
+      this.state = 'ground';
+      this.params = '';
+      this.intermediates = '';
+      this.stringLength = 0;
+    }
+
+    // Feed raw pty output
+    write(data) {
+      for (const ch of data) {
+        this.consume(ch);
+      }
+    }
+
+    consume(ch) {
+      const code = ch.codePointAt(0);
+
+      switch (this.state) {
+        case 'escape':
+          this.handleEscape(ch);
+          return;
+        case 'csi':
+          if (code === 0x1b) {
+            this.state = 'escape';
+          } else if (code < 0x20) {
+            this.execute(ch);
+          } else if (code >= 0x30 && code <= 0x3f) {
+            this.params += ch;
+          } else if (code >= 0x20 && code <= 0x2f) {
+            this.intermediates += ch;
+          } else if (code >= 0x40 && code <= 0x7e) {
+            this.state = 'ground';
+            this.dispatchCsi(ch);
+          } else {
+            this.state = 'ground';
+          }
+          return;
+        case 'osc':
+        case 'dcs':
+          // Strings are consumed and ignored, terminated by BEL (OSC) or ST
+          if (code === 0x07 && this.state === 'osc') {
+            this.state = 'ground';
+          } else if (code === 0x1b) {
+            this.state = 'stringEscape';
+          } else if (++this.stringLength > MAX_STRING_LENGTH) {
+            this.state = 'ground';
+          }
+          return;
+        case 'stringEscape':
+          this.state = 'ground';
+          if (ch !== '\\') {
+            this.consume(ch);
+          }
+          return;
+        case 'charset':
+          // Designated character set (ESC ( B etc.), nothing to render
+          this.state = 'ground';
+          return;
+        default:
+          break;
+      }
+
+      if (code === 0x1b) {
+        this.state = 'escape';
+      } else if (code < 0x20 || code === 0x7f) {
+        this.execute(ch);
+      } else {
+        this.print(ch, code);
+      }
+    }
+
+    execute(ch) {
+      switch (ch) {
+        case '\n':
+        case '\x0b':
+        case '\x0c':
+          // Newline mode: LF also returns the carriage, output may come without a pty
+          this.lineFeed();
+          this.cursorCol = 0;
+          break;
+        case '\r':
+          this.cursorCol = 0;
+          this.pendingWrap = false;
+          break;
+        case '\b':
+          this.cursorCol = Math.max(0, this.cursorCol - 1);
+          this.pendingWrap = false;
+          break;
+        case '\t':
+          this.cursorCol = Math.min(this.cols - 1, (Math.floor(this.cursorCol / TAB_WIDTH) + 1) * TAB_WIDTH);
+          this.pendingWrap = false;
+          break;
+        default:
+          // BEL and other C0 controls have no visible effect
+          break;
+      }
+    }
+
+    handleEscape(ch) {
+      this.state = 'ground';
+
+      switch (ch) {
+        case '[':
+          this.state = 'csi';
+          this.params = '';
+          this.intermediates = '';
+          break;
+        case ']':
+          this.state = 'osc';
+          this.stringLength = 0;
+          break;
+        case 'P':
+        case 'X':
+        case '^':
+        case '_':
+          this.state = 'dcs';
+          this.stringLength = 0;
+          break;
+        case '(':
+        case ')':
+        case '*':
+        case '+':
+          this.state = 'charset';
+          break;
+        case '7':
+          this.saveCursor();
+          break;
+        case '8':
+          this.restoreCursor();
+          break;
+        case 'D':
+          this.lineFeed();
+          break;
+        case 'E':
+          this.lineFeed();
+          this.cursorCol = 0;
+          break;
+        case 'M':
+          this.reverseIndex();
+          break;
+        case 'c':
+          this.flush();
+          this.reset();
+          break;
+        default:
+          // Keypad modes (ESC = / ESC >) and unknown sequences are ignored
+          break;
+      }
+    }
+
+    dispatchCsi(final) {
+      const isPrivate = /^[?<=>]/.test(this.params);
+      const params = (isPrivate ? this.params.slice(1) : this.params).split(';').map(p => parseInt(p, 10));
+      const param = (index, fallback) => (Number.isNaN(params[index]) || params[index] === undefined ? fallback : params[index]);
+      const count = Math.max(1, param(0, 1));
+
+      if (isPrivate || this.intermediates) {
+        // Mode switches (cursor visibility, bracketed paste, alt screen) don't affect the transcript
+        return;
+      }
+
+      this.pendingWrap = false;
+
+      switch (final) {
+        case 'A':
+          this.cursorRow = Math.max(0, this.cursorRow - count);
+          break;
+        case 'B':
+        case 'e':
+          this.moveToRow(this.cursorRow + count);
+          break;
+        case 'C':
+        case 'a':
+          this.cursorCol = Math.min(this.cols - 1, this.cursorCol + count);
+          break;
+        case 'D':
+          this.cursorCol = Math.max(0, this.cursorCol - count);
+          break;
+        case 'E':
+          this.moveToRow(this.cursorRow + count);
+          this.cursorCol = 0;
+          break;
+        case 'F':
+          this.cursorRow = Math.max(0, this.cursorRow - count);
+          this.cursorCol = 0;
+          break;
+        case 'G':
+        case '`':
+          this.cursorCol = Math.min(this.cols - 1, count - 1);
+          break;
+        case 'H':
+        case 'f':
+          this.moveToRow(Math.max(1, param(0, 1)) - 1);
+          this.cursorCol = Math.min(this.cols - 1, Math.max(1, param(1, 1)) - 1);
+          break;
+        case 'd':
+          this.moveToRow(count - 1);
+          break;
+        case 'J':
+          this.eraseInDisplay(param(0, 0));
+          break;
+        case 'K':
+          this.eraseInLine(param(0, 0));
+          break;
+        case 'P':
+          this.currentLine().cells.splice(this.cursorCol, count);
+          break;
+        case '@':
+          this.insertBlanks(count);
+          break;
+        case 'X':
+          this.eraseCells(this.cursorCol, this.cursorCol + count);
+          break;
+        case 'L':
+          this.insertLines(count);
+          break;
+        case 'M':
+          this.deleteLines(count);
+          break;
+        case 'S':
+          this.scrollUp(count);
+          break;
+        case 'T':
+          this.scrollDown(count);
+          break;
+        case 's':
+          this.saveCursor();
+          break;
+        case 'u':
+          this.restoreCursor();
+          break;
+        case 'm':
+          this.applySgr(this.params);
+          break;
+        default:
+          // Device status reports, scroll regions, tab stops etc. are not needed for a transcript
+          break;
+      }
+    }
+
+    print(ch, code) {
+      const width = charWidth(code);
+      const line = this.currentLine();
+
+      if (width === 0) {
+        // Combining mark / joiner / variation selector joins the previous cell
+        const prevCol = this.pendingWrap ? this.cursorCol : this.cursorCol - 1;
+        const prev = this.findCellStart(line, prevCol);
+        if (prev >= 0) {
+          line.cells[prev] = { ...line.cells[prev], ch: line.cells[prev].ch + ch };
+        }
+        return;
+      }
+
+      if (this.pendingWrap || this.cursorCol + width > this.cols) {
+        line.wrapped = true;
+        this.lineFeed();
+        this.cursorCol = 0;
+        this.pendingWrap = false;
+      }
+
+      this.setCell(this.cursorCol, { ch, style: this.style, width });
+      if (width === 2) {
+        this.setCell(this.cursorCol + 1, { ch: '', style: this.style, width: 0 });
+      }
+
+      const nextCol = this.cursorCol + width;
+      if (nextCol >= this.cols) {
+        this.cursorCol = this.cols - 1;
+        this.pendingWrap = true;
+      } else {
+        this.cursorCol = nextCol;
+      }
+    }
+
+    // Cell helpers
+
+    currentLine() {
+      return this.lines[this.cursorRow];
+    }
+
+    findCellStart(line, col) {
+      for (let c = col; c >= 0; c--) {
+        if (line.cells[c] && line.cells[c].width > 0) {
+          return c;
+        }
+      }
+      return -1;
+    }
+
+    setCell(col, cell) {
+      const cells = this.currentLine().cells;
+      while (cells.length < col) {
+        cells.push(BLANK_CELL);
+      }
+
+      // Overwriting half of a wide character blanks the other half
+      const existing = cells[col];
+      if (existing && existing.width === 2 && cells[col + 1]) {
+        cells[col + 1] = BLANK_CELL;
+      } else if (existing && existing.width === 0 && col > 0 && cell.width !== 0) {
+        cells[col - 1] = BLANK_CELL;
+      }
+      cells[col] = cell;
+    }
+
+    eraseCells(from, to) {
+      const cells = this.currentLine().cells;
+      for (let c = from; c < Math.min(to, cells.length); c++) {
+        cells[c] = BLANK_CELL;
+      }
+      this.trimLine(this.currentLine());
+    }
+
+    insertBlanks(count) {
+      const cells = this.currentLine().cells;
+      if (this.cursorCol >= cells.length) return;
+
+      cells.splice(this.cursorCol, 0, ...new Array(count).fill(BLANK_CELL));
+      cells.length = Math.min(cells.length, this.cols);
+    }
+
+    trimLine(line) {
+      while (line.cells.length && line.cells[line.cells.length - 1] === BLANK_CELL) {
+        line.cells.pop();
+      }
+    }
+
+    // Cursor and screen movement
+
+    moveToRow(row) {
+      const target = Math.min(this.rows - 1, Math.max(0, row));
+      while (this.lines.length <= target) {
+        this.lines.push(newLine());
+      }
+      this.cursorRow = target;
+    }
+
+    lineFeed() {
+      this.pendingWrap = false;
+
+      if (this.cursorRow < this.lines.length - 1) {
+        this.cursorRow++;
+        return;
+      }
+
+      this.lines.push(newLine());
+      this.cursorRow++;
+      if (this.lines.length > this.rows) {
+        this.onCommit(this.lines.shift());
+        this.cursorRow--;
+      }
+    }
+
+    reverseIndex() {
+      if (this.cursorRow > 0) {
+        this.cursorRow--;
+      } else {
+        this.lines.unshift(newLine());
+        this.lines.length = Math.min(this.lines.length, this.rows);
+      }
+    }
+
+    scrollUp(count) {
+      for (let i = 0; i < count; i++) {
+        this.onCommit(this.lines.shift());
+        this.lines.push(newLine());
+      }
+    }
+
+    scrollDown(count) {
+      for (let i = 0; i < count; i++) {
+        this.lines.unshift(newLine());
+      }
+      this.lines.length = Math.min(this.lines.length, this.rows);
+      this.cursorRow = Math.min(this.cursorRow, this.lines.length - 1);
+    }
+
+    insertLines(count) {
+      const blanks = Array.from({ length: count }, newLine);
+      this.lines.splice(this.cursorRow, 0, ...blanks);
+      this.lines.length = Math.min(this.lines.length, this.rows);
+    }
+
+    deleteLines(count) {
+      this.lines.splice(this.cursorRow, count);
+      while (this.lines.length <= this.cursorRow) {
+        this.lines.push(newLine());
+      }
+    }
+
+    saveCursor() {
+      this.savedCursor = { row: this.cursorRow, col: this.cursorCol, style: this.style };
+    }
+
+    restoreCursor() {
+      if (!this.savedCursor) return;
+
+      this.moveToRow(this.savedCursor.row);
+      this.cursorCol = this.savedCursor.col;
+      this.style = this.savedCursor.style;
+      this.pendingWrap = false;
+    }
+
+    eraseInLine(mode) {
+      const line = this.currentLine();
+      if (mode === 0) {
+        line.cells.length = Math.min(line.cells.length, this.cursorCol);
+        line.wrapped = false;
+      } else if (mode === 1) {
+        for (let c = 0; c <= this.cursorCol && c < line.cells.length; c++) {
+          line.cells[c] = BLANK_CELL;
+        }
+        this.trimLine(line);
+      } else if (mode === 2) {
+        line.cells = [];
+        line.wrapped = false;
+      }
+    }
+
+    eraseInDisplay(mode) {
+      if (mode === 0) {
+        this.eraseInLine(0);
+        this.lines.length = this.cursorRow + 1;
+      } else if (mode === 1) {
+        for (let r = 0; r < this.cursorRow; r++) {
+          this.lines[r] = newLine();
+        }
+        this.eraseInLine(1);
+      } else if (mode === 2) {
+        // Keep what was on screen in the transcript, like scrollback in a real terminal
+        this.lines.forEach(line => this.onCommit(line));
+        this.lines = Array.from({ length: this.cursorRow + 1 }, newLine);
+      }
+    }
+
+    // SGR (colors and text attributes)
+
+    applySgr(paramString) {
+      const groups = paramString === '' ? ['0'] : paramString.split(';');
+      const style = { ...this.style };
+
+      for (let i = 0; i < groups.length; i++) {
+        const sub = groups[i].split(':').map(p => parseInt(p, 10));
+        const code = Number.isNaN(sub[0]) ? 0 : sub[0];
+
+        if (code === 38 || code === 48) {
+          let color;
+          if (sub.length > 1) {
+            // Colon form: 38:5:n or 38:2:[colorspace:]r:g:b
+            color = sub[1] === 5 ? sub[2] : rgbToHex(sub.slice(sub.length >= 6 ? 3 : 2));
+          } else {
+            const mode = parseInt(groups[i + 1], 10);
+            if (mode === 5) {
+              color = parseInt(groups[i + 2], 10);
+              i += 2;
+            } else if (mode === 2) {
+              color = rgbToHex(groups.slice(i + 2, i + 5).map(p => parseInt(p, 10)));
+              i += 4;
+            }
+          }
+          if (color !== undefined && !Number.isNaN(color)) {
+            style[code === 38 ? 'fg' : 'bg'] = color;
+          }
+          continue;
+        }
+
+        switch (true) {
+          case code === 0:
+            Object.assign(style, DEFAULT_STYLE);
+            break;
+          case code === 1:
+            style.bold = true;
+            break;
+          case code === 2:
+            style.dim = true;
+            break;
+          case code === 3:
+            style.italic = true;
+            break;
+          case code === 4:
+            style.underline = sub[1] !== 0;
+            break;
+          case code === 7:
+            style.inverse = true;
+            break;
+          case code === 9:
+            style.strike = true;
+            break;
+          case code === 21:
+            style.underline = true;
+            break;
+          case code === 22:
+            style.bold = false;
+            style.dim = false;
+            break;
+          case code === 23:
+            style.italic = false;
+            break;
+          case code === 24:
+            style.underline = false;
+            break;
+          case code === 27:
+            style.inverse = false;
+            break;
+          case code === 29:
+            style.strike = false;
+            break;
+          case code >= 30 && code <= 37:
+            style.fg = code - 30;
+            break;
+          case code === 39:
+            style.fg = null;
+            break;
+          case code >= 40 && code <= 47:
+            style.bg = code - 40;
+            break;
+          case code === 49:
+            style.bg = null;
+            break;
+          case code >= 90 && code <= 97:
+            style.fg = code - 90 + 8;
+            break;
+          case code >= 100 && code <= 107:
+            style.bg = code - 100 + 8;
+            break;
+          default:
+            break;
+        }
+      }
+
+      this.style = Object.freeze(style);
+    }
+
+    // Transcript access
+
+    // Lines still on screen, without the empty line the cursor may be sitting on
+    getLiveLines() {
+      let last = this.lines.length - 1;
+      while (last >= 0 && this.lines[last].cells.length === 0) {
+        last--;
+      }
+      return this.lines.slice(0, last + 1);
+    }
+
+    // Commit everything on screen, e.g. when the session ends
+    flush() {
+      this.getLiveLines().forEach(line => this.onCommit(line));
+      this.lines = [newLine()];
+      this.cursorRow = 0;
+      this.cursorCol = 0;
+      this.pendingWrap = false;
+    }
+
+    // Forget the screen without committing it (output cleared)
+    clear() {
+      this.lines = [newLine()];
+      this.cursorRow = 0;
+      this.cursorCol = 0;
+      this.pendingWrap = false;
+    }
+
+    resize(cols, rows) {
+      this.cols = Math.max(1, cols);
+      this.rows = Math.max(1, rows);
+
+      while (this.lines.length > this.rows) {
+        this.onCommit(this.lines.shift());
+        this.cursorRow = Math.max(0, this.cursorRow - 1);
+      }
+      this.cursorCol = Math.min(this.cursorCol, this.cols - 1);
+    }
+
+    // Runs of text sharing a style: [{ text, style }]
+    static lineSegments(line) {
+      const segments = [];
+      line.cells.forEach(cell => {
+        if (cell.width === 0) return; // Second half of a wide character
+
+        const last = segments[segments.length - 1];
+        if (last && last.style === cell.style) {
+          last.text += cell.ch;
+        } else {
+          segments.push({ text: cell.ch, style: cell.style });
+        }
+      });
+      return segments;
+    }
+
+    // A soft-wrapped row keeps its trailing spaces, the line goes on in the next row
+    static lineText(line) {
+      const text = line.cells.filter(cell => cell.width > 0).map(cell => cell.ch).join('');
+      return line.wrapped ? text : text.replace(/\s+$/, '');
+    }
+
+    static isDefaultStyle(style) {
+      return style === DEFAULT_STYLE;
+    }
+
+    // CSS color for a palette index or hex color, 16 base colors follow the theme
+    static colorToCss(color) {
+      if (color === null || color === undefined) return null;
+      if (typeof color === 'string') return color;
+      if (color < 16) return `var(--ansi-${color})`;
+      if (color < 232) {
+        const levels = [0, 95, 135, 175, 215, 255];
+        const n = color - 16;
+        return `rgb(${levels[Math.floor(n / 36)]}, ${levels[Math.floor(n / 6) % 6]}, ${levels[n % 6]})`;
+      }
+      const gray = 8 + (color - 232) * 10;
+      return `rgb(${gray}, ${gray}, ${gray})`;
+    }
+  }
+
+  function rgbToHex(parts) {
+    if (parts.length < 3 || parts.some(p => Number.isNaN(p))) return undefined;
+    return '#' + parts.slice(0, 3).map(p => Math.min(255, Math.max(0, p)).toString(16).padStart(2, '0')).join('');
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VirtualTerminal, DEFAULT_STYLE };
+  } else {
+    root.VirtualTerminal = VirtualTerminal;
+  }
+})(this);
@@ -0,0 +1,272 @@
+// Tool approval rules, shared by the renderer and the main process.
+// Q asks before it runs a tool that is not trusted:
+//
+//   🛠️  Using tool: execute_bash
+//    ⋮
+//    ● I will run the following shell command:
+//   rm -rf build
+//    ⋮
+//    ↳ Purpose: Clean the build output
+//
+//   Allow this action? Use 't' to trust (always allow) this tool for the session. [y/n/t]:
+//
+// The lines between the tool header and the question are parsed into a request
+// { toolName, server, command, paths, params, text } and checked against the user's rules.
+// The first enabled rule that matches answers the prompt, without a match the user is asked.
+//
+// Rule: { id, action: 'allow' | 'deny' | 'ask', tool, under, contains, enabled }
+//   tool      tool name, * matches any characters ("fs_*", "*")
+//   under     every path the tool touches is inside this directory, PROJECT_DIR is the session's project
+//   contains  the command or arguments contain this text, runs of whitespace count as one space
+
+(function (root) {
+  const ACTIONS = ['allow', 'deny', 'ask'];
+  const PROJECT_DIR = '{project}';
+
+  const TOOL_HEADER_PATTERN = /Using tool:?\s*([\w\-.]+)(?:\s+from mcp server\s+([\w\-.]+))?/;
+  const DECORATION_PATTERN = /^\s*(?:[⋮●↳]\s*)+/;
+  const COMMAND_START_PATTERN = /I will run the following (?:shell )?command:?\s*(.*)$/i;
+  const PURPOSE_PATTERN = /^Purpose:/i;
+  const PATH_LINE_PATTERNS = [
+    /^Reading (?:file|directory|images?):\s*(.+?)(?:,| with maximum depth|$)/i,
+    /^Searching:\s*(.+?)\s+for pattern/i,
+    /^Path:\s*(.+)$/i
+  ];
+  const PATH_PARAM_PATTERN = /path|file|dir/i;
+  const DECISION_PATTERN = /Auto-(allowed|denied) (\S+) by rule: (.*)$/;
+  const CLIENT_DECISION_PATTERN = /(Allowed|Denied|Trusted) (\S+) by an API client$/;
+  const CLIENT_ACTIONS = { y: 'allow', n: 'deny', t: 'trust' };
+
+  function cleanLine(line) {
+    return line.replace(DECORATION_PATTERN, '').replace(/\s+$/, '');
+  }
+
+  // JSON arguments of MCP tools, printed after "Running <tool> with the param:"
+  function parseParams(lines) {
+    const text = lines.join('\n');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+      return null;
+    }
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // header: the "Using tool" line, body: the lines up to the approval question.
+  // toolName is used when the header is not Q's, other agent backends name tools their own way.
+  function parseToolRequest(header, body, toolName = null) {
+    const headerMatch = (header || '').match(TOOL_HEADER_PATTERN);
+    const lines = (body || '').split('\n').map(cleanLine);
+
+    let command = null;
+    const commandStart = lines.findIndex(line => COMMAND_START_PATTERN.test(line));
+    if (commandStart !== -1) {
+      const commandLines = [lines[commandStart].match(COMMAND_START_PATTERN)[1]];
+      for (let i = commandStart + 1; i < lines.length && !PURPOSE_PATTERN.test(lines[i]); i++) {
+        commandLines.push(lines[i]);
+      }
+      command = commandLines.join('\n').trim() || null;
+    }
+
+    const params = parseParams(lines);
+    const paths = [];
+    lines.forEach(line => {
+      PATH_LINE_PATTERNS.forEach(pattern => {
+        const match = line.match(pattern);
+        if (match) {
+          paths.push(match[1].trim());
+        }
+      });
+    });
+    if (params && typeof params === 'object') {
+      Object.keys(params).forEach(key => {
+        if (PATH_PARAM_PATTERN.test(key) && typeof params[key] === 'string') {
+          paths.push(params[key]);
+        }
+      });
+    }
+
+    return {
+      toolName: headerMatch ? headerMatch[1] : toolName,
+      server: headerMatch && headerMatch[2] ? headerMatch[2] : null,
+      command,
+      paths: Array.from(new Set(paths)),
+      params,
+      text: lines.join('\n').trim()
+    };
+  }
+
+  // The request Q is asking about, from transcript turns that end with an approval prompt
+  function findPendingToolRequest(turns) {
+    const turn = turns[turns.length - 1];
+    if (!turn || turn.role !== 'assistant') {
+      return null;
+    }
+    const events = turn.toolEvents || [];
+    const last = events[events.length - 1];
+    if (!last || last.kind !== 'approval_prompt') {
+      return null;
+    }
+    const toolUse = events.slice(0, -1).reverse().find(event => event.kind === 'tool_use');
+    if (!toolUse) {
+      return parseToolRequest('', '');
+    }
+    return parseToolRequest(toolUse.text, turn.text.slice(toolUse.offset, last.offset), toolUse.toolName);
+  }
+
+  function optionalText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  // Checked copy of a rule, throws on rules that cannot be applied
+  function normalizeRule(rule, index = 0) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${index + 1} is not an object`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`Rule ${index + 1}: action must be one of ${ACTIONS.join(', ')}`);
+    }
+    const tool = optionalText(rule.tool) || '*';
+    if (!/^[\w\-.*]+$/.test(tool)) {
+      throw new Error(`Rule ${index + 1}: "${tool}" is not a tool name, use letters, digits, _ - . and *`);
+    }
+    return {
+      id: optionalText(rule.id) || `rule-${Date.now().toString(36)}-${index}`,
+      action: rule.action,
+      tool,
+      under: optionalText(rule.under),
+      contains: optionalText(rule.contains),
+      enabled: rule.enabled !== false
+    };
+  }
+
+  function normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Approval rules must be a list');
+    }
+    return rules.map(normalizeRule);
+  }
+
+  function describeRule(rule) {
+    const action = { allow: 'Always allow', deny: 'Always deny', ask: 'Ask for' }[rule.action];
+    let text = `${action} ${rule.tool === '*' ? 'any tool' : rule.tool}`;
+    if (rule.under) {
+      text += ` under ${rule.under === PROJECT_DIR ? 'the project directory' : rule.under}`;
+    }
+    if (rule.contains) {
+      text += ` containing "${rule.contains}"`;
+    }
+    return text;
+  }
+
+  function globToRegExp(glob) {
+    return new RegExp('^' + glob.split('*').map(part => part.replace(/[.\-]/g, '\\$&')).join('.*') + '$');
+  }
+
+  // Plain path resolution for when the caller has nothing better, e.g. no Node path module
+  function defaultResolvePath(filePath, cwd) {
+    const absolute = /^([A-Za-z]:)?[\\/]/.test(filePath) || !cwd ? filePath : cwd + '/' + filePath;
+    const parts = [];
+    absolute.split(/[\\/]+/).forEach((part, index) => {
+      if (part === '..') {
+        if (parts.length > 1) parts.pop();
+      } else if (part !== '.' && (part || index === 0)) {
+        parts.push(part);
+      }
+    });
+    return parts.join('/') || '/';
+  }
+
+  function isPathInside(filePath, directory) {
+    const normalize = (value) => {
+      const text = value.replace(/\\/g, '/').replace(/\/+$/, '');
+      return /^[A-Za-z]:/.test(text) ? text.toLowerCase() : text;
+    };
+    const file = normalize(filePath);
+    const dir = normalize(directory);
+    return file === dir || file.startsWith(dir + '/') || dir === '';
+  }
+
+  // context: { cwd, resolvePath(path) } with cwd the session's project directory
+  function matchesRule(rule, request, context = {}) {
+    if (!rule.enabled || !request.toolName || !globToRegExp(rule.tool).test(request.toolName)) {
+      return false;
+    }
+
+    if (rule.under) {
+      const resolvePath = context.resolvePath || ((filePath) => defaultResolvePath(filePath, context.cwd));
+      const directory = rule.under === PROJECT_DIR ? context.cwd : rule.under;
+      if (!directory || request.paths.length === 0) {
+        return false; // Nothing to check against, never allowed by accident
+      }
+      const resolvedDirectory = resolvePath(directory);
+      if (!request.paths.every(filePath => isPathInside(resolvePath(filePath), resolvedDirectory))) {
+        return false;
+      }
+    }
+
+    if (rule.contains) {
+      const collapse = (text) => text.replace(/\s+/g, ' ');
+      if (!collapse(request.text).includes(collapse(rule.contains))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Line shown in the chat (and saved with it) when a rule answered a prompt
+  function formatDecision(action, toolName, description) {
+    return `🛡️ ${action === 'allow' ? 'Auto-allowed' : 'Auto-denied'} ${toolName} by rule: ${description}`;
+  }
+
+  // Line shown when an API client answered a prompt (POST /api/sessions/:id/approval), answer is y, n or t
+  function formatClientDecision(answer, toolName) {
+    const verb = { allow: 'Allowed', deny: 'Denied', trust: 'Trusted' }[CLIENT_ACTIONS[answer]];
+    return `🔌 ${verb} ${toolName} by an API client`;
+  }
+
+  // { action, toolName, rule, by } from a formatDecision or formatClientDecision line, null for anything else.
+  // by is 'rule' or 'api', rule is null for API clients.
+  function parseDecision(text) {
+    const match = (text || '').match(DECISION_PATTERN);
+    if (match) {
+      return { action: match[1] === 'allowed' ? 'allow' : 'deny', toolName: match[2], rule: match[3], by: 'rule' };
+    }
+    const client = (text || '').match(CLIENT_DECISION_PATTERN);
+    return client ? { action: client[1] === 'Allowed' ? 'allow' : client[1] === 'Denied' ? 'deny' : 'trust', toolName: client[2], rule: null, by: 'api' } : null;
+  }
+
+  // First matching rule wins: { action, rule }, rule is null when nothing matched
+  function evaluateRules(rules, request, context = {}) {
+    const rule = (rules || []).find(candidate => matchesRule(candidate, request, context));
+    return rule ? { action: rule.action, rule } : { action: 'ask', rule: null };
+  }
+
+  const api = {
+    ACTIONS,
+    PROJECT_DIR,
+    parseToolRequest,
+    findPendingToolRequest,
+    normalizeRule,
+    normalizeRules,
+    describeRule,
+    globToRegExp,
+    matchesRule,
+    evaluateRules,
+    formatDecision,
+    formatClientDecision,
+    parseDecision,
+    isPathInside
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Approval = api;
+  }
+})(this);
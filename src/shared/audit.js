@@ -0,0 +1,146 @@
+// Tool calls for the audit log, shared by the renderer and the main process.
+// A call starts at a tool_use event of a transcript turn and runs until the next tool_use
+// event or the end of the turn. Q reports how it went on a line of its own:
+//
+//   🛠️  Using tool: fs_read
+//    ⋮
+//    ● Reading file: src/main.js, all lines
+//    ⋮
+//    ● Completed in 0.1s
+//
+// Call: { index, toolName, server, arguments, decision, decidedBy, rule, outcome, startedAt, decidedAt }
+//   arguments  { command, paths, params, text } as parsed for the approval rules
+//   decision   'allow' | 'deny' | 'trust', null while Q waits for an answer
+//   decidedBy  'user' | 'rule' | 'api' (a client of the local API) | 'trusted' (Q ran it without asking),
+//              null while Q waits
+//   outcome    'waiting' | 'running' | 'completed' | 'failed' | 'denied' | 'unknown'
+
+(function (root) {
+  const Approval = typeof module !== 'undefined' && module.exports ? require('./approval') : root.Approval;
+
+  const DECISIONS = ['allow', 'deny', 'trust'];
+  const DECIDED_BY = ['user', 'rule', 'api', 'trusted'];
+  const OUTCOMES = ['waiting', 'running', 'completed', 'failed', 'denied', 'unknown'];
+  const FINAL_OUTCOMES = ['completed', 'failed', 'denied', 'unknown'];
+
+  const COMPLETED_PATTERN = /^\s*(?:[⋮●↳]\s*)*Completed in [\d.]+\s*m?s/;
+  const FAILED_PATTERN = /^\s*(?:[⋮●↳]\s*)*(?:Execution failed|Tool execution failed|Failed after [\d.]+\s*m?s)/i;
+  const RESPONSE_DECISIONS = { y: 'allow', yes: 'allow', n: 'deny', no: 'deny', t: 'trust', trust: 'trust' };
+
+  function findOutcomeLine(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      if (FAILED_PATTERN.test(lines[i])) return { index: i, outcome: 'failed' };
+      if (COMPLETED_PATTERN.test(lines[i])) return { index: i, outcome: 'completed' };
+    }
+    return null;
+  }
+
+  // finished: the turn is over (Q is back at its input prompt or the session ended),
+  // calls that never reported an outcome are 'unknown' instead of still running
+  function extractToolCalls(turn, { finished = false } = {}) {
+    const events = turn.toolEvents || [];
+    const calls = [];
+
+    events.forEach((event, position) => {
+      if (event.kind !== 'tool_use') return;
+
+      const nextToolUse = events.findIndex((candidate, i) => i > position && candidate.kind === 'tool_use');
+      const callEvents = events.slice(position + 1, nextToolUse === -1 ? events.length : nextToolUse);
+      const end = nextToolUse === -1 ? turn.text.length : events[nextToolUse].offset;
+      const prompt = callEvents.find(candidate => candidate.kind === 'approval_prompt');
+      const decisionEvent = callEvents.find(candidate => candidate.kind === 'approval_decision');
+      const response = callEvents.find(candidate => candidate.kind === 'approval_response');
+
+      // Arguments are printed before the question, or before the outcome when Q did not ask
+      const lines = turn.text.slice(event.offset, end).split('\n');
+      const outcomeLine = findOutcomeLine(prompt ? turn.text.slice(prompt.offset, end).split('\n') : lines);
+      const argumentText = prompt
+        ? turn.text.slice(event.offset, prompt.offset)
+        : lines.slice(0, outcomeLine ? outcomeLine.index : lines.length).join('\n');
+      const request = Approval.parseToolRequest(event.text, argumentText);
+
+      let decision = null;
+      let decidedBy = null;
+      let rule = null;
+      let decidedAt = null;
+      const answered = decisionEvent ? Approval.parseDecision(decisionEvent.text) : null;
+      if (answered) {
+        decision = answered.action;
+        decidedBy = answered.by;
+        rule = answered.rule;
+        decidedAt = decisionEvent.at;
+      } else if (response) {
+        decision = RESPONSE_DECISIONS[response.text] || null;
+        decidedBy = 'user';
+        decidedAt = response.at;
+      } else if (!prompt) {
+        decision = 'allow';
+        decidedBy = 'trusted';
+        decidedAt = event.at;
+      }
+
+      const over = finished || nextToolUse !== -1;
+      let outcome;
+      if (decision === 'deny') {
+        outcome = 'denied';
+      } else if (outcomeLine) {
+        outcome = outcomeLine.outcome;
+      } else if (!decision) {
+        outcome = over ? 'unknown' : 'waiting';
+      } else {
+        outcome = over ? 'unknown' : 'running';
+      }
+
+      calls.push({
+        index: calls.length,
+        toolName: request.toolName || event.toolName,
+        server: request.server,
+        arguments: {
+          command: request.command,
+          paths: request.paths,
+          params: request.params,
+          text: request.text
+        },
+        decision,
+        decidedBy,
+        rule,
+        outcome,
+        startedAt: event.at,
+        decidedAt
+      });
+    });
+
+    return calls;
+  }
+
+  // One line for lists and tables: the command, the paths or the first line of the text
+  function summarizeArguments(args) {
+    if (!args) return '';
+    if (args.command) return args.command.replace(/\s+/g, ' ');
+    if (args.paths && args.paths.length > 0) return args.paths.join(', ');
+    return (args.text || '').split('\n').find(line => line.trim()) || '';
+  }
+
+  // Whether an event of the output parser (src/shared/output-parser.js) can change the calls:
+  // one starts or asks for approval, or a final line tells how one went
+  function changesToolCalls(event) {
+    if (event.type === 'tool_use' || event.type === 'permission_prompt') return true;
+    return event.type === 'line' && findOutcomeLine([event.text]) !== null;
+  }
+
+  const api = {
+    DECISIONS,
+    DECIDED_BY,
+    OUTCOMES,
+    FINAL_OUTCOMES,
+    extractToolCalls,
+    changesToolCalls,
+    summarizeArguments
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ToolAudit = api;
+  }
+})(this);
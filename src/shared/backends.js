@@ -0,0 +1,189 @@
+// Agent backends, shared by the renderer and the main process.
+// A backend is the CLI chat program a session runs and the rules for reading its output:
+//
+// Backend: { id, label, base, command, args, env, mcpProfiles, detectors }
+//   base         builtin backend this one starts from, its settings fill in what is left out
+//   command      program to run, null for the Q CLI found on this computer
+//   args, env    its arguments and extra environment variables
+//   mcpProfiles  MCP profiles are passed as "--agent <name>", only Q understands that
+//   detectors    regular expressions, as text so they can be saved, for the lines the app reacts to:
+//     userPrompt      the input prompt, group 1 is what was typed (empty while it waits)
+//     toolUse         a tool call starts
+//     toolName        group 1 is the tool name, tried on the toolUse line
+//     approvalPrompt  the agent asks before running a tool, answered with y, n or t
+//     thinking        the agent is working, these lines are not part of the reply
+//     ignore          startup noise that is not shown
+//     error           error messages, shown in red
+//   "/pattern/i" adds flags, detectors that are left out use the Q CLI's.
+//
+// The builtin backends live in src/backends, this module checks the user's own backends
+// (saved in the app settings) and turns detectors into RegExps.
+
+(function (root) {
+  const Transcript = typeof module !== 'undefined' && module.exports ? require('./transcript') : root.Transcript;
+
+  const DETECTOR_NAMES = ['userPrompt', 'toolUse', 'toolName', 'approvalPrompt', 'thinking', 'ignore', 'error'];
+  const CAPTURING_DETECTORS = ['userPrompt', 'toolName'];
+  const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+  const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+  const BACKEND_KEYS = ['id', 'label', 'base', 'command', 'args', 'env', 'detectors'];
+  const DEFAULT_BACKEND_ID = 'q';
+
+  const compiled = new Map(); // detector text -> RegExp
+
+  // "text" or "/text/flags" to a RegExp, g and y are dropped so test() keeps no state
+  function parsePattern(text) {
+    const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+    const source = literal ? literal[1] : text;
+    const flags = literal ? literal[2].replace(/[gy]/g, '') : '';
+    return new RegExp(source, flags);
+  }
+
+  function compilePattern(text) {
+    if (!compiled.has(text)) {
+      compiled.set(text, parsePattern(text));
+    }
+    return compiled.get(text);
+  }
+
+  // Detectors ready for TranscriptBuilder, the Q CLI's where the backend has none
+  function compileDetectors(backend) {
+    const detectors = { ...Transcript.DEFAULT_DETECTORS };
+    const own = (backend && backend.detectors) || {};
+    DETECTOR_NAMES.forEach(name => {
+      if (typeof own[name] === 'string' && own[name]) {
+        detectors[name] = compilePattern(own[name]);
+      }
+    });
+    return detectors;
+  }
+
+  function checkDetectors(detectors, where) {
+    if (detectors === undefined || detectors === null) {
+      return {};
+    }
+    if (typeof detectors !== 'object' || Array.isArray(detectors)) {
+      throw new Error(`${where}: detectors must be an object of name to pattern`);
+    }
+    const result = {};
+    Object.keys(detectors).forEach(name => {
+      if (!DETECTOR_NAMES.includes(name)) {
+        throw new Error(`${where}: unknown detector "${name}", known detectors are ${DETECTOR_NAMES.join(', ')}`);
+      }
+      const text = detectors[name];
+      if (typeof text !== 'string' || !text) {
+        throw new Error(`${where}: detector ${name} must be a pattern`);
+      }
+      let pattern;
+      try {
+        pattern = parsePattern(text);
+      } catch (error) {
+        throw new Error(`${where}: detector ${name} is not a valid pattern (${error.message})`);
+      }
+      if (CAPTURING_DETECTORS.includes(name) && new RegExp(pattern.source + '|').exec('').length < 2) {
+        throw new Error(`${where}: detector ${name} needs a group (...) around the ${name === 'userPrompt' ? 'typed text' : 'tool name'}`);
+      }
+      result[name] = text;
+    });
+    return result;
+  }
+
+  function normalizeBackend(backend, index, builtinIds) {
+    const where = `Agent ${index + 1}`;
+    if (!backend || typeof backend !== 'object' || Array.isArray(backend)) {
+      throw new Error(`${where} is not an object`);
+    }
+    const unknown = Object.keys(backend).find(key => !BACKEND_KEYS.includes(key));
+    if (unknown !== undefined) {
+      throw new Error(`${where}: unknown key "${unknown}", known keys are ${BACKEND_KEYS.join(', ')}`);
+    }
+
+    const id = typeof backend.id === 'string' ? backend.id.trim() : '';
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`${where}: id must be lowercase letters, digits, _ and -`);
+    }
+    if (builtinIds.includes(id)) {
+      throw new Error(`${where}: "${id}" is a builtin agent, pick another id`);
+    }
+    const base = typeof backend.base === 'string' && backend.base.trim() ? backend.base.trim() : null;
+    if (base && !builtinIds.includes(base)) {
+      throw new Error(`${where}: base must be one of ${builtinIds.join(', ')}`);
+    }
+    const command = typeof backend.command === 'string' && backend.command.trim() ? backend.command.trim() : null;
+    if (!base && !command) {
+      throw new Error(`${where}: set a command, or a base to start from`);
+    }
+    if (backend.args !== undefined && (!Array.isArray(backend.args) || backend.args.some(arg => typeof arg !== 'string'))) {
+      throw new Error(`${where}: args must be a list of text`);
+    }
+    const env = backend.env === undefined || backend.env === null ? {} : backend.env;
+    if (typeof env !== 'object' || Array.isArray(env) ||
+        Object.keys(env).some(name => !ENV_NAME_PATTERN.test(name) || typeof env[name] !== 'string')) {
+      throw new Error(`${where}: env must be an object of variable names to text`);
+    }
+
+    const normalized = {
+      id,
+      label: typeof backend.label === 'string' && backend.label.trim() ? backend.label.trim() : id,
+      base,
+      command,
+      env: { ...env },
+      detectors: checkDetectors(backend.detectors, where)
+    };
+    if (backend.args !== undefined) {
+      normalized.args = backend.args.slice(); // Left out: the base's args
+    }
+    return normalized;
+  }
+
+  // The user's backends as saved in the settings, throws on the first problem
+  function normalizeBackends(backends, builtinIds) {
+    if (!Array.isArray(backends)) {
+      throw new Error('Agents must be a list');
+    }
+    const normalized = backends.map((backend, index) => normalizeBackend(backend, index, builtinIds));
+    normalized.forEach((backend, index) => {
+      if (normalized.findIndex(other => other.id === backend.id) !== index) {
+        throw new Error(`Agent ${index + 1}: id "${backend.id}" is used twice`);
+      }
+    });
+    return normalized;
+  }
+
+  // Complete backend from a user's backend and the builtins it may start from
+  function resolveBackend(backend, builtins) {
+    const base = backend.base ? builtins.find(builtin => builtin.id === backend.base) : null;
+    return {
+      id: backend.id,
+      label: backend.label,
+      builtin: false,
+      base: backend.base,
+      command: backend.command || (base ? base.command : null),
+      args: (backend.args || (base ? base.args : [])).slice(),
+      env: { ...(base ? base.env : {}), ...backend.env },
+      mcpProfiles: base ? base.mcpProfiles : false,
+      detectors: { ...(base ? base.detectors : {}), ...backend.detectors }
+    };
+  }
+
+  // "q chat --agent reviewer", for showing what a backend runs
+  function describeCommand(backend) {
+    const quote = (arg) => /^[\w\-./:=@,+]+$/.test(arg) ? arg : `"${arg.replace(/"/g, '\\"')}"`;
+    return [backend.command || 'q', ...(backend.args || [])].map(quote).join(' ');
+  }
+
+  const api = {
+    DETECTOR_NAMES,
+    DEFAULT_BACKEND_ID,
+    compileDetectors,
+    normalizeBackends,
+    resolveBackend,
+    describeCommand
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.AgentBackends = api;
+  }
+})(this);
@@ -0,0 +1,35 @@
+// File path links in agent output, shared by the renderer and the tests.
+// Output text is split into tokens, the renderer adds each one as a text node or a
+// file link span, so nothing in the output is ever parsed as HTML.
+
+(function (root) {
+  // Simple file path detection (absolute, ~/, ./ and ../ paths)
+  const FILE_PATH_PATTERN = /((?:~|\.{1,2})?\/[\w\-\.\/~]+)/g;
+
+  // Splits text into [{ text }, { text, path }], a token with a path is a file link
+  function linkTokens(text) {
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(FILE_PATH_PATTERN)) {
+      if (match.index > lastIndex) {
+        tokens.push({ text: text.slice(lastIndex, match.index) });
+      }
+      tokens.push({ text: match[0], path: match[0] });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+      tokens.push({ text: text.slice(lastIndex) });
+    }
+    return tokens;
+  }
+
+  const api = { FILE_PATH_PATTERN, linkTokens };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.FileLinks = api;
+  }
+})(this);
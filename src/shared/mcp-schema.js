@@ -0,0 +1,195 @@
+// Schema for ~/.aws/amazonq/mcp.json shared by the renderer and the main process.
+// The MCP editor validates as the user types, the main process validates again before saving.
+// Only errors block a save. Fields the schema does not know are warnings: Q accepts more than
+// this checks (remote servers with "type", "url" and "headers", "autoApprove", ...).
+//
+// Error or warning: { path: ['mcpServers', 'jira', 'args', 1], message }
+
+(function (root) {
+  const SERVER_FIELDS = {
+    command: 'a command to run, e.g. "npx" or "docker"',
+    args: 'a list of arguments',
+    env: 'environment variables (name to value)',
+    timeout: 'a timeout in milliseconds',
+    disabled: 'true or false'
+  };
+  const TOP_LEVEL_FIELDS = ['mcpServers'];
+  const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  // "comand" -> "command", so a typo gets a useful hint instead of just "unknown field"
+  function suggestField(name, known) {
+    const lower = name.toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+    known.forEach(field => {
+      const distance = editDistance(lower, field.toLowerCase());
+      if (distance < bestDistance) {
+        best = field;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  function unknownFieldMessage(name, known) {
+    const suggestion = suggestField(name, known);
+    return `Unknown field "${name}"` + (suggestion ? `, did you mean "${suggestion}"?` : '');
+  }
+
+  function checkServer(name, server, errors, warnings) {
+    const at = (...rest) => ['mcpServers', name, ...rest];
+
+    if (!name.trim()) {
+      errors.push({ path: at(), message: 'Server name must not be empty' });
+    }
+    if (!isPlainObject(server)) {
+      errors.push({ path: at(), message: 'Server must be an object with a "command"' });
+      return;
+    }
+
+    Object.keys(server).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(SERVER_FIELDS, key)) {
+        warnings.push({ path: at(key), message: unknownFieldMessage(key, Object.keys(SERVER_FIELDS)) });
+      }
+    });
+
+    // A remote server has a "url" instead
+    if (server.command === undefined) {
+      if (server.url === undefined) {
+        errors.push({ path: at('command'), message: 'Command is required' });
+      }
+    } else if (typeof server.command !== 'string' || !server.command.trim()) {
+      errors.push({ path: at('command'), message: 'Command must be a non-empty string' });
+    }
+
+    if (server.args !== undefined) {
+      if (!Array.isArray(server.args)) {
+        errors.push({ path: at('args'), message: 'Args must be a list of strings, e.g. ["-y", "package"]' });
+      } else {
+        server.args.forEach((arg, index) => {
+          if (typeof arg !== 'string') {
+            errors.push({ path: at('args', index), message: `Argument ${index + 1} must be a string` });
+          }
+        });
+      }
+    }
+
+    if (server.env !== undefined) {
+      if (!isPlainObject(server.env)) {
+        errors.push({ path: at('env'), message: 'Env must be an object of variable names to string values' });
+      } else {
+        Object.keys(server.env).forEach(key => {
+          if (!ENV_NAME_PATTERN.test(key)) {
+            errors.push({ path: at('env', key), message: `"${key}" is not a valid environment variable name` });
+          } else if (typeof server.env[key] !== 'string') {
+            errors.push({ path: at('env', key), message: `Value of ${key} must be a string` });
+          }
+        });
+      }
+    }
+
+    if (server.timeout !== undefined && !(Number.isInteger(server.timeout) && server.timeout > 0)) {
+      errors.push({ path: at('timeout'), message: 'Timeout must be a whole number of milliseconds greater than 0' });
+    }
+
+    if (server.disabled !== undefined && typeof server.disabled !== 'boolean') {
+      errors.push({ path: at('disabled'), message: 'Disabled must be true or false' });
+    }
+  }
+
+  function checkMcpConfig(config) {
+    const errors = [];
+    const warnings = [];
+
+    if (!isPlainObject(config)) {
+      errors.push({ path: [], message: 'Config must be a JSON object with "mcpServers"' });
+      return { errors, warnings };
+    }
+
+    Object.keys(config).forEach(key => {
+      if (!TOP_LEVEL_FIELDS.includes(key)) {
+        warnings.push({ path: [key], message: unknownFieldMessage(key, TOP_LEVEL_FIELDS) });
+      }
+    });
+
+    if (config.mcpServers === undefined) {
+      errors.push({ path: ['mcpServers'], message: '"mcpServers" is required' });
+    } else if (!isPlainObject(config.mcpServers)) {
+      errors.push({ path: ['mcpServers'], message: '"mcpServers" must be an object of server names to servers' });
+    } else {
+      Object.keys(config.mcpServers).forEach(name => checkServer(name, config.mcpServers[name], errors, warnings));
+    }
+
+    return { errors, warnings };
+  }
+
+  // Returns a list of errors, empty when the config can be saved
+  function validateMcpConfig(config) {
+    return checkMcpConfig(config).errors;
+  }
+
+  // Unknown fields, with a "did you mean" hint for likely typos
+  function mcpConfigWarnings(config) {
+    return checkMcpConfig(config).warnings;
+  }
+
+  // Parse and validate raw editor text, a syntax error is reported as a single error without a path
+  function parseMcpConfig(text) {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      return { config: null, errors: [{ path: null, message: 'JSON syntax error: ' + error.message }], warnings: [] };
+    }
+    return { config, ...checkMcpConfig(config) };
+  }
+
+  // ['mcpServers', 'jira', 'args', 1] -> 'mcpServers.jira.args[1]'
+  function formatErrorPath(path) {
+    return (path || []).reduce((text, part) => {
+      if (typeof part === 'number') {
+        return `${text}[${part}]`;
+      }
+      return text ? `${text}.${part}` : String(part);
+    }, '');
+  }
+
+  function formatErrors(errors) {
+    return errors
+      .map(error => (error.path && error.path.length ? `${formatErrorPath(error.path)}: ` : '') + error.message)
+      .join('\n');
+  }
+
+  const api = {
+    SERVER_FIELDS,
+    validateMcpConfig,
+    mcpConfigWarnings,
+    parseMcpConfig,
+    formatErrorPath,
+    formatErrors
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.McpSchema = api;
+  }
+})(this);
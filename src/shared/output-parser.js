@@ -0,0 +1,154 @@
+// Stream parser for agent output, shared by the renderer and the main process.
+// Raw output chunks can end anywhere, in the middle of a line or of an escape sequence.
+// They go through the terminal emulator, what it makes of them comes out as typed events:
+//
+//   { type: 'line', kind, text, line, continued, input, toolName }
+//       A line scrolled off the terminal screen and is final. kind is what
+//       Transcript.classifyLine makes of it: 'text', 'user_input', 'thinking', 'tool_use',
+//       'permission_prompt', 'error' or 'noise'. line has the styled cells of the row.
+//       A soft-wrapped line comes as one event per row: continued is true for every row but
+//       the last, text is the line so far.
+//   { type: 'tool_use', text, toolName }
+//       A tool call starts. Once per call, as soon as its line is on the screen and the agent
+//       moved on to the next one, before that the tool name may only be half written.
+//   { type: 'permission_prompt', text }
+//       The agent asks before running a tool. Once per prompt, as soon as it is on the screen.
+//       Agents wait for the answer on the prompt's row, text is the prompt as far as it is written.
+//   { type: 'ready' }
+//       The agent is back at an empty input prompt and waits for input.
+//
+// Lines still on the screen can be redrawn by the agent (spinners, progress), liveLines()
+// and liveTexts() have them as they are now.
+
+(function (root) {
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const VirtualTerminal = isModule ? require('../renderer/terminal').VirtualTerminal : root.VirtualTerminal;
+  const Transcript = isModule ? require('./transcript') : root.Transcript;
+
+  const SCREEN_EVENTS = ['tool_use', 'permission_prompt']; // Line kinds reported before the line is final
+
+  class OutputParser {
+    // options: { detectors, cols, rows, onEvent(event) }
+    constructor(options = {}) {
+      this.detectors = options.detectors || Transcript.DEFAULT_DETECTORS;
+      this.onEvent = options.onEvent || (() => {});
+      this.terminal = new VirtualTerminal({
+        cols: options.cols || 120,
+        rows: options.rows || 30,
+        onCommit: (line) => this.commitLine(line)
+      });
+      this.events = []; // Events of the current write
+      this.reset();
+    }
+
+    reset() {
+      this.wrappedText = ''; // Soft-wrapped line waiting for its continuation
+      this.committed = {}; // Kind -> { count, last } of the lines that scrolled off the screen
+      this.seen = {}; // Kind -> number of these lines reported, committed or on the screen
+      SCREEN_EVENTS.forEach(kind => {
+        this.committed[kind] = { count: 0, last: null };
+        this.seen[kind] = 0;
+      });
+      this.approvalOnScreen = false;
+      this.atInputPrompt = false;
+      this.promptLine = null; // Terminal row of the input prompt the last ready event was for
+    }
+
+    // Feed a chunk of raw output, returns the events it produced (onEvent got them already)
+    write(data) {
+      return this.run(() => this.terminal.write(data));
+    }
+
+    // Everything on the screen is final, e.g. when the session ends
+    flush() {
+      return this.run(() => this.terminal.flush());
+    }
+
+    resize(cols, rows) {
+      return this.run(() => this.terminal.resize(cols, rows));
+    }
+
+    // Forget the screen without committing it (output cleared)
+    clear() {
+      this.terminal.clear();
+      this.reset();
+    }
+
+    run(action) {
+      this.events = [];
+      action();
+      this.checkScreen();
+      const events = this.events;
+      this.events = [];
+      return events;
+    }
+
+    emit(event) {
+      this.events.push(event);
+      this.onEvent(event);
+    }
+
+    commitLine(line) {
+      const text = this.wrappedText + VirtualTerminal.lineText(line);
+      const { kind, input, toolName } = Transcript.classifyLine(text, this.detectors);
+      this.wrappedText = line.wrapped ? text : '';
+      if (SCREEN_EVENTS.includes(kind) && !line.wrapped) {
+        this.committed[kind].count++;
+        this.committed[kind].last = { text, toolName };
+      }
+      this.emit({ type: 'line', kind, text, line, continued: line.wrapped, input, toolName });
+    }
+
+    // Rows still on the screen: [{ line, text, continued }], text like in line events
+    liveLines() {
+      let wrappedText = this.wrappedText;
+      return this.terminal.getLiveLines().map(line => {
+        const text = wrappedText + VirtualTerminal.lineText(line);
+        wrappedText = line.wrapped ? text : '';
+        return { line, text, continued: line.wrapped };
+      });
+    }
+
+    // Lines still on the screen, soft-wrapped rows joined
+    liveTexts() {
+      return this.wholeLiveLines().map(row => row.text);
+    }
+
+    wholeLiveLines() {
+      const rows = this.liveLines();
+      return rows.filter((row, index) => !row.continued || index === rows.length - 1);
+    }
+
+    // Tool calls and prompts on the screen count until they scroll off and are committed,
+    // a line that is redrawn is not a new one. Same for the input prompt: a reply can start
+    // and end within one chunk, a prompt on another row is the next one.
+    checkScreen() {
+      const rows = this.wholeLiveLines().map(row => ({ ...row, ...Transcript.classifyLine(row.text, this.detectors) }));
+      const cursorLine = this.terminal.currentLine();
+      SCREEN_EVENTS.forEach(kind => {
+        const onScreen = rows.filter(row => row.kind === kind && (kind === 'permission_prompt' || row.line !== cursorLine));
+        const latest = onScreen.length > 0 ? onScreen[onScreen.length - 1] : this.committed[kind].last;
+        while (this.seen[kind] < this.committed[kind].count + onScreen.length) {
+          this.seen[kind]++;
+          this.emit(kind === 'tool_use'
+            ? { type: kind, text: latest.text, toolName: latest.toolName }
+            : { type: kind, text: latest.text });
+        }
+      });
+      this.approvalOnScreen = rows.some(row => row.kind === 'permission_prompt');
+
+      const last = rows.filter(row => row.text.trim()).pop();
+      this.atInputPrompt = Boolean(last) && last.kind === 'user_input' && !last.input;
+      if (this.atInputPrompt && last.line !== this.promptLine) {
+        this.emit({ type: 'ready' });
+      }
+      this.promptLine = this.atInputPrompt ? last.line : null;
+    }
+  }
+
+  if (isModule) {
+    module.exports = { OutputParser };
+  } else {
+    root.OutputParser = OutputParser;
+  }
+})(this);
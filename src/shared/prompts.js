@@ -0,0 +1,194 @@
+// Prompt library templates, shared by the renderer and the main process.
+// A template is sent to Q from the Prompts menu or by typing its name as a slash command:
+//
+//   /standup            uses the template "standup"
+//   /review src/a.js    uses "review" with {{input}} set to "src/a.js"
+//
+// Template: { name, description, body }
+// Variables in the body:
+//   {{selection}}  text selected in the output pane
+//   {{cwd}}        the session's project directory
+//   {{date}}       today as YYYY-MM-DD, {{time}} the time as HH:MM
+//   {{input}}      text typed after the slash command, asked for when there is none
+//   {{name}} or {{name:Question}}  anything else is asked for before the prompt is sent
+
+(function (root) {
+  const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+  const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?::([^}]*))?\}\}/g;
+  const SLASH_COMMAND_PATTERN = /^\/([A-Za-z0-9][\w-]*)(?:\s+([\s\S]*))?$/;
+  const AUTO_VARIABLES = ['selection', 'cwd', 'date', 'time'];
+  const FILE_FORMAT = 'classic-q-interface/prompts';
+
+  // Q's own slash commands stay Q's
+  const Q_COMMANDS = [
+    'agent', 'changelog', 'clear', 'compact', 'context', 'editor', 'exit', 'experiment', 'help', 'hooks',
+    'introspect', 'issue', 'knowledge', 'load', 'logdump', 'mcp', 'model', 'paste', 'profile', 'prompts',
+    'q', 'quit', 'reply', 'save', 'subscribe', 'tangent', 'todos', 'tools', 'usage'
+  ];
+
+  // Used by Generate Report, can be edited but not deleted
+  const REPORT_TEMPLATE = 'report';
+
+  const BUILTIN_TEMPLATES = [
+    {
+      name: REPORT_TEMPLATE,
+      description: 'HTML report of the conversation, used by Generate Report',
+      body: `Please analyze our entire conversation and create a comprehensive HTML report with the following structure, at the end of generated report and user permission once done, display complete absolute path of the file html path so that user can click to download or view locally:
+
+# Summary
+- Key findings and conclusions
+- Main issues identified and resolved
+- Recommendations or next steps
+
+# Technical Details
+- Tools and systems involved
+- Specific data points or metrics discovered
+- Code snippets, configurations, or technical artifacts
+
+# Action Items
+- Immediate tasks requiring attention
+- Long-term recommendations
+- Follow-up items
+
+Format the response as a complete, standalone HTML document with:
+- Professional styling and layout
+- Proper headings and sections
+- Highlighted key information
+- Tables or lists where appropriate
+- Ready for sharing with stakeholders
+
+Focus on actionable insights rather than conversation flow. Make it executive-ready.`
+    }
+  ];
+
+  function getBuiltinTemplate(name) {
+    return BUILTIN_TEMPLATES.find(template => template.name === name) || null;
+  }
+
+  // Checked copy of a template, throws on templates that cannot be used
+  function validateTemplate(template) {
+    if (!template || typeof template !== 'object') {
+      throw new Error('Prompt template is not an object');
+    }
+    const name = typeof template.name === 'string' ? template.name.trim().replace(/^\//, '').toLowerCase() : '';
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`"${name}" is not a valid prompt name, use up to 32 letters, digits, - and _`);
+    }
+    if (Q_COMMANDS.includes(name)) {
+      throw new Error(`/${name} is a Q command, pick another name`);
+    }
+    if (typeof template.body !== 'string' || !template.body.trim()) {
+      throw new Error(`Prompt /${name} has no text`);
+    }
+    return {
+      name,
+      description: typeof template.description === 'string' ? template.description.trim() : '',
+      body: template.body
+    };
+  }
+
+  function forEachVariable(body, visit) {
+    const pattern = new RegExp(VARIABLE_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+      visit(match[1], match[2] ? match[2].trim() : '');
+    }
+  }
+
+  function labelFor(name) {
+    const words = name.replace(/[_-]+/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // Fields to ask for before the template is sent: [{ name, label }]
+  // values: what is already known, {{input}} is only asked for when it is empty
+  function promptedFields(body, values = {}) {
+    const fields = [];
+    const seen = new Set();
+    forEachVariable(body, (name, label) => {
+      if (seen.has(name) || AUTO_VARIABLES.includes(name) || (name === 'input' && values.input)) {
+        return;
+      }
+      seen.add(name);
+      fields.push({ name, label: label || labelFor(name) });
+    });
+    return fields;
+  }
+
+  // Values of the variables every template gets
+  function builtinValues({ selection = '', cwd = '', now = new Date() } = {}) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return {
+      selection,
+      cwd,
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}:${pad(now.getMinutes())}`
+    };
+  }
+
+  // Unknown variables become empty text
+  function renderTemplate(body, values = {}) {
+    return body.replace(new RegExp(VARIABLE_PATTERN.source, 'g'), (whole, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  // { name, input } for "/name rest of the line", null for anything else
+  function parseSlashCommand(text) {
+    const match = (text || '').trim().match(SLASH_COMMAND_PATTERN);
+    return match ? { name: match[1].toLowerCase(), input: (match[2] || '').trim() } : null;
+  }
+
+  function serializeTemplates(templates, exportedAt = new Date().toISOString()) {
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: 1,
+      exportedAt,
+      templates: templates.map(({ name, description, body }) => ({ name, description: description || '', body }))
+    }, null, 2) + '\n';
+  }
+
+  // Templates from an exported file, a list of templates or a single template.
+  // Throws when the file cannot be used at all.
+  function parseTemplateFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a prompt library file: ' + error.message);
+    }
+    let templates;
+    if (Array.isArray(data)) {
+      templates = data;
+    } else if (data && Array.isArray(data.templates)) {
+      templates = data.templates;
+    } else if (data && typeof data.body === 'string') {
+      templates = [data];
+    } else {
+      throw new Error('Not a prompt library file: no templates found');
+    }
+    return templates.map(validateTemplate);
+  }
+
+  const api = {
+    NAME_PATTERN,
+    Q_COMMANDS,
+    REPORT_TEMPLATE,
+    BUILTIN_TEMPLATES,
+    getBuiltinTemplate,
+    validateTemplate,
+    promptedFields,
+    builtinValues,
+    renderTemplate,
+    parseSlashCommand,
+    serializeTemplates,
+    parseTemplateFile
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.PromptLibrary = api;
+  }
+})(this);
@@ -0,0 +1,95 @@
+// DOM rendering of agent output, shared by the renderer and the tests.
+// Output only ever becomes text nodes, styled spans and file links. Nothing is parsed as
+// HTML and no handlers are attached: a file link is an <a> that carries its path in
+// data-path, clicks are handled by the click listener on the document (see initUiEvents).
+// Every function takes the document to create nodes in, the tests pass a small shim.
+
+(function (root) {
+  const isModule = typeof module !== 'undefined' && module.exports;
+  const VirtualTerminal = isModule ? require('../renderer/terminal').VirtualTerminal : root.VirtualTerminal;
+  const FileLinks = isModule ? require('./links') : root.FileLinks;
+
+  function createFileLink(doc, path, label) {
+    const link = doc.createElement('a');
+    link.className = 'file-link';
+    link.dataset.path = path;
+    link.textContent = label;
+    return link;
+  }
+
+  function linkifyInto(doc, parent, text) {
+    FileLinks.linkTokens(text).forEach(token => {
+      parent.appendChild(token.path ? createFileLink(doc, token.path, token.text) : doc.createTextNode(token.text));
+    });
+  }
+
+  // A line of plain text, e.g. from a saved chat
+  function renderTextLine(doc, text, className) {
+    const span = doc.createElement('span');
+    span.className = className;
+    linkifyInto(doc, span, text);
+    span.appendChild(doc.createTextNode('\n'));
+    return span;
+  }
+
+  function applyAnsiStyle(el, style) {
+    let fg = VirtualTerminal.colorToCss(style.fg);
+    let bg = VirtualTerminal.colorToCss(style.bg);
+    if (style.inverse) {
+      [fg, bg] = [bg || 'var(--output-bg)', fg || 'var(--text-color)'];
+    }
+
+    if (fg) el.style.color = fg;
+    if (bg) el.style.backgroundColor = bg;
+    if (style.bold) el.classList.add('ansi-bold');
+    if (style.dim) el.classList.add('ansi-dim');
+    if (style.italic) el.classList.add('ansi-italic');
+
+    const decorations = [];
+    if (style.underline) decorations.push('underline');
+    if (style.strike) decorations.push('line-through');
+    if (decorations.length) {
+      el.style.textDecoration = decorations.join(' ');
+    }
+  }
+
+  // A row of the terminal emulator with its colors
+  function renderTerminalLine(doc, line, className) {
+    const lineEl = doc.createElement('span');
+    if (className) {
+      lineEl.className = className;
+    }
+
+    VirtualTerminal.lineSegments(line).forEach(segment => {
+      if (VirtualTerminal.isDefaultStyle(segment.style)) {
+        linkifyInto(doc, lineEl, segment.text);
+      } else {
+        const styled = doc.createElement('span');
+        applyAnsiStyle(styled, segment.style);
+        linkifyInto(doc, styled, segment.text);
+        lineEl.appendChild(styled);
+      }
+    });
+
+    // Soft-wrapped lines continue on the next terminal line
+    if (!line.wrapped) {
+      lineEl.appendChild(doc.createTextNode('\n'));
+    }
+    return lineEl;
+  }
+
+  function renderApprovalDecision(doc, text) {
+    const decisionEl = doc.createElement('span');
+    decisionEl.className = 'approval-decision';
+    decisionEl.textContent = text + '\n';
+    return decisionEl;
+  }
+
+  const api = { createFileLink, linkifyInto, renderTextLine, renderTerminalLine, renderApprovalDecision };
+
+  if (isModule) {
+    module.exports = api;
+  } else {
+    root.OutputRender = api;
+  }
+})(this);
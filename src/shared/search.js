@@ -0,0 +1,69 @@
+// Saved chat search helpers shared by the renderer and the main process.
+// The main process turns what the user typed into an FTS5 query and asks SQLite for
+// snippets wrapped in the markers below, the renderer splits them into highlighted parts.
+
+(function (root) {
+  const SNIPPET_MARK_START = '\u0002';
+  const SNIPPET_MARK_END = '\u0003';
+
+  // Words the user searched for, lowercased, without FTS syntax
+  function searchTerms(query) {
+    return (query || '')
+      .split(/\s+/)
+      .map(term => term.replace(/["*]/g, '').toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Every term must match, quoted so punctuation like "iam-policy" or "a:b" is not FTS syntax.
+  // The last term matches as a prefix while the user is still typing it.
+  function buildMatchQuery(query) {
+    const terms = searchTerms(query);
+    return terms
+      .map((term, index) => `"${term.replace(/"/g, '""')}"` + (index === terms.length - 1 ? '*' : ''))
+      .join(' ');
+  }
+
+  // Finds the searched words in plain text, punctuation between the parts of a term is loose like in FTS
+  function termPattern(query) {
+    const alternatives = searchTerms(query)
+      .map(term => term
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(Boolean)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^\\p{L}\\p{N}_]+'))
+      .filter(Boolean);
+    return alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'iu') : null;
+  }
+
+  // "a \u0002b\u0003 c" -> [{ text: 'a ', match: false }, { text: 'b', match: true }, { text: ' c', match: false }]
+  function splitSnippet(snippet) {
+    const parts = [];
+    let rest = snippet || '';
+
+    while (rest) {
+      const start = rest.indexOf(SNIPPET_MARK_START);
+      if (start === -1) {
+        parts.push({ text: rest, match: false });
+        break;
+      }
+      if (start > 0) {
+        parts.push({ text: rest.slice(0, start), match: false });
+      }
+
+      const end = rest.indexOf(SNIPPET_MARK_END, start);
+      const stop = end === -1 ? rest.length : end;
+      parts.push({ text: rest.slice(start + 1, stop), match: true });
+      rest = rest.slice(stop + 1);
+    }
+
+    return parts.filter(part => part.text);
+  }
+
+  const api = { SNIPPET_MARK_START, SNIPPET_MARK_END, searchTerms, buildMatchQuery, termPattern, splitSnippet };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ChatSearch = api;
+  }
+})(this);
@@ -0,0 +1,122 @@
+// Secret placeholders and masking for mcp.json, shared by the renderer and the main process.
+// Secrets live in the app's secret store and are referenced as "${env:NAME}". Q expands
+// these from its own environment, which is the only place the real values are injected.
+// Plain-text values of sensitive keys (tokens, passwords...) are never shown or copied,
+// they are replaced by SECRET_MASK and put back from the file on disk when saving.
+
+(function (root) {
+  const SECRET_MASK = '********';
+  const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+  const PLACEHOLDER_PATTERN = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+  const SENSITIVE_NAME_PATTERN = /token|secret|passw(or)?d|api_?key|access_?key|private_?key|credential|auth/i;
+
+  function isSensitiveName(name) {
+    return SENSITIVE_NAME_PATTERN.test(name);
+  }
+
+  function secretPlaceholder(name) {
+    return '${env:' + name + '}';
+  }
+
+  function hasPlaceholder(value) {
+    return new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+  }
+
+  // A value that should not be visible: sensitive key, not empty, not a placeholder
+  function isPlainTextSecret(key, value) {
+    return typeof value === 'string' && value !== '' && value !== SECRET_MASK &&
+      isSensitiveName(key) && !hasPlaceholder(value);
+  }
+
+  // Names of all "${env:NAME}" placeholders in a config or text
+  function placeholderNames(configOrText) {
+    const text = typeof configOrText === 'string' ? configOrText : JSON.stringify(configOrText || {});
+    const names = new Set();
+    let match;
+    const pattern = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+    return Array.from(names);
+  }
+
+  // Mask plain-text secrets in raw JSON text, keeps the formatting so it also works for
+  // files that do not parse
+  function maskSecretsInText(text) {
+    return (text || '').replace(/("((?:[^"\\]|\\.)*)"\s*:\s*)"((?:[^"\\]|\\.)*)"/g, (whole, prefix, key, value) => {
+      return isPlainTextSecret(key, value) ? `${prefix}"${SECRET_MASK}"` : whole;
+    });
+  }
+
+  // Walks a parsed config, calls visit(path, key, value) for every string value
+  function walkStrings(value, visit, path = []) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walkStrings(item, visit, [...path, index]));
+    } else if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        if (typeof value[key] === 'string') {
+          visit([...path, key], key, value[key]);
+        } else {
+          walkStrings(value[key], visit, [...path, key]);
+        }
+      });
+    }
+  }
+
+  function getAtPath(value, path) {
+    return path.reduce((current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined), value);
+  }
+
+  function setAtPath(value, path, newValue) {
+    getAtPath(value, path.slice(0, -1))[path[path.length - 1]] = newValue;
+  }
+
+  // Paths of the plain-text secrets in a parsed config
+  function findPlainTextSecrets(config) {
+    const found = [];
+    walkStrings(config, (path, key, value) => {
+      if (isPlainTextSecret(key, value)) {
+        found.push(path);
+      }
+    });
+    return found;
+  }
+
+  // Put masked values back from the original config at the same path.
+  // Returns { config, unmasked, unresolved: [path] }, unresolved masks had no value to restore
+  function unmaskSecrets(config, original) {
+    const result = JSON.parse(JSON.stringify(config));
+    let unmasked = 0;
+    const unresolved = [];
+    walkStrings(result, (path, key, value) => {
+      if (value !== SECRET_MASK) return;
+      const originalValue = getAtPath(original, path);
+      if (typeof originalValue === 'string' && originalValue !== SECRET_MASK) {
+        setAtPath(result, path, originalValue);
+        unmasked++;
+      } else {
+        unresolved.push(path);
+      }
+    });
+    return { config: result, unmasked, unresolved };
+  }
+
+  const api = {
+    SECRET_MASK,
+    SECRET_NAME_PATTERN,
+    isSensitiveName,
+    secretPlaceholder,
+    hasPlaceholder,
+    isPlainTextSecret,
+    placeholderNames,
+    maskSecretsInText,
+    findPlainTextSecrets,
+    unmaskSecrets
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.McpSecrets = api;
+  }
+})(this);
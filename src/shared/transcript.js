@@ -0,0 +1,283 @@
+// Turn-based transcript model shared by the renderer and the main process.
+// The renderer feeds finished Q output lines as they are parsed, the main process
+// uses the same rules to migrate old plain-text chats into turns.
+//
+// Turn:       { role: 'user' | 'assistant', text, startedAt, endedAt, toolEvents: [] }
+// Tool event: { kind: 'tool_use' | 'approval_prompt' | 'approval_decision' | 'approval_response', toolName, text, offset, at }
+//             offset is the position in the turn text where the event happened.
+//             approval_decision is an answer given by an approval rule or an API client instead of the user.
+
+(function (root) {
+  const USER_PROMPT_PATTERN = /^(?:\[[^\]]*\]\s*)?!?>(?:\s(.*))?$/; // "> hi", "[profile] > hi", "!> hi"
+  const TOOL_USE_PATTERN = /🛠️|Using tool/;
+  const TOOL_NAME_PATTERN = /Using tool:?\s*([\w\-.]+)/;
+  const APPROVAL_PROMPT_PATTERN = /\(y\/n(?:\/t)?\)|\[y\/n(?:\/t)?\]|Allow this action/i;
+  const APPROVAL_RESPONSE_PATTERN = /^(?:!?>\s*)?(y|n|t|yes|no|trust)\s*$/i;
+  const THINKING_PATTERN = /Thinking\.\.\./;
+  const STARTUP_NOISE_PATTERN = /ctrl-c to start chatting|✓ \w+ loaded in/; // MCP servers loading
+  const ERROR_PATTERN = /[Ee]rror/;
+
+  // How Q CLI output is read, other agent backends bring their own (src/shared/backends.js)
+  const DEFAULT_DETECTORS = {
+    userPrompt: USER_PROMPT_PATTERN,
+    toolUse: TOOL_USE_PATTERN,
+    toolName: TOOL_NAME_PATTERN,
+    approvalPrompt: APPROVAL_PROMPT_PATTERN,
+    thinking: THINKING_PATTERN,
+    ignore: STARTUP_NOISE_PATTERN,
+    error: ERROR_PATTERN
+  };
+
+  // Start of the context message sent to Q when a saved chat is resumed
+  const RESUME_PREFIX = '[Resumed conversation]';
+
+  // Messages the app itself printed into the output pane (only found in old plain-text chats)
+  const APP_MESSAGE_PATTERN = /^(Q CLI Interface Ready|Session started|Session ended|Output cleared|Docker Status:|Getting Ready|⚠️ {1,2}Docker is not running|Working directory:|Error creating session|📂 Loaded saved chat|💡 |--- (Saved Chat History|End of Saved History) ---|🆕 Starting fresh)/;
+
+  class TranscriptBuilder {
+    constructor(turns = [], detectors = DEFAULT_DETECTORS) {
+      this.turns = JSON.parse(JSON.stringify(turns));
+      this.detectors = detectors;
+      this.awaitingApproval = false;
+      this.skipUntilPrompt = false; // Startup banner or resume context exchange, not part of the chat
+      this.approvalPrompts = 0; // Approval prompts added since the builder was created
+      this.pendingDecisions = []; // Rule decisions for approval prompts not added yet
+    }
+
+    // A new Q session starts, its output before the first prompt is not part of any turn
+    skipUntilNextPrompt() {
+      this.skipUntilPrompt = true;
+    }
+
+    // Add one finished line of Q output, returns the event it produced (or null)
+    addLine(line, at = new Date().toISOString()) {
+      const text = line.replace(/\s+$/, '');
+      const { kind, input } = classifyLine(text, this.detectors);
+
+      if (kind === 'noise' || kind === 'thinking') {
+        return null;
+      }
+
+      const responseMatch = text.match(APPROVAL_RESPONSE_PATTERN);
+      if (this.awaitingApproval && responseMatch) {
+        this.awaitingApproval = false;
+        return this.addToolEvent('approval_response', responseMatch[1].toLowerCase(), at);
+      }
+
+      if (kind === 'user_input') {
+        if (!input) {
+          return null; // Empty prompt, Q is waiting for input
+        }
+        this.skipUntilPrompt = input.startsWith(RESUME_PREFIX);
+        if (this.skipUntilPrompt) {
+          return null; // The saved turns are already in the transcript
+        }
+        const turn = { role: 'user', text: input, startedAt: at, endedAt: at, toolEvents: [] };
+        this.turns.push(turn);
+        return { type: 'turn', turn };
+      }
+
+      if (this.skipUntilPrompt) {
+        return null;
+      }
+
+      if (kind === 'tool_use') {
+        return this.addToolEvent('tool_use', text, at);
+      }
+
+      if (kind === 'permission_prompt') {
+        this.awaitingApproval = true;
+        this.approvalPrompts++;
+        const result = this.addToolEvent('approval_prompt', text, at);
+        const decision = this.pendingDecisions.shift();
+        return decision ? this.addToolEvent('approval_decision', decision, at) : result;
+      }
+
+      const turn = this.currentAssistantTurn(at, !text.trim());
+      if (!turn) {
+        return null; // Blank line outside of a reply
+      }
+      turn.text = turn.text ? turn.text + '\n' + text : text;
+      turn.endedAt = at;
+      return { type: 'text', turn, text };
+    }
+
+    // A rule answered the approval prompt with this number (1 for the first prompt of the builder).
+    // Prompts are often still on the terminal screen when they are answered, so the decision
+    // waits until its prompt line is added.
+    addApprovalDecision(promptNumber, text, at = new Date().toISOString()) {
+      if (promptNumber <= this.approvalPrompts) {
+        return this.addToolEvent('approval_decision', text, at); // Prompt line is already final
+      }
+      this.pendingDecisions[promptNumber - this.approvalPrompts - 1] = text;
+      return null;
+    }
+
+    addToolEvent(kind, text, at) {
+      const turn = this.currentAssistantTurn(at, false);
+      const toolMatch = kind === 'tool_use' ? text.match(this.detectors.toolName) : null;
+      const event = {
+        kind,
+        toolName: toolMatch ? toolMatch[1] : null,
+        text,
+        offset: turn.text.length,
+        at
+      };
+      turn.toolEvents.push(event);
+      turn.endedAt = at;
+      return { type: 'tool', turn, event };
+    }
+
+    currentAssistantTurn(at, blank) {
+      const last = this.turns[this.turns.length - 1];
+      if (last && last.role === 'assistant') {
+        return last;
+      }
+      if (blank) {
+        return null;
+      }
+      const turn = { role: 'assistant', text: '', startedAt: at, endedAt: at, toolEvents: [] };
+      this.turns.push(turn);
+      return turn;
+    }
+
+    // Copy with lines that are not final yet (still on the terminal screen)
+    withLines(extraLines = []) {
+      const copy = new TranscriptBuilder(this.turns, this.detectors);
+      copy.awaitingApproval = this.awaitingApproval;
+      copy.skipUntilPrompt = this.skipUntilPrompt;
+      copy.approvalPrompts = this.approvalPrompts;
+      copy.pendingDecisions = this.pendingDecisions.slice();
+      extraLines.forEach(line => copy.addLine(line));
+      return copy;
+    }
+
+    // Turns including lines that are not final yet
+    preview(extraLines = []) {
+      return this.withLines(extraLines).getTurns();
+    }
+
+    // Turns with trailing blank lines trimmed
+    getTurns() {
+      return this.turns.map(turn => {
+        const text = turn.text.replace(/\s+$/, '');
+        return {
+          ...turn,
+          text,
+          toolEvents: turn.toolEvents.map(event => ({ ...event, offset: Math.min(event.offset, text.length) }))
+        };
+      });
+    }
+  }
+
+  // Rebuild turns from an old plain-text transcript (textContent of the output pane)
+  function parseTranscriptText(content, at = null) {
+    const builder = new TranscriptBuilder();
+    (content || '').split('\n').forEach(line => {
+      if (!APP_MESSAGE_PATTERN.test(line)) {
+        builder.addLine(line, at);
+      }
+    });
+    return builder.getTurns();
+  }
+
+  // What a line of agent output is, the one place that reads lines with the detectors:
+  //   'noise'              startup lines that are not shown
+  //   'thinking'           the agent is working, not part of the reply
+  //   'user_input'         the input prompt, input is what was typed ('' while it waits)
+  //   'tool_use'           a tool call starts, toolName when the detector finds it
+  //   'permission_prompt'  the agent asks before running a tool
+  //   'error'              an error message
+  //   'text'               anything else, e.g. the reply
+  // Returns { kind, input, toolName }
+  function classifyLine(line, detectors = DEFAULT_DETECTORS) {
+    const text = line.replace(/\s+$/, '');
+    if (detectors.ignore.test(text)) {
+      return { kind: 'noise' };
+    }
+    if (detectors.thinking.test(text)) {
+      return { kind: 'thinking' };
+    }
+    const userMatch = text.match(detectors.userPrompt);
+    if (userMatch) {
+      return { kind: 'user_input', input: (userMatch[1] || '').trim() };
+    }
+    if (detectors.toolUse.test(text)) {
+      const toolMatch = text.match(detectors.toolName);
+      return { kind: 'tool_use', toolName: toolMatch ? toolMatch[1] : null };
+    }
+    if (detectors.approvalPrompt.test(text)) {
+      return { kind: 'permission_prompt' };
+    }
+    return { kind: detectors.error.test(text) ? 'error' : 'text' };
+  }
+
+  // Q asks "Allow this action? ... [y/n/t]:" before running a tool that is not trusted
+  function isApprovalPrompt(line, detectors = DEFAULT_DETECTORS) {
+    return classifyLine(line, detectors).kind === 'permission_prompt';
+  }
+
+  // Q shows an empty prompt line when it waits for input
+  function isInputPrompt(line, detectors = DEFAULT_DETECTORS) {
+    const { kind, input } = classifyLine(line, detectors);
+    return kind === 'user_input' && !input;
+  }
+
+  // One-line summary of saved turns that is sent to a new Q session so it knows the
+  // earlier conversation. Newlines would submit the message early, so everything is
+  // flattened, long replies are shortened and the oldest turns are dropped first.
+  function buildResumePreamble(turns, { title = '', maxLength = 3000 } = {}) {
+    const flatten = (text, limit) => {
+      const flat = text.replace(/\s+/g, ' ').trim();
+      return flat.length > limit ? flat.slice(0, limit - 1) + '…' : flat;
+    };
+
+    const intro = `${RESUME_PREFIX} This continues our earlier conversation${title ? ` "${flatten(title, 80)}"` : ''}. What was said so far:`;
+    const outro = 'End of earlier conversation. Reply only with "Ready" and wait for my next message.';
+
+    const entries = [];
+    let length = intro.length + outro.length;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turn = turns[i];
+      const entry = turn.role === 'user' ? `User: ${flatten(turn.text, 300)}` : `Q: ${flatten(turn.text, 500)}`;
+      if (length + entry.length + 3 > maxLength) {
+        entries.unshift('(earlier turns omitted)');
+        break;
+      }
+      entries.unshift(entry);
+      length += entry.length + 3;
+    }
+
+    return `${intro} ${entries.join(' | ')} ${outro}`;
+  }
+
+  // Split an assistant turn into text and tool events in the order they happened
+  function turnParts(turn) {
+    const parts = [];
+    let offset = 0;
+
+    const pushText = (text) => {
+      const trimmed = text.replace(/^\n/, '').replace(/\n$/, '');
+      if (trimmed) {
+        parts.push({ type: 'text', text: trimmed });
+      }
+    };
+
+    (turn.toolEvents || []).forEach(event => {
+      pushText(turn.text.slice(offset, event.offset));
+      parts.push({ type: 'tool', event });
+      offset = Math.max(offset, event.offset);
+    });
+    pushText(turn.text.slice(offset));
+
+    return parts;
+  }
+
+  const api = { TranscriptBuilder, parseTranscriptText, turnParts, classifyLine, isInputPrompt, isApprovalPrompt, buildResumePreamble, RESUME_PREFIX, DEFAULT_DETECTORS };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Transcript = api;
+  }
+})(this);
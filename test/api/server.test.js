@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createApiServer, generateToken, HOST } = require('../../src/api/server');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, HOST, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+const created = [];
+const session = { id: 'S1', owner: 'api', cwd: '/tmp', profile: null, backend: 'echo', awaitingApproval: false };
+const server = createApiServer({
+  listSessions: () => [session],
+  getSession: (id) => (id === session.id ? session : null),
+  createSession: async (options) => {
+    created.push(options);
+    return session;
+  },
+  sendInput: () => {},
+  answerApproval: () => {},
+  killSession: () => {},
+  onSessionEvent: () => () => {}
+});
+const token = generateToken();
+let base;
+
+test.before(async () => {
+  base = await server.start({ port: await freePort(), token });
+});
+test.after(() => server.stop());
+
+async function request(method, pathname, body) {
+  const response = await fetch(base + pathname, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a session id with broken percent-encoding is a bad request', async () => {
+  for (const pathname of ['/api/sessions/%E0', '/api/sessions/%E0/input', '/api/sessions/%']) {
+    const { status, body } = await request('GET', pathname);
+    assert.equal(status, 400, pathname);
+    assert.deepEqual(body, { success: false, error: 'Session id in the URL is not valid percent-encoding' });
+  }
+});
+
+test('percent-encoded session ids are decoded', async () => {
+  assert.equal((await request('GET', '/api/sessions/%53%31')).body.session.id, 'S1');
+  assert.equal((await request('GET', '/api/sessions/S%202')).status, 404);
+});
+
+test('session options must be strings', async () => {
+  for (const body of [{ cwd: 42 }, { cwd: ['/tmp'] }, { profile: {} }, { backend: true }]) {
+    const response = await request('POST', '/api/sessions', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, /^(cwd|profile|backend) must be a string$/);
+  }
+  assert.equal(created.length, 0);
+});
+
+test('a session is created with the given options', async () => {
+  const response = await request('POST', '/api/sessions', { cwd: '/tmp', profile: null, backend: 'echo' });
+  assert.equal(response.status, 201);
+  assert.deepEqual(created.pop(), { cwd: '/tmp', profile: null, backend: 'echo' });
+  await request('POST', '/api/sessions', {});
+  assert.deepEqual(created.pop(), { cwd: null, profile: null, backend: null });
+});
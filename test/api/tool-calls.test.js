@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolCallTracker } = require('../../src/api/tool-calls');
+const { DEFAULT_DETECTORS } = require('../../src/shared/transcript');
+
+const BANNER = 'Welcome to Amazon Q\r\n\r\n> ';
+const TOOL_CALL = [
+  'read the file\r\n',
+  '\r\n🛠️  Using tool: fs_read\r\n',
+  ' ⋮ \r\n ● Reading file: src/a.js, all lines\r\n ⋮ \r\n',
+  "\r\nAllow this action? Use 't' to trust (always allow) this tool for the session. [y/n/t]:\r\n\r\n> "
+].join('');
+const AFTER_ANSWER = (answer) => `${answer}\r\n\r\n ● Completed in 0.1s\r\n\r\nThe file has one line.\r\n\r\n> `;
+
+// Latest state of every call by key, like the audit log rows
+function track() {
+  const rows = new Map();
+  const tracker = createToolCallTracker({
+    detectors: DEFAULT_DETECTORS,
+    cols: 120,
+    rows: 30,
+    record: async (calls) => calls.forEach(call => rows.set(call.key, call))
+  });
+  return { tracker, rows };
+}
+
+// Recording is chained on promises
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a call answered by an API client is decided by the API client', async () => {
+  const { tracker, rows } = track();
+  tracker.output(BANNER);
+  tracker.output(TOOL_CALL);
+  tracker.clientAnswered('y');
+  tracker.output(AFTER_ANSWER('y'));
+  await tracker.close();
+
+  assert.equal(rows.size, 1);
+  const call = rows.get('0.1.0');
+  assert.equal(call.toolName, 'fs_read');
+  assert.deepEqual(call.arguments.paths, ['src/a.js']);
+  assert.equal(call.decision, 'allow');
+  assert.equal(call.decidedBy, 'api');
+  assert.equal(call.rule, null);
+  assert.equal(call.outcome, 'completed');
+});
+
+test('a denial by an API client', async () => {
+  const { tracker, rows } = track();
+  tracker.output(BANNER + TOOL_CALL);
+  tracker.clientAnswered('n');
+  tracker.output('n\r\n\r\nOkay, I will not read it.\r\n\r\n> ');
+  await tracker.close();
+  const call = rows.get('0.1.0');
+  assert.equal(call.decision, 'deny');
+  assert.equal(call.decidedBy, 'api');
+  assert.equal(call.outcome, 'denied');
+});
+
+test('an answer typed into the session is the user\'s', async () => {
+  const { tracker, rows } = track();
+  tracker.output(BANNER + TOOL_CALL);
+  tracker.output(AFTER_ANSWER('t'));
+  await tracker.close();
+  const call = rows.get('0.1.0');
+  assert.equal(call.decision, 'trust');
+  assert.equal(call.decidedBy, 'user');
+});
+
+test('calls are recorded while they wait and when the session ends without an outcome', async () => {
+  const { tracker, rows } = track();
+  tracker.output(BANNER + TOOL_CALL);
+  await settle();
+  assert.equal(rows.get('0.1.0').outcome, 'waiting');
+  assert.equal(rows.get('0.1.0').decision, null);
+
+  tracker.clientAnswered('y');
+  tracker.output('y\r\n\r\n');
+  await tracker.close();
+  assert.equal(rows.get('0.1.0').decidedBy, 'api');
+  assert.equal(rows.get('0.1.0').outcome, 'unknown');
+
+  tracker.output(AFTER_ANSWER('y'));
+  tracker.clientAnswered('y');
+  await tracker.close();
+  assert.equal(rows.get('0.1.0').outcome, 'unknown', 'nothing is recorded after the session ended');
+});
+
+test('an answer without a prompt on the screen is no decision', async () => {
+  const { tracker, rows } = track();
+  tracker.output(BANNER + 'hello\r\n\r\nHi there.\r\n\r\n> ');
+  tracker.clientAnswered('y');
+  await tracker.close();
+  assert.equal(rows.size, 0);
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runMigrations, getSchemaVersion } = require('../../src/db/migrate');
+const migrations = require('../../src/db/migrations');
+const { buildMatchQuery } = require('../../src/shared/search');
+
+// npm install builds sqlite3 for Electron (electron-builder install-app-deps), plain Node may not load it
+let sqlite3 = null;
+try {
+  sqlite3 = require('sqlite3');
+} catch (error) {
+  sqlite3 = null;
+}
+const skip = sqlite3 ? false : 'sqlite3 does not load in this Node.js (not installed, or built for Electron)';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cqi-migrate-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// The { run, get, all, transaction } helpers migrate.js expects, on an in-memory database
+async function openDatabase() {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(database)));
+  });
+  const database = {
+    close: () => new Promise(resolve => db.close(resolve)),
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    async transaction(work) {
+      await database.run('BEGIN');
+      try {
+        const result = await work();
+        await database.run('COMMIT');
+        return result;
+      } catch (error) {
+        await database.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }
+  };
+  await database.run('PRAGMA foreign_keys = ON');
+  return database;
+}
+
+// A chats.db from before versioning: user_version 0, saved_chats with plain-text content
+async function openOldDatabase() {
+  const database = await openDatabase();
+  await database.run(`
+    CREATE TABLE saved_chats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await database.run('INSERT INTO saved_chats (title, content, created_at) VALUES (?, ?, ?)', [
+    'Old chat',
+    [
+      'Session started',
+      '',
+      '> list the files',
+      '🛠️  Using tool: fs_read',
+      'Allow this action? [y/n/t]:',
+      '> y',
+      'Here are the files: kumquat.txt',
+      '',
+      '> thanks',
+      'You are welcome'
+    ].join('\n'),
+    '2024-01-05 10:00:00'
+  ]);
+  return database;
+}
+
+const LATEST = migrations[migrations.length - 1].version;
+
+test('a database from before versioning is migrated to the latest version', { skip }, async () => {
+  const database = await openOldDatabase();
+  const dbPath = path.join(directory, 'chats.db');
+  try {
+    assert.equal(await getSchemaVersion(database), 0);
+    const result = await runMigrations(database, { dbPath, migrations });
+
+    assert.deepEqual({ from: result.from, to: result.to }, { from: 0, to: LATEST });
+    assert.equal(await getSchemaVersion(database), LATEST);
+    assert.ok(result.backupPath.startsWith(`${dbPath}.v0-`));
+    assert.ok(fs.existsSync(result.backupPath));
+
+    // v2, v5 and v6 added columns to the existing table, the chat is still there
+    const chat = await database.get('SELECT id, title, cwd, folder, pinned, archived, mcp_profile FROM saved_chats');
+    assert.deepEqual({ ...chat }, { id: 1, title: 'Old chat', cwd: null, folder: null, pinned: 0, archived: 0, mcp_profile: null });
+
+    // v3 split the blob into turns and tool events
+    const turns = await database.all('SELECT id, position, role, text FROM chat_turns WHERE chat_id = 1 ORDER BY position');
+    assert.deepEqual(turns.map(turn => [turn.position, turn.role, turn.text]), [
+      [0, 'user', 'list the files'],
+      [1, 'assistant', 'Here are the files: kumquat.txt'],
+      [2, 'user', 'thanks'],
+      [3, 'assistant', 'You are welcome']
+    ]);
+    const events = await database.all('SELECT kind, tool_name, text FROM tool_events WHERE turn_id = ? ORDER BY position', [turns[1].id]);
+    assert.deepEqual(events.map(event => [event.kind, event.tool_name]), [
+      ['tool_use', 'fs_read'],
+      ['approval_prompt', null],
+      ['approval_response', null]
+    ]);
+
+    // v4 rebuilt the search index, the old chat is found
+    const found = await database.all('SELECT rowid FROM chat_search WHERE chat_search MATCH ?', [buildMatchQuery('kumquat')]);
+    assert.deepEqual(found.map(row => row.rowid), [1]);
+
+    // v7 to v9 created their tables
+    const tables = (await database.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+    ['chat_tags', 'app_settings', 'tool_audit_log', 'prompt_templates', 'chat_drafts'].forEach(table => {
+      assert.ok(tables.includes(table), table);
+    });
+  } finally {
+    await database.close();
+  }
+});
+
+test('migrating again changes nothing', { skip }, async () => {
+  const database = await openOldDatabase();
+  const dbPath = path.join(directory, 'again.db');
+  try {
+    await runMigrations(database, { dbPath, migrations });
+    const turnCount = await database.get('SELECT COUNT(*) AS count FROM chat_turns');
+    const result = await runMigrations(database, { dbPath, migrations });
+
+    assert.deepEqual(result, { from: LATEST, to: LATEST, backupPath: null });
+    assert.equal(await getSchemaVersion(database), LATEST);
+    assert.equal((await database.get('SELECT COUNT(*) AS count FROM chat_turns')).count, turnCount.count);
+    assert.equal(fs.readdirSync(directory).filter(name => name.startsWith('again.db')).length, 1, 'one backup, from the first run');
+  } finally {
+    await database.close();
+  }
+});
+
+test('triggers keep the search index in sync after migrating', { skip }, async () => {
+  const database = await openOldDatabase();
+  try {
+    await runMigrations(database, { dbPath: path.join(directory, 'sync.db'), migrations });
+    await database.run("UPDATE saved_chats SET content = 'Only papaya now' WHERE id = 1");
+    const search = (word) => database.all('SELECT rowid FROM chat_search WHERE chat_search MATCH ?', [buildMatchQuery(word)]);
+    assert.equal((await search('kumquat')).length, 0);
+    assert.equal((await search('papaya')).length, 1);
+  } finally {
+    await database.close();
+  }
+});
+
+test('a new database is not backed up', { skip }, async () => {
+  const database = await openDatabase();
+  try {
+    const result = await runMigrations(database, { dbPath: path.join(directory, 'new.db'), migrations });
+    assert.equal(result.backupPath, null);
+    assert.equal(await getSchemaVersion(database), LATEST);
+  } finally {
+    await database.close();
+  }
+});
+
+test('a database newer than the app is refused', { skip }, async () => {
+  const database = await openDatabase();
+  try {
+    await database.run(`PRAGMA user_version = ${LATEST + 1}`);
+    await assert.rejects(runMigrations(database, { dbPath: path.join(directory, 'newer.db'), migrations }),
+      new RegExp(`schema version ${LATEST + 1} but this version of the app only supports up to ${LATEST}`));
+  } finally {
+    await database.close();
+  }
+});
+
+test('a failing step keeps the last good version and names the backup', { skip }, async () => {
+  const database = await openOldDatabase();
+  const broken = [
+    ...migrations.slice(0, 2),
+    { version: 3, description: 'Broken step', async up(db) {
+      await db.run('CREATE TABLE half_done (id INTEGER)');
+      throw new Error('disk on fire');
+    } }
+  ];
+  try {
+    await assert.rejects(runMigrations(database, { dbPath: path.join(directory, 'broken.db'), migrations: broken }), (error) => {
+      assert.match(error.message, /^Migration 3 \(Broken step\) failed: disk on fire\nA backup of the database from before the upgrade is at /);
+      assert.ok(fs.existsSync(error.backupPath));
+      return true;
+    });
+    assert.equal(await getSchemaVersion(database), 2);
+    assert.equal(await database.get("SELECT name FROM sqlite_master WHERE name = 'half_done'"), undefined);
+  } finally {
+    await database.close();
+  }
+});
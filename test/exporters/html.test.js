@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderChat } = require('../../src/exporters');
+
+const HOSTILE = '<img src=x onerror="alert(1)"> & </div><script>alert(2)</script>';
+
+function render(overrides = {}) {
+  return renderChat('html', {
+    title: HOSTILE,
+    cwd: '/repo/<b>',
+    profile: '"work"',
+    exportedAt: '2026-10-19 08:05',
+    turns: [
+      { role: 'user', text: HOSTILE },
+      {
+        role: 'assistant',
+        text: `Reply ${HOSTILE}`,
+        toolEvents: [{ kind: 'tool_use', toolName: 'fs_read', text: '🛠️  Using tool: <fs_read>', offset: 6 }]
+      }
+    ],
+    ...overrides
+  });
+}
+
+test('turn text, tool events, title, project and profile are escaped', async () => {
+  const html = await render();
+  const escaped = '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &lt;/div&gt;&lt;script&gt;alert(2)&lt;/script&gt;';
+  assert.ok(html.includes(`<title>${escaped}</title>`));
+  assert.ok(html.includes(`<h1>${escaped}</h1>`));
+  assert.ok(html.includes(`<div class="user-input">▶ ${escaped}</div>`));
+  assert.ok(html.includes('<div class="assistant">Reply </div>'));
+  assert.ok(html.includes('<div class="tool-usage">🛠️  Using tool: &lt;fs_read&gt;</div>'));
+  assert.ok(html.includes(`<div class="assistant">${escaped}</div>`));
+  assert.ok(html.includes('Project: /repo/&lt;b&gt;'));
+  assert.ok(html.includes('MCP profile: &quot;work&quot;'));
+});
+
+test('nothing from the chat becomes markup', async () => {
+  const html = await render();
+  assert.ok(!html.includes('<img'));
+  assert.ok(!html.includes('<script'));
+  assert.ok(!html.includes('<b>'));
+  assert.ok(!/onerror="/.test(html));
+  // Every tag in the document is one the exporter writes
+  const tags = new Set([...html.matchAll(/<\/?([a-zA-Z][\w-]*)/g)].map(match => match[1].toLowerCase()));
+  assert.deepEqual([...tags].sort(), ['body', 'div', 'h1', 'head', 'html', 'meta', 'style', 'title']);
+});
+
+test('approval events are styled apart from tool calls', async () => {
+  const html = await render({
+    turns: [{
+      role: 'assistant',
+      text: 'x',
+      toolEvents: [
+        { kind: 'approval_prompt', text: 'Allow this action? [y/n/t]:', offset: 1 },
+        { kind: 'approval_response', text: 'y', offset: 1 }
+      ]
+    }]
+  });
+  assert.ok(html.includes('<div class="approval">Allow this action? [y/n/t]:</div>'));
+  assert.ok(html.includes('<div class="approval">y</div>'));
+});
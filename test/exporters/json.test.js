@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderChat } = require('../../src/exporters');
+
+const TURNS = [
+  { role: 'user', text: 'run the tests', startedAt: '2026-10-19T08:05:00.000Z', endedAt: '2026-10-19T08:05:00.000Z', toolEvents: [] },
+  {
+    role: 'assistant',
+    text: 'Running them.\n12 passed, "quotes" and \\ stay',
+    startedAt: '2026-10-19T08:05:01.000Z',
+    endedAt: '2026-10-19T08:05:09.000Z',
+    toolEvents: [
+      { kind: 'tool_use', toolName: 'execute_bash', text: '🛠️  Using tool: execute_bash', offset: 13, at: '2026-10-19T08:05:02.000Z' },
+      { kind: 'approval_prompt', toolName: null, text: 'Allow this action? [y/n/t]:', offset: 13, at: '2026-10-19T08:05:02.000Z' },
+      { kind: 'approval_decision', toolName: 'execute_bash', text: '🔌 Allowed execute_bash by an API client', offset: 13, at: '2026-10-19T08:05:03.000Z' }
+    ]
+  }
+];
+
+test('turns and tool calls round-trip', async () => {
+  const output = await renderChat('json', { title: 'Tests', cwd: '/repo', profile: 'work', exportedAt: '2026-10-19 08:05', turns: TURNS });
+  assert.ok(output.endsWith('}\n'));
+  const exported = JSON.parse(output);
+  assert.deepEqual(exported, {
+    format: 'classic-q-interface/chat',
+    version: 1,
+    title: 'Tests',
+    cwd: '/repo',
+    mcpProfile: 'work',
+    exportedAt: '2026-10-19 08:05',
+    turns: TURNS
+  });
+});
+
+test('missing fields are null', async () => {
+  const exported = JSON.parse(await renderChat('json', {
+    title: '  ',
+    exportedAt: 'now',
+    turns: [{ role: 'assistant', text: 'hi', toolEvents: [{ kind: 'tool_use', text: 'Using tool', offset: 0 }] }, { role: 'user', text: 'x' }]
+  }));
+  assert.equal(exported.title, 'Q CLI Chat');
+  assert.equal(exported.cwd, null);
+  assert.equal(exported.mcpProfile, null);
+  assert.deepEqual(exported.turns, [
+    { role: 'assistant', text: 'hi', startedAt: null, endedAt: null, toolEvents: [{ kind: 'tool_use', toolName: null, text: 'Using tool', offset: 0, at: null }] },
+    { role: 'user', text: 'x', startedAt: null, endedAt: null, toolEvents: [] }
+  ]);
+});
+
+test('a chat saved as plain text is exported as turns', async () => {
+  const exported = JSON.parse(await renderChat('json', {
+    title: 'Old chat',
+    exportedAt: 'now',
+    content: '> list the files\n🛠️  Using tool: fs_read\nHere they are'
+  }));
+  assert.deepEqual(exported.turns.map(turn => [turn.role, turn.text, turn.toolEvents.map(event => event.toolName)]), [
+    ['user', 'list the files', []],
+    ['assistant', 'Here they are', ['fs_read']]
+  ]);
+});
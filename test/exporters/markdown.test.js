@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const markdown = require('../../src/exporters/markdown');
+const { renderChat } = require('../../src/exporters');
+
+// Code fences and the text between them, a fence closes at a line of at least as many backticks
+function fencedBlocks(text) {
+  const blocks = [];
+  let open = null;
+  text.split('\n').forEach(line => {
+    const marker = line.match(/^(`{3,})(.*)$/);
+    if (!open && marker) {
+      open = { marker: marker[1], language: marker[2], lines: [] };
+    } else if (open && marker && marker[1].length >= open.marker.length && !marker[2]) {
+      blocks.push({ language: open.language, code: open.lines.join('\n') });
+      open = null;
+    } else if (open) {
+      open.lines.push(line);
+    }
+  });
+  assert.equal(open, null, 'every fence is closed');
+  return blocks;
+}
+
+test('a fence is longer than every backtick run in the code', () => {
+  assert.equal(markdown.fence('plain'), '```\nplain\n```');
+  assert.equal(markdown.fence('a `b` c', 'js'), '```js\na `b` c\n```');
+  assert.equal(markdown.fence('echo "```"'), '````\necho "```"\n````');
+  assert.equal(markdown.fence('a ```` b'), '`````\na ```` b\n`````');
+});
+
+test('indented code with backticks becomes one fenced block', () => {
+  const text = [
+    'Here is the script:',
+    '    echo "```"',
+    '    x=`date`',
+    '',
+    '      indented more',
+    '',
+    'Done, see `run.sh`.'
+  ].join('\n');
+  const formatted = markdown.formatAssistantText(text);
+  assert.deepEqual(fencedBlocks(formatted), [{ language: '', code: 'echo "```"\nx=`date`\n\n  indented more' }]);
+  assert.ok(formatted.startsWith('Here is the script:\n````\n'));
+  assert.ok(formatted.endsWith('````\n\nDone, see `run.sh`.'));
+});
+
+test('fences already in the reply are kept, one Q left open is closed', () => {
+  assert.equal(markdown.formatAssistantText('Run:\n```sh\n    npm test\n```\nok'), 'Run:\n```sh\n    npm test\n```\nok');
+  assert.equal(markdown.formatAssistantText('Run:\n```sh\nnpm test'), 'Run:\n```sh\nnpm test\n```');
+});
+
+test('a chat with tool calls', async () => {
+  const output = await renderChat('markdown', {
+    title: 'Fix the build',
+    cwd: '/repo',
+    profile: 'work',
+    exportedAt: '2026-10-19 08:05',
+    turns: [
+      { role: 'user', text: 'show the script' },
+      {
+        role: 'assistant',
+        text: 'Reading it.\n    echo "```"\nThat is all.',
+        toolEvents: [
+          { kind: 'tool_use', toolName: 'fs_read', text: '🛠️  Using tool: fs_read', offset: 11 },
+          { kind: 'approval_prompt', toolName: null, text: 'Allow this action? [y/n/t]:', offset: 11 },
+          { kind: 'approval_decision', toolName: null, text: '🛡️ Auto-allowed fs_read by rule: reads', offset: 11 },
+          { kind: 'approval_response', toolName: null, text: 'y', offset: 11 }
+        ]
+      }
+    ]
+  });
+  assert.equal(output, [
+    '# Fix the build',
+    '',
+    '_Exported 2026-10-19 08:05, project `/repo`, MCP profile `work`_',
+    '',
+    '## 👤 User',
+    '',
+    'show the script',
+    '',
+    '## 🤖 Q',
+    '',
+    'Reading it.',
+    '',
+    '> 🛠️ **Tool:** `fs_read`',
+    '',
+    '> ❓ Allow this action? [y/n/t]:',
+    '',
+    '> 🛡️ Auto-allowed fs_read by rule: reads',
+    '',
+    '> ↳ Approval: **y**',
+    '',
+    '````',
+    'echo "```"',
+    '````',
+    'That is all.',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScript, loadPolicy, DEFAULT_TIMEOUT_SECONDS } = require('../../src/headless/script');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cqi-script-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const NOW = new Date(2026, 9, 19, 8, 5);
+
+function writeScript(name, lines) {
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, lines.join('\n'));
+  return filePath;
+}
+
+test('a text script has one prompt per line', () => {
+  const script = loadScript(writeScript('prompts.txt', [
+    '# comment',
+    'First prompt',
+    '',
+    '  Second: with a colon  ',
+    'Uses {{date}} as written'
+  ]), {}, NOW);
+  assert.deepEqual(script.turns.map(turn => turn.prompt), ['First prompt', 'Second: with a colon', 'Uses {{date}} as written']);
+  assert.ok(script.turns.every(turn => turn.timeout === DEFAULT_TIMEOUT_SECONDS * 1000));
+  assert.equal(script.title, 'Headless run: prompts.txt');
+  assert.equal(script.cwd, process.cwd());
+  assert.deepEqual(script.policy, { default: 'deny', rules: null });
+});
+
+test('a YAML script with settings, variables and turns', () => {
+  fs.mkdirSync(path.join(directory, 'project'), { recursive: true });
+  const script = loadScript(writeScript('nightly.yaml', [
+    'title: Nightly check',
+    'cwd: project',
+    'profile: work',
+    'backend: echo',
+    'timeout: 30',
+    'vars:',
+    '  module: src/main.js',
+    'turns:',
+    '  - Summarize {{module}} on {{date}}',
+    '  - prompt: |',
+    '      Line one',
+    '      Line two in {{cwd}}',
+    '    timeout: 90',
+    '  - "Fix this: now"'
+  ]), {}, NOW);
+  assert.equal(script.title, 'Nightly check');
+  assert.equal(script.cwd, path.join(directory, 'project'));
+  assert.equal(script.profile, 'work');
+  assert.equal(script.backend, 'echo');
+  assert.deepEqual(script.turns, [
+    { prompt: 'Summarize src/main.js on 2026-10-19', timeout: 30000 },
+    { prompt: `Line one\nLine two in ${path.join(directory, 'project')}`, timeout: 90000 },
+    { prompt: 'Fix this: now', timeout: 30000 }
+  ]);
+});
+
+test('command line options win over the script', () => {
+  const script = loadScript(writeScript('override.yml', [
+    'cwd: project',
+    'profile: work',
+    'timeout: 30',
+    'turns: [hello]'
+  ]), { cwd: directory, profile: 'home', backend: 'q', timeout: 5 }, NOW);
+  assert.equal(script.cwd, directory);
+  assert.equal(script.profile, 'home');
+  assert.equal(script.backend, 'q');
+  assert.equal(script.turns[0].timeout, 5000);
+});
+
+test('a YAML list is just the turns', () => {
+  const script = loadScript(writeScript('list.yaml', ['- one', '- 2']), {}, NOW);
+  assert.deepEqual(script.turns.map(turn => turn.prompt), ['one', '2']);
+});
+
+test('a policy in the script', () => {
+  const script = loadScript(writeScript('policy.yaml', [
+    'policy:',
+    '  default: allow',
+    '  rules:',
+    '    - action: deny',
+    '      tool: execute_bash',
+    '      contains: rm -rf',
+    'turns: [go]'
+  ]), {}, NOW);
+  assert.equal(script.policy.default, 'allow');
+  assert.deepEqual(script.policy.rules.map(rule => [rule.action, rule.tool, rule.contains]), [['deny', 'execute_bash', 'rm -rf']]);
+});
+
+test('a policy file', () => {
+  const yamlPolicy = writeScript('policy-file.yaml', ['- action: allow', '  tool: fs_read', '  under: "{project}"']);
+  assert.deepEqual(loadPolicy(yamlPolicy).rules.map(rule => [rule.action, rule.tool, rule.under]), [['allow', 'fs_read', '{project}']]);
+  assert.equal(loadPolicy(yamlPolicy).default, 'deny');
+
+  const jsonPolicy = writeScript('policy-file.json', [JSON.stringify({ default: 'allow' })]);
+  assert.deepEqual(loadPolicy(jsonPolicy), { default: 'allow', rules: null });
+
+  assert.throws(() => loadPolicy(writeScript('bad-policy.yaml', ['default: maybe'])), /default must be allow or deny/);
+  assert.throws(() => loadPolicy(writeScript('broken-policy.yaml', ['rules: [a', ''])), /is not valid: Line 1: unterminated \[list\]/);
+});
+
+test('YAML errors name the script and the line', () => {
+  const filePath = writeScript('broken.yaml', ['title: x', 'turns:', '  - &a one']);
+  assert.throws(() => loadScript(filePath, {}, NOW), (error) => {
+    assert.equal(error.message, `Script ${filePath} is not valid YAML: Line 3: "&" is not supported here, put the text in quotes`);
+    return true;
+  });
+});
+
+test('an unquoted prompt with ": " gets a hint', () => {
+  assert.throws(() => loadScript(writeScript('colon.yaml', ['turns:', '  - Fix this: now']), {}, NOW),
+    /Turn 1: unknown key "Fix this".*Put prompts that contain ": " in quotes/);
+});
+
+test('scripts that cannot run are refused', () => {
+  const refused = (name, lines, message) => assert.throws(() => loadScript(writeScript(name, lines), {}, NOW), message);
+  refused('unknown.yaml', ['titel: x', 'turns: [a]'], /unknown key "titel"/);
+  refused('no-turns.yaml', ['title: x'], /has no list of turns/);
+  refused('empty.yaml', ['turns: []'], /has no prompts/);
+  refused('empty.txt', ['# only a comment', ''], /has no prompts/);
+  refused('missing-var.yaml', ['turns: ["Check {{module}}"]'], /Turn 1 uses \{\{module\}\}, set it under vars/);
+  refused('bad-timeout.yaml', ['turns:', '  - prompt: x', '    timeout: soon'], /Turn 1 timeout must be a number of seconds above 0/);
+  refused('no-prompt.yaml', ['turns:', '  - timeout: 5'], /Turn 1 has no prompt/);
+  refused('nested-vars.yaml', ['vars:', '  a: [1]', 'turns: [x]'], /vars must be a mapping of names to text/);
+  assert.throws(() => loadScript(path.join(directory, 'missing.txt')), /Cannot read prompts file/);
+});
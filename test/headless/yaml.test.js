@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml, YamlError } = require('../../src/headless/yaml');
+
+// Parse errors name the line, so a broken script points at the mistake
+function assertRefused(text, line, message) {
+  assert.throws(() => parseYaml(text), (error) => {
+    assert.ok(error instanceof YamlError);
+    assert.equal(error.line, line);
+    assert.match(error.message, message);
+    assert.ok(error.message.startsWith(`Line ${line}: `));
+    return true;
+  });
+}
+
+test('mappings, sequences and scalars', () => {
+  assert.deepEqual(parseYaml([
+    'title: Nightly check',
+    'timeout: 300',
+    'ratio: 1.5',
+    'offset: -2',
+    'verbose: true',
+    'quiet: false',
+    'nothing: ~',
+    'empty: null',
+    'list: [a, "b, c", 3]',
+    'none: []',
+    'map: {}',
+    'turns:',
+    '  - first',
+    '  - prompt: second',
+    '    timeout: 5',
+    'flat:',
+    '- x',
+    '- y'
+  ].join('\n')), {
+    title: 'Nightly check',
+    timeout: 300,
+    ratio: 1.5,
+    offset: -2,
+    verbose: true,
+    quiet: false,
+    nothing: null,
+    empty: null,
+    list: ['a', 'b, c', 3],
+    none: [],
+    map: {},
+    turns: ['first', { prompt: 'second', timeout: 5 }],
+    flat: ['x', 'y']
+  });
+});
+
+test('a document can be a list', () => {
+  assert.deepEqual(parseYaml('- one\n- two\n'), ['one', 'two']);
+});
+
+test('literal block scalars keep line breaks', () => {
+  assert.deepEqual(parseYaml('a: |\n  one\n  two\n\n  three\nb: 1\n'), { a: 'one\ntwo\n\nthree\n', b: 1 });
+  assert.deepEqual(parseYaml('a: |\n  one\n    indented\n'), { a: 'one\n  indented\n' });
+});
+
+test('block scalar chomping', () => {
+  assert.deepEqual(parseYaml('a: |-\n  one\n  two\n\n\nb: 1'), { a: 'one\ntwo', b: 1 });
+  assert.deepEqual(parseYaml('a: |+\n  one\n\n\nb: 1'), { a: 'one\n\n\n', b: 1 });
+  assert.deepEqual(parseYaml('a: |\n\nb: 1'), { a: '', b: 1 });
+});
+
+test('folded block scalars join lines', () => {
+  assert.deepEqual(parseYaml('a: >\n  one\n  two\n\n  three\n    indented\n  four\n'), { a: 'one two\nthree\n  indented\nfour\n' });
+  assert.deepEqual(parseYaml('a: >-\n  x\n  y\n'), { a: 'x y' });
+});
+
+test('block scalars in sequences', () => {
+  assert.deepEqual(parseYaml('turns:\n  - prompt: |\n      hello\n      world\n    timeout: 5\n  - |\n    plain block\n'), {
+    turns: [{ prompt: 'hello\nworld\n', timeout: 5 }, 'plain block\n']
+  });
+});
+
+test('a # in a block scalar is text', () => {
+  assert.deepEqual(parseYaml('a: |\n  # not a comment\n  x # neither\n'), { a: '# not a comment\nx # neither\n' });
+});
+
+test('quoted scalars', () => {
+  assert.deepEqual(parseYaml([
+    '- "a: b # not a comment"',
+    "- 'it''s'",
+    '- "tab\\there \\u00e9 \\"q\\" \\\\"',
+    "- 'no \\n escapes'",
+    '- "true"',
+    '- "42"',
+    '- ""'
+  ].join('\n')), ['a: b # not a comment', "it's", 'tab\there é "q" \\', 'no \\n escapes', 'true', '42', '']);
+});
+
+test('comments', () => {
+  assert.deepEqual(parseYaml([
+    '# leading comment',
+    '---',
+    'key: value # trailing comment',
+    '',
+    '  # indented comment',
+    'hash: x#y',
+    'list: # comment after the key',
+    '  - a # after an item',
+    '...'
+  ].join('\n')), { key: 'value', hash: 'x#y', list: ['a'] });
+});
+
+test('Windows line breaks and a byte order mark', () => {
+  assert.deepEqual(parseYaml('\uFEFFa: 1\r\nb: |\r\n  x\r\n'), { a: 1, b: 'x\n' });
+});
+
+test('anchors, aliases and tags are refused', () => {
+  assertRefused('a: &anchor x', 1, /"&" is not supported/);
+  assertRefused('a: 1\nb: *anchor', 2, /"\*" is not supported/);
+  assertRefused('a: 1\n\nb: !tag x', 3, /"!" is not supported/);
+});
+
+test('flow mappings are refused', () => {
+  assertRefused('a:\n  b: {c: 1}', 2, /"\{" is not supported/);
+});
+
+test('multi-line plain scalars are refused', () => {
+  assertRefused('a: multi\n  line plain', 2, /use \| for text over several lines/);
+});
+
+test('unterminated quotes and lists are refused', () => {
+  assertRefused('a: "open', 1, /unterminated "quoted" text/);
+  assertRefused("a: 1\nb: 'open", 2, /unterminated 'quoted' text/);
+  assertRefused('a: [1, 2', 1, /unterminated \[list\]/);
+});
+
+test('tab indentation is refused', () => {
+  assertRefused('a:\n\t- x', 2, /tabs cannot be used/);
+});
+
+test('duplicate keys are refused', () => {
+  assertRefused('a: 1\nb: 2\na: 3', 3, /duplicate key "a"/);
+});
+
+test('lines that are not part of the document are refused', () => {
+  assertRefused('just text', 1, /expected "key: value"/);
+  assertRefused('a: 1\n- b', 2, /unexpected "- b"/);
+  assertRefused('- a\n    - b', 2, /unexpected indentation/);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const backups = require('../../src/mcp/backups');
+const { maskSecretsInText, unmaskSecrets } = require('../../src/shared/secrets');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T08:00:00.000Z');
+
+function configText(token) {
+  return JSON.stringify({
+    mcpServers: { jira: { command: 'docker', env: { JIRA_URL: 'https://jira', JIRA_TOKEN: token, API_KEY: '${env:API_KEY}' } } }
+  }, null, 2);
+}
+
+function tempConfig(t, content = configText('tok-1')) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cqi-backups-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const configPath = path.join(directory, 'mcp.json');
+  fs.writeFileSync(configPath, content);
+  return configPath;
+}
+
+// Like main.js: secrets come back from the current file, a restore that would write a mask fails
+function prepareFrom(configPath) {
+  return (saved) => {
+    const current = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const { config, unresolved } = unmaskSecrets(JSON.parse(saved), current);
+    if (unresolved.length) {
+      throw new Error(`Unresolved secrets: ${unresolved.map(entry => entry.join('.')).join(', ')}`);
+    }
+    return JSON.stringify(config, null, 2);
+  };
+}
+
+test('a backup is redacted', (t) => {
+  const configPath = tempConfig(t);
+  const backupPath = backups.createBackup(configPath, { now: NOW, redact: maskSecretsInText });
+  assert.equal(backupPath, `${configPath}.backup.${NOW}`);
+  const saved = fs.readFileSync(backupPath, 'utf8');
+  assert.ok(!saved.includes('tok-1'));
+  assert.equal(saved, configText('********'));
+  assert.equal(fs.readFileSync(configPath, 'utf8'), configText('tok-1'), 'the config itself is untouched');
+});
+
+test('no config, no backup; two backups in the same millisecond both survive', (t) => {
+  const configPath = tempConfig(t);
+  assert.equal(backups.createBackup(`${configPath}.missing`, { now: NOW }), null);
+  const first = backups.createBackup(configPath, { now: NOW });
+  const second = backups.createBackup(configPath, { now: NOW });
+  assert.equal(path.basename(first), `mcp.json.backup.${NOW}`);
+  assert.equal(path.basename(second), `mcp.json.backup.${NOW + 1}`);
+});
+
+test('backups are listed newest first, other files are left out', (t) => {
+  const configPath = tempConfig(t);
+  backups.createBackup(configPath, { now: NOW - DAY });
+  backups.createBackup(configPath, { now: NOW });
+  const directory = path.dirname(configPath);
+  fs.writeFileSync(path.join(directory, `other.json.backup.${NOW}`), '{}');
+  fs.writeFileSync(path.join(directory, 'mcp.json.backup.latest'), '{}');
+  const listed = backups.listBackups(configPath);
+  assert.deepEqual(listed.map(backup => [backup.name, backup.createdAt]), [
+    [`mcp.json.backup.${NOW}`, '2026-10-19T08:00:00.000Z'],
+    [`mcp.json.backup.${NOW - DAY}`, '2026-10-18T08:00:00.000Z']
+  ]);
+  assert.equal(listed[0].size, Buffer.byteLength(configText('tok-1')));
+});
+
+test('a redacted backup is restored with the secret from the current file', (t) => {
+  const configPath = tempConfig(t);
+  const name = path.basename(backups.createBackup(configPath, { now: NOW - DAY, redact: maskSecretsInText }));
+  fs.writeFileSync(configPath, configText('tok-1').replace('https://jira', 'https://jira.new'));
+
+  const { backupPath, content } = backups.restoreBackup(configPath, name, {
+    now: NOW,
+    redact: maskSecretsInText,
+    prepare: prepareFrom(configPath)
+  });
+  assert.equal(content, configText('tok-1'));
+  assert.equal(fs.readFileSync(configPath, 'utf8'), configText('tok-1'));
+  // The replaced config is backed up first, redacted too
+  assert.equal(fs.readFileSync(backupPath, 'utf8'), configText('********').replace('https://jira', 'https://jira.new'));
+});
+
+test('a restore that cannot put the secrets back changes nothing', (t) => {
+  const configPath = tempConfig(t);
+  const name = path.basename(backups.createBackup(configPath, { now: NOW - DAY, redact: maskSecretsInText }));
+  const renamed = configText('tok-2').replace('"jira"', '"jira-cloud"');
+  fs.writeFileSync(configPath, renamed);
+
+  assert.throws(
+    () => backups.restoreBackup(configPath, name, { now: NOW, redact: maskSecretsInText, prepare: prepareFrom(configPath) }),
+    { message: 'Unresolved secrets: mcpServers.jira.env.JIRA_TOKEN' }
+  );
+  assert.equal(fs.readFileSync(configPath, 'utf8'), renamed);
+  assert.deepEqual(backups.listBackups(configPath).map(backup => backup.name), [name]);
+});
+
+test('only backups of this config can be read or restored', (t) => {
+  const configPath = tempConfig(t);
+  fs.writeFileSync(path.join(path.dirname(configPath), 'secrets.json'), '{"x":1}');
+  assert.throws(() => backups.readBackup(configPath, 'secrets.json'), { message: 'Backup not found: secrets.json' });
+  assert.throws(() => backups.restoreBackup(configPath, '../mcp.json.backup.1'), { message: 'Backup not found: ../mcp.json.backup.1' });
+  assert.throws(() => backups.readBackup(configPath, `mcp.json.backup.${NOW}`), /Backup not found/);
+});
+
+test('pruning keeps the newest keepLast backups', (t) => {
+  const configPath = tempConfig(t);
+  [5, 4, 3, 2, 1].forEach(days => backups.createBackup(configPath, { now: NOW - days * DAY }));
+  const deleted = backups.pruneBackups(configPath, { keepLast: 2 }, NOW);
+  assert.deepEqual(deleted, [3, 4, 5].map(days => `mcp.json.backup.${NOW - days * DAY}`));
+  assert.deepEqual(backups.listBackups(configPath).map(backup => backup.name), [1, 2].map(days => `mcp.json.backup.${NOW - days * DAY}`));
+});
+
+test('pruning deletes backups older than maxAgeDays, both rules together', (t) => {
+  const configPath = tempConfig(t);
+  [10, 7.5, 6.9, 1, 0].forEach(days => backups.createBackup(configPath, { now: NOW - days * DAY }));
+  assert.deepEqual(backups.pruneBackups(configPath, { maxAgeDays: 7 }, NOW), [7.5, 10].map(days => `mcp.json.backup.${NOW - days * DAY}`));
+  assert.deepEqual(backups.pruneBackups(configPath, { keepLast: '2', maxAgeDays: 7 }, NOW), [`mcp.json.backup.${NOW - 6.9 * DAY}`]);
+  assert.equal(backups.listBackups(configPath).length, 2);
+});
+
+test('pruning is off unless configured', (t) => {
+  const configPath = tempConfig(t);
+  [400, 2].forEach(days => backups.createBackup(configPath, { now: NOW - days * DAY }));
+  assert.deepEqual(backups.normalizeBackupRetention(backups.DEFAULT_BACKUP_RETENTION), { keepLast: null, maxAgeDays: null });
+  assert.deepEqual(backups.normalizeBackupRetention({ keepLast: 0, maxAgeDays: -3 }), { keepLast: null, maxAgeDays: null });
+  assert.deepEqual(backups.pruneBackups(configPath, backups.DEFAULT_BACKUP_RETENTION, NOW), []);
+  assert.deepEqual(backups.pruneBackups(configPath, { keepLast: 'all', maxAgeDays: 0 }, NOW), []);
+  assert.equal(backups.listBackups(configPath).length, 2);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { checkServer, checkServers } = require('../../src/mcp/health');
+
+const STUB = path.join(__dirname, '..', '..', 'src', 'mcp', 'stub-server.js');
+
+function stub(...args) {
+  return { command: process.execPath, args: [STUB, ...args] };
+}
+
+test('a working server reports its tools, server info and stderr', async () => {
+  const result = await checkServer('stub', stub('--tools', 'echo,add', '--stderr', 'stub starting'));
+  assert.equal(result.status, 'ok');
+  assert.equal(result.error, null);
+  assert.deepEqual(result.serverInfo, { name: 'stub-mcp-server', version: '1.0.0' });
+  assert.deepEqual(result.tools, [
+    { name: 'echo', description: 'Stub tool echo' },
+    { name: 'add', description: 'Stub tool add' }
+  ]);
+  assert.equal(typeof result.latencyMs, 'number');
+  assert.match(result.stderr, /stub starting/);
+});
+
+test('a server that crashes reports its exit code and stderr', async () => {
+  const result = await checkServer('crash', stub('--crash', '--stderr', 'missing JIRA_URL'));
+  assert.equal(result.status, 'error');
+  assert.equal(result.exitCode, 1);
+  assert.equal(result.error, 'Server exited before answering (exit code 1)');
+  assert.match(result.stderr, /missing JIRA_URL/);
+  assert.deepEqual(result.tools, []);
+});
+
+test('a JSON-RPC error from initialize', async () => {
+  const result = await checkServer('error', stub('--error'));
+  assert.equal(result.status, 'error');
+  assert.equal(result.error, 'Stub initialize failure (code -32603)');
+  assert.equal(result.latencyMs, null);
+});
+
+test('a server that does not answer in time is stopped', async () => {
+  const startedAt = Date.now();
+  const result = await checkServer('slow', stub('--delay', '5000'), { timeoutMs: 300 });
+  const elapsed = Date.now() - startedAt;
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.error, 'No answer within 300 ms');
+  assert.ok(elapsed >= 300 && elapsed < 4000, `took ${elapsed} ms`);
+});
+
+test('a slow server within the timeout is fine', async () => {
+  const result = await checkServer('slow', stub('--delay', '200'), { timeoutMs: 5000 });
+  assert.equal(result.status, 'ok');
+  assert.ok(result.latencyMs >= 200, `latency ${result.latencyMs} ms`);
+});
+
+test('a command that does not exist', async () => {
+  const result = await checkServer('missing', { command: 'cqi-no-such-mcp-server', args: [] });
+  assert.equal(result.status, 'error');
+  assert.equal(result.error, 'Command not found: cqi-no-such-mcp-server');
+});
+
+test('a disabled server is not started', async () => {
+  let spawned = false;
+  const result = await checkServer('off', { ...stub(), disabled: true }, { spawn: () => { spawned = true; } });
+  assert.equal(result.status, 'disabled');
+  assert.equal(spawned, false);
+});
+
+test('${env:NAME} in env values is expanded like Q does', async () => {
+  const server = {
+    command: process.execPath,
+    args: ['-e', 'process.stderr.write(`token=${process.env.JIRA_TOKEN} url=${process.env.JIRA_URL}`); process.exit(2)'],
+    env: { JIRA_TOKEN: '${env:SECRET_TOKEN}', JIRA_URL: 'https://jira/${env:UNSET_NAME}' }
+  };
+  const result = await checkServer('env', server, { env: { ...process.env, SECRET_TOKEN: 's3cret' } });
+  assert.equal(result.exitCode, 2);
+  assert.equal(result.stderr, 'token=s3cret url=https://jira/');
+});
+
+test('every server of a config, in config order, with its own timeout', async () => {
+  const results = await checkServers({
+    mcpServers: {
+      slow: { ...stub('--delay', '5000'), timeout: 300 },
+      ok: stub('--tools', 'one'),
+      off: { ...stub(), disabled: true }
+    }
+  });
+  assert.deepEqual(results.map(result => [result.name, result.status]), [['slow', 'timeout'], ['ok', 'ok'], ['off', 'disabled']]);
+  assert.deepEqual(results[1].tools.map(tool => tool.name), ['one']);
+});
@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const approval = require('../../src/shared/approval');
+
+const PROMPT = "Allow this action? Use 't' to trust (always allow) this tool for the session. [y/n/t]:";
+
+// What Q prints between the tool header and the question, as the transcript keeps it
+const SHELL_BODY = [
+  '',
+  ' ⋮ ',
+  ' ● I will run the following shell command: ',
+  'rm  -rf build dist',
+  ' ⋮ ',
+  ' ↳ Purpose: Clean the build output',
+  ''
+].join('\n');
+const READ_BODY = [
+  '',
+  ' ⋮ ',
+  ' ● Reading file: src/a.js, all lines',
+  ' ● Reading directory: ../other with maximum depth of 0',
+  ''
+].join('\n');
+const MCP_BODY = [
+  ' ⋮ ',
+  ' ● Running jira_get_issue with the param:',
+  ' ⋮  {',
+  ' ⋮    "issue_key": "ABC-1",',
+  ' ⋮    "file_path": "/tmp/out.json"',
+  ' ⋮  }'
+].join('\n');
+
+function rule(fields) {
+  return approval.normalizeRule({ id: fields.action + '-' + (fields.tool || 'any'), ...fields });
+}
+
+function request(fields) {
+  return { toolName: 'fs_read', server: null, command: null, paths: [], params: null, text: '', ...fields };
+}
+
+test("Q's shell command prompt is parsed into tool and command", () => {
+  assert.deepEqual(approval.parseToolRequest('🛠️  Using tool: execute_bash', SHELL_BODY), {
+    toolName: 'execute_bash',
+    server: null,
+    command: 'rm  -rf build dist',
+    paths: [],
+    params: null,
+    text: 'I will run the following shell command:\nrm  -rf build dist\n\nPurpose: Clean the build output'
+  });
+});
+
+test('file paths are read from fs_read lines and MCP tool params', () => {
+  const read = approval.parseToolRequest('🛠️  Using tool: fs_read', READ_BODY);
+  assert.equal(read.toolName, 'fs_read');
+  assert.deepEqual(read.paths, ['src/a.js', '../other']);
+
+  const mcp = approval.parseToolRequest('🛠️  Using tool: jira_get_issue from mcp server atlassian', MCP_BODY);
+  assert.equal(mcp.toolName, 'jira_get_issue');
+  assert.equal(mcp.server, 'atlassian');
+  assert.deepEqual(mcp.params, { issue_key: 'ABC-1', file_path: '/tmp/out.json' });
+  assert.deepEqual(mcp.paths, ['/tmp/out.json']);
+});
+
+test('other backends name the tool themselves, broken params are ignored', () => {
+  const parsed = approval.parseToolRequest('Tool call: shell', ' ● Running x with the param:\n{ "path": ', 'shell');
+  assert.equal(parsed.toolName, 'shell');
+  assert.equal(parsed.params, null);
+  assert.deepEqual(parsed.paths, []);
+  assert.equal(approval.parseToolRequest('', '').toolName, null);
+});
+
+test('the pending request is the last tool call before an unanswered prompt', () => {
+  const header = '🛠️  Using tool: execute_bash';
+  const text = `Cleaning up.${SHELL_BODY}`;
+  const turns = [
+    { role: 'user', text: 'clean the build' },
+    {
+      role: 'assistant',
+      text,
+      toolEvents: [
+        { kind: 'tool_use', toolName: 'execute_bash', text: header, offset: 'Cleaning up.'.length },
+        { kind: 'approval_prompt', text: PROMPT, offset: text.length }
+      ]
+    }
+  ];
+  const pending = approval.findPendingToolRequest(turns);
+  assert.equal(pending.toolName, 'execute_bash');
+  assert.equal(pending.command, 'rm  -rf build dist');
+
+  const answered = [turns[0], { ...turns[1], toolEvents: [...turns[1].toolEvents, { kind: 'approval_response', text: 'y', offset: text.length }] }];
+  assert.equal(approval.findPendingToolRequest(answered), null);
+  assert.equal(approval.findPendingToolRequest([turns[0]]), null);
+  assert.equal(approval.findPendingToolRequest([]), null);
+});
+
+test('tool names are globs', () => {
+  assert.ok(approval.globToRegExp('fs_*').test('fs_read'));
+  assert.ok(approval.globToRegExp('fs_*').test('fs_'));
+  assert.ok(!approval.globToRegExp('fs_*').test('xfs_read'));
+  assert.ok(!approval.globToRegExp('fs_read').test('fs_readx'));
+  assert.ok(approval.globToRegExp('*').test('anything.at-all'));
+  assert.ok(approval.globToRegExp('jira*issue').test('jira_get_issue'));
+  // . and - are literal
+  assert.ok(!approval.globToRegExp('a.b').test('axb'));
+  assert.ok(approval.globToRegExp('my-server.tool').test('my-server.tool'));
+
+  assert.ok(approval.matchesRule(rule({ action: 'allow', tool: 'fs_*' }), request({ toolName: 'fs_write' })));
+  assert.ok(!approval.matchesRule(rule({ action: 'allow', tool: 'fs_*' }), request({ toolName: 'execute_bash' })));
+  assert.ok(!approval.matchesRule(rule({ action: 'allow' }), request({ toolName: null })), 'a request without a tool never matches');
+  assert.throws(() => rule({ action: 'allow', tool: 'fs_(read|write)' }), /is not a tool name/);
+});
+
+test('a path is inside a directory only below a separator', () => {
+  assert.ok(approval.isPathInside('/repo/src/a.js', '/repo'));
+  assert.ok(approval.isPathInside('/repo', '/repo/'));
+  assert.ok(!approval.isPathInside('/repo2/a.js', '/repo'));
+  assert.ok(!approval.isPathInside('/repo2', '/repo'));
+  assert.ok(!approval.isPathInside('/rep', '/repo'));
+  assert.ok(approval.isPathInside('/etc/passwd', '/'));
+  assert.ok(approval.isPathInside('C:\\Repo\\src', 'c:/repo'));
+  assert.ok(!approval.isPathInside('C:\\Repo2\\src', 'C:\\Repo'));
+});
+
+test('under: every path is resolved and must be inside the directory', () => {
+  const underRepo = rule({ action: 'allow', tool: 'fs_read', under: '/repo' });
+  const context = { cwd: '/repo' };
+  assert.ok(approval.matchesRule(underRepo, request({ paths: ['src/a.js', '/repo/b.js'] }), context));
+  assert.ok(approval.matchesRule(underRepo, request({ paths: ['./src/../a.js'] }), context));
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: ['../other'] }), context));
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: ['/repo/../etc/passwd'] }), context));
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: ['src/../../etc/passwd'] }), context));
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: ['/repo2/a.js'] }), context));
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: ['src/a.js', '/repo2/a.js'] }), context), 'one path outside is enough');
+  assert.ok(!approval.matchesRule(underRepo, request({ paths: [] }), context), 'no paths, nothing to check against');
+  // .. in the rule itself
+  assert.ok(approval.matchesRule(rule({ action: 'allow', under: '/repo/src/..' }), request({ paths: ['/repo/a.js'] }), context));
+});
+
+test('under: {project} is the session directory', () => {
+  const inProject = rule({ action: 'allow', tool: 'fs_*', under: approval.PROJECT_DIR });
+  assert.equal(approval.PROJECT_DIR, '{project}');
+  assert.ok(approval.matchesRule(inProject, request({ paths: ['src/a.js'] }), { cwd: '/repo' }));
+  assert.ok(approval.matchesRule(inProject, request({ paths: ['src/a.js'] }), { cwd: '/repo2/sub' }));
+  assert.ok(!approval.matchesRule(inProject, request({ paths: ['/repo/a.js'] }), { cwd: '/repo2' }));
+  assert.ok(!approval.matchesRule(inProject, request({ paths: ['/repo2/a.js'] }), { cwd: '/repo' }));
+  assert.ok(!approval.matchesRule(inProject, request({ paths: ['src/a.js'] }), {}), 'no project directory, no match');
+});
+
+test('under: the caller resolves paths, e.g. ~', () => {
+  const home = rule({ action: 'allow', under: '~/notes' });
+  const resolvePath = (filePath) => path.posix.resolve('/repo', filePath.replace(/^~/, '/home/me'));
+  assert.ok(approval.matchesRule(home, request({ paths: ['~/notes/today.md'] }), { cwd: '/repo', resolvePath }));
+  assert.ok(approval.matchesRule(home, request({ paths: ['../home/me/notes/x'] }), { cwd: '/repo', resolvePath }));
+  assert.ok(!approval.matchesRule(home, request({ paths: ['~/notes2/x'] }), { cwd: '/repo', resolvePath }));
+});
+
+test('contains: runs of whitespace count as one space', () => {
+  const rmRf = rule({ action: 'deny', tool: 'execute_bash', contains: 'rm -rf' });
+  const parsed = approval.parseToolRequest('🛠️  Using tool: execute_bash', SHELL_BODY);
+  assert.ok(approval.matchesRule(rmRf, parsed), 'the command has two spaces');
+  assert.ok(approval.matchesRule(rule({ action: 'deny', contains: 'rm   -rf\tbuild' }), parsed));
+  assert.ok(approval.matchesRule(rmRf, request({ toolName: 'execute_bash', text: 'rm\n-rf /' })));
+  assert.ok(!approval.matchesRule(rmRf, request({ toolName: 'execute_bash', text: 'rm -r -f /' })));
+  assert.ok(!approval.matchesRule(rmRf, request({ toolName: 'execute_bash', text: 'rm-rf' })));
+  assert.ok(!approval.matchesRule(rmRf, request({ toolName: 'execute_bash', text: 'RM -RF' })), 'case matters');
+});
+
+test('the first matching rule wins, without a match the user is asked', () => {
+  const rules = [
+    rule({ action: 'deny', tool: 'execute_bash', contains: 'rm -rf' }),
+    rule({ action: 'allow', tool: 'fs_*', under: approval.PROJECT_DIR }),
+    rule({ action: 'ask', tool: 'fs_write' }),
+    rule({ action: 'allow', tool: '*' })
+  ];
+  const context = { cwd: '/repo' };
+  const evaluate = (req) => {
+    const { action, rule: matched } = approval.evaluateRules(rules, req, context);
+    return [action, matched && matched.id];
+  };
+  assert.deepEqual(evaluate(approval.parseToolRequest('🛠️  Using tool: execute_bash', SHELL_BODY)), ['deny', 'deny-execute_bash']);
+  assert.deepEqual(evaluate(request({ toolName: 'fs_write', paths: ['src/a.js'] })), ['allow', 'allow-fs_*'], 'the earlier allow wins over ask');
+  assert.deepEqual(evaluate(request({ toolName: 'fs_write', paths: ['/etc/hosts'] })), ['ask', 'ask-fs_write']);
+  assert.deepEqual(evaluate(request({ toolName: 'execute_bash', text: 'ls' })), ['allow', 'allow-*']);
+
+  assert.deepEqual(approval.evaluateRules(rules.slice(0, 3), request({ toolName: 'use_aws' }), context), { action: 'ask', rule: null });
+  assert.deepEqual(approval.evaluateRules([], request({}), context), { action: 'ask', rule: null });
+  assert.deepEqual(approval.evaluateRules(null, request({}), context), { action: 'ask', rule: null });
+});
+
+test('disabled rules are skipped', () => {
+  const rules = approval.normalizeRules([
+    { id: 'off', action: 'deny', tool: '*', enabled: false },
+    { id: 'on', action: 'allow', tool: 'fs_read' }
+  ]);
+  assert.equal(approval.evaluateRules(rules, request({})).rule.id, 'on');
+});
+
+test('rules are checked before they are used', () => {
+  assert.deepEqual(approval.normalizeRule({ id: ' r1 ', action: 'allow', tool: ' ', under: '  ', contains: ' rm ' }), {
+    id: 'r1', action: 'allow', tool: '*', under: null, contains: 'rm', enabled: true
+  });
+  assert.throws(() => approval.normalizeRule({ action: 'maybe' }, 2), { message: 'Rule 3: action must be one of allow, deny, ask' });
+  assert.throws(() => approval.normalizeRule(null), { message: 'Rule 1 is not an object' });
+  assert.throws(() => approval.normalizeRules({}), { message: 'Approval rules must be a list' });
+  assert.equal(
+    approval.describeRule(rule({ action: 'allow', tool: 'fs_*', under: '{project}', contains: 'src' })),
+    'Always allow fs_* under the project directory containing "src"'
+  );
+  assert.equal(approval.describeRule(rule({ action: 'ask' })), 'Ask for any tool');
+});
+
+test('decision lines round-trip', () => {
+  const byRule = approval.formatDecision('deny', 'execute_bash', 'Always deny execute_bash containing "rm -rf"');
+  assert.equal(byRule, '🛡️ Auto-denied execute_bash by rule: Always deny execute_bash containing "rm -rf"');
+  assert.deepEqual(approval.parseDecision(byRule), {
+    action: 'deny', toolName: 'execute_bash', rule: 'Always deny execute_bash containing "rm -rf"', by: 'rule'
+  });
+  assert.deepEqual(approval.parseDecision(approval.formatDecision('allow', 'fs_read', 'reads')), {
+    action: 'allow', toolName: 'fs_read', rule: 'reads', by: 'rule'
+  });
+
+  const answers = { y: ['Allowed', 'allow'], n: ['Denied', 'deny'], t: ['Trusted', 'trust'] };
+  Object.entries(answers).forEach(([answer, [verb, action]]) => {
+    const line = approval.formatClientDecision(answer, 'fs_write');
+    assert.equal(line, `🔌 ${verb} fs_write by an API client`);
+    assert.deepEqual(approval.parseDecision(line), { action, toolName: 'fs_write', rule: null, by: 'api' });
+  });
+
+  assert.equal(approval.parseDecision(PROMPT), null);
+  assert.equal(approval.parseDecision('Allowed fs_write by an API client, said the docs'), null);
+  assert.equal(approval.parseDecision(null), null);
+});
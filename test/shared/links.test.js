@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkTokens } = require('../../src/shared/links');
+
+// Tokens are plain text or a file link whose path is its text, together they are the input as it was
+function assertOnlyTextAndLinks(text) {
+  const tokens = linkTokens(text);
+  tokens.forEach(token => {
+    if ('path' in token) {
+      assert.deepEqual(Object.keys(token).sort(), ['path', 'text']);
+      assert.equal(token.path, token.text);
+      assert.match(token.path, /^[\w\-./~]+$/);
+    } else {
+      assert.deepEqual(Object.keys(token), ['text']);
+    }
+    assert.equal(typeof token.text, 'string');
+  });
+  assert.equal(tokens.map(token => token.text).join(''), text);
+  return tokens;
+}
+
+test('paths become link tokens', () => {
+  assert.deepEqual(assertOnlyTextAndLinks('Edited ./src/a.js and ~/notes.md, see /tmp/x.log'), [
+    { text: 'Edited ' },
+    { text: './src/a.js', path: './src/a.js' },
+    { text: ' and ' },
+    { text: '~/notes.md', path: '~/notes.md' },
+    { text: ', see ' },
+    { text: '/tmp/x.log', path: '/tmp/x.log' }
+  ]);
+  assert.deepEqual(assertOnlyTextAndLinks('no paths here'), [{ text: 'no paths here' }]);
+  assert.deepEqual(assertOnlyTextAndLinks(''), []);
+});
+
+test('markup in the output stays text', () => {
+  assert.deepEqual(assertOnlyTextAndLinks('<img src=x onerror=alert(1)>'), [{ text: '<img src=x onerror=alert(1)>' }]);
+  assert.deepEqual(assertOnlyTextAndLinks('<img src=/x onerror=alert(1)>'), [
+    { text: '<img src=' },
+    { text: '/x', path: '/x' },
+    { text: ' onerror=alert(1)>' }
+  ]);
+  assert.deepEqual(assertOnlyTextAndLinks('"><script>alert(document.cookie)</script>'), [
+    { text: '"><script>alert(document.cookie)<' },
+    { text: '/script', path: '/script' },
+    { text: '>' }
+  ]);
+});
+
+test('quotes end a path', () => {
+  assert.deepEqual(assertOnlyTextAndLinks("./a'b.js"), [
+    { text: './a', path: './a' },
+    { text: "'b.js" }
+  ]);
+  assert.deepEqual(assertOnlyTextAndLinks('open "/tmp/a b.txt"'), [
+    { text: 'open "' },
+    { text: '/tmp/a', path: '/tmp/a' },
+    { text: ' b.txt"' }
+  ]);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OutputParser } = require('../../src/shared/output-parser');
+const { compileDetectors } = require('../../src/shared/backends');
+const { getBackend } = require('../../src/backends');
+const { readRecording } = require('../../src/recordings/asciicast');
+
+// echo-*.cast are the echo agent recorded in a terminal, echo-narrow.cast at 14 columns so
+// prompts soft-wrap. q-session.cast is written in the shape of q chat output: colors,
+// cursor hiding, a spinner redrawn with \r and ESC[2K, a long approval prompt and a resize.
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'recordings');
+const CHUNK_SIZES = [1, 3, 7];
+
+function load(name) {
+  return readRecording(path.join(FIXTURES, name));
+}
+
+// Split by characters, output reaches the parser as decoded text
+function split(data, size) {
+  const characters = Array.from(data);
+  const chunks = [];
+  for (let i = 0; i < characters.length; i += size) {
+    chunks.push(characters.slice(i, i + size).join(''));
+  }
+  return chunks;
+}
+
+function describe(event) {
+  switch (event.type) {
+    case 'line': return `line ${event.kind}${event.continued ? ' (continued)' : ''}: ${event.text}`;
+    case 'tool_use': return `tool_use ${event.toolName}: ${event.text}`;
+    case 'permission_prompt': return 'permission_prompt'; // Can come half written, the line event has the whole prompt
+    default: return event.type;
+  }
+}
+
+// Every "o" event whole (as the agent sent it) or cut into chunks of chunkSize characters
+function play(recording, chunkSize) {
+  const parser = new OutputParser({
+    detectors: compileDetectors(getBackend(recording.header.backend)),
+    cols: recording.header.width,
+    rows: recording.header.height
+  });
+  const events = [];
+  recording.events.forEach(event => {
+    if (event.code === 'o') {
+      const chunks = chunkSize ? split(event.data, chunkSize) : [event.data];
+      chunks.forEach(chunk => events.push(...parser.write(chunk)));
+    } else if (event.code === 'r') {
+      const [cols, rows] = event.data.split('x').map(Number);
+      events.push(...parser.resize(cols, rows));
+    }
+  });
+  events.push(...parser.flush());
+  // Which write a screen event comes with depends on the chunks, so lines and screen events
+  // are two sequences
+  return {
+    lines: events.filter(event => event.type === 'line').map(describe),
+    screen: events.filter(event => event.type !== 'line').map(describe)
+  };
+}
+
+function assertSameForEveryChunkSize(name) {
+  const recording = load(name);
+  const whole = play(recording);
+  CHUNK_SIZES.forEach(size => {
+    assert.deepEqual(play(recording, size), whole, `${name} in chunks of ${size}`);
+  });
+  return whole;
+}
+
+const linesOf = (events, kind) => events.lines.filter(event => event.startsWith(`line ${kind}: `)).map(event => event.slice(`line ${kind}: `.length));
+
+test('echo session: the same events however the output is split', () => {
+  const events = assertSameForEveryChunkSize('echo-session.cast');
+  assert.deepEqual(events.screen, [
+    'ready',
+    'ready',
+    'tool_use execute_bash: ⚙ Tool call: execute_bash',
+    'permission_prompt',
+    'ready',
+    'ready',
+    'tool_use fs_read: ⚙ Tool call: fs_read',
+    'permission_prompt',
+    'ready',
+    'tool_use execute_bash: ⚙ Tool call: execute_bash',
+    'permission_prompt',
+    'ready',
+    'tool_use execute_bash: ⚙ Tool call: execute_bash',
+    'ready'
+  ]);
+  assert.deepEqual(linesOf(events, 'user_input'), [
+    'echo> hello', 'echo> tool ls -la', 'echo> think it over', 'echo> read notes.txt',
+    'echo> tool git status', 'echo> tool git status', 'echo> /quit'
+  ]);
+  assert.deepEqual(linesOf(events, 'noise'), ['Echo agent ready, nothing you type leaves this computer.']);
+});
+
+test('spinner redraws leave no lines behind', () => {
+  const events = assertSameForEveryChunkSize('echo-session.cast');
+  assert.ok(!events.lines.some(event => event.includes('Pondering')));
+  assert.ok(events.lines.includes('line text: Thought about "it over" for 4 spins, still agree.'));
+});
+
+test('soft-wrapped prompts and tool calls are read as whole lines', () => {
+  const events = assertSameForEveryChunkSize('echo-narrow.cast');
+  assert.deepEqual(events.screen, [
+    'ready',
+    'tool_use execute_bash: ⚙ Tool call: execute_bash',
+    'permission_prompt',
+    'ready',
+    'ready',
+    'tool_use fs_read: ⚙ Tool call: fs_read',
+    'permission_prompt',
+    'ready'
+  ]);
+  assert.ok(events.lines.includes('line user_input (continued): echo> tool npm'));
+  assert.ok(events.lines.includes('line user_input: echo> tool npm run build'));
+  assert.ok(events.lines.includes('line permission_prompt: Run it? [y/n/t]:'));
+  assert.ok(events.lines.includes('line text: Thought about "wrapping" for 4 spins, still agree.'));
+  assert.deepEqual(linesOf(events, 'noise'), ['Echo agent ready, nothing you type leaves this computer.']);
+});
+
+test('q session: escape sequences, spinners, a wrapped approval prompt and a resize', () => {
+  const events = assertSameForEveryChunkSize('q-session.cast');
+  const prompt = "Allow this action? Use 't' to trust (always allow) this tool for the session. [y/n/t]:";
+  assert.deepEqual(events.screen, [
+    'ready',
+    'tool_use fs_read: 🛠️  Using tool: fs_read',
+    'permission_prompt',
+    'ready', // Q's input prompt below the approval prompt
+    'ready',
+    'tool_use execute_bash: 🛠️  Using tool: execute_bash',
+    'permission_prompt',
+    'ready',
+    'ready'
+  ]);
+  assert.deepEqual(linesOf(events, 'user_input'), ['> read src/a.js and summarize', '> y', '> run the tests', '> n', '>']);
+  assert.ok(events.lines.includes(`line permission_prompt: ${prompt}`));
+  assert.ok(events.lines.includes('line text: The file exports one function, main, which reads config.json and starts the server on the port it finds there.'));
+  assert.ok(!events.lines.some(event => event.includes('Thinking...')));
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const render = require('../../src/shared/render');
+const { VirtualTerminal } = require('../../src/renderer/terminal');
+
+const HOSTILE = `<img src=x onerror="alert(1)"> open /tmp/a'onmouseover='alert(2)' <script>alert(3)</script>`;
+
+// Just enough of the DOM for the renderer. There is no HTML parser: innerHTML and
+// friends throw, so the only way to get an element is createElement.
+function createDocument() {
+  const created = [];
+
+  function textNode(text) {
+    return { nodeType: 3, textContent: String(text) };
+  }
+
+  function element(tagName) {
+    const el = {
+      nodeType: 1,
+      tagName: tagName.toUpperCase(),
+      className: '',
+      dataset: {},
+      attributes: {},
+      style: {},
+      childNodes: [],
+      classList: { add: (name) => { el.className = el.className ? `${el.className} ${name}` : name; } },
+      setAttribute(name, value) { el.attributes[name] = String(value); },
+      appendChild(child) { el.childNodes.push(child); return child; },
+      get textContent() { return el.childNodes.map(child => child.textContent).join(''); },
+      set textContent(value) { el.childNodes = [textNode(value)]; }
+    };
+    ['innerHTML', 'outerHTML'].forEach(name => Object.defineProperty(el, name, {
+      set() { throw new Error(`${name} used`); }
+    }));
+    el.insertAdjacentHTML = () => { throw new Error('insertAdjacentHTML used'); };
+    created.push(el);
+    return el;
+  }
+
+  return { created, createElement: element, createTextNode: textNode };
+}
+
+function elements(node) {
+  return node.nodeType === 1 ? [node, ...node.childNodes.flatMap(elements)] : [];
+}
+
+// Only spans from the renderer and file links, nothing that can run code
+function assertInert(doc, node) {
+  const all = elements(node);
+  assert.equal(all.length, doc.created.length, 'every element is in the tree');
+  all.forEach(el => {
+    assert.ok(['SPAN', 'A'].includes(el.tagName), el.tagName);
+    assert.deepEqual(el.attributes, {});
+    Object.keys(el).forEach(key => assert.ok(!/^on/i.test(key), `${key} on ${el.tagName}`));
+    Object.keys(el.dataset).forEach(key => assert.equal(key, 'path'));
+    if (el.tagName === 'A') {
+      assert.equal(el.className, 'file-link');
+      assert.deepEqual(el.childNodes.map(child => child.nodeType), [3]);
+      assert.equal(el.href, undefined);
+    }
+  });
+}
+
+function links(node) {
+  return elements(node).filter(el => el.tagName === 'A').map(el => [el.dataset.path, el.textContent]);
+}
+
+test('a hostile line becomes text nodes and file links only', () => {
+  const doc = createDocument();
+  const line = render.renderTextLine(doc, HOSTILE, 'tool');
+  assertInert(doc, line);
+  assert.equal(line.className, 'tool');
+  assert.equal(line.textContent, HOSTILE + '\n');
+  assert.deepEqual(links(line), [['/tmp/a', '/tmp/a'], ['/script', '/script']]);
+});
+
+test('a path with a quote is carried as data, never as code', () => {
+  const doc = createDocument();
+  const link = render.createFileLink(doc, `/tmp/it's "here"');alert(1);//`, 'label <b>');
+  assertInert(doc, link);
+  assert.equal(link.dataset.path, `/tmp/it's "here"');alert(1);//`);
+  assert.equal(link.textContent, 'label <b>');
+});
+
+test('terminal rows keep their colors and links, markup stays text', () => {
+  const doc = createDocument();
+  const terminal = new VirtualTerminal({ cols: 120, rows: 5 });
+  terminal.write(`\x1b[31;1mError in ./src/a.js\x1b[0m: ${HOSTILE}`);
+  const line = render.renderTerminalLine(doc, terminal.lines[0], 'error');
+  assertInert(doc, line);
+  assert.equal(line.className, 'error');
+  assert.equal(line.textContent, `Error in ./src/a.js: ${HOSTILE}\n`);
+
+  const [styled] = line.childNodes;
+  assert.equal(styled.tagName, 'SPAN');
+  assert.equal(styled.className, 'ansi-bold');
+  assert.equal(styled.style.color, 'var(--ansi-1)');
+  assert.deepEqual(links(styled), [['./src/a.js', './src/a.js']]);
+  assert.deepEqual(links(line).slice(1), [['/tmp/a', '/tmp/a'], ['/script', '/script']]);
+});
+
+test('a soft-wrapped row has no line break', () => {
+  const doc = createDocument();
+  const terminal = new VirtualTerminal({ cols: 10, rows: 5 });
+  terminal.write('0123456789abc');
+  assert.equal(render.renderTerminalLine(doc, terminal.lines[0], '').textContent, '0123456789');
+  assert.equal(render.renderTerminalLine(doc, terminal.lines[1], '').textContent, 'abc\n');
+});
+
+test('approval decisions are text', () => {
+  const doc = createDocument();
+  const decision = render.renderApprovalDecision(doc, '🛡️ Auto-denied <b>x</b> by rule: <img src=x onerror=alert(1)>');
+  assertInert(doc, decision);
+  assert.equal(decision.className, 'approval-decision');
+  assert.deepEqual(decision.childNodes, [{ nodeType: 3, textContent: '🛡️ Auto-denied <b>x</b> by rule: <img src=x onerror=alert(1)>\n' }]);
+});
+
+test('the page does not run inline scripts or handlers', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', '..', 'index.html'), 'utf8');
+  const meta = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/);
+  assert.ok(meta, 'index.html has a CSP');
+  const directives = Object.fromEntries(meta[1].split(';').map(part => {
+    const [name, ...values] = part.trim().split(/\s+/);
+    return [name, values];
+  }));
+  assert.deepEqual(directives['default-src'], ["'none'"]);
+  assert.deepEqual(directives['script-src'], ["'self'"], 'no unsafe-inline, unsafe-eval or hashes');
+  assert.equal(directives['script-src-attr'], undefined);
+  // And the page itself has none
+  assert.ok(!/<[^>]+\son[a-z]+\s*=/i.test(html), 'no on* attributes in index.html');
+  [...html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/g)].forEach(([, attributes, body]) => {
+    assert.match(attributes, /\ssrc="[^"]+"/);
+    assert.equal(body.trim(), '');
+  });
+});
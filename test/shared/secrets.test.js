@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const secrets = require('../../src/shared/secrets');
+
+const { SECRET_MASK } = secrets;
+
+// mcp.json with a plain-text token, a placeholder and values that only look like secrets
+const CONFIG = {
+  mcpServers: {
+    jira: {
+      command: 'docker',
+      args: ['run', '-i', '--rm', '-e', 'JIRA_PERSONAL_TOKEN', 'mcp-atlassian'],
+      env: {
+        JIRA_URL: 'https://jira.example.com',
+        JIRA_PERSONAL_TOKEN: 'abc"123\\xyz',
+        CONFLUENCE_API_KEY: '${env:CONFLUENCE_API_KEY}',
+        AUTH_MODE: '',
+        GITHUB_TOKEN: 'ghp_plain'
+      }
+    },
+    files: { command: 'npx', args: ['server-filesystem', '/repo'], env: { DB_PASSWORD: 'hunter2' } }
+  }
+};
+const SECRET_PATHS = [
+  ['mcpServers', 'jira', 'env', 'JIRA_PERSONAL_TOKEN'],
+  ['mcpServers', 'jira', 'env', 'GITHUB_TOKEN'],
+  ['mcpServers', 'files', 'env', 'DB_PASSWORD']
+];
+
+test('plain-text secrets are found by key name, placeholders and empty values are not secrets', () => {
+  assert.deepEqual(secrets.findPlainTextSecrets(CONFIG), SECRET_PATHS);
+  assert.equal(secrets.isPlainTextSecret('JIRA_URL', 'https://x'), false);
+  assert.equal(secrets.isPlainTextSecret('API_KEY', '${env:API_KEY}'), false);
+  assert.equal(secrets.isPlainTextSecret('API_KEY', 'prefix-${env:API_KEY}'), false);
+  assert.equal(secrets.isPlainTextSecret('API_KEY', ''), false);
+  assert.equal(secrets.isPlainTextSecret('API_KEY', SECRET_MASK), false);
+  assert.equal(secrets.isPlainTextSecret('ApiKey', 'x'), true);
+});
+
+test('masking the text keeps everything but the secret values', () => {
+  const text = JSON.stringify(CONFIG, null, 2);
+  const masked = secrets.maskSecretsInText(text);
+  ['abc"123', 'ghp_plain', 'hunter2'].forEach(value => assert.ok(!masked.includes(value), value));
+  assert.ok(masked.includes('"JIRA_PERSONAL_TOKEN": "********"'));
+  assert.ok(masked.includes('"CONFLUENCE_API_KEY": "${env:CONFLUENCE_API_KEY}"'));
+  assert.ok(masked.includes('"JIRA_URL": "https://jira.example.com"'));
+  // Same lines, only the secret values differ
+  assert.equal(masked.split('\n').length, text.split('\n').length);
+  assert.deepEqual(secrets.findPlainTextSecrets(JSON.parse(masked)), []);
+});
+
+test('text that does not parse is masked too', () => {
+  assert.equal(secrets.maskSecretsInText('{ "env": { "MY_TOKEN": "t0k", } trailing'), '{ "env": { "MY_TOKEN": "********", } trailing');
+  assert.equal(secrets.maskSecretsInText(''), '');
+  assert.equal(secrets.maskSecretsInText(null), '');
+});
+
+test('mask then unmask gives back the config on disk', () => {
+  const masked = JSON.parse(secrets.maskSecretsInText(JSON.stringify(CONFIG)));
+  const { config, unmasked, unresolved } = secrets.unmaskSecrets(masked, CONFIG);
+  assert.deepEqual(config, CONFIG);
+  assert.equal(unmasked, SECRET_PATHS.length);
+  assert.deepEqual(unresolved, []);
+  assert.equal(JSON.stringify(config).includes(SECRET_MASK), false);
+});
+
+test('edits around masked values keep the secrets', () => {
+  const masked = JSON.parse(secrets.maskSecretsInText(JSON.stringify(CONFIG)));
+  masked.mcpServers.jira.env.JIRA_URL = 'https://jira.internal';
+  masked.mcpServers.jira.env.NEW_TOKEN = 'typed-in';
+  masked.mcpServers.files.env.DB_PASSWORD = 'changed';
+  const { config, unresolved } = secrets.unmaskSecrets(masked, CONFIG);
+  assert.deepEqual(unresolved, []);
+  assert.equal(config.mcpServers.jira.env.JIRA_URL, 'https://jira.internal');
+  assert.equal(config.mcpServers.jira.env.JIRA_PERSONAL_TOKEN, 'abc"123\\xyz');
+  assert.equal(config.mcpServers.jira.env.NEW_TOKEN, 'typed-in');
+  assert.equal(config.mcpServers.files.env.DB_PASSWORD, 'changed');
+  assert.equal(masked.mcpServers.jira.env.JIRA_PERSONAL_TOKEN, SECRET_MASK, 'the input is not changed');
+});
+
+test('a mask with nothing to restore is reported, not written', () => {
+  const masked = JSON.parse(secrets.maskSecretsInText(JSON.stringify(CONFIG)));
+  masked.mcpServers.renamed = masked.mcpServers.jira;
+  delete masked.mcpServers.jira;
+  const original = JSON.parse(JSON.stringify(CONFIG));
+  original.mcpServers.files.env.DB_PASSWORD = SECRET_MASK; // A mask that made it to disk earlier
+  const { unmasked, unresolved } = secrets.unmaskSecrets(masked, original);
+  assert.equal(unmasked, 0);
+  assert.deepEqual(unresolved, [
+    ['mcpServers', 'files', 'env', 'DB_PASSWORD'],
+    ['mcpServers', 'renamed', 'env', 'JIRA_PERSONAL_TOKEN'],
+    ['mcpServers', 'renamed', 'env', 'GITHUB_TOKEN']
+  ]);
+});
+
+test('placeholders', () => {
+  assert.equal(secrets.secretPlaceholder('JIRA_TOKEN'), '${env:JIRA_TOKEN}');
+  assert.equal(secrets.hasPlaceholder('Bearer ${env:TOKEN}'), true);
+  assert.equal(secrets.hasPlaceholder('${env:1BAD}'), false);
+  assert.equal(secrets.hasPlaceholder('$TOKEN'), false);
+  assert.deepEqual(secrets.placeholderNames(CONFIG), ['CONFLUENCE_API_KEY']);
+  assert.deepEqual(secrets.placeholderNames('${env:A} ${env:B} ${env:A}'), ['A', 'B']);
+  assert.ok(secrets.SECRET_NAME_PATTERN.test('JIRA_TOKEN'));
+  assert.ok(!secrets.SECRET_NAME_PATTERN.test('JIRA-TOKEN'));
+});